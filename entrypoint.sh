@@ -17,9 +17,14 @@ NGINX_PID=$!
 # Function to handle shutdown
 shutdown() {
     echo "📴 Shutting down services..."
-    kill $NODE_PID
-    kill $NGINX_PID
-    exit 0
+    # Node drains in-flight requests (SHUTDOWN_TIMEOUT_MS) while nginx keeps
+    # proxying them, then nginx finishes its own connections and quits
+    kill -TERM $NODE_PID
+    wait $NODE_PID
+    NODE_STATUS=$?
+    kill -QUIT $NGINX_PID
+    wait $NGINX_PID
+    exit $NODE_STATUS
 }
 
 # Trap termination signals
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+const dotenv = require('dotenv');
+
+const USAGE = `Usage: billing-admin <command> [options]
+
+Commands:
+  resync --user <userId>          Re-apply a user's live Stripe subscription
+  resync --customer <customerId>  Re-apply a customer's live Stripe subscription
+  replay <eventId>                Re-process a stored (or Stripe-held) webhook event
+  reconcile [--fix]               List mismatches between Stripe and user_request_limits,
+                                  resyncing each one when --fix is given
+  report-usage                    Send buffered metered usage to Stripe now
+
+Options:
+  --json                          Print results as JSON
+  -h, --help                      Show this help`;
+
+function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg.startsWith('--')) {
+            const [name, inlineValue] = arg.slice(2).split('=');
+            const next = argv[i + 1];
+
+            if (inlineValue !== undefined) {
+                args[name] = inlineValue;
+            } else if (next !== undefined && !next.startsWith('--')) {
+                args[name] = next;
+                i++;
+            } else {
+                args[name] = true;
+            }
+        } else {
+            args._.push(arg);
+        }
+    }
+
+    return args;
+}
+
+function formatMismatch(mismatch) {
+    const who = [mismatch.userId && `user ${mismatch.userId}`, `customer ${mismatch.customerId}`]
+        .filter(Boolean)
+        .join(', ');
+    const details = mismatch.differences ? ` (${mismatch.differences.join('; ')})` : '';
+    let fixed = '';
+    if (mismatch.fixed === true) {
+        fixed = ' [fixed]';
+    } else if (mismatch.fixed === false) {
+        fixed = ` [not fixed: ${mismatch.fixError}]`;
+    }
+
+    return `  - ${mismatch.issue}: ${who}${details}${fixed}`;
+}
+
+// Returns the process exit code. `reconciliation`, `reporter` and the output
+// streams can be injected so the commands run against a mocked Stripe client
+// in tests.
+async function run(argv, { reconciliation, reporter, stdout = process.stdout, stderr = process.stderr } = {}) {
+    const args = parseArgs(argv);
+    const [command, target] = args._;
+    const print = line => stdout.write(`${line}\n`);
+
+    if (args.help || !command) {
+        print(USAGE);
+        return args.help ? 0 : 1;
+    }
+
+    if (command === 'report-usage') {
+        return reportUsage(reporter || createReporter(), { args, print, stderr });
+    }
+
+    if (!reconciliation) {
+        reconciliation = createReconciliation();
+    }
+
+    try {
+        let result;
+
+        switch (command) {
+            case 'resync':
+                if (typeof args.user === 'string') {
+                    result = await reconciliation.resyncUser(args.user);
+                } else if (typeof args.customer === 'string') {
+                    result = await reconciliation.resyncCustomer(args.customer);
+                } else {
+                    stderr.write('resync needs --user <userId> or --customer <customerId>\n');
+                    return 1;
+                }
+
+                if (args.json) {
+                    print(JSON.stringify(result, null, 2));
+                } else {
+                    print(`Resynced customer ${result.customerId}: ${result.action}${result.status ? ` (${result.status})` : ''}`);
+                }
+                return 0;
+
+            case 'replay':
+                if (!target) {
+                    stderr.write('replay needs an event id\n');
+                    return 1;
+                }
+
+                result = await reconciliation.replayEvent(target);
+                print(args.json ? JSON.stringify(result, null, 2) : `Replayed ${result.type} event ${result.eventId}`);
+                return 0;
+
+            case 'reconcile':
+                result = await reconciliation.reconcile({ fix: !!args.fix });
+
+                if (args.json) {
+                    print(JSON.stringify(result, null, 2));
+                } else {
+                    print(`Checked ${result.checkedSubscriptions} live subscriptions and ${result.checkedRows} customer rows`);
+                    if (result.mismatches.length === 0) {
+                        print('No mismatches found');
+                    } else {
+                        print(`Found ${result.mismatches.length} mismatch(es):`);
+                        result.mismatches.forEach(mismatch => print(formatMismatch(mismatch)));
+                    }
+                }
+
+                // Non-zero when something is still out of sync, so cron can alert on it
+                return result.mismatches.some(mismatch => mismatch.fixed !== true) ? 2 : 0;
+
+            default:
+                stderr.write(`Unknown command: ${command}\n\n${USAGE}\n`);
+                return 1;
+        }
+    } catch (error) {
+        stderr.write(`❌ ${command} failed: ${error.message}\n`);
+        return 1;
+    }
+}
+
+async function reportUsage(reporter, { args, print, stderr }) {
+    try {
+        const result = await reporter.run();
+
+        if (args.json) {
+            print(JSON.stringify(result, null, 2));
+        } else {
+            print(`Claimed ${result.claimed} buffered batch(es): ${result.reported} reported, ${result.retrying} to retry, ${result.failed} failed`);
+        }
+
+        return result.failed > 0 ? 2 : 0;
+    } catch (error) {
+        stderr.write(`❌ report-usage failed: ${error.message}\n`);
+        return 1;
+    }
+}
+
+function createReporter() {
+    dotenv.config();
+
+    const Stripe = require('stripe');
+    const MeteredUsageReporter = require('../services/MeteredUsageReporter');
+    const { createStorage } = require('../storage');
+    const { getMeteredConfig } = require('../config/metered');
+    const { instrumentStripe } = require('../metrics');
+    const { createLogger } = require('../logger');
+
+    return new MeteredUsageReporter({
+        stripe: instrumentStripe(new Stripe(process.env.STRIPE_SECRET_KEY)),
+        storage: createStorage(),
+        maxAttempts: getMeteredConfig().maxAttempts,
+        log: createLogger(process.env, { stream: process.stderr }).child({ component: 'MeteredUsageReporter' })
+    });
+}
+
+function createReconciliation() {
+    dotenv.config();
+
+    const StripeService = require('../services/StripeService');
+    const ReconciliationService = require('../services/ReconciliationService');
+    const { createLogger } = require('../logger');
+
+    // Service logs go to stderr so --json output on stdout stays parseable
+    const log = createLogger(process.env, { stream: process.stderr }).child({ component: 'StripeService' });
+
+    return new ReconciliationService(new StripeService({ log }));
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = { run, parseArgs };
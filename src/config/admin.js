@@ -0,0 +1,18 @@
+// Admin access.
+//
+// ADMIN_USER_IDS  comma-separated Supabase user IDs allowed on /api/admin/*
+//
+// Users whose app_metadata.role is 'admin' are admins too. app_metadata can
+// only be changed with the service role key, so users can't grant it to
+// themselves.
+
+function getAdminConfig(env = process.env) {
+    const userIds = (env.ADMIN_USER_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+
+    return { userIds };
+}
+
+module.exports = { getAdminConfig };
@@ -0,0 +1,13 @@
+// Checkout configuration.
+//
+// CHECKOUT_ALLOW_PROMOTION_CODES  'false' hides the promotion code field on the
+//                                 Stripe Checkout page (default shown). Codes
+//                                 sent to the API are validated either way.
+
+function getCheckoutConfig(env = process.env) {
+    return {
+        allowPromotionCodes: env.CHECKOUT_ALLOW_PROMOTION_CODES !== 'false'
+    };
+}
+
+module.exports = { getCheckoutConfig };
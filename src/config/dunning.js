@@ -0,0 +1,20 @@
+// Dunning configuration.
+//
+// DUNNING_GRACE_DAYS  days a user keeps paid access after their first failed
+//                     renewal payment (default 7, 0 disables the grace period)
+
+const DEFAULT_GRACE_DAYS = 7;
+
+function getDunningConfig(env = process.env) {
+    const graceDays = env.DUNNING_GRACE_DAYS !== undefined
+        ? parseInt(env.DUNNING_GRACE_DAYS, 10)
+        : DEFAULT_GRACE_DAYS;
+
+    if (!Number.isInteger(graceDays) || graceDays < 0) {
+        throw new Error(`Invalid DUNNING_GRACE_DAYS: ${env.DUNNING_GRACE_DAYS}`);
+    }
+
+    return { graceDays };
+}
+
+module.exports = { getDunningConfig };
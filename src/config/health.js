@@ -0,0 +1,32 @@
+// Health check and shutdown configuration.
+//
+// HEALTH_CACHE_TTL_MS     how long a dependency check result is reused by the
+//                         readiness probe (default 10000)
+// HEALTH_CHECK_TIMEOUT_MS a dependency that hasn't answered by then counts as
+//                         down (default 2000)
+// SHUTDOWN_TIMEOUT_MS     how long SIGTERM waits for in-flight requests and
+//                         webhooks before closing connections (default 8000,
+//                         inside Docker's default 10s stop timeout)
+
+function parseMs(env, name, fallback) {
+    if (env[name] === undefined) {
+        return fallback;
+    }
+
+    const value = parseInt(env[name], 10);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Invalid ${name}: ${env[name]}`);
+    }
+
+    return value;
+}
+
+function getHealthConfig(env = process.env) {
+    return {
+        cacheTtlMs: parseMs(env, 'HEALTH_CACHE_TTL_MS', 10000),
+        checkTimeoutMs: parseMs(env, 'HEALTH_CHECK_TIMEOUT_MS', 2000),
+        shutdownTimeoutMs: parseMs(env, 'SHUTDOWN_TIMEOUT_MS', 8000)
+    };
+}
+
+module.exports = { getHealthConfig };
@@ -0,0 +1,32 @@
+// Logging configuration.
+//
+// LOG_LEVEL    debug | info | warn | error | silent (default info)
+// LOG_REDACT   comma-separated kinds of PII masked in every log line:
+//              'email', 'customerId' (default both); 'none' logs them as-is,
+//              which is only meant for local debugging
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const REDACTABLE = ['email', 'customerId'];
+
+function getLoggingConfig(env = process.env) {
+    const level = (env.LOG_LEVEL || 'info').toLowerCase();
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Invalid LOG_LEVEL: ${env.LOG_LEVEL}`);
+    }
+
+    let redact = REDACTABLE;
+    if (env.LOG_REDACT !== undefined) {
+        redact = env.LOG_REDACT === 'none'
+            ? []
+            : env.LOG_REDACT.split(',').map(kind => kind.trim()).filter(Boolean);
+
+        const unknown = redact.filter(kind => !REDACTABLE.includes(kind));
+        if (unknown.length > 0) {
+            throw new Error(`Invalid LOG_REDACT: ${unknown.join(', ')}`);
+        }
+    }
+
+    return { level, redact };
+}
+
+module.exports = { LOG_LEVELS, getLoggingConfig };
@@ -0,0 +1,38 @@
+// Metered billing usage reporter.
+//
+// METERED_REPORT_INTERVAL_SECONDS  how often the server sends buffered usage to
+//                                  Stripe (default 300, 0 turns the schedule off
+//                                  and leaves it to `billing-admin report-usage`)
+// METERED_REPORT_MAX_ATTEMPTS      tries per batch before it is marked failed
+//                                  (default 8)
+
+const DEFAULT_INTERVAL_SECONDS = 300;
+const DEFAULT_MAX_ATTEMPTS = 8;
+
+function parseNonNegativeInt(env, name, fallback) {
+    if (env[name] === undefined || env[name] === '') {
+        return fallback;
+    }
+
+    const value = parseInt(env[name], 10);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Invalid ${name}: ${env[name]}`);
+    }
+
+    return value;
+}
+
+function getMeteredConfig(env = process.env) {
+    const maxAttempts = parseNonNegativeInt(env, 'METERED_REPORT_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+
+    if (maxAttempts < 1) {
+        throw new Error(`Invalid METERED_REPORT_MAX_ATTEMPTS: ${env.METERED_REPORT_MAX_ATTEMPTS}`);
+    }
+
+    return {
+        intervalMs: parseNonNegativeInt(env, 'METERED_REPORT_INTERVAL_SECONDS', DEFAULT_INTERVAL_SECONDS) * 1000,
+        maxAttempts
+    };
+}
+
+module.exports = { getMeteredConfig };
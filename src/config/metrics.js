@@ -0,0 +1,14 @@
+// Metrics configuration.
+//
+// METRICS_ENABLED   'false' removes the /metrics endpoint (default on)
+// METRICS_TOKEN     when set, /metrics requires "Authorization: Bearer <token>";
+//                   leave unset only if the endpoint isn't reachable publicly
+
+function getMetricsConfig(env = process.env) {
+    return {
+        enabled: env.METRICS_ENABLED !== 'false',
+        token: env.METRICS_TOKEN || null
+    };
+}
+
+module.exports = { getMetricsConfig };
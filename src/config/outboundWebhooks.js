@@ -0,0 +1,67 @@
+// Outbound webhooks to our own services.
+//
+// OUTBOUND_WEBHOOK_URLS              comma-separated endpoint URLs; every event
+//                                    goes to each of them (none turns them off)
+// OUTBOUND_WEBHOOK_SECRET            HMAC key for the X-Porki-Signature header,
+//                                    required when URLs are set
+// OUTBOUND_WEBHOOK_MAX_ATTEMPTS      tries per delivery before it is marked
+//                                    failed (default 10)
+// OUTBOUND_WEBHOOK_INTERVAL_SECONDS  how often due retries are sent (default 30)
+// OUTBOUND_WEBHOOK_TIMEOUT_MS        how long an endpoint has to answer
+//                                    (default 10000)
+
+const DEFAULT_MAX_ATTEMPTS = 10;
+const DEFAULT_INTERVAL_SECONDS = 30;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function parsePositiveInt(env, name, fallback) {
+    if (env[name] === undefined || env[name] === '') {
+        return fallback;
+    }
+
+    const value = parseInt(env[name], 10);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Invalid ${name}: ${env[name]}`);
+    }
+
+    return value;
+}
+
+function parseEndpoints(value = '') {
+    return value
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean)
+        .map(url => {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (error) {
+                throw new Error(`Invalid OUTBOUND_WEBHOOK_URLS entry: ${url}`);
+            }
+
+            if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+                throw new Error(`Invalid OUTBOUND_WEBHOOK_URLS entry: ${url} (expected http or https)`);
+            }
+
+            return parsed.toString();
+        });
+}
+
+function getOutboundWebhookConfig(env = process.env) {
+    const endpoints = parseEndpoints(env.OUTBOUND_WEBHOOK_URLS);
+
+    if (endpoints.length > 0 && !env.OUTBOUND_WEBHOOK_SECRET) {
+        throw new Error('OUTBOUND_WEBHOOK_SECRET is required when OUTBOUND_WEBHOOK_URLS is set');
+    }
+
+    return {
+        endpoints,
+        secret: env.OUTBOUND_WEBHOOK_SECRET || null,
+        maxAttempts: parsePositiveInt(env, 'OUTBOUND_WEBHOOK_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS),
+        intervalMs: parsePositiveInt(env, 'OUTBOUND_WEBHOOK_INTERVAL_SECONDS', DEFAULT_INTERVAL_SECONDS) * 1000,
+        timeoutMs: parsePositiveInt(env, 'OUTBOUND_WEBHOOK_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)
+    };
+}
+
+module.exports = { getOutboundWebhookConfig };
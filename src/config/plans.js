@@ -0,0 +1,222 @@
+const { getQuotaConfig, QUOTA_PERIODS } = require('./quota');
+const { logger } = require('../logger');
+
+// Plan catalog. Each paid plan is mapped to a Stripe price through the
+// environment; plans without a configured price are left out of the catalog.
+//
+// Per-plan limits can be overridden with PLAN_<KEY>_REQUEST_LIMIT and
+// PLAN_<KEY>_QUOTA_PERIOD. An empty or 'unlimited' limit means no cap.
+// The free plan keeps using FREE_USER_REQUEST_LIMIT and QUOTA_PERIOD.
+//
+// PLAN_<KEY>_TRIAL_DAYS sets the free trial a paid plan's first subscription
+// starts with (0 means no trial).
+//
+// Metered plans bill every request past `includedRequests` in a quota period
+// through a metered Stripe price (PLAN_<KEY>_INCLUDED_REQUESTS overrides the
+// allowance). Their request limit is a spending cap.
+
+const FREE_PLAN_KEY = 'free';
+// Subscription statuses that grant premium access
+const PREMIUM_STATUSES = ['active', 'trialing', 'canceling'];
+// Subscriptions on a price we don't recognise (e.g. legacy prices) get this plan
+const DEFAULT_PAID_PLAN_KEY = 'pro';
+
+const PLAN_DEFINITIONS = [
+    {
+        key: 'free',
+        name: 'Free',
+        priceEnv: null,
+        requestLimit: 50,
+        quotaPeriod: 'day',
+        features: [
+            'Community support'
+        ]
+    },
+    {
+        key: 'pro',
+        name: 'Pro',
+        // STRIPE_PRICE_ID is the original single premium price
+        priceEnv: ['STRIPE_PRICE_ID_PRO', 'STRIPE_PRICE_ID'],
+        requestLimit: null,
+        quotaPeriod: 'month',
+        trialDays: 0,
+        features: [
+            'Priority support'
+        ]
+    },
+    {
+        key: 'team',
+        name: 'Team',
+        priceEnv: ['STRIPE_PRICE_ID_TEAM'],
+        requestLimit: null,
+        quotaPeriod: 'month',
+        trialDays: 0,
+        features: [
+            'Centralized billing',
+            'Priority support'
+        ]
+    },
+    {
+        key: 'metered',
+        name: 'Pay as you go',
+        priceEnv: ['STRIPE_PRICE_ID_METERED'],
+        requestLimit: 10000,
+        quotaPeriod: 'month',
+        trialDays: 0,
+        metered: true,
+        includedRequests: 100,
+        features: [
+            'Pay only for what you use'
+        ]
+    }
+];
+
+function parseLimit(value, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+
+    if (value === '' || value === 'unlimited') {
+        return null;
+    }
+
+    const limit = parseInt(value, 10);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`Invalid plan request limit: ${value}`);
+    }
+
+    return limit;
+}
+
+// Stripe accepts trials of up to two years
+function parseTrialDays(value, fallback, name) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+
+    const days = parseInt(value, 10);
+    if (!Number.isInteger(days) || days < 0 || days > 730) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+
+    return days;
+}
+
+function buildPlanCatalog(env = process.env) {
+    const freeQuota = getQuotaConfig(env);
+
+    return PLAN_DEFINITIONS
+        .map(definition => {
+            const prefix = `PLAN_${definition.key.toUpperCase()}_`;
+            const priceId = definition.priceEnv
+                ? definition.priceEnv.map(name => env[name]).find(Boolean) || null
+                : null;
+
+            let requestLimit;
+            let quotaPeriod;
+            let trialDays = 0;
+            let includedRequests = null;
+            if (definition.key === FREE_PLAN_KEY) {
+                requestLimit = freeQuota.limit;
+                quotaPeriod = freeQuota.period;
+            } else {
+                requestLimit = parseLimit(env[`${prefix}REQUEST_LIMIT`], definition.requestLimit);
+                quotaPeriod = env[`${prefix}QUOTA_PERIOD`] || definition.quotaPeriod;
+                trialDays = parseTrialDays(env[`${prefix}TRIAL_DAYS`], definition.trialDays, `${prefix}TRIAL_DAYS`);
+            }
+
+            if (definition.metered) {
+                includedRequests = parseLimit(env[`${prefix}INCLUDED_REQUESTS`], definition.includedRequests);
+                if (includedRequests === null) {
+                    throw new Error(`Invalid ${prefix}INCLUDED_REQUESTS: a metered plan needs a number`);
+                }
+            }
+
+            if (!QUOTA_PERIODS.includes(quotaPeriod)) {
+                throw new Error(`Invalid ${prefix}QUOTA_PERIOD: ${quotaPeriod}`);
+            }
+
+            return {
+                key: definition.key,
+                name: definition.name,
+                priceId,
+                requestLimit,
+                quotaPeriod,
+                trialDays,
+                metered: !!definition.metered,
+                includedRequests,
+                features: definition.features
+            };
+        })
+        .filter(plan => plan.key === FREE_PLAN_KEY || plan.priceId);
+}
+
+class PlanCatalog {
+    constructor(plans) {
+        this.plans = plans;
+    }
+
+    list() {
+        return this.plans;
+    }
+
+    get(key) {
+        return this.plans.find(plan => plan.key === key) || null;
+    }
+
+    getFree() {
+        return this.get(FREE_PLAN_KEY);
+    }
+
+    findByPriceId(priceId) {
+        if (!priceId) {
+            return null;
+        }
+
+        return this.plans.find(plan => plan.priceId === priceId) || null;
+    }
+
+    // The plan a subscription is on, based on its first price item
+    resolveFromSubscription(subscription) {
+        const priceId = subscription.items?.data?.[0]?.price?.id || subscription.plan?.id;
+        const plan = this.findByPriceId(priceId);
+
+        if (!plan) {
+            logger.warn('Unknown price on subscription, using default plan', {
+                priceId,
+                subscriptionId: subscription.id,
+                plan: DEFAULT_PAID_PLAN_KEY
+            });
+            return this.get(DEFAULT_PAID_PLAN_KEY);
+        }
+
+        return plan;
+    }
+
+    // Plan that applies to a user_request_limits row right now
+    resolveForUser(row) {
+        if (!row?.is_premium) {
+            return this.getFree();
+        }
+
+        const plan = this.get(row.plan);
+        return plan && plan.key !== FREE_PLAN_KEY ? plan : this.get(DEFAULT_PAID_PLAN_KEY);
+    }
+
+    isPaid(key) {
+        const plan = this.get(key);
+        return !!plan && !!plan.priceId;
+    }
+}
+
+function loadPlanCatalog(env = process.env) {
+    return new PlanCatalog(buildPlanCatalog(env));
+}
+
+module.exports = {
+    FREE_PLAN_KEY,
+    DEFAULT_PAID_PLAN_KEY,
+    PREMIUM_STATUSES,
+    PlanCatalog,
+    loadPlanCatalog
+};
@@ -0,0 +1,80 @@
+// Free-tier quota configuration.
+//
+// FREE_USER_REQUEST_LIMIT  requests allowed per period (default 50)
+// QUOTA_PERIOD             'day', 'month' or 'lifetime' (default 'day')
+//
+// Periods are aligned to UTC calendar boundaries. A user's count is reset
+// lazily by the consume_request_quota RPC the first time they make a request
+// in a new period.
+
+const QUOTA_PERIODS = ['day', 'month', 'lifetime'];
+
+const DEFAULT_LIMIT = 50;
+const DEFAULT_PERIOD = 'day';
+
+function getQuotaConfig(env = process.env) {
+    const limit = env.FREE_USER_REQUEST_LIMIT !== undefined
+        ? parseInt(env.FREE_USER_REQUEST_LIMIT, 10)
+        : DEFAULT_LIMIT;
+    const period = env.QUOTA_PERIOD || DEFAULT_PERIOD;
+
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`Invalid FREE_USER_REQUEST_LIMIT: ${env.FREE_USER_REQUEST_LIMIT}`);
+    }
+
+    if (!QUOTA_PERIODS.includes(period)) {
+        throw new Error(`Invalid QUOTA_PERIOD: ${period} (expected one of ${QUOTA_PERIODS.join(', ')})`);
+    }
+
+    return { limit, period };
+}
+
+// Start of the period containing `now`, or null for lifetime quotas
+function getPeriodStart(period, now = new Date()) {
+    switch (period) {
+        case 'day':
+            return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+        case 'month':
+            return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+        case 'lifetime':
+            return null;
+        default:
+            throw new Error(`Unknown quota period: ${period}`);
+    }
+}
+
+// When the period starting at `periodStart` ends, or null if it never does
+function getPeriodEnd(period, periodStart) {
+    if (!periodStart) {
+        return null;
+    }
+
+    const end = new Date(periodStart);
+    switch (period) {
+        case 'day':
+            end.setUTCDate(end.getUTCDate() + 1);
+            return end;
+        case 'month':
+            end.setUTCMonth(end.getUTCMonth() + 1);
+            return end;
+        default:
+            return null;
+    }
+}
+
+// A stored count only applies if it was recorded in the current period
+function isCurrentPeriod(storedPeriodStart, periodStart) {
+    if (!periodStart) {
+        return true;
+    }
+
+    return !!storedPeriodStart && new Date(storedPeriodStart) >= periodStart;
+}
+
+module.exports = {
+    QUOTA_PERIODS,
+    getQuotaConfig,
+    getPeriodStart,
+    getPeriodEnd,
+    isCurrentPeriod
+};
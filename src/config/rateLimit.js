@@ -0,0 +1,58 @@
+// Rate limiting configuration. Each limiter is a token bucket: it holds up to
+// CAPACITY requests and refills at REFILL_PER_SEC tokens per second.
+//
+// RATE_LIMIT_ENABLED               'false' turns all limiters off (default on)
+// RATE_LIMIT_IP_CAPACITY           burst per client IP (default 60)
+// RATE_LIMIT_IP_REFILL_PER_SEC     sustained rate per client IP (default 1)
+// RATE_LIMIT_USER_CAPACITY         burst per authenticated user (default 30)
+// RATE_LIMIT_USER_REFILL_PER_SEC   sustained rate per user (default 0.5)
+// TRUST_PROXY                      Express 'trust proxy' setting used to read the
+//                                  client IP from X-Forwarded-For (default
+//                                  'loopback', i.e. the nginx in our container)
+
+function parseNumber(env, name, fallback) {
+    if (env[name] === undefined) {
+        return fallback;
+    }
+
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid ${name}: ${env[name]}`);
+    }
+
+    return value;
+}
+
+function parseTrustProxy(value) {
+    if (value === undefined) {
+        return 'loopback';
+    }
+    if (value === 'true') {
+        return true;
+    }
+    if (value === 'false') {
+        return false;
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+
+    return value;
+}
+
+function getRateLimitConfig(env = process.env) {
+    return {
+        enabled: env.RATE_LIMIT_ENABLED !== 'false',
+        trustProxy: parseTrustProxy(env.TRUST_PROXY),
+        ip: {
+            capacity: parseNumber(env, 'RATE_LIMIT_IP_CAPACITY', 60),
+            refillPerSecond: parseNumber(env, 'RATE_LIMIT_IP_REFILL_PER_SEC', 1)
+        },
+        user: {
+            capacity: parseNumber(env, 'RATE_LIMIT_USER_CAPACITY', 30),
+            refillPerSecond: parseNumber(env, 'RATE_LIMIT_USER_REFILL_PER_SEC', 0.5)
+        }
+    };
+}
+
+module.exports = { getRateLimitConfig };
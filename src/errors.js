@@ -0,0 +1,111 @@
+const { logger } = require('./logger');
+
+// Every error response has the same shape:
+//
+//   { "error": { "code": "QUOTA_EXCEEDED", "message": "...", "details": { ... } } }
+//
+// `code` is stable and meant for clients to branch on; `message` is for
+// humans and may change. `details` is only present when there is something
+// structured to add.
+
+const ERROR_CODES = {
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    INVALID_JSON: 'INVALID_JSON',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE',
+    BAD_REQUEST: 'BAD_REQUEST',
+    UNAUTHENTICATED: 'UNAUTHENTICATED',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    ACCOUNT_DELETED: 'ACCOUNT_DELETED',
+    INVALID_API_KEY: 'INVALID_API_KEY',
+    INSUFFICIENT_SCOPE: 'INSUFFICIENT_SCOPE',
+    FORBIDDEN: 'FORBIDDEN',
+    USER_MISMATCH: 'USER_MISMATCH',
+    CORS_ORIGIN_NOT_ALLOWED: 'CORS_ORIGIN_NOT_ALLOWED',
+    NOT_FOUND: 'NOT_FOUND',
+    NO_SUBSCRIPTION: 'NO_SUBSCRIPTION',
+    ALREADY_SUBSCRIBED: 'ALREADY_SUBSCRIBED',
+    ALREADY_IN_ORGANIZATION: 'ALREADY_IN_ORGANIZATION',
+    ORGANIZATION_HAS_MEMBERS: 'ORGANIZATION_HAS_MEMBERS',
+    SEAT_LIMIT_REACHED: 'SEAT_LIMIT_REACHED',
+    INVITATION_INVALID: 'INVITATION_INVALID',
+    UNKNOWN_PLAN: 'UNKNOWN_PLAN',
+    PROMOTION_CODE_INVALID: 'PROMOTION_CODE_INVALID',
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    WEBHOOK_SIGNATURE_INVALID: 'WEBHOOK_SIGNATURE_INVALID',
+    WEBHOOK_PROCESSING_FAILED: 'WEBHOOK_PROCESSING_FAILED',
+    WEBHOOK_ALREADY_DELIVERED: 'WEBHOOK_ALREADY_DELIVERED',
+    SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        const error = { code: this.code, message: this.message };
+        if (this.details !== undefined) {
+            error.details = this.details;
+        }
+
+        return { error };
+    }
+}
+
+// Lets async route handlers throw instead of calling next(err) themselves
+function asyncHandler(handler) {
+    return function (req, res, next) {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+// Client errors raised by body-parser (and anything else using http-errors)
+const CLIENT_ERRORS = {
+    413: [ERROR_CODES.PAYLOAD_TOO_LARGE, 'Request body is too large'],
+    415: [ERROR_CODES.UNSUPPORTED_MEDIA_TYPE, 'Request body encoding is not supported']
+};
+
+function notFoundHandler(req, res, next) {
+    next(new ApiError(404, ERROR_CODES.NOT_FOUND, 'Endpoint not found'));
+}
+
+// Turns anything thrown into the standard envelope. Messages from unexpected
+// errors (Supabase, Stripe, bugs) are logged but never sent to the client.
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    let apiError = err;
+
+    if (!(err instanceof ApiError)) {
+        const status = err.status || err.statusCode;
+
+        if (err.type === 'entity.parse.failed') {
+            apiError = new ApiError(400, ERROR_CODES.INVALID_JSON, 'Request body is not valid JSON');
+        } else if (status >= 400 && status < 500) {
+            const [code, message] = CLIENT_ERRORS[status] || [ERROR_CODES.BAD_REQUEST, 'Bad request'];
+            apiError = new ApiError(status, code, message);
+        } else {
+            logger.error('Unhandled error', { error: err });
+            apiError = new ApiError(500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+        }
+    }
+
+    res.status(apiError.status).json(apiError.toJSON());
+}
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    asyncHandler,
+    notFoundHandler,
+    errorHandler
+};
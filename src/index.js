@@ -1,33 +1,160 @@
-const express = require('express');
-const cors = require('cors');
 const dotenv = require('dotenv');
-const StripeService = require('./services/StripeService');
 
+// Load .env before any module reads the environment at require time (the logger does)
 dotenv.config();
 
+const express = require('express');
+const cors = require('cors');
+const StripeService = require('./services/StripeService');
+const { createAuthMiddleware, createApiKeyAuth, createRequireAdmin, requireMatchingUser } = require('./middleware/auth');
+const { createRateLimiter, ipKey, userKey } = require('./middleware/rateLimit');
+const { createRateLimitStore } = require('./rateLimit');
+const { getRateLimitConfig } = require('./config/rateLimit');
+const { validate } = require('./middleware/validate');
+const { createSchemas } = require('./validation/schemas');
+const { ApiError, ERROR_CODES, asyncHandler, notFoundHandler, errorHandler } = require('./errors');
+const { requestContext } = require('./middleware/requestContext');
+const { logger } = require('./logger');
+const { httpMetrics, createMetricsHandler } = require('./middleware/metrics');
+const { getMetricsConfig } = require('./config/metrics');
+const { collectDefaultMetrics } = require('./metrics');
+const HealthService = require('./services/HealthService');
+const ApiKeyService = require('./services/ApiKeyService');
+const OrganizationService = require('./services/OrganizationService');
+const AdminService = require('./services/AdminService');
+const AccountService = require('./services/AccountService');
+const UsageService = require('./services/UsageService');
+const MeteredUsageReporter = require('./services/MeteredUsageReporter');
+const EntitlementStream = require('./services/EntitlementStream');
+const NotificationService = require('./services/NotificationService');
+const OutboundWebhookService = require('./services/OutboundWebhookService');
+const { createEmailTransport } = require('./notifications');
+const { createStorage } = require('./storage');
+const { ShutdownCoordinator } = require('./shutdown');
+const { getHealthConfig } = require('./config/health');
+const { getAdminConfig } = require('./config/admin');
+const { getMeteredConfig } = require('./config/metered');
+const { getEmailConfig } = require('./config/email');
+const { getOutboundWebhookConfig } = require('./config/outboundWebhooks');
+const { version } = require('../package.json');
+
 // Validate required environment variables
+const storageDriver = process.env.STORAGE_DRIVER || 'supabase';
+
 const requiredEnvVars = [
     'STRIPE_SECRET_KEY',
     'STRIPE_WEBHOOK_SECRET',
     'STRIPE_PRICE_ID',
-    'SUPABASE_URL',
-    'SUPABASE_SERVICE_ROLE_KEY',
-    'FRONTEND_URL'
+    // Access tokens are always Supabase-issued, even with another storage driver
+    'SUPABASE_JWT_SECRET',
+    'FRONTEND_URL',
+    ...(storageDriver === 'supabase' ? ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'] : [])
 ];
 
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
-    console.error('❌ Missing required environment variables:');
-    missingEnvVars.forEach(varName => console.error(`   - ${varName}`));
-    console.error('\n💡 Please check your .env file');
+    logger.error('Missing required environment variables, please check your .env file', { missing: missingEnvVars });
     process.exit(1);
 }
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const stripeService = new StripeService();
+const rateLimitConfig = getRateLimitConfig();
+const metricsConfig = getMetricsConfig();
+const healthConfig = getHealthConfig();
+const meteredConfig = getMeteredConfig();
+const emailConfig = getEmailConfig();
+const outboundWebhookConfig = getOutboundWebhookConfig();
+
+// nginx sits in front of us, so the client IP comes from X-Forwarded-For
+app.set('trust proxy', rateLimitConfig.trustProxy);
+
+// One storage instance shared by every service
+const storage = createStorage();
+
+const stripeService = new StripeService({ storage });
+const apiKeyService = new ApiKeyService({ storage });
+const organizationService = new OrganizationService({ storage, plans: stripeService.plans });
+const usageService = new UsageService({ storage });
+const adminService = new AdminService({ storage, stripeService });
+const accountService = new AccountService({ storage, stripeService });
+const entitlementStream = new EntitlementStream({ stripeService });
+const notificationTransport = createEmailTransport(emailConfig);
+const notificationService = new NotificationService({
+    stripeService,
+    storage,
+    transport: notificationTransport,
+    from: emailConfig.from,
+    frontendUrl: process.env.FRONTEND_URL
+});
+const outboundWebhookService = new OutboundWebhookService({
+    stripeService,
+    storage,
+    endpoints: outboundWebhookConfig.endpoints,
+    secret: outboundWebhookConfig.secret,
+    maxAttempts: outboundWebhookConfig.maxAttempts,
+    timeoutMs: outboundWebhookConfig.timeoutMs
+});
+const meteredUsageReporter = new MeteredUsageReporter({
+    stripe: stripeService.stripe,
+    storage,
+    maxAttempts: meteredConfig.maxAttempts
+});
+
+const healthService = new HealthService({
+    checks: {
+        database: () => stripeService.storage.ping(),
+        stripe: () => stripeService.ping()
+    },
+    cacheTtlMs: healthConfig.cacheTtlMs,
+    timeoutMs: healthConfig.checkTimeoutMs
+});
+
+const shutdown = new ShutdownCoordinator({ timeoutMs: healthConfig.shutdownTimeoutMs });
+
+if (storageDriver === 'memory') {
+    logger.warn('Using in-memory storage - all data is lost on restart');
+}
+
+// Verifies the Supabase access token sent by the client and sets req.user
+const requireAuth = createAuthMiddleware({
+    jwtSecret: process.env.SUPABASE_JWT_SECRET,
+    audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+    issuer: process.env.SUPABASE_JWT_ISSUER
+});
+
+const schemas = createSchemas({
+    paidPlanKeys: stripeService.plans.list().filter(plan => plan.priceId).map(plan => plan.key)
+});
+
+const rateLimitStore = createRateLimitStore();
+
+const ipRateLimit = createRateLimiter({
+    store: rateLimitStore,
+    name: 'ip',
+    keyGenerator: ipKey,
+    enabled: rateLimitConfig.enabled,
+    ...rateLimitConfig.ip
+});
+
+const userRateLimit = createRateLimiter({
+    store: rateLimitStore,
+    name: 'user',
+    keyGenerator: userKey,
+    enabled: rateLimitConfig.enabled,
+    ...rateLimitConfig.user
+});
+
+// Authenticated routes are also throttled per user, wherever the calls come from
+const authenticated = [requireAuth, userRateLimit];
+
+// Routes scripts and CI may call with an API key instead of a session
+const allowApiKey = createApiKeyAuth({ apiKeyService, requireAuth });
+
+// Support and reporting routes under /api/admin
+const admin = [...authenticated, createRequireAdmin({ adminUserIds: getAdminConfig().userIds })];
 
 // CORS configuration - allow frontend domain
 const allowedOrigins = [
@@ -54,36 +181,53 @@ const corsOptions = {
         }
         
         // Block everything else
-        console.warn('❌ CORS blocked origin:', origin);
-        callback(new Error('Not allowed by CORS'));
+        logger.warn('CORS blocked origin', { origin });
+        callback(new ApiError(403, ERROR_CODES.CORS_ORIGIN_NOT_ALLOWED, 'Origin not allowed by CORS'));
     },
     credentials: true
 };
 
+// Request IDs come first so every log line, webhooks included, carries one
+app.use(requestContext);
+app.use(httpMetrics);
+app.use(shutdown.trackRequests());
+
+// Prometheus scrape endpoint, outside /api so it isn't rate limited
+if (metricsConfig.enabled) {
+    app.get('/metrics', createMetricsHandler({ token: metricsConfig.token }));
+}
+
 // ⚠️ CRITICAL: Webhook endpoint MUST be defined BEFORE any body parsers or CORS
 // Stripe webhooks need raw body for signature verification and don't send CORS headers
-app.post('/webhook/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+app.post('/webhook/stripe', express.raw({ type: 'application/json' }), asyncHandler(async (req, res) => {
     const sig = req.headers['stripe-signature'];
     
-    console.log('🔔 Stripe webhook received');
-    console.log('  IP:', req.ip || req.connection.remoteAddress);
-    console.log('  Has signature:', !!sig);
-    console.log('  Body size:', req.body?.length || 0);
+    logger.debug('Stripe webhook received', {
+        ip: req.ip,
+        hasSignature: !!sig,
+        bodySize: req.body?.length || 0
+    });
     
     if (!sig) {
-        console.error('❌ Missing stripe-signature header');
-        return res.status(400).send('Missing stripe-signature header');
+        logger.warn('Missing stripe-signature header');
+        throw new ApiError(400, ERROR_CODES.WEBHOOK_SIGNATURE_INVALID, 'Missing stripe-signature header');
     }
     
+    let result;
     try {
-        await stripeService.handleWebhook(req.body, sig);
-        console.log('✅ Webhook processed successfully');
-        res.json({ received: true });
+        result = await stripeService.handleWebhook(req.body, sig);
     } catch (err) {
-        console.error('❌ Webhook error:', err.message);
-        res.status(400).send(`Webhook Error: ${err.message}`);
+        logger.error('Webhook error', { error: err });
+        if (err instanceof ApiError) {
+            throw err;
+        }
+        // Non-2xx makes Stripe retry the delivery later
+        throw new ApiError(500, ERROR_CODES.WEBHOOK_PROCESSING_FAILED, 'Webhook processing failed');
     }
-});
+
+    logger.info('Webhook acknowledged', { eventId: result.eventId, duplicate: result.duplicate });
+    res.json({ received: true, duplicate: result.duplicate });
+}));
 
 // Apply CORS to all other routes
 app.use(cors(corsOptions));
@@ -93,173 +237,426 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // API Routes
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
+
+// Liveness: the process is up and serving. Never touches dependencies, so a
+// Stripe outage doesn't get the container restarted.
+function liveness(req, res) {
+    res.json({
+        status: 'healthy',
         timestamp: new Date().toISOString(),
         service: 'porkicoder-backend',
-        version: '2.0.0'
+        version
     });
-});
+}
+
+app.get('/api/health', liveness);
+app.get('/api/health/live', liveness);
+
+// Readiness: whether this instance should receive traffic right now
+app.get('/api/health/ready', asyncHandler(async (req, res) => {
+    if (shutdown.shuttingDown) {
+        return res.status(503).json({ status: 'shutting_down', version });
+    }
+
+    const { ready, checks } = await healthService.checkReadiness();
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'unavailable',
+        timestamp: new Date().toISOString(),
+        version,
+        checks
+    });
+}));
+
+// Everything under /api below this point is throttled per client IP
+app.use('/api', ipRateLimit);
+
+// Plan catalog for the pricing page
+app.get('/api/plans', asyncHandler(async (req, res) => {
+    const plans = await stripeService.getPlanCatalog();
+    res.json({ plans });
+}));
 
 // Validate and increment request count
-app.post('/api/validate-request', async (req, res) => {
-    try {
-        const { userId } = req.body;
-        
-        console.log('📥 Validate request received');
-        console.log('  User ID:', userId);
-        console.log('  Origin:', req.headers.origin || 'NONE');
-        console.log('  User-Agent:', req.headers['user-agent']);
-        
-        if (!userId) {
-            return res.status(400).json({ error: 'userId is required' });
-        }
+app.post('/api/validate-request', allowApiKey('requests:validate'), userRateLimit, validate(schemas.validateRequest), requireMatchingUser('body'), asyncHandler(async (req, res) => {
+    const userId = req.user.id;
 
-        const result = await stripeService.validateAndIncrementRequest(userId);
-        
-        if (!result.allowed) {
-            console.log('❌ Request denied - rate limit');
-            return res.status(403).json({ 
-                allowed: false,
-                isPremium: result.isPremium,
-                requestCount: result.requestCount,
-                limit: result.limit,
-                message: result.message
-            });
-        }
+    logger.debug('Validate request received', { origin: req.headers.origin });
 
-        console.log('✅ Request allowed');
-        res.json({
-            allowed: true,
+    const result = await stripeService.validateAndIncrementRequest(userId);
+    
+    if (!result.allowed) {
+        logger.info('Request denied - quota exceeded', { plan: result.plan, requestCount: result.requestCount });
+        throw new ApiError(403, ERROR_CODES.QUOTA_EXCEEDED, result.message, {
             isPremium: result.isPremium,
-            requestCount: result.requestCount
+            plan: result.plan,
+            requestCount: result.requestCount,
+            limit: result.limit,
+            resetsAt: result.resetsAt,
+            organizationId: result.organizationId
         });
-
-    } catch (error) {
-        console.error('❌ Error validating request:', error);
-        res.status(500).json({ error: error.message });
     }
-});
 
-// Stripe Checkout Session endpoint
-app.post('/api/create-checkout-session', async (req, res) => {
-    try {
-        const { userId, email, priceId } = req.body;
-        
-        if (!userId || !email) {
-            return res.status(400).json({ error: 'userId and email are required' });
-        }
+    await usageService.record(userId, {
+        organizationId: result.organizationId,
+        apiKeyId: req.apiKey?.id,
+        model: req.body.model,
+        feature: req.body.feature,
+        promptTokens: req.body.promptTokens,
+        completionTokens: req.body.completionTokens,
+        clientVersion: req.body.clientVersion || req.get('X-Client-Version')
+    });
 
-        const session = await stripeService.createCheckoutSession({
-            userId,
-            email,
-            priceId: priceId || process.env.STRIPE_PRICE_ID,
-            successUrl: `${process.env.FRONTEND_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
-            cancelUrl: `${process.env.FRONTEND_URL}/cancel.html`
-        });
+    res.json({
+        allowed: true,
+        isPremium: result.isPremium,
+        plan: result.plan,
+        requestCount: result.requestCount,
+        organizationId: result.organizationId
+    });
+}));
 
-        res.json({ sessionId: session.id, url: session.url });
-    } catch (error) {
-        console.error('Error creating checkout session:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+// The caller's usage over time, e.g. ?from=2026-10-01&granularity=day
+app.get('/api/usage', authenticated, validate(schemas.usage), asyncHandler(async (req, res) => {
+    const usage = await usageService.getSummary(req.user.id, req.query);
+    res.json(usage);
+}));
 
-// Customer Portal endpoint - UPDATED to accept userId OR customerId
-app.post('/api/create-portal-session', async (req, res) => {
-    try {
-        const { customerId, userId } = req.body;
-        
-        console.log('🔐 Portal session request:', { userId, customerId: customerId ? 'provided' : 'not provided' });
-        
-        // Need either customerId or userId
-        if (!customerId && !userId) {
-            return res.status(400).json({ error: 'customerId or userId is required' });
-        }
+// Usage of all users together
+app.get('/api/admin/usage', admin, validate(schemas.usage), asyncHandler(async (req, res) => {
+    const usage = await usageService.getGlobalSummary(req.query);
+    res.json(usage);
+}));
 
-        // If userId provided but no customerId, look it up
-        let finalCustomerId = customerId;
-        if (!finalCustomerId && userId) {
-            console.log('Looking up customer ID for userId:', userId);
-            const status = await stripeService.getSubscriptionStatus(userId);
-            finalCustomerId = status.stripeCustomerId;
-            
-            if (!finalCustomerId) {
-                return res.status(404).json({ 
-                    error: 'No subscription found. Please upgrade to Premium first.' 
-                });
-            }
-            console.log('Found customer ID:', finalCustomerId);
-        }
+// Support tooling. Every change is recorded in the admin audit log with the
+// admin's reason.
+app.get('/api/admin/users', admin, validate(schemas.adminUserSearch), asyncHandler(async (req, res) => {
+    const users = await adminService.searchUsers(req.query.q, { limit: req.query.limit });
+    res.json({ users });
+}));
 
-        const session = await stripeService.createPortalSession({
-            customerId: finalCustomerId,
-            returnUrl: process.env.FRONTEND_URL
-        });
+app.get('/api/admin/users/:userId', admin, validate(schemas.adminUser), asyncHandler(async (req, res) => {
+    const user = await adminService.getUser(req.params.userId);
+    res.json(user);
+}));
+
+app.post('/api/admin/users/:userId/complimentary', admin, validate(schemas.grantComplimentary), asyncHandler(async (req, res) => {
+    const status = await adminService.grantComplimentary(req.user, req.params.userId, req.body);
+    res.json({ status });
+}));
 
-        console.log('✅ Portal session created:', session.id);
-        res.json({ url: session.url });
-    } catch (error) {
-        console.error('❌ Error creating portal session:', error);
-        res.status(500).json({ 
-            error: 'Failed to create billing portal session',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+app.delete('/api/admin/users/:userId/complimentary', admin, validate(schemas.revokeComplimentary), asyncHandler(async (req, res) => {
+    const status = await adminService.revokeComplimentary(req.user, req.params.userId, req.body);
+    res.json({ status });
+}));
+
+app.post('/api/admin/users/:userId/quota', admin, validate(schemas.adjustQuota), asyncHandler(async (req, res) => {
+    const status = await adminService.adjustQuota(req.user, req.params.userId, req.body);
+    res.json({ status });
+}));
+
+app.get('/api/admin/audit-log', admin, validate(schemas.adminAuditLog), asyncHandler(async (req, res) => {
+    const entries = await adminService.listAuditLog(req.query);
+    res.json({ entries });
+}));
+
+// Delivery log of our outbound webhooks
+app.get('/api/admin/webhooks/deliveries', admin, validate(schemas.outboundWebhookDeliveries), asyncHandler(async (req, res) => {
+    const deliveries = await outboundWebhookService.listDeliveries(req.query);
+    res.json({ deliveries });
+}));
+
+app.get('/api/admin/webhooks/deliveries/:deliveryId', admin, validate(schemas.outboundWebhookDelivery), asyncHandler(async (req, res) => {
+    const delivery = await outboundWebhookService.getDelivery(req.params.deliveryId);
+    res.json({ delivery });
+}));
+
+app.post('/api/admin/webhooks/deliveries/:deliveryId/retry', admin, validate(schemas.retryOutboundWebhook), asyncHandler(async (req, res) => {
+    const delivery = await outboundWebhookService.retryDelivery(req.params.deliveryId);
+    await adminService.audit(req.user, 'webhook_delivery.retry', null, req.body.reason, {
+        deliveryId: delivery.id,
+        eventId: delivery.eventId,
+        endpoint: delivery.endpoint
+    });
+    res.json({ delivery });
+}));
+
+// Stripe Checkout Session endpoint
+app.post('/api/create-checkout-session', authenticated, validate(schemas.createCheckoutSession), requireMatchingUser('body'), asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const email = req.user.email || req.body.email;
+    
+    if (!email) {
+        throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'Invalid request: email is required', {
+            issues: [{ location: 'body', field: 'email', message: 'is required' }]
         });
     }
-});
+
+    // The schema only admits catalog plans - clients can't pick arbitrary prices
+    const session = await stripeService.createCheckoutSession({
+        userId,
+        email,
+        planKey: req.body.plan,
+        promotionCode: req.body.promotionCode,
+        utm: req.body.utm,
+        successUrl: `${process.env.FRONTEND_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+        cancelUrl: `${process.env.FRONTEND_URL}/cancel.html`
+    });
+
+    res.json({ sessionId: session.id, url: session.url });
+}));
+
+// Customer Portal endpoint - the customer is always looked up from the authenticated user
+app.post('/api/create-portal-session', authenticated, validate(schemas.createPortalSession), requireMatchingUser('body'), asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const { customerId } = req.body;
+
+    const status = await stripeService.getSubscriptionStatus(userId);
+    const finalCustomerId = status.stripeCustomerId;
+    
+    if (!finalCustomerId) {
+        throw new ApiError(404, ERROR_CODES.NO_SUBSCRIPTION, 'No subscription found. Please upgrade to Premium first.');
+    }
+
+    // Older clients still send customerId - only accept it if it is the caller's own
+    if (customerId && customerId !== finalCustomerId) {
+        logger.warn('customerId does not belong to the authenticated user');
+        throw new ApiError(403, ERROR_CODES.FORBIDDEN, 'customerId does not belong to the authenticated user');
+    }
+
+    const session = await stripeService.createPortalSession({
+        customerId: finalCustomerId,
+        returnUrl: process.env.FRONTEND_URL
+    });
+
+    logger.info('Portal session created', { customerId: finalCustomerId, sessionId: session.id });
+    res.json({ url: session.url });
+}));
 
 // Get subscription status
-app.get('/api/subscription-status/:userId', async (req, res) => {
-    try {
-        const { userId } = req.params;
-        console.log('📊 Getting subscription status for:', userId);
-        
-        const status = await stripeService.getSubscriptionStatus(userId);
-        res.json(status);
-    } catch (error) {
-        console.error('Error getting subscription status:', error);
-        res.status(500).json({ error: error.message });
+app.get('/api/subscription-status/:userId', authenticated, validate(schemas.subscriptionStatus), requireMatchingUser('params'), asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const status = await stripeService.getSubscriptionStatus(userId);
+    res.json(status);
+}));
+
+// Server-Sent Events stream of the caller's subscription status: one
+// `entitlement` event on connect and one after every webhook that changes it
+app.get('/api/subscription-events', authenticated, asyncHandler(async (req, res) => {
+    if (shutdown.shuttingDown) {
+        throw new ApiError(503, ERROR_CODES.SERVICE_UNAVAILABLE, 'Server is shutting down');
     }
-});
 
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
-});
+    await entitlementStream.connect(req, res, req.user.id);
+}));
+
+// Billing emails are always sent; the rest can be turned off here
+app.get('/api/notifications/preferences', authenticated, asyncHandler(async (req, res) => {
+    const preferences = await notificationService.getPreferences(req.user.id);
+    res.json({ preferences });
+}));
+
+app.put('/api/notifications/preferences', authenticated, validate(schemas.notificationPreferences), asyncHandler(async (req, res) => {
+    const preferences = await notificationService.updatePreferences(req.user.id, req.body);
+    res.json({ preferences });
+}));
+
+// Everything we store about the caller, as a JSON download
+app.get('/api/account/export', authenticated, asyncHandler(async (req, res) => {
+    const data = await accountService.exportData(req.user);
+    res.attachment(`porkicoder-export-${data.exportedAt.slice(0, 10)}.json`);
+    res.json(data);
+}));
+
+// Closes the caller's account: subscriptions are canceled, the Stripe
+// customer and our records deleted. Safe to repeat.
+app.delete('/api/account', authenticated, validate(schemas.deleteAccount), asyncHandler(async (req, res) => {
+    const result = await accountService.deleteAccount(req.user, req.body);
+    res.json(result);
+}));
+
+// Paid and failed invoices for the logged-in user
+app.get('/api/billing/history', authenticated, validate(schemas.billingHistory), asyncHandler(async (req, res) => {
+    const { limit, offset } = req.query;
+
+    const history = await stripeService.getBillingHistory(req.user.id, { limit, offset });
+    res.json(history);
+}));
+
+// API keys for scripts and CI. Managed with a session only, so a leaked key
+// can't be used to mint more.
+app.post('/api/keys', authenticated, validate(schemas.createApiKey), asyncHandler(async (req, res) => {
+    const { key, apiKey } = await apiKeyService.create(req.user.id, req.body);
+
+    // The only time the plaintext key is ever returned
+    res.status(201).json({ key, apiKey });
+}));
+
+app.get('/api/keys', authenticated, asyncHandler(async (req, res) => {
+    const keys = await apiKeyService.list(req.user.id);
+    res.json({ keys });
+}));
+
+app.delete('/api/keys/:id', authenticated, validate(schemas.revokeApiKey), asyncHandler(async (req, res) => {
+    const apiKey = await apiKeyService.revoke(req.user.id, req.params.id);
+    res.json({ apiKey });
+}));
 
-// Error handling
-app.use((err, req, res, next) => {
-    console.error('Global error handler:', err);
-    res.status(500).json({ 
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : undefined
+// Organizations: one Stripe subscription with seats, shared by the members
+app.post('/api/organizations', authenticated, validate(schemas.createOrganization), asyncHandler(async (req, res) => {
+    const organization = await organizationService.create(req.user.id, req.body);
+    res.status(201).json({ organization });
+}));
+
+app.get('/api/organizations/current', authenticated, asyncHandler(async (req, res) => {
+    const organization = await organizationService.getForUser(req.user.id);
+    res.json({ organization });
+}));
+
+app.get('/api/organizations/:orgId/members', authenticated, validate(schemas.organization), asyncHandler(async (req, res) => {
+    const members = await organizationService.listMembers(req.params.orgId, req.user.id);
+    res.json({ members });
+}));
+
+app.patch('/api/organizations/:orgId/members/:userId', authenticated, validate(schemas.updateMemberRole), asyncHandler(async (req, res) => {
+    const member = await organizationService.updateMemberRole(req.params.orgId, req.user.id, req.params.userId, req.body.role);
+    res.json({ member });
+}));
+
+app.delete('/api/organizations/:orgId/members/:userId', authenticated, validate(schemas.organizationMember), asyncHandler(async (req, res) => {
+    await organizationService.removeMember(req.params.orgId, req.user.id, req.params.userId);
+    res.status(204).end();
+}));
+
+app.post('/api/organizations/:orgId/invitations', authenticated, validate(schemas.inviteMember), asyncHandler(async (req, res) => {
+    // The token is only returned here; the invitee accepts with it
+    const { token, invitation } = await organizationService.invite(req.params.orgId, req.user.id, req.body);
+    res.status(201).json({ token, invitation });
+}));
+
+app.get('/api/organizations/:orgId/invitations', authenticated, validate(schemas.organization), asyncHandler(async (req, res) => {
+    const invitations = await organizationService.listInvitations(req.params.orgId, req.user.id);
+    res.json({ invitations });
+}));
+
+app.delete('/api/organizations/:orgId/invitations/:invitationId', authenticated, validate(schemas.organizationInvitation), asyncHandler(async (req, res) => {
+    const invitation = await organizationService.revokeInvitation(req.params.orgId, req.user.id, req.params.invitationId);
+    res.json({ invitation });
+}));
+
+app.post('/api/invitations/accept', authenticated, validate(schemas.acceptInvitation), asyncHandler(async (req, res) => {
+    const organization = await organizationService.acceptInvitation(req.user, req.body.token);
+    res.json({ organization });
+}));
+
+// Seats are bought by the owner through Checkout, and changed afterwards in
+// the billing portal
+app.post('/api/organizations/:orgId/checkout', authenticated, validate(schemas.organizationCheckout), asyncHandler(async (req, res) => {
+    const { org } = await organizationService.requireRole(req.params.orgId, req.user.id, ['owner']);
+    const members = await organizationService.listMembers(org.id, req.user.id);
+
+    if (!req.user.email) {
+        throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'Invalid request: email is required', {
+            issues: [{ location: 'body', field: 'email', message: 'is required' }]
+        });
+    }
+
+    const session = await stripeService.createOrganizationCheckoutSession({
+        org,
+        email: req.user.email,
+        planKey: req.body.plan,
+        seats: Math.max(req.body.seats || members.length, members.length),
+        minSeats: members.length,
+        maxSeats: OrganizationService.MAX_SEATS,
+        promotionCode: req.body.promotionCode,
+        utm: req.body.utm,
+        successUrl: `${process.env.FRONTEND_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
+        cancelUrl: `${process.env.FRONTEND_URL}/cancel.html`
     });
-});
 
-// Start server
-const server = app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 Backend server running on port ${PORT}`);
-    console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🔒 CORS allowed origins:`, allowedOrigins);
-    console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL}`);
-    console.log(`🔔 Stripe webhook endpoint: /webhook/stripe`);
-    console.log(`🔐 Webhook secret configured: ${!!process.env.STRIPE_WEBHOOK_SECRET}`);
-});
+    res.json({ sessionId: session.id, url: session.url });
+}));
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('👋 SIGTERM signal received: closing HTTP server');
-    server.close(() => {
-        console.log('✅ HTTP server closed');
-        process.exit(0);
+app.post('/api/organizations/:orgId/portal', authenticated, validate(schemas.organization), asyncHandler(async (req, res) => {
+    const { org } = await organizationService.requireRole(req.params.orgId, req.user.id, ['owner']);
+
+    if (!org.stripe_customer_id) {
+        throw new ApiError(404, ERROR_CODES.NO_SUBSCRIPTION, 'The organization has no subscription yet');
+    }
+
+    const session = await stripeService.createPortalSession({
+        customerId: org.stripe_customer_id,
+        returnUrl: process.env.FRONTEND_URL
     });
-});
 
-process.on('SIGINT', () => {
-    console.log('\n👋 SIGINT signal received: closing HTTP server');
-    server.close(() => {
-        console.log('✅ HTTP server closed');
-        process.exit(0);
+    res.json({ url: session.url });
+}));
+
+// 404 handler
+app.use(notFoundHandler);
+
+// Error handling - every error leaves in the { error: { code, message } } envelope
+app.use(errorHandler);
+
+// Start server - only when run directly, tests import the app without binding a port
+function start() {
+    if (metricsConfig.enabled) {
+        collectDefaultMetrics();
+        if (!metricsConfig.token) {
+            logger.warn('METRICS_TOKEN is not set - /metrics is served without authentication');
+        }
+    }
+
+    if (stripeService.plans.list().some(plan => plan.metered)) {
+        meteredUsageReporter.start(meteredConfig.intervalMs);
+    }
+
+    outboundWebhookService.start(outboundWebhookConfig.intervalMs);
+
+    const server = app.listen(PORT, '0.0.0.0', () => {
+        logger.info('Backend server running', {
+            port: Number(PORT),
+            environment: process.env.NODE_ENV || 'development',
+            allowedOrigins,
+            frontendUrl: process.env.FRONTEND_URL,
+            storageDriver,
+            webhookEndpoint: '/webhook/stripe',
+            webhookSecretConfigured: !!process.env.STRIPE_WEBHOOK_SECRET
+        });
     });
-});
+
+    // Graceful shutdown: drain in-flight requests and webhooks, then exit.
+    // A webhook cut off here is retried by Stripe, but only after a delay.
+    const onSignal = signal => {
+        entitlementStream.closeAll();
+        shutdown.shutdown(server, {
+            signal,
+            cleanup: [() => rateLimitStore.close(), () => meteredUsageReporter.stop(), () => notificationService.flush(),
+                () => notificationTransport.close(), () => outboundWebhookService.stop()]
+        }).then(({ drained }) => process.exit(drained ? 0 : 1));
+    };
+
+    process.on('SIGTERM', () => onSignal('SIGTERM'));
+    process.on('SIGINT', () => onSignal('SIGINT'));
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    app,
+    stripeService,
+    apiKeyService,
+    organizationService,
+    usageService,
+    adminService,
+    accountService,
+    meteredUsageReporter,
+    entitlementStream,
+    notificationService,
+    outboundWebhookService,
+    healthService,
+    shutdown,
+    start
+};
@@ -0,0 +1,153 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { LOG_LEVELS, getLoggingConfig } = require('./config/logging');
+
+// Structured JSON logger. Each call writes one line:
+//
+//   {"time":"...","level":"info","msg":"Checkout completed","requestId":"...","userId":"..."}
+//
+// Fields from the current async context (request ID, webhook event ID) are
+// added automatically, so code deep inside a service doesn't need to be
+// handed them.
+
+const SEVERITY = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTION_PATTERNS = {
+    email: /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[A-Za-z]{2,}/g,
+    customerId: /\bcus_[A-Za-z0-9]+/g
+};
+
+const contextStorage = new AsyncLocalStorage();
+
+// Runs fn with `context` merged over the current one
+function runWithContext(context, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+function getContext() {
+    return contextStorage.getStore() || {};
+}
+
+// Adds fields to the current context in place, e.g. the user ID once the
+// request is authenticated
+function addContext(fields) {
+    const store = contextStorage.getStore();
+    if (store) {
+        Object.assign(store, fields);
+    }
+}
+
+function serializeError(error) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code !== undefined) {
+        serialized.code = error.code;
+    }
+    if (error.stack) {
+        serialized.stack = error.stack;
+    }
+
+    return serialized;
+}
+
+class Logger {
+    constructor({ level = 'info', redact = [], bindings = {}, stream = process.stdout } = {}) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+
+        this.level = level;
+        this.redact = redact;
+        this.bindings = bindings;
+        this.stream = stream;
+        this.patterns = redact.map(kind => REDACTION_PATTERNS[kind]).filter(Boolean);
+    }
+
+    child(bindings) {
+        return new Logger({
+            level: this.level,
+            redact: this.redact,
+            bindings: { ...this.bindings, ...bindings },
+            stream: this.stream
+        });
+    }
+
+    isLevelEnabled(level) {
+        return SEVERITY[level] >= SEVERITY[this.level];
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    write(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...this.bindings,
+            ...getContext(),
+            ...fields
+        };
+
+        this.stream.write(`${JSON.stringify(this.sanitize(entry))}\n`);
+    }
+
+    // Serializes errors and masks configured PII wherever it appears
+    sanitize(value) {
+        if (typeof value === 'string') {
+            return this.patterns.reduce((text, pattern) => text.replace(pattern, '[REDACTED]'), value);
+        }
+        if (value instanceof Error) {
+            return this.sanitize(serializeError(value));
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.sanitize(item));
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                if (item !== undefined) {
+                    result[key] = this.sanitize(item);
+                }
+            }
+            return result;
+        }
+
+        return value;
+    }
+}
+
+function createLogger(env = process.env, options = {}) {
+    return new Logger({ ...getLoggingConfig(env), ...options });
+}
+
+// Shared process-wide logger
+const logger = createLogger();
+
+module.exports = {
+    Logger,
+    logger,
+    createLogger,
+    runWithContext,
+    getContext,
+    addContext,
+    serializeError
+};
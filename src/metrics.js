@@ -0,0 +1,173 @@
+const client = require('prom-client');
+
+// Prometheus metrics shared by the whole process, exposed on /metrics.
+// Label values are kept to small fixed sets (route templates, event types,
+// plan keys) so the number of series stays bounded.
+
+const registry = new client.Registry();
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const httpRequestsTotal = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by route template and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency, by route template',
+    labelNames: ['method', 'route', 'status'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+// outcome: processed | skipped (store kept newer state) | failed | duplicate
+const webhookEventsTotal = new client.Counter({
+    name: 'stripe_webhook_events_total',
+    help: 'Stripe webhook events received, by type and outcome',
+    labelNames: ['type', 'outcome'],
+    registers: [registry]
+});
+
+const quotaDenialsTotal = new client.Counter({
+    name: 'quota_denials_total',
+    help: 'Requests denied because the plan quota was used up',
+    labelNames: ['plan'],
+    registers: [registry]
+});
+
+const checkoutSessionsTotal = new client.Counter({
+    name: 'checkout_sessions_created_total',
+    help: 'Stripe Checkout sessions created',
+    labelNames: ['plan'],
+    registers: [registry]
+});
+
+// outcome: reported | retrying | failed (gave up, needs a look)
+const meteredUsageReportsTotal = new client.Counter({
+    name: 'metered_usage_reports_total',
+    help: 'Metered usage batches sent to Stripe, by outcome',
+    labelNames: ['outcome'],
+    registers: [registry]
+});
+
+// result: sent | duplicate | opted_out | no_recipient | failed
+const notificationsTotal = new client.Counter({
+    name: 'notifications_total',
+    help: 'Transactional emails by kind and result',
+    labelNames: ['kind', 'result'],
+    registers: [registry]
+});
+
+// outcome: delivered | retrying | failed (gave up, needs a look)
+const outboundWebhookDeliveriesTotal = new client.Counter({
+    name: 'outbound_webhook_deliveries_total',
+    help: 'Outbound webhook delivery attempts, by event type and outcome',
+    labelNames: ['event_type', 'outcome'],
+    registers: [registry]
+});
+
+const entitlementStreamConnections = new client.Gauge({
+    name: 'entitlement_stream_connections',
+    help: 'Open /api/subscription-events streams',
+    registers: [registry]
+});
+
+const dependencyDuration = new client.Histogram({
+    name: 'dependency_request_duration_seconds',
+    help: 'Latency of calls to Stripe and Supabase',
+    labelNames: ['dependency', 'operation'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+const dependencyErrorsTotal = new client.Counter({
+    name: 'dependency_errors_total',
+    help: 'Failed calls to Stripe and Supabase (network errors and 4xx/5xx responses)',
+    labelNames: ['dependency', 'operation'],
+    registers: [registry]
+});
+
+// Stripe IDs are a lowercase prefix plus a mixed-case or numeric suffix
+// (cus_NffrFeUfNV2Hib); table and RPC names are all lowercase
+const OBJECT_ID_PATTERN = /^[a-z]+_[A-Za-z0-9]*[A-Z0-9][A-Za-z0-9]*$/;
+
+// Stripe URLs embed object IDs; collapse them so each endpoint is one
+// series: /v1/customers/cus_123 -> /v1/customers/:id
+function normalizePath(path) {
+    return path
+        .split('?')[0]
+        .split('/')
+        .map(segment => (OBJECT_ID_PATTERN.test(segment) || /^\d+$/.test(segment) ? ':id' : segment))
+        .join('/');
+}
+
+function recordDependencyCall(dependency, operation, seconds, failed) {
+    dependencyDuration.observe({ dependency, operation }, seconds);
+    if (failed) {
+        dependencyErrorsTotal.inc({ dependency, operation });
+    }
+}
+
+// The Stripe SDK emits a 'response' event for every API call it makes
+function instrumentStripe(stripe) {
+    if (typeof stripe.on !== 'function') {
+        return stripe;
+    }
+
+    stripe.on('response', response => {
+        const operation = `${response.method} ${normalizePath(response.path)}`;
+        recordDependencyCall('stripe', operation, response.elapsed / 1000, response.status >= 400);
+    });
+
+    return stripe;
+}
+
+// fetch wrapper for supabase-js; the operation is the table or RPC name
+function instrumentFetch(dependency, fetchImpl = fetch) {
+    return async function instrumentedFetch(input, init = {}) {
+        // input may be a string, a URL or a Request
+        const url = new URL(typeof input === 'string' ? input : input.url || input.href);
+        const operation = `${(init.method || 'GET').toUpperCase()} ${normalizePath(url.pathname)}`;
+        const startedAt = process.hrtime.bigint();
+        const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+        let response;
+        try {
+            response = await fetchImpl(input, init);
+        } catch (error) {
+            recordDependencyCall(dependency, operation, elapsed(), true);
+            throw error;
+        }
+
+        // PostgREST answers 406 when .single() finds no row, which callers expect
+        const failed = response.status >= 400 && response.status !== 406;
+        recordDependencyCall(dependency, operation, elapsed(), failed);
+        return response;
+    };
+}
+
+function collectDefaultMetrics() {
+    client.collectDefaultMetrics({ register: registry });
+}
+
+module.exports = {
+    registry,
+    httpRequestsTotal,
+    httpRequestDuration,
+    webhookEventsTotal,
+    quotaDenialsTotal,
+    checkoutSessionsTotal,
+    meteredUsageReportsTotal,
+    notificationsTotal,
+    outboundWebhookDeliveriesTotal,
+    entitlementStreamConnections,
+    dependencyDuration,
+    dependencyErrorsTotal,
+    normalizePath,
+    instrumentStripe,
+    instrumentFetch,
+    collectDefaultMetrics
+};
@@ -0,0 +1,147 @@
+const jwt = require('jsonwebtoken');
+const { ApiError, ERROR_CODES } = require('../errors');
+const { logger, addContext } = require('../logger');
+const ApiKeyService = require('../services/ApiKeyService');
+
+// Supabase signs access tokens with the project's JWT secret (HS256) and
+// sets `aud` to "authenticated" for logged-in users.
+const DEFAULT_AUDIENCE = 'authenticated';
+
+function extractBearerToken(req) {
+    const header = req.headers.authorization;
+    if (!header) {
+        return null;
+    }
+
+    const [scheme, token] = header.split(' ');
+    if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+        return null;
+    }
+
+    return token.trim();
+}
+
+function createAuthMiddleware({ jwtSecret, audience = DEFAULT_AUDIENCE, issuer } = {}) {
+    if (!jwtSecret) {
+        throw new Error('jwtSecret is required for the auth middleware');
+    }
+
+    const verifyOptions = {
+        algorithms: ['HS256'],
+        audience
+    };
+
+    if (issuer) {
+        verifyOptions.issuer = issuer;
+    }
+
+    return function requireAuth(req, res, next) {
+        const token = extractBearerToken(req);
+
+        if (!token) {
+            return next(new ApiError(401, ERROR_CODES.UNAUTHENTICATED, 'Missing or malformed Authorization header'));
+        }
+
+        let payload;
+        try {
+            // Checks signature, `exp`, `nbf`, `aud` and (optionally) `iss`
+            payload = jwt.verify(token, jwtSecret, verifyOptions);
+        } catch (err) {
+            logger.warn('Rejected access token', { reason: err.message });
+            if (err.name === 'TokenExpiredError') {
+                return next(new ApiError(401, ERROR_CODES.TOKEN_EXPIRED, 'Access token expired'));
+            }
+            return next(new ApiError(401, ERROR_CODES.UNAUTHENTICATED, 'Invalid access token'));
+        }
+
+        if (!payload.sub) {
+            return next(new ApiError(401, ERROR_CODES.UNAUTHENTICATED, 'Access token has no subject'));
+        }
+
+        req.user = {
+            id: payload.sub,
+            email: payload.email,
+            role: payload.role,
+            appRole: payload.app_metadata?.role || null
+        };
+        addContext({ userId: payload.sub });
+
+        next();
+    };
+}
+
+// For routes that scripts may call: an API key (X-API-Key header or Bearer
+// pkc_...) carrying `scope` stands in for the user's session. Anything else
+// goes through the regular session check.
+function createApiKeyAuth({ apiKeyService, requireAuth }) {
+    return function allowApiKey(scope) {
+        return async function (req, res, next) {
+            const key = req.get('X-API-Key') || extractBearerToken(req);
+
+            if (!ApiKeyService.isApiKey(key)) {
+                return requireAuth(req, res, next);
+            }
+
+            let identity;
+            try {
+                identity = await apiKeyService.authenticate(key);
+            } catch (error) {
+                return next(error);
+            }
+
+            if (!identity) {
+                logger.warn('Rejected API key');
+                return next(new ApiError(401, ERROR_CODES.INVALID_API_KEY, 'Invalid, expired or revoked API key'));
+            }
+
+            if (!identity.scopes.includes(scope)) {
+                return next(new ApiError(403, ERROR_CODES.INSUFFICIENT_SCOPE, `API key lacks the ${scope} scope`));
+            }
+
+            req.user = { id: identity.userId, email: null, role: 'api_key' };
+            req.apiKey = { id: identity.keyId, scopes: identity.scopes };
+            addContext({ userId: identity.userId, apiKeyId: identity.keyId });
+
+            next();
+        };
+    };
+}
+
+// Admin-only routes; runs after requireAuth. API keys never carry an admin
+// role, since allowApiKey doesn't set appRole.
+function createRequireAdmin({ adminUserIds = [] } = {}) {
+    const admins = new Set(adminUserIds);
+
+    return function requireAdmin(req, res, next) {
+        if (req.user?.appRole === 'admin' || admins.has(req.user?.id)) {
+            return next();
+        }
+
+        logger.warn('Non-admin tried to use an admin route', { path: req.path });
+        next(new ApiError(403, ERROR_CODES.FORBIDDEN, 'This endpoint is for admins only'));
+    };
+}
+
+// Rejects requests that name a different user than the one in the token.
+// `source` is where the route takes its userId from ('body' or 'params').
+// A missing userId is fine - routes fall back to req.user.id.
+function requireMatchingUser(source) {
+    return function (req, res, next) {
+        const claimedUserId = req[source]?.userId;
+
+        if (claimedUserId && claimedUserId !== req.user.id) {
+            logger.warn('userId does not match access token subject', { claimedUserId });
+            return next(new ApiError(403, ERROR_CODES.USER_MISMATCH, 'userId does not match the authenticated user'));
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    createAuthMiddleware,
+    createApiKeyAuth,
+    createRequireAdmin,
+    requireMatchingUser,
+    extractBearerToken
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { registry, httpRequestsTotal, httpRequestDuration } = require('../metrics');
+const { ApiError, ERROR_CODES } = require('../errors');
+const { extractBearerToken } = require('./auth');
+
+// Counts every request and its latency under the Express route template
+// (/api/subscription-status/:userId), never the raw URL
+function httpMetrics(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        // Requests that matched no route (404s, scanners) share one series
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const labels = { method: req.method, route, status: String(res.statusCode) };
+
+        httpRequestsTotal.inc(labels);
+        httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+
+    next();
+}
+
+function tokensMatch(provided, expected) {
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Serves the registry in Prometheus text format, behind a bearer token if set
+function createMetricsHandler({ token } = {}) {
+    return async function metricsHandler(req, res, next) {
+        if (token) {
+            const provided = extractBearerToken(req);
+            if (!provided || !tokensMatch(provided, token)) {
+                return next(new ApiError(401, ERROR_CODES.UNAUTHENTICATED, 'Invalid metrics token'));
+            }
+        }
+
+        try {
+            res.set('Content-Type', registry.contentType);
+            res.send(await registry.metrics());
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    httpMetrics,
+    createMetricsHandler
+};
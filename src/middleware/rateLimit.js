@@ -0,0 +1,57 @@
+const { ApiError, ERROR_CODES } = require('../errors');
+const { logger } = require('../logger');
+
+// Token-bucket rate limiting middleware. Responds with 429 and the IETF
+// draft RateLimit-* headers plus Retry-After.
+function createRateLimiter({ store, name, capacity, refillPerSecond, keyGenerator, enabled = true }) {
+    return async function rateLimit(req, res, next) {
+        if (!enabled) {
+            return next();
+        }
+
+        const key = keyGenerator(req);
+        if (!key) {
+            return next();
+        }
+
+        let result;
+        try {
+            result = await store.take(`${name}:${key}`, { capacity, refillPerSecond });
+        } catch (error) {
+            // Fail open: a store outage shouldn't take the API down with it
+            logger.error('Rate limit store error', { limiter: name, error });
+            return next();
+        }
+
+        res.set('RateLimit-Limit', String(capacity));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+        res.set('RateLimit-Policy', `${capacity};w=${Math.ceil(capacity / refillPerSecond)}`);
+
+        if (!result.allowed) {
+            const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+            logger.warn('Rate limited', { limiter: name, key, retryAfter });
+
+            res.set('Retry-After', String(retryAfter));
+            return next(new ApiError(429, ERROR_CODES.RATE_LIMITED, 'Too many requests, please slow down', { retryAfter }));
+        }
+
+        next();
+    };
+}
+
+// req.ip honours X-Forwarded-For according to the app's 'trust proxy' setting
+function ipKey(req) {
+    return req.ip;
+}
+
+// Only meaningful after the auth middleware has set req.user
+function userKey(req) {
+    return req.user?.id;
+}
+
+module.exports = {
+    createRateLimiter,
+    ipKey,
+    userKey
+};
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const { logger, runWithContext } = require('../logger');
+
+// IDs set by nginx or a client are kept if they look sane, otherwise we mint one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Gives every request an ID, echoes it in X-Request-Id and runs the rest of
+// the chain inside a logging context carrying it. Logs one line per request
+// once the response is sent.
+function requestContext(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+        logger[level]('Request completed', {
+            requestId,
+            userId: req.user?.id,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10
+        });
+    });
+
+    runWithContext({ requestId }, next);
+}
+
+module.exports = { requestContext };
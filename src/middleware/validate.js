@@ -0,0 +1,45 @@
+const { ApiError, ERROR_CODES } = require('../errors');
+
+const SOURCES = ['params', 'query', 'body'];
+
+// Validates and normalizes req.params / req.query / req.body against zod
+// schemas, replacing each with the parsed value (defaults applied, unknown
+// fields stripped). All problems are reported together.
+function validate(schemas) {
+    return function (req, res, next) {
+        const issues = [];
+
+        for (const source of SOURCES) {
+            const schema = schemas[source];
+            if (!schema) {
+                continue;
+            }
+
+            const result = schema.safeParse(req[source] ?? {});
+
+            if (result.success) {
+                req[source] = result.data;
+            } else {
+                for (const issue of result.error.issues) {
+                    issues.push({
+                        location: source,
+                        field: issue.path.join('.') || null,
+                        message: issue.message
+                    });
+                }
+            }
+        }
+
+        if (issues.length > 0) {
+            const summary = issues
+                .map(issue => (issue.field ? `${issue.field} ${issue.message}` : issue.message))
+                .join('; ');
+
+            return next(new ApiError(400, ERROR_CODES.VALIDATION_FAILED, `Invalid request: ${summary}`, { issues }));
+        }
+
+        next();
+    };
+}
+
+module.exports = { validate };
@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+// Logs each message instead of sending it. The default, so a development
+// setup never emails anyone by accident.
+class ConsoleTransport {
+    constructor({ log } = {}) {
+        this.log = log || logger.child({ component: 'email' });
+    }
+
+    async send(message) {
+        const messageId = `<${crypto.randomUUID()}@console>`;
+
+        this.log.info('Email (console transport)', {
+            messageId,
+            to: message.to,
+            subject: message.subject,
+            text: message.text
+        });
+
+        return { messageId };
+    }
+
+    close() {}
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each message to `dir` as an .eml file that mail clients can open,
+// for checking templates locally
+class FileTransport {
+    constructor({ dir }) {
+        this.dir = dir;
+    }
+
+    async send(message) {
+        const id = crypto.randomUUID();
+        const messageId = `<${id}@file>`;
+        const boundary = `porkicoder-${id}`;
+
+        const lines = [
+            `Message-ID: ${messageId}`,
+            `Date: ${new Date().toUTCString()}`,
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            ...Object.entries(message.headers || {}).map(([name, value]) => `${name}: ${value}`),
+            'MIME-Version: 1.0',
+            `Content-Type: multipart/alternative; boundary="${boundary}"`,
+            '',
+            `--${boundary}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            message.text,
+            `--${boundary}`,
+            'Content-Type: text/html; charset=utf-8',
+            '',
+            message.html,
+            `--${boundary}--`,
+            ''
+        ];
+
+        await fs.mkdir(this.dir, { recursive: true });
+        // Timestamp first so a directory listing is in sending order
+        const file = path.join(this.dir, `${Date.now()}-${id}.eml`);
+        await fs.writeFile(file, lines.join('\r\n'));
+
+        return { messageId, file };
+    }
+
+    close() {}
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,23 @@
+// Sends through any SMTP server with nodemailer. `transporter` can be
+// injected; by default it is created from the connection URL.
+class SmtpTransport {
+    constructor({ url, transporter }) {
+        if (transporter) {
+            this.transporter = transporter;
+        } else {
+            const nodemailer = require('nodemailer');
+            this.transporter = nodemailer.createTransport(url);
+        }
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+
+    close() {
+        this.transporter.close();
+    }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,32 @@
+const ConsoleTransport = require('./ConsoleTransport');
+const FileTransport = require('./FileTransport');
+const SmtpTransport = require('./SmtpTransport');
+const { TEMPLATES, renderTemplate } = require('./templates');
+
+// Every transport has send({ from, to, subject, text, html, headers }),
+// resolving to { messageId }, and close(), which releases pooled connections
+// on shutdown. EMAIL_TRANSPORT picks one, see src/config/email.js.
+function createEmailTransport(config) {
+    switch (config.transport) {
+        case 'console':
+            return new ConsoleTransport();
+
+        case 'file':
+            return new FileTransport({ dir: config.fileDir });
+
+        case 'smtp':
+            return new SmtpTransport({ url: config.smtpUrl });
+
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT: ${config.transport}`);
+    }
+}
+
+module.exports = {
+    ConsoleTransport,
+    FileTransport,
+    SmtpTransport,
+    TEMPLATES,
+    renderTemplate,
+    createEmailTransport
+};
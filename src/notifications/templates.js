@@ -0,0 +1,109 @@
+// Email templates, keyed by notification kind. Each returns a subject, the
+// paragraphs of the body and an optional call to action; renderTemplate
+// turns that into the plain-text and HTML parts.
+//
+// Essential messages are about the user's billing and are always sent.
+// Anything else can be turned off in the notification preferences.
+
+const TEMPLATES = {
+    checkout_completed: {
+        essential: true,
+        build: ({ planName }, { frontendUrl }) => ({
+            subject: `Welcome to PorkiCoder ${planName}`,
+            paragraphs: [
+                `Thanks for subscribing! Your ${planName} plan is active and the desktop app picks it up automatically.`,
+                'You can change your plan, update your payment method or download invoices at any time from the billing portal in the app.'
+            ],
+            action: { label: 'Open PorkiCoder', url: frontendUrl }
+        })
+    },
+
+    payment_failed: {
+        essential: true,
+        build: ({ amount, currency, hostedInvoiceUrl, gracePeriodEndsAt }, { frontendUrl }) => ({
+            subject: 'Your PorkiCoder payment failed',
+            paragraphs: [
+                `We couldn't collect your payment of ${formatAmount(amount, currency)}. Stripe will try again over the next few days.`,
+                gracePeriodEndsAt
+                    ? `Your premium access continues until ${formatDate(gracePeriodEndsAt)}. Please update your payment method before then to keep it.`
+                    : 'Please update your payment method to keep your premium access.'
+            ],
+            action: { label: 'Pay invoice', url: hostedInvoiceUrl || frontendUrl }
+        })
+    },
+
+    cancellation_scheduled: {
+        essential: true,
+        build: ({ planName, endsAt }, { frontendUrl }) => ({
+            subject: 'Your PorkiCoder subscription will end',
+            paragraphs: [
+                `Your ${planName} subscription is set to cancel. You keep your premium access until ${formatDate(endsAt)}, and you won't be charged again.`,
+                'Changed your mind? You can resume the subscription from the billing portal in the app until then.'
+            ],
+            action: { label: 'Open PorkiCoder', url: frontendUrl }
+        })
+    },
+
+    quota_exhausted: {
+        essential: false,
+        build: ({ planName, limit, resetsAt }, { frontendUrl }) => ({
+            subject: `You've used all your ${planName} requests`,
+            paragraphs: [
+                resetsAt
+                    ? `You've used all ${limit} requests on the ${planName} plan. They reset on ${formatDate(resetsAt)}.`
+                    : `You've used all ${limit} requests on the ${planName} plan.`,
+                'Upgrade to PorkiCoder Premium to keep going without waiting.'
+            ],
+            action: { label: 'See plans', url: frontendUrl }
+        })
+    }
+};
+
+function renderTemplate(kind, data, context) {
+    const template = TEMPLATES[kind];
+    if (!template) {
+        throw new Error(`Unknown email template: ${kind}`);
+    }
+
+    const { subject, paragraphs, action } = template.build(data, context);
+    const footer = template.essential
+        ? 'You are receiving this email because of your PorkiCoder subscription.'
+        : 'You can turn off emails like this one in the notification settings of the app.';
+
+    const text = [
+        ...paragraphs,
+        ...(action ? [`${action.label}: ${action.url}`] : []),
+        '-- ',
+        footer
+    ].join('\n\n');
+
+    const html = [
+        ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+        ...(action ? [`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`] : []),
+        `<p style="color:#888;font-size:12px">${escapeHtml(footer)}</p>`
+    ].join('\n');
+
+    return { subject, text, html, essential: template.essential };
+}
+
+// Stripe amounts are in the currency's smallest unit
+function formatAmount(amount, currency = 'usd') {
+    const format = new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() });
+    const digits = format.resolvedOptions().maximumFractionDigits;
+    return format.format(amount / 10 ** digits);
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-US', { dateStyle: 'long', timeZone: 'UTC' });
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = { TEMPLATES, renderTemplate };
@@ -0,0 +1,54 @@
+// Token buckets kept in this process. Fine for a single instance; use the
+// Redis store when several instances share traffic.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore {
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.buckets = new Map();
+
+        // Drop buckets that have refilled completely, they hold no state
+        this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweeper.unref();
+    }
+
+    async take(key, { capacity, refillPerSecond, cost = 1 }) {
+        const now = this.now();
+        const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now, capacity, refillPerSecond };
+
+        const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+        bucket.updatedAt = now;
+
+        const allowed = bucket.tokens >= cost;
+        if (allowed) {
+            bucket.tokens -= cost;
+        }
+
+        this.buckets.set(key, bucket);
+
+        return {
+            allowed,
+            remaining: Math.floor(bucket.tokens),
+            // Time until the next token, and until the bucket is full again
+            retryAfterMs: allowed ? 0 : Math.ceil(((cost - bucket.tokens) / refillPerSecond) * 1000),
+            resetMs: Math.ceil(((capacity - bucket.tokens) / refillPerSecond) * 1000)
+        };
+    }
+
+    sweep() {
+        const now = this.now();
+        for (const [key, bucket] of this.buckets) {
+            const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+            if (bucket.tokens + elapsedSeconds * bucket.refillPerSecond >= bucket.capacity) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    close() {
+        clearInterval(this.sweeper);
+    }
+}
+
+module.exports = MemoryStore;
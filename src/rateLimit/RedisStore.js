@@ -0,0 +1,71 @@
+// Token buckets in Redis (or anything that speaks its protocol and runs Lua,
+// e.g. KeyDB, Dragonfly, Valkey) so limits hold across instances.
+//
+// The whole refill-and-take step runs as one Lua script, which Redis executes
+// atomically. Time comes from the Redis server so instance clocks don't matter.
+const TAKE_SCRIPT = `
+local key = KEYS[1]
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2]) / 1000
+local cost = tonumber(ARGV[3])
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', key, 'tokens', 'updated_at')
+local tokens = tonumber(bucket[1]) or capacity
+local updated_at = tonumber(bucket[2]) or now
+
+tokens = math.min(capacity, tokens + math.max(0, now - updated_at) * refill_per_ms)
+
+local allowed = 0
+if tokens >= cost then
+    tokens = tokens - cost
+    allowed = 1
+end
+
+local retry_after = 0
+if allowed == 0 then
+    retry_after = math.ceil((cost - tokens) / refill_per_ms)
+end
+local reset = math.ceil((capacity - tokens) / refill_per_ms)
+
+redis.call('HSET', key, 'tokens', tostring(tokens), 'updated_at', now)
+redis.call('PEXPIRE', key, reset + 1000)
+
+return { allowed, math.floor(tokens), retry_after, reset }
+`;
+
+class RedisStore {
+    // `client` is an ioredis-compatible client (eval(script, numKeys, ...args))
+    constructor({ client, prefix = 'porki:ratelimit:' }) {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async take(key, { capacity, refillPerSecond, cost = 1 }) {
+        const [allowed, remaining, retryAfterMs, resetMs] = await this.client.eval(
+            TAKE_SCRIPT,
+            1,
+            `${this.prefix}${key}`,
+            capacity,
+            refillPerSecond,
+            cost
+        );
+
+        return {
+            allowed: allowed === 1,
+            remaining: Number(remaining),
+            retryAfterMs: Number(retryAfterMs),
+            resetMs: Number(resetMs)
+        };
+    }
+
+    close() {
+        return this.client.quit();
+    }
+}
+
+RedisStore.TAKE_SCRIPT = TAKE_SCRIPT;
+
+module.exports = RedisStore;
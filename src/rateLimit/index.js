@@ -0,0 +1,31 @@
+const MemoryStore = require('./MemoryStore');
+const RedisStore = require('./RedisStore');
+
+// RATE_LIMIT_STORE picks where buckets live: 'memory' (default) or 'redis'.
+// The Redis store connects to REDIS_URL and needs the ioredis package.
+function createRateLimitStore(env = process.env) {
+    const type = env.RATE_LIMIT_STORE || 'memory';
+
+    switch (type) {
+        case 'memory':
+            return new MemoryStore();
+
+        case 'redis': {
+            if (!env.REDIS_URL) {
+                throw new Error('REDIS_URL is required when RATE_LIMIT_STORE=redis');
+            }
+
+            const Redis = require('ioredis');
+            return new RedisStore({ client: new Redis(env.REDIS_URL) });
+        }
+
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE: ${type} (expected memory or redis)`);
+    }
+}
+
+module.exports = {
+    MemoryStore,
+    RedisStore,
+    createRateLimitStore
+};
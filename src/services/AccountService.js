@@ -0,0 +1,147 @@
+const { ApiError, ERROR_CODES } = require('../errors');
+const { logger } = require('../logger');
+
+const DEFAULT_REASON = 'Requested by the user';
+const AUDIT_EXPORT_LIMIT = 1000;
+
+// Subscriptions in these states have nothing left to cancel
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+// Data export and account deletion for the signed-in user. Both can be
+// repeated safely and are written to the admin audit log, with the user as
+// the actor.
+class AccountService {
+    constructor({ storage, stripeService, now = () => new Date(), log } = {}) {
+        this.storage = storage;
+        this.stripeService = stripeService;
+        this.now = now;
+        this.log = log || logger.child({ component: 'AccountService' });
+    }
+
+    // Everything we store about the user, as stored. API key hashes are left
+    // out, and audit entries only say what was done and why.
+    async exportData(user) {
+        const [authUser, data, auditLog] = await Promise.all([
+            this.storage.users.get(user.id),
+            this.storage.accounts.exportData(user.id),
+            this.storage.adminAudit.list({ targetUserId: user.id, limit: AUDIT_EXPORT_LIMIT })
+        ]);
+        const { organizationMembership, apiKeys, ...records } = data;
+        const organization = organizationMembership
+            ? await this.storage.organizations.get(organizationMembership.org_id)
+            : null;
+
+        await this.audit(user, 'account.export', DEFAULT_REASON, {});
+
+        return {
+            exportedAt: this.now().toISOString(),
+            user: {
+                id: user.id,
+                email: authUser?.email || user.email || null,
+                createdAt: authUser?.created_at || null,
+                lastSignInAt: authUser?.last_sign_in_at || null
+            },
+            organization: organization ? {
+                id: organization.id,
+                name: organization.name,
+                role: organizationMembership.role,
+                joinedAt: organizationMembership.created_at
+            } : null,
+            apiKeys: apiKeys.map(({ key_hash, ...key }) => key),
+            ...records,
+            auditLog: auditLog.map(entry => ({
+                action: entry.action,
+                reason: entry.reason,
+                createdAt: entry.created_at
+            }))
+        };
+    }
+
+    // Cancels the user's subscriptions, deletes their Stripe customers, then
+    // their data and their Supabase Auth user. Stripe comes first so a failure
+    // there leaves everything in place for the next attempt; a repeat call
+    // finds nothing left to do. Afterwards the user's still-valid tokens are
+    // refused rather than starting a new account.
+    async deleteAccount(user, { reason = DEFAULT_REASON } = {}) {
+        const [row, membership] = await Promise.all([
+            this.storage.userLimits.findByUserId(user.id),
+            this.storage.organizations.findMembershipByUserId(user.id)
+        ]);
+
+        let ownedOrg = null;
+        if (membership?.role === 'owner') {
+            const members = await this.storage.organizations.listMembers(membership.org_id);
+            if (members.length > 1) {
+                throw new ApiError(409, ERROR_CODES.ORGANIZATION_HAS_MEMBERS,
+                    'Remove the other members of your organization before deleting your account');
+            }
+            ownedOrg = await this.storage.organizations.get(membership.org_id);
+        }
+
+        const customerIds = await this.findCustomerIds(user.id, [row?.stripe_customer_id, ownedOrg?.stripe_customer_id]);
+        const stripeCustomers = [];
+        for (const customerId of customerIds) {
+            stripeCustomers.push(await this.closeCustomer(customerId));
+        }
+
+        const removed = await this.storage.accounts.deleteData(user.id, { customerIds });
+        removed.authUser = await this.storage.users.delete(user.id) ? 1 : 0;
+
+        // No email here: the audit entry outlives the account
+        await this.audit(user, 'account.delete', reason, { stripeCustomers, removed });
+        this.log.info('Account deleted', { userId: user.id, stripeCustomers: customerIds });
+
+        return { deleted: true, stripeCustomers, removed };
+    }
+
+    // The customers we know about, plus any Checkout created for the user
+    // that never made it into user_request_limits
+    async findCustomerIds(userId, known) {
+        const result = await this.stripeService.stripe.customers.search({
+            query: `metadata['userId']:'${userId}'`
+        });
+
+        return [...new Set([...known.filter(Boolean), ...result.data.map(customer => customer.id)])];
+    }
+
+    async closeCustomer(customerId) {
+        const { stripe } = this.stripeService;
+        const canceledSubscriptions = [];
+
+        try {
+            const { data: subscriptions } = await stripe.subscriptions.list({
+                customer: customerId,
+                status: 'all',
+                limit: 100
+            });
+
+            for (const subscription of subscriptions) {
+                if (!ENDED_STATUSES.includes(subscription.status)) {
+                    await stripe.subscriptions.cancel(subscription.id, { invoice_now: false, prorate: false });
+                    canceledSubscriptions.push(subscription.id);
+                }
+            }
+
+            await stripe.customers.del(customerId);
+        } catch (error) {
+            // Deleted by an earlier attempt
+            if (error.code !== 'resource_missing') {
+                throw error;
+            }
+        }
+
+        return { customerId, canceledSubscriptions };
+    }
+
+    async audit(user, action, reason, details) {
+        await this.storage.adminAudit.record({
+            actor_user_id: user.id,
+            action,
+            target_user_id: user.id,
+            reason,
+            details
+        });
+    }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,231 @@
+const { ApiError, ERROR_CODES } = require('../errors');
+const { getPeriodStart, isCurrentPeriod } = require('../config/quota');
+const { logger } = require('../logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CUSTOMER_ID_PATTERN = /^cus_[A-Za-z0-9]+$/;
+
+const RECENT_LIMIT = 20;
+
+// Support tooling behind /api/admin: finding users, reading their billing
+// state, complimentary plans and quota adjustments. Every change is written
+// to the admin audit log with the admin who made it and their reason.
+class AdminService {
+    constructor({ storage, stripeService, now = () => new Date(), log } = {}) {
+        this.storage = storage;
+        this.stripeService = stripeService;
+        this.now = now;
+        this.log = log || logger.child({ component: 'AdminService' });
+    }
+
+    // `query` is a user ID, a Stripe customer ID or part of an email address
+    async searchUsers(query, { limit = RECENT_LIMIT } = {}) {
+        let users;
+
+        if (UUID_PATTERN.test(query)) {
+            const [user, row] = await Promise.all([
+                this.storage.users.get(query),
+                this.storage.userLimits.findByUserId(query)
+            ]);
+            users = user || row ? [{ id: query, email: user?.email || null, row }] : [];
+        } else if (CUSTOMER_ID_PATTERN.test(query)) {
+            const row = await this.storage.userLimits.findByCustomerId(query);
+            const user = row ? await this.storage.users.get(row.user_id) : null;
+            users = row ? [{ id: row.user_id, email: user?.email || null, row }] : [];
+        } else {
+            const matches = await this.storage.users.searchByEmail(query, limit);
+            users = await Promise.all(matches.map(async user => ({
+                id: user.id,
+                email: user.email,
+                row: await this.storage.userLimits.findByUserId(user.id)
+            })));
+        }
+
+        return users.map(({ id, email, row }) => this.toSearchResult(id, email, row));
+    }
+
+    // Everything support needs to see why a user has (or lacks) access.
+    // Read-only: a user who never used the API has no row and is a 404.
+    async getUser(userId) {
+        const [user, row] = await Promise.all([
+            this.storage.users.get(userId),
+            this.findRow(userId)
+        ]);
+
+        const customerId = row.stripe_customer_id;
+        const [status, membership, invoices, webhookEvents, auditLog] = await Promise.all([
+            this.stripeService.getSubscriptionStatus(userId),
+            this.storage.organizations.findMembershipByUserId(userId),
+            this.storage.invoices.listByUserId(userId, { limit: RECENT_LIMIT, offset: 0 }),
+            customerId ? this.storage.webhookEvents.list({ customerId, limit: RECENT_LIMIT }) : [],
+            this.storage.adminAudit.list({ targetUserId: userId, limit: RECENT_LIMIT })
+        ]);
+
+        return {
+            user: {
+                id: userId,
+                email: user?.email || null,
+                createdAt: user?.created_at || null,
+                lastSignInAt: user?.last_sign_in_at || null
+            },
+            status,
+            complimentary: row.comp_plan ? {
+                plan: row.comp_plan,
+                expiresAt: row.comp_expires_at,
+                active: this.stripeService.isComplimentaryActive(row, this.now())
+            } : null,
+            organization: membership ? { id: membership.org_id, role: membership.role } : null,
+            // The raw row, for anything the summaries above leave out
+            record: row,
+            invoices: invoices.rows,
+            webhookEvents,
+            auditLog: auditLog.map(entry => this.auditToPublic(entry))
+        };
+    }
+
+    async grantComplimentary(actor, userId, { plan: planKey, expiresAt, reason }) {
+        const plan = this.stripeService.plans.get(planKey);
+
+        if (!plan || !plan.priceId || plan.metered) {
+            throw new ApiError(400, ERROR_CODES.UNKNOWN_PLAN, `${planKey} can't be granted as a complimentary plan`);
+        }
+
+        if (new Date(expiresAt) <= this.now()) {
+            throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'expiresAt must be in the future', {
+                issues: [{ location: 'body', field: 'expiresAt', message: 'must be in the future' }]
+            });
+        }
+
+        const before = await this.findRow(userId);
+        const fields = { comp_plan: plan.key, comp_expires_at: new Date(expiresAt).toISOString() };
+
+        await this.storage.userLimits.update(userId, fields);
+        const entry = await this.audit(actor, 'complimentary.grant', userId, reason, {
+            plan: plan.key,
+            expiresAt: fields.comp_expires_at,
+            previous: before.comp_plan ? { plan: before.comp_plan, expiresAt: before.comp_expires_at } : null
+        });
+        this.emitEntitlementUpdated(entry, before, { ...before, ...fields });
+
+        return this.stripeService.getSubscriptionStatus(userId);
+    }
+
+    async revokeComplimentary(actor, userId, { reason }) {
+        const before = await this.findRow(userId);
+
+        if (!before.comp_plan) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'The user has no complimentary plan');
+        }
+
+        const fields = { comp_plan: null, comp_expires_at: null };
+
+        await this.storage.userLimits.update(userId, fields);
+        const entry = await this.audit(actor, 'complimentary.revoke', userId, reason, {
+            previous: { plan: before.comp_plan, expiresAt: before.comp_expires_at }
+        });
+        this.emitEntitlementUpdated(entry, before, { ...before, ...fields });
+
+        return this.stripeService.getSubscriptionStatus(userId);
+    }
+
+    // 'reset' zeroes the count for the current period; 'top_up' allows
+    // `requests` more until the period ends
+    async adjustQuota(actor, userId, { action, requests, reason }) {
+        const row = await this.findRow(userId);
+        const plan = this.stripeService.resolvePlan(row, this.now());
+        const periodStart = getPeriodStart(plan.quotaPeriod, this.now());
+        const requestCount = isCurrentPeriod(row.quota_period_start, periodStart) ? row.request_count || 0 : 0;
+        let fields;
+
+        if (action === 'reset') {
+            fields = { request_count: 0 };
+        } else {
+            fields = {
+                quota_bonus: this.stripeService.getQuotaBonus(row, periodStart) + requests,
+                quota_bonus_period_start: periodStart ? periodStart.toISOString() : null
+            };
+        }
+
+        // Bring a count left over from an earlier period into this one, so
+        // the next request doesn't reset it along with the bonus
+        if (periodStart) {
+            fields.quota_period_start = periodStart.toISOString();
+            fields.request_count = fields.request_count ?? requestCount;
+        }
+
+        await this.storage.userLimits.update(userId, fields);
+        await this.audit(actor, `quota.${action}`, userId, reason, {
+            plan: plan.key,
+            requestCountBefore: requestCount,
+            ...(action === 'top_up' ? { requests, quotaBonus: fields.quota_bonus } : {})
+        });
+
+        return this.stripeService.getSubscriptionStatus(userId);
+    }
+
+    async listAuditLog({ userId, actorId, limit = 50 } = {}) {
+        const entries = await this.storage.adminAudit.list({ targetUserId: userId, actorUserId: actorId, limit });
+        return entries.map(entry => this.auditToPublic(entry));
+    }
+
+    async findRow(userId) {
+        const row = await this.storage.userLimits.findByUserId(userId);
+        if (!row) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'User not found');
+        }
+
+        return row;
+    }
+
+    async audit(actor, action, targetUserId, reason, details) {
+        const entry = await this.storage.adminAudit.record({
+            actor_user_id: actor.id,
+            action,
+            target_user_id: targetUserId,
+            reason,
+            details: { actorEmail: actor.email || null, ...details }
+        });
+
+        this.log.info('Admin action', { actorUserId: actor.id, action, targetUserId });
+        return entry;
+    }
+
+    // Lets outbound webhooks know when an admin change moved the user to
+    // another plan, keyed by the audit entry
+    emitEntitlementUpdated(entry, beforeRow, afterRow) {
+        const now = this.now();
+
+        this.stripeService.emitEntitlementUpdated({
+            customerId: beforeRow.stripe_customer_id || null,
+            eventId: `admin_audit:${entry.id}`,
+            eventType: entry.action,
+            before: this.stripeService.getUserEntitlement(beforeRow, now),
+            after: this.stripeService.getUserEntitlement(afterRow, now)
+        });
+    }
+
+    toSearchResult(userId, email, row) {
+        return {
+            userId,
+            email,
+            plan: row ? this.stripeService.resolvePlan(row, this.now()).key : null,
+            stripeCustomerId: row?.stripe_customer_id || null,
+            subscriptionStatus: row?.subscription_status || null,
+            paymentStatus: row?.payment_status || null
+        };
+    }
+
+    auditToPublic(entry) {
+        return {
+            id: entry.id,
+            action: entry.action,
+            actorUserId: entry.actor_user_id,
+            targetUserId: entry.target_user_id,
+            reason: entry.reason,
+            details: entry.details,
+            createdAt: entry.created_at
+        };
+    }
+}
+
+module.exports = AdminService;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { ApiError, ERROR_CODES } = require('../errors');
+const { logger } = require('../logger');
+
+// Keys look like pkc_<43 base64url chars>; the prefix tells them apart from
+// Supabase JWTs in the Authorization header
+const KEY_PREFIX = 'pkc_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// What a key may be used for. Keys can't manage other keys.
+const API_KEY_SCOPES = ['requests:validate'];
+
+// last_used_at is only rewritten once a minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Named API keys for scripts and CI. Only a SHA-256 hash is stored - the keys
+// are 256 random bits, so a slow password hash would add nothing.
+class ApiKeyService {
+    constructor({ storage, now = () => new Date(), log } = {}) {
+        this.storage = storage;
+        this.now = now;
+        this.log = log || logger.child({ component: 'ApiKeyService' });
+    }
+
+    static isApiKey(token) {
+        return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+    }
+
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    // Returns the plaintext key; it can't be recovered afterwards
+    async create(userId, { name, scopes = API_KEY_SCOPES, expiresAt = null }) {
+        if (expiresAt && new Date(expiresAt) <= this.now()) {
+            throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'Invalid request: expiresAt must be in the future', {
+                issues: [{ location: 'body', field: 'expiresAt', message: 'must be in the future' }]
+            });
+        }
+
+        const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+        const row = await this.storage.apiKeys.create({
+            user_id: userId,
+            name,
+            prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+            key_hash: this.hash(key),
+            scopes: [...new Set(scopes)],
+            expires_at: expiresAt ? new Date(expiresAt).toISOString() : null
+        });
+
+        this.log.info('API key created', { userId, keyId: row.id, scopes: row.scopes });
+        return { key, apiKey: this.toPublic(row) };
+    }
+
+    async list(userId) {
+        const rows = await this.storage.apiKeys.listByUserId(userId);
+        return rows.map(row => this.toPublic(row));
+    }
+
+    // Revoking an already revoked key returns it unchanged
+    async revoke(userId, keyId) {
+        const revoked = await this.storage.apiKeys.revoke(userId, keyId, this.now().toISOString());
+        if (revoked) {
+            this.log.info('API key revoked', { userId, keyId });
+            return this.toPublic(revoked);
+        }
+
+        const existing = await this.storage.apiKeys.findById(userId, keyId);
+        if (!existing) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'API key not found');
+        }
+
+        return this.toPublic(existing);
+    }
+
+    // Resolves a presented key to its owner, or null if it is unknown,
+    // revoked or expired
+    async authenticate(key) {
+        const row = await this.storage.apiKeys.findByHash(this.hash(key));
+        const now = this.now();
+
+        if (!row || this.statusOf(row, now) !== 'active') {
+            return null;
+        }
+
+        if (!row.last_used_at || now - new Date(row.last_used_at) >= LAST_USED_RESOLUTION_MS) {
+            try {
+                await this.storage.apiKeys.touch(row.id, now.toISOString());
+            } catch (error) {
+                // Bookkeeping only - don't fail the request over it
+                this.log.error('Error recording API key use', { keyId: row.id, error });
+            }
+        }
+
+        return { keyId: row.id, userId: row.user_id, scopes: row.scopes };
+    }
+
+    statusOf(row, now = this.now()) {
+        if (row.revoked_at) {
+            return 'revoked';
+        }
+        if (row.expires_at && new Date(row.expires_at) <= now) {
+            return 'expired';
+        }
+
+        return 'active';
+    }
+
+    toPublic(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: row.prefix,
+            scopes: row.scopes,
+            status: this.statusOf(row),
+            expiresAt: row.expires_at,
+            lastUsedAt: row.last_used_at,
+            revokedAt: row.revoked_at,
+            createdAt: row.created_at
+        };
+    }
+}
+
+ApiKeyService.KEY_PREFIX = KEY_PREFIX;
+ApiKeyService.API_KEY_SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKeyService;
@@ -0,0 +1,143 @@
+const { ApiError, ERROR_CODES } = require('../errors');
+const { logger } = require('../logger');
+const { entitlementStreamConnections } = require('../metrics');
+
+// Comment lines keep idle streams open through nginx's 90s proxy_read_timeout
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_CONNECTIONS_PER_USER = 5;
+// How long EventSource clients wait before reconnecting
+const RETRY_MS = 5000;
+
+// Pushes a user's subscription status to their open Server-Sent Events
+// streams whenever a webhook changes their entitlement, so the desktop app
+// doesn't have to poll /api/subscription-status after checkout.
+//
+// Streams live in this process and only the instance that processes a
+// webhook pushes it. With several instances, clients connected to another
+// one pick up the change when they reconnect.
+class EntitlementStream {
+    constructor({ stripeService, heartbeatMs = HEARTBEAT_MS, maxConnectionsPerUser = MAX_CONNECTIONS_PER_USER, log } = {}) {
+        this.stripeService = stripeService;
+        this.heartbeatMs = heartbeatMs;
+        this.maxConnectionsPerUser = maxConnectionsPerUser;
+        this.log = log || logger.child({ component: 'EntitlementStream' });
+        // userId -> Set of open responses
+        this.clients = new Map();
+
+        stripeService.events.on('entitlementChanged', ({ customerId, eventType }) => {
+            this.notifyCustomer(customerId, eventType).catch(error => {
+                this.log.error('Error pushing entitlement change', { customerId, eventType, error });
+            });
+        });
+    }
+
+    // Opens a stream for `userId` and sends the current status right away, so
+    // a client that reconnects never misses a change
+    async connect(req, res, userId) {
+        const streams = this.clients.get(userId) || new Set();
+
+        if (streams.size >= this.maxConnectionsPerUser) {
+            throw new ApiError(429, ERROR_CODES.RATE_LIMITED, `At most ${this.maxConnectionsPerUser} open streams per user`);
+        }
+
+        // Take the slot before loading the status, so parallel connects count
+        // against the limit and a client that leaves meanwhile gives it back
+        streams.add(res);
+        this.clients.set(userId, streams);
+        entitlementStreamConnections.inc();
+
+        let heartbeat = null;
+        const release = () => {
+            clearInterval(heartbeat);
+            streams.delete(res);
+            if (streams.size === 0) {
+                this.clients.delete(userId);
+            }
+            entitlementStreamConnections.dec();
+        };
+        res.on('close', release);
+
+        let status;
+        try {
+            status = await this.stripeService.getSubscriptionStatus(userId);
+        } catch (error) {
+            res.off('close', release);
+            release();
+            throw error;
+        }
+
+        // The client left while the status was loading
+        if (res.destroyed || res.writableEnded) {
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // nginx would otherwise buffer the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+        this.send(res, { reason: 'connected', status });
+
+        heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatMs);
+    }
+
+    // The customer may be a user or an organization, whose members all
+    // get the update
+    async notifyCustomer(customerId, reason) {
+        if (this.clients.size === 0) {
+            return;
+        }
+
+        const { storage } = this.stripeService;
+        const userIds = [];
+
+        const row = await storage.userLimits.findByCustomerId(customerId);
+        if (row) {
+            userIds.push(row.user_id);
+        }
+
+        const org = await storage.organizations.findByCustomerId(customerId);
+        if (org) {
+            const members = await storage.organizations.listMembers(org.id);
+            userIds.push(...members.map(member => member.user_id));
+        }
+
+        await Promise.all(userIds.map(userId => this.publish(userId, reason)));
+    }
+
+    async publish(userId, reason) {
+        const streams = this.clients.get(userId);
+        if (!streams) {
+            return;
+        }
+
+        const status = await this.stripeService.getSubscriptionStatus(userId);
+        for (const res of streams) {
+            // Streams still loading their first status send it once it's ready
+            if (res.headersSent) {
+                this.send(res, { reason, status });
+            }
+        }
+
+        this.log.debug('Entitlement change pushed', { userId, reason, streams: streams.size });
+    }
+
+    send(res, payload) {
+        res.write(`event: entitlement\ndata: ${JSON.stringify(payload)}\n\n`);
+    }
+
+    // Called on shutdown: open streams would otherwise hold the drain until it
+    // times out. Clients reconnect to another instance after RETRY_MS.
+    closeAll() {
+        for (const streams of this.clients.values()) {
+            for (const res of streams) {
+                res.end();
+            }
+        }
+    }
+}
+
+module.exports = EntitlementStream;
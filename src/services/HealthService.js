@@ -0,0 +1,74 @@
+const { logger } = require('../logger');
+
+// Readiness checks for the services we can't work without. Results are
+// cached so a probe every few seconds doesn't turn into a query and a Stripe
+// API call every few seconds; concurrent probes share one in-flight check.
+class HealthService {
+    // `checks` maps a dependency name to an async function that throws when
+    // the dependency is unusable
+    constructor({ checks, cacheTtlMs = 10000, timeoutMs = 2000, now = Date.now, log } = {}) {
+        this.checks = checks;
+        this.cacheTtlMs = cacheTtlMs;
+        this.timeoutMs = timeoutMs;
+        this.now = now;
+        this.log = log || logger.child({ component: 'HealthService' });
+        this.cache = new Map();
+    }
+
+    async checkReadiness() {
+        const names = Object.keys(this.checks);
+        const results = await Promise.all(names.map(name => this.checkDependency(name)));
+
+        const checks = {};
+        names.forEach((name, i) => {
+            checks[name] = results[i];
+        });
+
+        return {
+            ready: results.every(result => result.status === 'up'),
+            checks
+        };
+    }
+
+    checkDependency(name) {
+        const cached = this.cache.get(name);
+        if (cached && (cached.pending || cached.expiresAt > this.now())) {
+            return cached.promise;
+        }
+
+        const promise = this.runCheck(name);
+        const entry = { pending: true, promise, expiresAt: 0 };
+        this.cache.set(name, entry);
+
+        promise.then(() => {
+            entry.pending = false;
+            entry.expiresAt = this.now() + this.cacheTtlMs;
+        });
+
+        return promise;
+    }
+
+    async runCheck(name) {
+        const startedAt = this.now();
+        let timer;
+
+        try {
+            await Promise.race([
+                this.checks[name](),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+                })
+            ]);
+
+            return { status: 'up', latencyMs: this.now() - startedAt, checkedAt: new Date(startedAt).toISOString() };
+        } catch (error) {
+            // The probe is public, so the reason only goes to the logs
+            this.log.warn('Dependency check failed', { dependency: name, error });
+            return { status: 'down', latencyMs: this.now() - startedAt, checkedAt: new Date(startedAt).toISOString() };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = HealthService;
@@ -0,0 +1,140 @@
+const { logger } = require('../logger');
+const { meteredUsageReportsTotal } = require('../metrics');
+
+const BATCH_SIZE = 100;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Sends buffered metered usage to Stripe as usage records. Each run first
+// claims everything buffered into report rows, then sends the due reports.
+// The report ID is the idempotency key, so resending a report whose outcome
+// we never saw (crash, timeout) can't bill it twice.
+class MeteredUsageReporter {
+    constructor({ stripe, storage, maxAttempts = 8, now = () => new Date(), log } = {}) {
+        this.stripe = stripe;
+        this.storage = storage;
+        this.maxAttempts = maxAttempts;
+        this.now = now;
+        this.log = log || logger.child({ component: 'MeteredUsageReporter' });
+        this.running = null;
+        this.timer = null;
+    }
+
+    // Overlapping calls (timer and CLI, or a slow run) share one run
+    run() {
+        if (!this.running) {
+            this.running = this.reportPending().finally(() => {
+                this.running = null;
+            });
+        }
+
+        return this.running;
+    }
+
+    async reportPending() {
+        const summary = { claimed: 0, reported: 0, retrying: 0, failed: 0 };
+
+        summary.claimed = await this.storage.meteredUsage.claimPending();
+
+        let reports;
+        do {
+            reports = await this.storage.meteredUsage.listDueReports(this.now(), BATCH_SIZE);
+
+            for (const report of reports) {
+                summary[await this.send(report)]++;
+            }
+        } while (reports.length === BATCH_SIZE);
+
+        if (summary.claimed || summary.reported || summary.retrying || summary.failed) {
+            this.log.info('Metered usage reported', summary);
+        }
+
+        return summary;
+    }
+
+    async send(report) {
+        const attempts = report.attempts + 1;
+        let usageRecord;
+
+        try {
+            usageRecord = await this.stripe.subscriptionItems.createUsageRecord(
+                report.subscription_item_id,
+                {
+                    quantity: report.quantity,
+                    // When the batch's last request was made, which attributes
+                    // the usage to the period it happened in even when the
+                    // claim or a retry lands after the renewal
+                    timestamp: Math.floor(new Date(report.occurred_at).getTime() / 1000),
+                    action: 'increment'
+                },
+                { idempotencyKey: `metered-usage-report-${report.id}` }
+            );
+        } catch (error) {
+            return this.recordFailure(report, attempts, error);
+        }
+
+        // If this write fails the report stays pending and is resent under the
+        // same idempotency key, which Stripe answers without recording again
+        await this.storage.meteredUsage.updateReport(report.id, {
+            status: 'reported',
+            attempts,
+            reported_at: this.now().toISOString(),
+            stripe_usage_record_id: usageRecord.id,
+            last_error: null
+        });
+
+        meteredUsageReportsTotal.inc({ outcome: 'reported' });
+        return 'reported';
+    }
+
+    async recordFailure(report, attempts, error) {
+        // Stripe answers a repeated invalid request the same way, so only
+        // network errors, rate limits and 5xx are worth retrying
+        const retryable = error.type !== 'StripeInvalidRequestError' && attempts < this.maxAttempts;
+        const outcome = retryable ? 'retrying' : 'failed';
+        const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+        await this.storage.meteredUsage.updateReport(report.id, {
+            status: retryable ? 'pending' : 'failed',
+            attempts,
+            next_attempt_at: new Date(this.now().getTime() + delay).toISOString(),
+            last_error: error.message
+        });
+
+        const details = { reportId: report.id, userId: report.user_id, quantity: report.quantity, attempts, error };
+        if (retryable) {
+            this.log.warn('Error reporting metered usage, will retry', details);
+        } else {
+            this.log.error('Gave up reporting metered usage', details);
+        }
+
+        meteredUsageReportsTotal.inc({ outcome });
+        return outcome;
+    }
+
+    // Runs every `intervalMs` in the server process. unref() keeps the timer
+    // from holding the process open on its own.
+    start(intervalMs) {
+        if (!intervalMs || this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.run().catch(error => this.log.error('Metered usage run failed', { error }));
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    // Stops the schedule and waits for a run in progress. Buffered usage is
+    // stored, so whatever is left is sent by the next instance.
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        await this.running;
+    }
+}
+
+module.exports = MeteredUsageReporter;
@@ -0,0 +1,181 @@
+const { renderTemplate } = require('../notifications');
+const { logger } = require('../logger');
+const { notificationsTotal } = require('../metrics');
+
+// Sends the transactional emails for StripeService's billing events:
+//
+//   checkoutCompleted      checkout_completed       once per Checkout Session
+//   paymentFailed          payment_failed           once per invoice
+//   cancellationScheduled  cancellation_scheduled   once per subscription and end date
+//   quotaExhausted         quota_exhausted          once per quota period
+//
+// Each send is claimed in the delivery log under a per-user dedupe key
+// first, so webhook redeliveries and repeated triggers don't send it again.
+// Sending happens after the webhook or request has been answered; a failure
+// is logged and the next trigger with the same key tries again.
+class NotificationService {
+    constructor({ stripeService, storage, transport, from, frontendUrl, log } = {}) {
+        this.stripeService = stripeService;
+        this.storage = storage;
+        this.transport = transport;
+        this.from = from;
+        this.frontendUrl = frontendUrl;
+        this.log = log || logger.child({ component: 'NotificationService' });
+        // Sends in progress, see flush()
+        this.inFlight = new Set();
+
+        const handlers = {
+            checkoutCompleted: event => this.onCheckoutCompleted(event),
+            paymentFailed: event => this.onPaymentFailed(event),
+            cancellationScheduled: event => this.onCancellationScheduled(event),
+            quotaExhausted: event => this.onQuotaExhausted(event)
+        };
+
+        for (const [name, handler] of Object.entries(handlers)) {
+            stripeService.events.on(name, event => this.track(handler(event).catch(error => {
+                this.log.error('Error sending notification', { event: name, error });
+            })));
+        }
+    }
+
+    async onCheckoutCompleted({ userId, orgId, sessionId, email, planKey }) {
+        const recipientId = userId || await this.getOrganizationOwner(orgId);
+
+        await this.notify(recipientId, 'checkout_completed', {
+            dedupeKey: `checkout:${sessionId}`,
+            email,
+            data: { planName: this.getPlanName(planKey) }
+        });
+    }
+
+    async onPaymentFailed({ customerId, invoiceId, amount, currency, hostedInvoiceUrl, email, gracePeriodEndsAt }) {
+        await this.notify(await this.findCustomerUser(customerId), 'payment_failed', {
+            dedupeKey: `payment_failed:${invoiceId}`,
+            email,
+            data: { amount, currency, hostedInvoiceUrl, gracePeriodEndsAt }
+        });
+    }
+
+    async onCancellationScheduled({ customerId, subscriptionId, planKey, endsAt }) {
+        await this.notify(await this.findCustomerUser(customerId), 'cancellation_scheduled', {
+            dedupeKey: `cancellation:${subscriptionId}:${endsAt}`,
+            data: { planName: this.getPlanName(planKey), endsAt }
+        });
+    }
+
+    async onQuotaExhausted({ userId, planKey, limit, periodStart, resetsAt }) {
+        await this.notify(userId, 'quota_exhausted', {
+            dedupeKey: `quota:${planKey}:${periodStart || 'lifetime'}`,
+            data: { planName: this.getPlanName(planKey), limit, resetsAt }
+        });
+    }
+
+    // Renders and sends one email. `email` is the address Stripe has, used
+    // when the account's own address can't be found. Resolves to the outcome:
+    // 'sent', 'duplicate', 'opted_out', 'no_recipient' or 'failed'.
+    async notify(userId, kind, { dedupeKey, email, data }) {
+        if (!userId) {
+            return this.outcome(kind, 'no_recipient');
+        }
+
+        const message = renderTemplate(kind, data, { frontendUrl: this.frontendUrl });
+
+        if (!message.essential) {
+            const preferences = await this.getPreferences(userId);
+            if (!preferences.nonEssentialEmails) {
+                return this.outcome(kind, 'opted_out');
+            }
+        }
+
+        const user = await this.storage.users.get(userId);
+        const recipient = user?.email || email;
+        if (!recipient) {
+            this.log.warn('No email address for notification', { userId, kind });
+            return this.outcome(kind, 'no_recipient');
+        }
+
+        const delivery = await this.storage.notifications.claimDelivery({ userId, kind, dedupeKey, recipient });
+        if (!delivery) {
+            return this.outcome(kind, 'duplicate');
+        }
+
+        try {
+            const { messageId } = await this.transport.send({
+                from: this.from,
+                to: recipient,
+                subject: message.subject,
+                text: message.text,
+                html: message.html
+            });
+
+            await this.storage.notifications.updateDelivery(delivery.id, {
+                status: 'sent',
+                message_id: messageId || null,
+                sent_at: new Date().toISOString()
+            });
+        } catch (error) {
+            this.log.error('Email delivery failed', { userId, kind, deliveryId: delivery.id, error });
+            await this.storage.notifications.updateDelivery(delivery.id, { status: 'failed', last_error: error.message });
+            return this.outcome(kind, 'failed');
+        }
+
+        this.log.info('Email sent', { userId, kind, deliveryId: delivery.id });
+        return this.outcome(kind, 'sent');
+    }
+
+    async getPreferences(userId) {
+        const row = await this.storage.notifications.getPreferences(userId);
+        return this.preferencesToPublic(row);
+    }
+
+    async updatePreferences(userId, { nonEssentialEmails }) {
+        const row = await this.storage.notifications.savePreferences(userId, { non_essential_emails: nonEssentialEmails });
+        this.log.info('Notification preferences updated', { userId, nonEssentialEmails });
+        return this.preferencesToPublic(row);
+    }
+
+    // The customer may be a user or an organization, whose owner gets the email
+    async findCustomerUser(customerId) {
+        const row = await this.storage.userLimits.findByCustomerId(customerId);
+        if (row) {
+            return row.user_id;
+        }
+
+        const org = await this.storage.organizations.findByCustomerId(customerId);
+        return org ? org.owner_user_id : null;
+    }
+
+    async getOrganizationOwner(orgId) {
+        const org = orgId ? await this.storage.organizations.get(orgId) : null;
+        return org ? org.owner_user_id : null;
+    }
+
+    getPlanName(planKey) {
+        return this.stripeService.plans.get(planKey)?.name || 'Premium';
+    }
+
+    outcome(kind, result) {
+        notificationsTotal.inc({ kind, result });
+        return result;
+    }
+
+    track(promise) {
+        this.inFlight.add(promise);
+        promise.finally(() => this.inFlight.delete(promise));
+        return promise;
+    }
+
+    // Waits for the sends in progress, on shutdown and in tests
+    async flush() {
+        await Promise.all([...this.inFlight]);
+    }
+
+    preferencesToPublic(row) {
+        return {
+            nonEssentialEmails: row ? row.non_essential_emails : true,
+            updatedAt: row ? row.updated_at : null
+        };
+    }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { ApiError, ERROR_CODES } = require('../errors');
+const { FREE_PLAN_KEY } = require('../config/plans');
+const { logger } = require('../logger');
+
+const ROLES = ['owner', 'admin', 'member'];
+// The owner is fixed at creation; invitations and role changes use these
+const ASSIGNABLE_ROLES = ['admin', 'member'];
+
+const MAX_SEATS = 500;
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const INVITATION_PREFIX = 'pki_';
+
+// Organizations, their members and invitations. Billing for an organization
+// (checkout, webhooks, pooled quota) lives in StripeService; this service
+// decides who may do what.
+//
+//   owner   billing, roles, everything an admin can do
+//   admin   invite and remove members
+//   member  use the organization's plan
+class OrganizationService {
+    constructor({ storage, plans, now = () => new Date(), log } = {}) {
+        this.storage = storage;
+        this.plans = plans;
+        this.now = now;
+        this.log = log || logger.child({ component: 'OrganizationService' });
+    }
+
+    async create(userId, { name }) {
+        const org = await this.storage.organizations.create({ name, ownerUserId: userId });
+
+        if (!org) {
+            throw new ApiError(409, ERROR_CODES.ALREADY_IN_ORGANIZATION, 'You already belong to an organization');
+        }
+
+        this.log.info('Organization created', { orgId: org.id, userId });
+        return this.toPublic(org, 'owner');
+    }
+
+    // The caller's organization and role
+    async getForUser(userId) {
+        const membership = await this.storage.organizations.findMembershipByUserId(userId);
+        if (!membership) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'You don\'t belong to an organization');
+        }
+
+        const org = await this.storage.organizations.get(membership.org_id);
+        const members = await this.storage.organizations.listMembers(org.id);
+
+        return { ...this.toPublic(org, membership.role), seatsUsed: members.length };
+    }
+
+    // Loads the organization if `userId` is a member with one of `roles`.
+    // Non-members get a 404 so organization IDs can't be probed.
+    async requireRole(orgId, userId, roles = ROLES) {
+        const membership = await this.storage.organizations.findMembershipByUserId(userId);
+
+        if (!membership || membership.org_id !== orgId) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'Organization not found');
+        }
+
+        if (!roles.includes(membership.role)) {
+            throw new ApiError(403, ERROR_CODES.FORBIDDEN, `This action requires the ${roles.join(' or ')} role`);
+        }
+
+        const org = await this.storage.organizations.get(orgId);
+        return { org, role: membership.role };
+    }
+
+    async listMembers(orgId, userId) {
+        const { org } = await this.requireRole(orgId, userId);
+        const members = await this.storage.organizations.listMembers(orgId);
+        const paid = this.isPaid(org);
+
+        return members.map((member, position) => ({
+            userId: member.user_id,
+            role: member.role,
+            joinedAt: member.created_at,
+            // Members past the seat count fall back to their own plan
+            seated: paid && position < org.seats
+        }));
+    }
+
+    // Returns the invitation token once; it is what the invitee presents to
+    // accept. Inviting the same address again replaces the pending invitation.
+    async invite(orgId, userId, { email, role = 'member' }) {
+        const { org } = await this.requireRole(orgId, userId, ['owner', 'admin']);
+        const normalizedEmail = email.toLowerCase();
+
+        const pending = await this.storage.organizations.listPendingInvitations(orgId, this.now());
+        const previous = pending.filter(invitation => invitation.email === normalizedEmail);
+
+        if (this.isPaid(org)) {
+            const members = await this.storage.organizations.listMembers(orgId);
+            if (members.length + pending.length - previous.length >= org.seats) {
+                throw new ApiError(409, ERROR_CODES.SEAT_LIMIT_REACHED, `All ${org.seats} seats are taken or invited. Add seats in the billing portal first.`);
+            }
+        }
+
+        for (const invitation of previous) {
+            await this.storage.organizations.updateInvitation(invitation.id, { revoked_at: this.now().toISOString() });
+        }
+
+        const token = `${INVITATION_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const invitation = await this.storage.organizations.createInvitation({
+            org_id: orgId,
+            email: normalizedEmail,
+            role,
+            token_hash: this.hash(token),
+            invited_by: userId,
+            expires_at: new Date(this.now().getTime() + INVITATION_TTL_MS).toISOString()
+        });
+
+        this.log.info('Organization invitation created', { orgId, invitationId: invitation.id, role });
+        return { token, invitation: this.invitationToPublic(invitation) };
+    }
+
+    async listInvitations(orgId, userId) {
+        await this.requireRole(orgId, userId, ['owner', 'admin']);
+        const pending = await this.storage.organizations.listPendingInvitations(orgId, this.now());
+        return pending.map(invitation => this.invitationToPublic(invitation));
+    }
+
+    async revokeInvitation(orgId, userId, invitationId) {
+        await this.requireRole(orgId, userId, ['owner', 'admin']);
+
+        const invitation = await this.storage.organizations.findInvitation(orgId, invitationId);
+        if (!invitation) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'Invitation not found');
+        }
+
+        if (!invitation.revoked_at && !invitation.accepted_at) {
+            invitation.revoked_at = this.now().toISOString();
+            await this.storage.organizations.updateInvitation(invitation.id, { revoked_at: invitation.revoked_at });
+        }
+
+        return this.invitationToPublic(invitation);
+    }
+
+    // Invitations are bound to the invited address, so a forwarded link
+    // can't be used from someone else's account
+    async acceptInvitation(user, token) {
+        const invitation = await this.storage.organizations.findInvitationByHash(this.hash(token));
+        const now = this.now();
+
+        if (!invitation || invitation.accepted_at || invitation.revoked_at || new Date(invitation.expires_at) <= now) {
+            throw new ApiError(400, ERROR_CODES.INVITATION_INVALID, 'This invitation is invalid or has expired');
+        }
+
+        if (!user.email || user.email.toLowerCase() !== invitation.email) {
+            throw new ApiError(403, ERROR_CODES.FORBIDDEN, 'This invitation was sent to a different email address');
+        }
+
+        const org = await this.storage.organizations.get(invitation.org_id);
+
+        if (this.isPaid(org)) {
+            const members = await this.storage.organizations.listMembers(org.id);
+            if (members.length >= org.seats) {
+                throw new ApiError(409, ERROR_CODES.SEAT_LIMIT_REACHED, 'The organization has no free seats');
+            }
+        }
+
+        const added = await this.storage.organizations.addMember(org.id, user.id, invitation.role);
+        if (!added) {
+            throw new ApiError(409, ERROR_CODES.ALREADY_IN_ORGANIZATION, 'You already belong to an organization');
+        }
+
+        await this.storage.organizations.updateInvitation(invitation.id, {
+            accepted_at: now.toISOString(),
+            accepted_by: user.id
+        });
+
+        this.log.info('Organization invitation accepted', { orgId: org.id, invitationId: invitation.id, userId: user.id });
+        return this.toPublic(org, invitation.role);
+    }
+
+    async updateMemberRole(orgId, userId, memberUserId, role) {
+        await this.requireRole(orgId, userId, ['owner']);
+        const member = await this.findMember(orgId, memberUserId);
+
+        if (member.role === 'owner') {
+            throw new ApiError(403, ERROR_CODES.FORBIDDEN, 'The owner\'s role can\'t be changed');
+        }
+
+        await this.storage.organizations.updateMemberRole(orgId, memberUserId, role);
+        this.log.info('Organization member role changed', { orgId, memberUserId, role });
+        return { userId: memberUserId, role };
+    }
+
+    // Owners can remove anyone but themselves, admins can remove members, and
+    // anyone but the owner can leave
+    async removeMember(orgId, userId, memberUserId) {
+        const { role } = await this.requireRole(orgId, userId);
+        const member = await this.findMember(orgId, memberUserId);
+        const leaving = memberUserId === userId;
+
+        if (member.role === 'owner') {
+            throw new ApiError(403, ERROR_CODES.FORBIDDEN, 'The owner can\'t be removed from the organization');
+        }
+
+        const allowed = leaving
+            || role === 'owner'
+            || (role === 'admin' && member.role === 'member');
+
+        if (!allowed) {
+            throw new ApiError(403, ERROR_CODES.FORBIDDEN, 'You can\'t remove this member');
+        }
+
+        await this.storage.organizations.removeMember(orgId, memberUserId);
+        this.log.info('Organization member removed', { orgId, memberUserId, leaving });
+    }
+
+    async findMember(orgId, memberUserId) {
+        const member = await this.storage.organizations.findMembershipByUserId(memberUserId);
+        if (!member || member.org_id !== orgId) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'Member not found');
+        }
+
+        return member;
+    }
+
+    isPaid(org) {
+        return this.plans.resolveForUser(org).key !== FREE_PLAN_KEY;
+    }
+
+    hash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    toPublic(org, role) {
+        return {
+            id: org.id,
+            name: org.name,
+            role,
+            plan: this.plans.resolveForUser(org).key,
+            seats: org.seats,
+            subscriptionStatus: org.subscription_status,
+            subscriptionEndDate: org.subscription_end_date,
+            trialEndsAt: org.subscription_status === 'trialing' ? org.trial_ends_at : null,
+            createdAt: org.created_at
+        };
+    }
+
+    invitationToPublic(invitation) {
+        return {
+            id: invitation.id,
+            email: invitation.email,
+            role: invitation.role,
+            expiresAt: invitation.expires_at,
+            acceptedAt: invitation.accepted_at,
+            revokedAt: invitation.revoked_at,
+            createdAt: invitation.created_at
+        };
+    }
+}
+
+OrganizationService.ROLES = ROLES;
+OrganizationService.ASSIGNABLE_ROLES = ASSIGNABLE_ROLES;
+OrganizationService.MAX_SEATS = MAX_SEATS;
+
+module.exports = OrganizationService;
@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const { ApiError, ERROR_CODES } = require('../errors');
+const { logger } = require('../logger');
+const { outboundWebhookDeliveriesTotal } = require('../metrics');
+const { version } = require('../../package.json');
+
+const BATCH_SIZE = 100;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Endpoint responses are only kept for the delivery log
+const MAX_ERROR_LENGTH = 500;
+
+const OUTBOUND_EVENT_TYPES = [
+    'entitlement.granted',
+    'entitlement.revoked',
+    'entitlement.changed',
+    'quota.exhausted',
+    'payment.failed'
+];
+
+// Sends signed webhooks about StripeService's outcomes to our own services:
+//
+//   entitlement.granted   a user or organization moved from free to a paid plan
+//   entitlement.revoked   ... and back to free
+//   entitlement.changed   from one paid plan to another
+//   quota.exhausted       a user hit their plan's limit (once per quota period)
+//   payment.failed        a renewal payment failed (once per attempt)
+//
+// Each POST carries the event as JSON:
+//
+//   { "id": "evt_...", "type": "entitlement.granted", "createdAt": "...", "data": { ... } }
+//
+// and an `X-Porki-Signature: t=<unix seconds>,v1=<hex>` header, where v1 is
+// the HMAC-SHA256 of `${t}.${body}` with OUTBOUND_WEBHOOK_SECRET. Receivers
+// should check it, reject old timestamps, and ignore event IDs they have seen:
+// deliveries are at least once.
+//
+// Events are queued in the delivery log first and sent right away; anything
+// but a 2xx is retried with exponential backoff by the schedule in start().
+// Entitlements that lapse by time (grace periods, complimentary plans) are
+// published by the same schedule, up to one interval late.
+class OutboundWebhookService {
+    constructor({
+        stripeService,
+        storage,
+        endpoints = [],
+        secret,
+        maxAttempts = 10,
+        timeoutMs = 10000,
+        fetch = globalThis.fetch,
+        now = () => new Date(),
+        log
+    } = {}) {
+        this.stripeService = stripeService;
+        this.storage = storage;
+        this.endpoints = endpoints;
+        this.secret = secret;
+        this.maxAttempts = maxAttempts;
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetch;
+        this.now = now;
+        this.log = log || logger.child({ component: 'OutboundWebhookService' });
+        this.running = null;
+        this.timer = null;
+        // Publishes in progress, see flush()
+        this.inFlight = new Set();
+
+        const handlers = {
+            entitlementUpdated: event => this.onEntitlementUpdated(event),
+            quotaExhausted: event => this.onQuotaExhausted(event),
+            paymentFailed: event => this.onPaymentFailed(event)
+        };
+
+        for (const [name, handler] of Object.entries(handlers)) {
+            stripeService.events.on(name, event => {
+                if (this.endpoints.length === 0) {
+                    return;
+                }
+
+                this.track(handler(event).catch(error => {
+                    this.log.error('Error publishing outbound webhook', { event: name, error });
+                }));
+            });
+        }
+    }
+
+    async onEntitlementUpdated({ customerId, eventId, before, after }) {
+        let type = 'entitlement.changed';
+        if (!before?.isPremium && after.isPremium) {
+            type = 'entitlement.granted';
+        } else if (before?.isPremium && !after.isPremium) {
+            type = 'entitlement.revoked';
+        } else if (!after.isPremium) {
+            // Free to free, e.g. a plan key recorded on a lapsed row
+            return;
+        }
+
+        await this.publish(type, `${type}:${eventId}`, {
+            userId: after.userId,
+            organizationId: after.organizationId,
+            stripeCustomerId: customerId,
+            plan: after.plan,
+            previousPlan: before?.plan || null
+        });
+    }
+
+    async onQuotaExhausted({ userId, planKey, limit, periodStart, resetsAt }) {
+        await this.publish('quota.exhausted', `quota.exhausted:${userId}:${planKey}:${periodStart || 'lifetime'}`, {
+            userId,
+            plan: planKey,
+            limit,
+            periodStart,
+            resetsAt
+        });
+    }
+
+    async onPaymentFailed({ userId, customerId, invoiceId, attemptCount, amount, currency, gracePeriodEndsAt }) {
+        await this.publish('payment.failed', `payment.failed:${invoiceId}:${attemptCount}`, {
+            userId,
+            stripeCustomerId: customerId,
+            invoiceId,
+            attemptCount,
+            amount,
+            currency,
+            gracePeriodEndsAt
+        });
+    }
+
+    // Queues the event for every endpoint and starts sending. An event whose
+    // dedupe key was queued before is dropped.
+    async publish(type, dedupeKey, data) {
+        const event = {
+            id: `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+            type,
+            createdAt: this.now().toISOString(),
+            data
+        };
+
+        const queued = await this.storage.outboundWebhooks.enqueue(this.endpoints.map(endpoint => ({
+            event_id: event.id,
+            event_type: type,
+            dedupe_key: dedupeKey,
+            endpoint_url: endpoint,
+            payload: event
+        })));
+
+        if (queued.length === 0) {
+            return;
+        }
+
+        this.log.info('Outbound webhook queued', { eventId: event.id, eventType: type, endpoints: queued.length });
+        await this.run();
+    }
+
+    // Overlapping calls (publish, timer) share one run
+    run() {
+        if (!this.running) {
+            this.running = this.deliverDue().finally(() => {
+                this.running = null;
+            });
+        }
+
+        return this.running;
+    }
+
+    async deliverDue() {
+        const summary = { delivered: 0, retrying: 0, failed: 0 };
+
+        let deliveries;
+        do {
+            deliveries = await this.storage.outboundWebhooks.listDue(this.now(), BATCH_SIZE);
+
+            for (const delivery of deliveries) {
+                summary[await this.send(delivery)]++;
+            }
+        } while (deliveries.length === BATCH_SIZE);
+
+        return summary;
+    }
+
+    async send(delivery) {
+        const attempts = delivery.attempts + 1;
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(this.now().getTime() / 1000);
+        let response;
+
+        try {
+            response = await this.fetch(delivery.endpoint_url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': `PorkiCoder-Webhooks/${version}`,
+                    'X-Porki-Event-Id': delivery.event_id,
+                    'X-Porki-Event-Type': delivery.event_type,
+                    'X-Porki-Signature': OutboundWebhookService.sign(this.secret, timestamp, body)
+                },
+                body,
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            return this.recordFailure(delivery, attempts, { error: error.message });
+        }
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            return this.recordFailure(delivery, attempts, {
+                statusCode: response.status,
+                error: `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}`
+            });
+        }
+
+        await this.storage.outboundWebhooks.update(delivery.id, {
+            status: 'delivered',
+            attempts,
+            last_status_code: response.status,
+            last_error: null,
+            delivered_at: this.now().toISOString()
+        });
+
+        outboundWebhookDeliveriesTotal.inc({ event_type: delivery.event_type, outcome: 'delivered' });
+        return 'delivered';
+    }
+
+    async recordFailure(delivery, attempts, { statusCode = null, error }) {
+        const retryable = attempts < this.maxAttempts;
+        const outcome = retryable ? 'retrying' : 'failed';
+        const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+        await this.storage.outboundWebhooks.update(delivery.id, {
+            status: retryable ? 'pending' : 'failed',
+            attempts,
+            next_attempt_at: new Date(this.now().getTime() + delay).toISOString(),
+            last_status_code: statusCode,
+            last_error: error
+        });
+
+        const details = {
+            deliveryId: delivery.id,
+            eventId: delivery.event_id,
+            eventType: delivery.event_type,
+            endpoint: delivery.endpoint_url,
+            attempts,
+            statusCode,
+            error
+        };
+        if (retryable) {
+            this.log.warn('Outbound webhook failed, will retry', details);
+        } else {
+            this.log.error('Gave up on outbound webhook', details);
+        }
+
+        outboundWebhookDeliveriesTotal.inc({ event_type: delivery.event_type, outcome });
+        return outcome;
+    }
+
+    async listDeliveries(filters) {
+        const deliveries = await this.storage.outboundWebhooks.list(filters);
+        return deliveries.map(delivery => this.toPublic(delivery));
+    }
+
+    async getDelivery(deliveryId) {
+        const delivery = await this.storage.outboundWebhooks.get(deliveryId);
+        if (!delivery) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'Delivery not found');
+        }
+
+        return { ...this.toPublic(delivery), payload: delivery.payload };
+    }
+
+    // Sends a delivery again now, e.g. once a failed endpoint is fixed. A
+    // failed delivery gets one more attempt.
+    async retryDelivery(deliveryId) {
+        const delivery = await this.storage.outboundWebhooks.get(deliveryId);
+        if (!delivery) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'Delivery not found');
+        }
+
+        if (delivery.status === 'delivered') {
+            throw new ApiError(409, ERROR_CODES.WEBHOOK_ALREADY_DELIVERED, 'This delivery has already been delivered');
+        }
+
+        await this.storage.outboundWebhooks.update(deliveryId, {
+            status: 'pending',
+            attempts: Math.min(delivery.attempts, this.maxAttempts - 1),
+            next_attempt_at: this.now().toISOString()
+        });
+
+        await this.run();
+        return this.getDelivery(deliveryId);
+    }
+
+    track(promise) {
+        this.inFlight.add(promise);
+        promise.finally(() => this.inFlight.delete(promise));
+        return promise;
+    }
+
+    // Waits for publishes in progress, in tests
+    async flush() {
+        await Promise.all([...this.inFlight]);
+    }
+
+    // Publishes lapsed entitlements and retries every `intervalMs` in the
+    // server process. unref() keeps the timer from holding the process open
+    // on its own.
+    start(intervalMs) {
+        if (!intervalMs || this.timer || this.endpoints.length === 0) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => this.log.error('Outbound webhook run failed', { error }));
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    async tick() {
+        await this.stripeService.publishLapsedEntitlements(this.now());
+        await this.flush();
+        await this.run();
+    }
+
+    // Stops the schedule and waits for sends in progress. Pending deliveries
+    // are stored, so the next instance picks them up.
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        await Promise.all([this.running, ...this.inFlight]);
+    }
+
+    toPublic(delivery) {
+        return {
+            id: delivery.id,
+            eventId: delivery.event_id,
+            eventType: delivery.event_type,
+            endpoint: delivery.endpoint_url,
+            status: delivery.status,
+            attempts: delivery.attempts,
+            nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+            lastStatusCode: delivery.last_status_code,
+            lastError: delivery.last_error,
+            createdAt: delivery.created_at,
+            deliveredAt: delivery.delivered_at
+        };
+    }
+
+    static sign(secret, timestamp, body) {
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `t=${timestamp},v1=${signature}`;
+    }
+}
+
+OutboundWebhookService.EVENT_TYPES = OUTBOUND_EVENT_TYPES;
+
+module.exports = OutboundWebhookService;
@@ -0,0 +1,231 @@
+const { PREMIUM_STATUSES } = require('./StripeService');
+const { FREE_PLAN_KEY } = require('../config/plans');
+
+// Statuses where a subscription is still "the" subscription for a customer
+const LIVE_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'incomplete'];
+
+const PAGE_SIZE = 500;
+
+// Brings user_request_limits back in line with Stripe when webhooks were
+// missed. Every change goes through StripeService's webhook handlers so the
+// same ordering rules apply as for a live delivery.
+class ReconciliationService {
+    constructor(stripeService) {
+        this.stripeService = stripeService;
+        this.stripe = stripeService.stripe;
+        this.storage = stripeService.storage;
+    }
+
+    async resyncUser(userId) {
+        const data = await this.storage.userLimits.findByUserId(userId);
+        let customerId = data?.stripe_customer_id;
+
+        // Checkout tags every customer it creates with metadata.userId
+        if (!customerId) {
+            const result = await this.stripe.customers.search({
+                query: `metadata['userId']:'${userId}'`
+            });
+            customerId = result.data[0]?.id;
+        }
+
+        if (!customerId) {
+            throw new Error(`No Stripe customer found for user ${userId}`);
+        }
+
+        if (!data?.stripe_customer_id) {
+            // Link the customer first so the subscription RPC can find the row
+            await this.stripeService.handleCheckoutCompleted(
+                { customer: customerId, metadata: { userId } },
+                Math.floor(Date.now() / 1000)
+            );
+        }
+
+        return this.resyncCustomer(customerId);
+    }
+
+    async resyncCustomer(customerId) {
+        const subscription = await this.getCurrentSubscription(customerId);
+        // Live state from Stripe is authoritative, so it is applied as of now
+        const now = Math.floor(Date.now() / 1000);
+
+        if (!subscription) {
+            const row = await this.storage.userLimits.findByCustomerId(customerId);
+            if (!row?.is_premium) {
+                return { customerId, action: 'none', reason: 'no_subscriptions' };
+            }
+
+            // Nothing in Stripe backs the premium flag any more
+            await this.stripeService.handleSubscriptionDeleted(
+                { customer: customerId, id: row.stripe_subscription_id },
+                now
+            );
+            return { customerId, subscriptionId: row.stripe_subscription_id, action: 'canceled', reason: 'no_subscriptions' };
+        }
+
+        if (subscription.status === 'canceled' || subscription.status === 'incomplete_expired') {
+            await this.stripeService.handleSubscriptionDeleted(subscription, now);
+            return { customerId, subscriptionId: subscription.id, action: 'canceled' };
+        }
+
+        await this.stripeService.handleSubscriptionUpdate(subscription, now);
+        return {
+            customerId,
+            subscriptionId: subscription.id,
+            action: 'updated',
+            status: this.stripeService.getEffectiveStatus(subscription)
+        };
+    }
+
+    // The customer's live subscription, or the most recent one if none is live
+    async getCurrentSubscription(customerId) {
+        const { data: subscriptions } = await this.stripe.subscriptions.list({
+            customer: customerId,
+            status: 'all',
+            limit: 20
+        });
+
+        if (subscriptions.length === 0) {
+            return null;
+        }
+
+        const live = subscriptions.filter(sub => LIVE_STATUSES.includes(sub.status));
+        const candidates = live.length > 0 ? live : subscriptions;
+
+        return candidates.reduce((latest, sub) => (sub.created > latest.created ? sub : latest));
+    }
+
+    replayEvent(eventId) {
+        return this.stripeService.replayWebhookEvent(eventId);
+    }
+
+    // Compares every live Stripe subscription with the table and returns the
+    // mismatches. With `fix`, each mismatched customer is resynced.
+    async reconcile({ fix = false } = {}) {
+        const liveByCustomer = await this.loadLiveSubscriptions();
+        const rows = await this.loadCustomerRows();
+        const rowsByCustomer = new Map(rows.map(row => [row.stripe_customer_id, row]));
+        const mismatches = [];
+
+        for (const [customerId, subscription] of liveByCustomer) {
+            const row = rowsByCustomer.get(customerId);
+
+            if (!row) {
+                mismatches.push({
+                    customerId,
+                    subscriptionId: subscription.id,
+                    issue: 'missing_row',
+                    userId: subscription.metadata?.userId || null
+                });
+                continue;
+            }
+
+            const expected = this.expectedState(subscription);
+            const differences = [];
+
+            if (!!row.is_premium !== expected.isPremium) {
+                differences.push(`is_premium ${row.is_premium} → ${expected.isPremium}`);
+            }
+            if (row.subscription_status !== expected.status) {
+                differences.push(`status ${row.subscription_status} → ${expected.status}`);
+            }
+            if (expected.isPremium && row.plan !== expected.plan) {
+                differences.push(`plan ${row.plan} → ${expected.plan}`);
+            }
+
+            if (differences.length > 0) {
+                mismatches.push({
+                    customerId,
+                    userId: row.user_id,
+                    subscriptionId: subscription.id,
+                    issue: 'state_mismatch',
+                    differences
+                });
+            }
+        }
+
+        // Premium rows whose customer has nothing live in Stripe any more
+        for (const row of rows) {
+            if (row.is_premium && !liveByCustomer.has(row.stripe_customer_id)) {
+                mismatches.push({
+                    customerId: row.stripe_customer_id,
+                    userId: row.user_id,
+                    issue: 'premium_without_subscription'
+                });
+            }
+        }
+
+        if (fix) {
+            for (const mismatch of mismatches) {
+                try {
+                    if (mismatch.issue === 'missing_row' && !mismatch.userId) {
+                        mismatch.fixed = false;
+                        mismatch.fixError = 'subscription has no userId metadata';
+                        continue;
+                    }
+
+                    const result = mismatch.issue === 'missing_row'
+                        ? await this.resyncUser(mismatch.userId)
+                        : await this.resyncCustomer(mismatch.customerId);
+
+                    mismatch.fixed = result.action !== 'none';
+                    if (!mismatch.fixed) {
+                        mismatch.fixError = `nothing to apply: ${result.reason}`;
+                    }
+                } catch (error) {
+                    mismatch.fixed = false;
+                    mismatch.fixError = error.message;
+                }
+            }
+        }
+
+        return {
+            checkedSubscriptions: liveByCustomer.size,
+            checkedRows: rows.length,
+            mismatches
+        };
+    }
+
+    expectedState(subscription) {
+        const status = this.stripeService.getEffectiveStatus(subscription);
+        const isPremium = PREMIUM_STATUSES.includes(status);
+        const plan = isPremium
+            ? this.stripeService.plans.resolveFromSubscription(subscription).key
+            : FREE_PLAN_KEY;
+
+        return { status, isPremium, plan };
+    }
+
+    async loadLiveSubscriptions() {
+        const byCustomer = new Map();
+
+        for await (const subscription of this.stripe.subscriptions.list({ status: 'all', limit: 100 })) {
+            // Organization subscriptions are tracked on the organizations
+            // table, which this check doesn't cover
+            if (!LIVE_STATUSES.includes(subscription.status) || subscription.metadata?.orgId) {
+                continue;
+            }
+
+            const existing = byCustomer.get(subscription.customer);
+            if (!existing || subscription.created > existing.created) {
+                byCustomer.set(subscription.customer, subscription);
+            }
+        }
+
+        return byCustomer;
+    }
+
+    async loadCustomerRows() {
+        const rows = [];
+
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const data = await this.storage.userLimits.listWithCustomer({ offset, limit: PAGE_SIZE });
+            rows.push(...data);
+
+            if (data.length < PAGE_SIZE) {
+                return rows;
+            }
+        }
+    }
+}
+
+module.exports = ReconciliationService;
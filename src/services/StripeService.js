@@ -1,74 +1,257 @@
-
+const { EventEmitter } = require('events');
 const Stripe = require('stripe');
-const { createClient } = require('@supabase/supabase-js');
+const { createStorage } = require('../storage');
+const { getPeriodStart, getPeriodEnd, isCurrentPeriod } = require('../config/quota');
+const { loadPlanCatalog, FREE_PLAN_KEY, PREMIUM_STATUSES } = require('../config/plans');
+const { getDunningConfig } = require('../config/dunning');
+const { getCheckoutConfig } = require('../config/checkout');
+const { ApiError, ERROR_CODES } = require('../errors');
+const { logger, runWithContext } = require('../logger');
+const { instrumentStripe, webhookEventsTotal, quotaDenialsTotal, checkoutSessionsTotal } = require('../metrics');
+
+// Webhook events that can change what a customer is entitled to
+const ENTITLEMENT_EVENT_TYPES = [
+    'customer.subscription.created',
+    'customer.subscription.updated',
+    'customer.subscription.deleted',
+    'invoice.paid',
+    'invoice.payment_succeeded',
+    'invoice.payment_failed'
+];
+
+// How long Stripe price details for /api/plans are cached
+const PRICE_CACHE_TTL_MS = 10 * 60 * 1000;
 
-const FREE_USER_REQUEST_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back publishLapsedEntitlements() looks for ended grace periods and
+// complimentary plans
+const LAPSE_LOOKBACK_MS = DAY_MS;
+
+// Metered plans count every request even without a spending cap; this is the
+// largest limit the quota RPC's integer parameter takes
+const UNCAPPED_LIMIT = 2147483647;
 
 class StripeService {
-    constructor() {
-        this.stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-        this.supabase = createClient(
-            process.env.SUPABASE_URL,
-            process.env.SUPABASE_SERVICE_ROLE_KEY
-        );
+    // `stripe`, `storage` and `log` can be injected (tests, CLI); by default
+    // they are built from the environment, see src/storage for STORAGE_DRIVER
+    constructor({ stripe, storage, log } = {}) {
+        this.stripe = instrumentStripe(stripe || new Stripe(process.env.STRIPE_SECRET_KEY));
+        this.storage = storage || createStorage();
         this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+        this.plans = loadPlanCatalog();
+        this.dunning = getDunningConfig();
+        this.checkout = getCheckoutConfig();
+        this.priceCache = { expiresAt: 0, prices: null };
+        this.log = log || logger.child({ component: 'StripeService' });
+        // Billing lifecycle events, for pushes and notifications:
+        //   entitlementChanged     { customerId, eventType } after a webhook has
+        //                          changed a customer's subscription or payment state
+        //   entitlementUpdated     { customerId, eventId, eventType, before, after }
+        //                          when that changed the plan the customer is on; also
+        //                          for support grants and lapses, see publishLapsedEntitlements()
+        //   checkoutCompleted      { userId, orgId, customerId, sessionId, email, planKey }
+        //   paymentFailed          { userId, customerId, invoiceId, attemptCount, amount,
+        //                          currency, hostedInvoiceUrl, email, gracePeriodEndsAt }
+        //   cancellationScheduled  { customerId, subscriptionId, planKey, endsAt }
+        //   quotaExhausted         { userId, planKey, limit, periodStart, resetsAt }
+        this.events = new EventEmitter();
     }
 
     async validateAndIncrementRequest(userId) {
         try {
             await this.ensureUserRecord(userId);
 
-            const { data: userData, error: fetchError } = await this.supabase
-                .from('user_request_limits')
-                .select('is_premium, request_count, subscription_status')
-                .eq('user_id', userId)
-                .single();
+            // Members of a paying organization are covered by its plan,
+            // whatever their own row says
+            const seat = await this.getOrganizationSeat(userId);
+            if (seat) {
+                return this.consumeOrganizationQuota(seat);
+            }
+
+            let userData;
+            try {
+                userData = await this.storage.userLimits.findByUserId(userId);
+            } catch (fetchError) {
+                this.log.error('Error fetching user data', { userId, error: fetchError });
+                throw new Error('Failed to fetch user data');
+            }
+
+            if (!userData) {
+                throw new Error('Failed to fetch user data');
+            }
+
+            const plan = this.resolvePlan(userData);
+            const isPremium = plan.key !== FREE_PLAN_KEY;
+            const periodStart = getPeriodStart(plan.quotaPeriod);
+            const planLimit = plan.metered ? plan.requestLimit ?? UNCAPPED_LIMIT : plan.requestLimit;
+            const limit = planLimit === null ? null : planLimit + this.getQuotaBonus(userData, periodStart);
+
+            // Unlimited plans don't consume quota
+            if (limit === null) {
+                return {
+                    allowed: true,
+                    isPremium,
+                    plan: plan.key,
+                    requestCount: isCurrentPeriod(userData.quota_period_start, periodStart) ? userData.request_count || 0 : 0
+                };
+            }
+
+            // Check and increment are a single atomic step in the store, so
+            // parallel requests can't both take the last slot. The count is
+            // also reset there when periodStart is newer than the stored one.
+            let quota;
+            try {
+                quota = await this.storage.userLimits.consumeQuota(userId, { limit, periodStart });
+            } catch (error) {
+                this.log.error('Error consuming request quota', { userId, error });
+                throw new Error('Failed to increment request count');
+            }
 
-            if (fetchError) {
-                console.error('Error fetching user data:', fetchError);
+            if (!quota) {
                 throw new Error('Failed to fetch user data');
             }
 
-            const isPremium = userData.is_premium || false;
-            const currentCount = userData.request_count || 0;
+            const requestCount = quota.requestCount;
+
+            if (!quota.allowed) {
+                quotaDenialsTotal.inc({ plan: plan.key });
+
+                const resetsAt = getPeriodEnd(plan.quotaPeriod, periodStart);
+                this.events.emit('quotaExhausted', {
+                    userId,
+                    planKey: plan.key,
+                    limit,
+                    periodStart: periodStart ? periodStart.toISOString() : null,
+                    resetsAt: resetsAt ? resetsAt.toISOString() : null
+                });
+                const window = plan.quotaPeriod === 'lifetime' ? '' : ` per ${plan.quotaPeriod}`;
+                const upgradeHint = isPremium
+                    ? 'Please upgrade your plan for more requests.'
+                    : 'Please upgrade to PorkiCoder Premium for unlimited requests.';
 
-            if (!isPremium && currentCount >= FREE_USER_REQUEST_LIMIT) {
                 return {
                     allowed: false,
                     isPremium,
-                    requestCount: currentCount,
-                    limit: FREE_USER_REQUEST_LIMIT,
-                    message: `You have reached your free request limit of ${FREE_USER_REQUEST_LIMIT} requests. Please upgrade to PorkiCoder Premium for unlimited requests.`
+                    plan: plan.key,
+                    requestCount,
+                    limit,
+                    resetsAt: resetsAt ? resetsAt.toISOString() : null,
+                    message: `You have reached your ${plan.name} plan limit of ${limit} requests${window}. ${upgradeHint}`
                 };
             }
 
-            if (!isPremium) {
-                const { error: updateError } = await this.supabase
-                    .from('user_request_limits')
-                    .update({ 
-                        request_count: currentCount + 1,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('user_id', userId);
-
-                if (updateError) {
-                    console.error('Error incrementing count:', updateError);
-                    throw new Error('Failed to increment request count');
-                }
+            if (plan.metered && requestCount > plan.includedRequests) {
+                await this.bufferMeteredUsage(userId, userData);
             }
 
             return {
                 allowed: true,
                 isPremium,
-                requestCount: isPremium ? currentCount : currentCount + 1
+                plan: plan.key,
+                requestCount
             };
 
         } catch (error) {
-            console.error('Error in validateAndIncrementRequest:', error);
+            this.log.error('Error in validateAndIncrementRequest', { userId, error });
             throw error;
         }
     }
 
+    // A billable request on a metered plan. It is buffered and sent to Stripe
+    // in batches by MeteredUsageReporter. The request has already been
+    // counted, so a buffering failure is logged and the request still allowed.
+    async bufferMeteredUsage(userId, userData) {
+        const subscriptionItemId = userData.stripe_subscription_item_id;
+        const occurredAt = new Date();
+
+        if (!subscriptionItemId) {
+            this.log.error('Metered user has no subscription item, usage not billed', { userId });
+            return;
+        }
+
+        try {
+            await this.storage.meteredUsage.addPending({ userId, subscriptionItemId, quantity: 1, occurredAt });
+        } catch (error) {
+            this.log.error('Error buffering metered usage', { userId, subscriptionItemId, error });
+        }
+    }
+
+    // The organization plan covering a user, or null when they're on their own
+    // plan. Seats go to the owner first, then to members in the order they
+    // joined, so lowering the seat count in the portal drops the newest members.
+    async getOrganizationSeat(userId) {
+        const membership = await this.storage.organizations.findMembershipByUserId(userId);
+        if (!membership) {
+            return null;
+        }
+
+        const org = await this.storage.organizations.get(membership.org_id);
+        if (!org) {
+            return null;
+        }
+
+        const plan = this.plans.resolveForUser(org);
+        if (plan.key === FREE_PLAN_KEY) {
+            return null;
+        }
+
+        const members = await this.storage.organizations.listMembers(org.id);
+        const position = members.findIndex(member => member.user_id === userId);
+        if (position < 0 || position >= org.seats) {
+            return null;
+        }
+
+        return { org, plan, role: membership.role };
+    }
+
+    // Organization plans draw from one pool; a limited plan's requestLimit is
+    // per seat, so the pool grows with the seat count
+    async consumeOrganizationQuota({ org, plan }) {
+        const periodStart = getPeriodStart(plan.quotaPeriod);
+        const base = { isPremium: true, plan: plan.key, organizationId: org.id };
+
+        if (plan.requestLimit === null) {
+            return {
+                allowed: true,
+                ...base,
+                requestCount: isCurrentPeriod(org.quota_period_start, periodStart) ? org.request_count : 0
+            };
+        }
+
+        const limit = plan.requestLimit * org.seats;
+
+        let quota;
+        try {
+            quota = await this.storage.organizations.consumeQuota(org.id, { limit, periodStart });
+        } catch (error) {
+            this.log.error('Error consuming organization quota', { orgId: org.id, error });
+            throw new Error('Failed to increment request count');
+        }
+
+        if (!quota) {
+            throw new Error('Failed to fetch organization data');
+        }
+
+        if (!quota.allowed) {
+            quotaDenialsTotal.inc({ plan: plan.key });
+
+            const resetsAt = getPeriodEnd(plan.quotaPeriod, periodStart);
+            const window = plan.quotaPeriod === 'lifetime' ? '' : ` per ${plan.quotaPeriod}`;
+
+            return {
+                allowed: false,
+                ...base,
+                requestCount: quota.requestCount,
+                limit,
+                resetsAt: resetsAt ? resetsAt.toISOString() : null,
+                message: `Your organization has reached its ${plan.name} plan limit of ${limit} requests${window}. Ask an owner to add seats for more requests.`
+            };
+        }
+
+        return { allowed: true, ...base, requestCount: quota.requestCount };
+    }
+
     async handleWebhook(payload, signature) {
         let event;
 
@@ -79,11 +262,107 @@ class StripeService {
                 this.webhookSecret
             );
         } catch (err) {
-            throw new Error(`Webhook signature verification failed: ${err.message}`);
+            throw new ApiError(400, ERROR_CODES.WEBHOOK_SIGNATURE_INVALID, `Webhook signature verification failed: ${err.message}`);
+        }
+
+        return this.recordAndProcessEvent(event);
+    }
+
+    // Records the event in stripe_webhook_events and processes it once.
+    // Redeliveries of an event that was already handled are acknowledged
+    // without running any side effects again.
+    recordAndProcessEvent(event) {
+        // Everything logged while handling the event carries its ID
+        return runWithContext({ eventId: event.id, eventType: event.type }, () => this.claimAndProcessEvent(event));
+    }
+
+    async claimAndProcessEvent(event) {
+        let claim;
+        try {
+            claim = await this.storage.webhookEvents.claim(event);
+        } catch (claimError) {
+            this.log.error('Error recording webhook event', { error: claimError });
+            throw claimError;
+        }
+
+        if (!claim.claimed) {
+            webhookEventsTotal.inc({ type: event.type, outcome: 'duplicate' });
+            this.log.info('Duplicate webhook event skipped', { status: claim.status });
+            return { eventId: event.id, duplicate: true, status: claim.status };
+        }
+
+        let outcome;
+        try {
+            outcome = await this.processEvent(event);
+        } catch (error) {
+            webhookEventsTotal.inc({ type: event.type, outcome: 'failed' });
+            await this.markWebhookEvent(event.id, 'failed', error.message);
+            throw error;
+        }
+
+        webhookEventsTotal.inc({ type: event.type, outcome });
+        await this.markWebhookEvent(event.id, 'processed');
+        return { eventId: event.id, duplicate: false, status: 'processed' };
+    }
+
+    async markWebhookEvent(eventId, status, errorMessage = null) {
+        try {
+            await this.storage.webhookEvents.markStatus(eventId, status, errorMessage);
+        } catch (error) {
+            // The event itself was handled; a retry will see it as stale and re-run it
+            this.log.error('Error marking webhook event', { eventId, status, error });
+        }
+    }
+
+    listWebhookEvents(filters = {}) {
+        return this.storage.webhookEvents.list(filters);
+    }
+
+    // Re-runs a stored event (or one fetched from Stripe) regardless of its
+    // recorded status. Ordering checks in the RPC still apply, so replaying an
+    // old event can't overwrite newer subscription state.
+    replayWebhookEvent(eventId) {
+        return runWithContext({ eventId, replay: true }, () => this.replayStoredEvent(eventId));
+    }
+
+    async replayStoredEvent(eventId) {
+        const stored = await this.storage.webhookEvents.get(eventId);
+
+        // Stripe keeps events for 30 days, so older ones must come from our log
+        const event = stored?.payload || await this.stripe.events.retrieve(eventId);
+
+        try {
+            await this.processEvent(event);
+        } catch (err) {
+            await this.saveWebhookEvent(event, 'failed', err.message);
+            throw err;
         }
 
-        console.log(`Processing webhook event: ${event.type} (ID: ${event.id}, Created: ${new Date(event.created * 1000).toISOString()})`);
+        await this.saveWebhookEvent(event, 'processed');
+        return { eventId: event.id, type: event.type, status: 'processed' };
+    }
+
+    async saveWebhookEvent(event, status, errorMessage = null) {
+        try {
+            await this.storage.webhookEvents.save(event, status, errorMessage);
+        } catch (error) {
+            this.log.error('Error saving webhook event', { eventId: event.id, status, error });
+        }
+    }
 
+    // Returns the outcome for metrics: 'skipped' when the store kept newer state
+    async processEvent(event) {
+        this.log.info('Processing webhook event', {
+            eventId: event.id,
+            eventType: event.type,
+            eventCreatedAt: new Date(event.created * 1000)
+        });
+
+        const customerId = event.data.object.customer;
+        const tracksEntitlement = ENTITLEMENT_EVENT_TYPES.includes(event.type) && !!customerId;
+        const before = tracksEntitlement ? await this.getCustomerEntitlement(customerId) : null;
+
+        let result;
         switch (event.type) {
             case 'checkout.session.completed':
                 await this.handleCheckoutCompleted(event.data.object, event.created);
@@ -91,63 +370,155 @@ class StripeService {
 
             case 'customer.subscription.created':
             case 'customer.subscription.updated':
-                await this.handleSubscriptionUpdate(event.data.object, event.created);
+                result = await this.handleSubscriptionUpdate(event.data.object, event.created);
                 break;
 
             case 'customer.subscription.deleted':
-                await this.handleSubscriptionDeleted(event.data.object, event.created);
+                result = await this.handleSubscriptionDeleted(event.data.object, event.created);
                 break;
 
             case 'invoice.paid':
             case 'invoice.payment_succeeded':
-                await this.handleInvoicePaymentSucceeded(event.data.object);
+                await this.handleInvoicePaymentSucceeded(event.data.object, event.created);
                 break;
 
             case 'invoice.payment_failed':
-                await this.handleInvoicePaymentFailed(event.data.object);
+                await this.handleInvoicePaymentFailed(event.data.object, event.created);
                 break;
 
             default:
-                console.log(`Unhandled event type: ${event.type}`);
+                this.log.debug('Unhandled webhook event type', { eventType: event.type });
+        }
+
+        if (result?.updated === false) {
+            return 'skipped';
+        }
+
+        if (tracksEntitlement) {
+            this.events.emit('entitlementChanged', { customerId, eventType: event.type });
+
+            const after = await this.getCustomerEntitlement(customerId);
+            this.emitEntitlementUpdated({ customerId, eventId: event.id, eventType: event.type, before, after });
+        }
+
+        return 'processed';
+    }
+
+    // The plan a customer is on right now. Customers are users or organizations.
+    async getCustomerEntitlement(customerId) {
+        const row = await this.storage.userLimits.findByCustomerId(customerId);
+        if (row) {
+            return this.getUserEntitlement(row);
+        }
+
+        const org = await this.storage.organizations.findByCustomerId(customerId);
+        if (org) {
+            const plan = this.plans.resolveForUser(org);
+            return { userId: null, organizationId: org.id, isPremium: plan.key !== FREE_PLAN_KEY, plan: plan.key };
+        }
+
+        return null;
+    }
+
+    getUserEntitlement(row, now = new Date()) {
+        const plan = this.resolvePlan(row, now);
+        return { userId: row.user_id, organizationId: null, isPremium: plan.key !== FREE_PLAN_KEY, plan: plan.key };
+    }
+
+    // Emits entitlementUpdated when `after` is on a different plan than `before`
+    emitEntitlementUpdated({ customerId, eventId, eventType, before, after }) {
+        if (after && (before?.isPremium !== after.isPremium || before?.plan !== after.plan)) {
+            this.events.emit('entitlementUpdated', { customerId, eventId, eventType, before, after });
+        }
+    }
+
+    // Grace periods and complimentary plans end by time, with no webhook to
+    // announce it. This emits entitlementUpdated for those that ended in the
+    // last day; the end time is part of the event ID, so running it on a
+    // schedule doesn't repeat them.
+    async publishLapsedEntitlements(now = new Date()) {
+        const since = new Date(now.getTime() - LAPSE_LOOKBACK_MS);
+        const rows = await this.storage.userLimits.listLapsed({ since: since.toISOString(), until: now.toISOString() });
+
+        for (const row of rows) {
+            const lapses = [
+                ['grace_period.ended', row.payment_status === 'past_due' ? row.grace_period_ends_at : null],
+                ['complimentary.expired', row.comp_plan ? row.comp_expires_at : null]
+            ];
+
+            for (const [eventType, endedAt] of lapses) {
+                const ended = endedAt ? new Date(endedAt) : null;
+                if (!ended || ended <= since || ended > now) {
+                    continue;
+                }
+
+                this.emitEntitlementUpdated({
+                    customerId: row.stripe_customer_id || null,
+                    eventId: `${eventType}:${row.user_id}:${ended.toISOString()}`,
+                    eventType,
+                    before: this.getUserEntitlement(row, new Date(ended.getTime() - 1)),
+                    after: this.getUserEntitlement(row, now)
+                });
+            }
         }
     }
 
     async handleCheckoutCompleted(session, eventTimestamp) {
         const userId = session.metadata?.userId;
+        const orgId = session.metadata?.orgId;
         const customerId = session.customer;
 
-        if (!userId) {
-            console.error('No userId in checkout session metadata');
+        const completed = {
+            userId,
+            orgId,
+            customerId,
+            sessionId: session.id,
+            email: session.customer_details?.email || session.customer_email || null,
+            planKey: session.metadata?.plan || null
+        };
+
+        if (orgId) {
+            await this.storage.organizations.update(orgId, { stripe_customer_id: customerId });
+            this.log.info('Organization checkout completed', { orgId, customerId, sessionId: session.id, utmSource: session.metadata?.utm_source });
+            this.events.emit('checkoutCompleted', completed);
             return;
         }
 
-        await this.ensureUserRecord(userId);
+        if (!userId) {
+            this.log.error('No userId in checkout session metadata', { sessionId: session.id });
+            return;
+        }
 
-        const { error } = await this.supabase
-            .from('user_request_limits')
-            .update({
-                stripe_customer_id: customerId,
-                updated_at: new Date().toISOString()
-            })
-            .eq('user_id', userId);
+        try {
+            await this.ensureUserRecord(userId);
+        } catch (error) {
+            // A checkout that completed after the user deleted their account
+            if (error.code === ERROR_CODES.ACCOUNT_DELETED) {
+                this.log.warn('Checkout completed for a deleted account, ignored', { userId, customerId, sessionId: session.id });
+                return;
+            }
+            throw error;
+        }
 
-        if (error) {
-            console.error('Error updating customer ID:', error);
+        try {
+            await this.storage.userLimits.update(userId, { stripe_customer_id: customerId });
+        } catch (error) {
+            this.log.error('Error updating customer ID', { userId, customerId, error });
             throw error;
         }
 
-        console.log(`✅ Checkout completed - User ${userId} with customer ID ${customerId}`);
+        this.log.info('Checkout completed', { userId, customerId, sessionId: session.id, utmSource: session.metadata?.utm_source });
+        this.events.emit('checkoutCompleted', completed);
     }
 
     async handleSubscriptionUpdate(subscription, eventTimestamp) {
         const customerId = subscription.customer;
         const subscriptionId = subscription.id;
-        let status = subscription.status;
-        
-        // Check for scheduled cancellation
-        if (subscription.cancel_at_period_end === true && status === 'active') {
-            status = 'canceling';
-        }
+        const status = this.getEffectiveStatus(subscription);
+        const plan = this.plans.resolveFromSubscription(subscription);
+        const trialEndsAt = status === 'trialing' && subscription.trial_end
+            ? new Date(subscription.trial_end * 1000)
+            : null;
         
         // Get the current period end
         let currentPeriodEnd;
@@ -172,117 +543,463 @@ class StripeService {
             }
         }
 
-        console.log(`📊 Subscription update details:
-            Event Timestamp: ${new Date(eventTimestamp * 1000).toISOString()}
-            Customer: ${customerId}
-            Subscription: ${subscriptionId}
-            Status: ${status}
-            Cancel at period end: ${subscription.cancel_at_period_end}
-            Current Period End: ${currentPeriodEnd.toISOString()}`);
+        this.log.debug('Subscription update details', {
+            eventCreatedAt: new Date(eventTimestamp * 1000),
+            customerId,
+            subscriptionId,
+            status,
+            plan: plan.key,
+            cancelAtPeriodEnd: subscription.cancel_at_period_end,
+            currentPeriodEnd,
+            trialEndsAt
+        });
 
-        try {
-            // Let the RPC handle ALL business logic (timestamp checks, status validation, etc.)
-            const { data, error } = await this.supabase.rpc('update_premium_status_from_webhook', {
-                p_stripe_customer_id: customerId,
-                p_subscription_id: subscriptionId,
-                p_status: status,
-                p_end_date: currentPeriodEnd.toISOString(),
-                p_webhook_timestamp: new Date(eventTimestamp * 1000).toISOString()
+        const org = await this.storage.organizations.findByCustomerId(customerId);
+        if (org) {
+            const data = await this.applyOrganizationSubscriptionUpdate(org, {
+                customerId,
+                subscriptionId,
+                status,
+                plan: plan.key,
+                seats: subscription.items?.data?.[0]?.quantity || subscription.quantity,
+                endDate: currentPeriodEnd,
+                trialEndsAt,
+                webhookTimestamp: new Date(eventTimestamp * 1000)
             });
 
-            if (error) {
-                console.error('❌ Error calling RPC:', error);
-                throw error;
+            if (data?.updated !== false && status === 'canceling') {
+                this.events.emit('cancellationScheduled', { customerId, subscriptionId, planKey: plan.key, endsAt: currentPeriodEnd.toISOString() });
             }
 
-            // Log the result from RPC
+            return data;
+        }
+
+        try {
+            // Let the store handle ALL business logic (timestamp checks, status validation, etc.)
+            const data = await this.applySubscriptionUpdate({
+                customerId,
+                subscriptionId,
+                status,
+                endDate: currentPeriodEnd,
+                webhookTimestamp: new Date(eventTimestamp * 1000)
+            });
+
+            // Log the result from the store
             if (data?.updated === false) {
-                console.log(`⏭️  Subscription update skipped: ${data.reason}`);
-                if (data.existing_timestamp) {
-                    console.log(`   Existing timestamp: ${data.existing_timestamp}`);
-                    console.log(`   New timestamp: ${data.new_timestamp}`);
-                }
-                if (data.existing_status) {
-                    console.log(`   Existing status: ${data.existing_status}`);
-                    console.log(`   Attempted status: ${data.attempted_status}`);
-                }
+                this.log.info('Subscription update skipped', {
+                    subscriptionId,
+                    reason: data.reason,
+                    existingTimestamp: data.existing_timestamp,
+                    newTimestamp: data.new_timestamp,
+                    existingStatus: data.existing_status,
+                    attemptedStatus: data.attempted_status
+                });
             } else {
-                console.log(`✅ Subscription ${subscriptionId} updated successfully`);
-                console.log(`   Status: ${data.status}`);
-                console.log(`   Is Premium: ${data.is_premium}`);
+                await this.updatePlanForCustomer(customerId, plan.key, {
+                    trialEndsAt,
+                    subscriptionItemId: this.getSubscriptionItemId(subscription, plan)
+                });
+
+                this.log.info('Subscription updated', {
+                    customerId,
+                    subscriptionId,
+                    status: data.status,
+                    isPremium: data.is_premium,
+                    plan: plan.key,
+                    trialEndsAt
+                });
+
+                if (status === 'canceling') {
+                    this.events.emit('cancellationScheduled', { customerId, subscriptionId, planKey: plan.key, endsAt: currentPeriodEnd.toISOString() });
+                }
             }
 
+            return data;
         } catch (error) {
-            console.error('Error updating subscription:', error);
+            this.log.error('Error updating subscription', { customerId, subscriptionId, error });
             throw error;
         }
     }
 
+    // Usage records go to the item with the plan's metered price
+    getSubscriptionItemId(subscription, plan) {
+        if (!plan.metered) {
+            return null;
+        }
+
+        const item = subscription.items?.data?.find(candidate => candidate.price?.id === plan.priceId);
+        return item?.id || null;
+    }
+
+    // Stripe status, with scheduled cancellations reported as 'canceling'
+    getEffectiveStatus(subscription) {
+        if (subscription.cancel_at_period_end === true && subscription.status === 'active') {
+            return 'canceling';
+        }
+
+        return subscription.status;
+    }
+
     async handleSubscriptionDeleted(subscription, eventTimestamp) {
         const customerId = subscription.customer;
         const subscriptionId = subscription.id;
 
-        try {
-            const { data, error } = await this.supabase.rpc('update_premium_status_from_webhook', {
-                p_stripe_customer_id: customerId,
-                p_subscription_id: subscriptionId,
-                p_status: 'canceled',
-                p_end_date: new Date().toISOString(),
-                p_webhook_timestamp: new Date(eventTimestamp * 1000).toISOString()
+        const org = await this.storage.organizations.findByCustomerId(customerId);
+        if (org) {
+            return this.applyOrganizationSubscriptionUpdate(org, {
+                customerId,
+                subscriptionId,
+                status: 'canceled',
+                plan: FREE_PLAN_KEY,
+                endDate: new Date(),
+                webhookTimestamp: new Date(eventTimestamp * 1000)
             });
+        }
 
-            if (error) {
-                console.error('❌ Error calling RPC:', error);
-                throw error;
-            }
+        try {
+            const data = await this.applySubscriptionUpdate({
+                customerId,
+                subscriptionId,
+                status: 'canceled',
+                endDate: new Date(),
+                webhookTimestamp: new Date(eventTimestamp * 1000)
+            });
 
             if (data?.updated === false) {
-                console.log(`⏭️  Subscription deletion skipped: ${data.reason}`);
+                this.log.info('Subscription deletion skipped', { subscriptionId, reason: data.reason });
             } else {
-                console.log(`🚫 Subscription ${subscriptionId} canceled for customer ${customerId}`);
+                await this.updatePlanForCustomer(customerId, FREE_PLAN_KEY);
+                await this.clearDunningState(customerId, eventTimestamp);
+                this.log.info('Subscription canceled', { customerId, subscriptionId });
             }
+
+            return data;
         } catch (error) {
-            console.error('Error handling subscription deletion:', error);
+            this.log.error('Error handling subscription deletion', { customerId, subscriptionId, error });
             throw error;
         }
     }
 
-    async handleInvoicePaymentSucceeded(invoice) {
+    async applySubscriptionUpdate(update) {
+        try {
+            return await this.storage.subscriptions.applyWebhookUpdate(update);
+        } catch (error) {
+            this.log.error('Error applying subscription update', { subscriptionId: update.subscriptionId, error });
+            throw error;
+        }
+    }
+
+    // Same ordering rules as for a user's subscription, applied to the
+    // organization row; seats follow the subscription item's quantity
+    async applyOrganizationSubscriptionUpdate(org, update) {
+        let data;
+        try {
+            data = await this.storage.organizations.applyWebhookUpdate(update);
+        } catch (error) {
+            this.log.error('Error applying organization subscription update', { orgId: org.id, error });
+            throw error;
+        }
+
+        if (data?.updated === false) {
+            this.log.info('Organization subscription update skipped', {
+                orgId: org.id,
+                subscriptionId: update.subscriptionId,
+                reason: data.reason
+            });
+        } else {
+            await this.storage.organizations.update(org.id, { trial_ends_at: update.trialEndsAt ? update.trialEndsAt.toISOString() : null });
+
+            this.log.info('Organization subscription updated', {
+                orgId: org.id,
+                subscriptionId: update.subscriptionId,
+                status: update.status,
+                plan: update.plan,
+                seats: update.seats
+            });
+        }
+
+        return data;
+    }
+
+    // Only called once the store has accepted the event, so the plan and trial
+    // end follow the same timestamp ordering as the premium status
+    async updatePlanForCustomer(customerId, planKey, { trialEndsAt = null, subscriptionItemId = null } = {}) {
+        try {
+            await this.storage.userLimits.updateByCustomerId(customerId, {
+                plan: planKey,
+                trial_ends_at: trialEndsAt ? trialEndsAt.toISOString() : null,
+                stripe_subscription_item_id: subscriptionItemId
+            });
+        } catch (error) {
+            this.log.error('Error updating plan', { customerId, plan: planKey, error });
+            throw error;
+        }
+    }
+
+    async handleInvoicePaymentSucceeded(invoice, eventTimestamp) {
         const customerId = invoice.customer;
         const subscriptionId = invoice.subscription;
-        const amountPaid = invoice.amount_paid / 100;
-        const billingReason = invoice.billing_reason;
 
-        console.log(`💰 Invoice payment succeeded:
-            Customer: ${customerId}
-            Subscription: ${subscriptionId}
-            Amount: $${amountPaid}
-            Billing Reason: ${billingReason}
-            Invoice ID: ${invoice.id}`);
+        this.log.info('Invoice payment succeeded', {
+            invoiceId: invoice.id,
+            customerId,
+            subscriptionId,
+            billingReason: invoice.billing_reason
+        });
+
+        await this.recordInvoice(invoice, eventTimestamp);
+
+        if (!subscriptionId) {
+            return;
+        }
+
+        // A paid invoice ends any grace period; the subscription.updated event
+        // that follows restores the Stripe status through the RPC
+        await this.clearDunningState(customerId, eventTimestamp);
     }
 
-    async handleInvoicePaymentFailed(invoice) {
+    async handleInvoicePaymentFailed(invoice, eventTimestamp) {
         const customerId = invoice.customer;
         const subscriptionId = invoice.subscription;
-        const amountDue = invoice.amount_due / 100;
         const attemptCount = invoice.attempt_count;
 
-        console.error(`❌ Invoice payment failed:
-            Customer: ${customerId}
-            Subscription: ${subscriptionId}
-            Amount Due: $${amountDue}
-            Attempt: ${attemptCount}
-            Invoice ID: ${invoice.id}`);
+        this.log.warn('Invoice payment failed', {
+            invoiceId: invoice.id,
+            customerId,
+            subscriptionId,
+            attemptCount,
+            billingReason: invoice.billing_reason
+        });
+
+        await this.recordInvoice(invoice, eventTimestamp);
+
+        // Grace periods are for renewals - a failed first payment never granted access
+        if (!subscriptionId || invoice.billing_reason === 'subscription_create') {
+            return;
+        }
+
+        const row = await this.getDunningRow(customerId);
+        const failedAt = new Date(eventTimestamp * 1000);
+
+        if (!row) {
+            this.log.warn('No user found for customer, dunning state not recorded', { customerId });
+            return;
+        }
+
+        if (this.isStaleDunningEvent(row, failedAt)) {
+            this.log.info('Payment failure skipped: newer payment state recorded', {
+                customerId,
+                paymentStatusAt: row.payment_status_at
+            });
+            return;
+        }
+
+        // The grace period runs from the first failure, later retries don't extend it
+        const gracePeriodEndsAt = row.payment_status === 'past_due' && row.grace_period_ends_at
+            ? row.grace_period_ends_at
+            : new Date(failedAt.getTime() + this.dunning.graceDays * DAY_MS).toISOString();
+
+        try {
+            await this.storage.userLimits.updateByCustomerId(customerId, {
+                payment_status: 'past_due',
+                payment_status_at: failedAt.toISOString(),
+                payment_failed_at: row.payment_status === 'past_due' ? row.payment_failed_at : failedAt.toISOString(),
+                payment_attempt_count: attemptCount || 1,
+                next_payment_attempt: invoice.next_payment_attempt
+                    ? new Date(invoice.next_payment_attempt * 1000).toISOString()
+                    : null,
+                grace_period_ends_at: gracePeriodEndsAt
+            });
+        } catch (error) {
+            this.log.error('Error recording payment failure', { customerId, error });
+            throw error;
+        }
+
+        this.log.info('Customer is past due', { customerId, gracePeriodEndsAt });
+        this.events.emit('paymentFailed', {
+            userId: row.user_id,
+            customerId,
+            invoiceId: invoice.id,
+            attemptCount: attemptCount || 1,
+            amount: invoice.amount_due,
+            currency: invoice.currency,
+            hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+            email: invoice.customer_email || null,
+            gracePeriodEndsAt
+        });
     }
 
-    async createCheckoutSession({ userId, email, priceId, successUrl, cancelUrl }) {
+    // Keeps a copy of the invoice for /api/billing/history
+    async recordInvoice(invoice, eventTimestamp) {
+        const eventAt = new Date(eventTimestamp * 1000);
+
+        const existing = await this.storage.invoices.get(invoice.id);
+
+        if (existing && new Date(existing.stripe_event_at) > eventAt) {
+            this.log.info('Invoice skipped: newer copy recorded', {
+                invoiceId: invoice.id,
+                recordedEventAt: existing.stripe_event_at
+            });
+            return;
+        }
+
+        const owner = await this.storage.userLimits.findByCustomerId(invoice.customer);
+
+        // Subscription invoices carry the service period on their line items
+        const period = invoice.lines?.data?.[0]?.period;
+        const periodStart = period?.start || invoice.period_start;
+        const periodEnd = period?.end || invoice.period_end;
+        const toIso = seconds => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+        try {
+            await this.storage.invoices.upsert({
+                id: invoice.id,
+                user_id: owner?.user_id || invoice.subscription_details?.metadata?.userId || null,
+                stripe_customer_id: invoice.customer,
+                stripe_subscription_id: invoice.subscription || null,
+                number: invoice.number || null,
+                status: invoice.status,
+                amount_due: invoice.amount_due || 0,
+                amount_paid: invoice.amount_paid || 0,
+                currency: invoice.currency,
+                billing_reason: invoice.billing_reason || null,
+                period_start: toIso(periodStart),
+                period_end: toIso(periodEnd),
+                hosted_invoice_url: invoice.hosted_invoice_url || null,
+                invoice_pdf: invoice.invoice_pdf || null,
+                invoice_created_at: toIso(invoice.created),
+                stripe_event_at: eventAt.toISOString()
+            });
+        } catch (error) {
+            this.log.error('Error recording invoice', { invoiceId: invoice.id, error });
+            throw error;
+        }
+    }
+
+    async getBillingHistory(userId, { limit = 20, offset = 0 } = {}) {
+        const { rows, total } = await this.storage.invoices.listByUserId(userId, { limit, offset });
+
+        return {
+            invoices: rows.map(row => ({
+                id: row.id,
+                number: row.number,
+                status: row.status,
+                amountDue: row.amount_due,
+                amountPaid: row.amount_paid,
+                currency: row.currency,
+                billingReason: row.billing_reason,
+                periodStart: row.period_start,
+                periodEnd: row.period_end,
+                hostedInvoiceUrl: row.hosted_invoice_url,
+                invoicePdf: row.invoice_pdf,
+                createdAt: row.invoice_created_at
+            })),
+            pagination: {
+                limit,
+                offset,
+                total,
+                hasMore: offset + rows.length < total
+            }
+        };
+    }
+
+    getDunningRow(customerId) {
+        return this.storage.userLimits.findByCustomerId(customerId);
+    }
+
+    isStaleDunningEvent(row, eventDate) {
+        return !!row.payment_status_at && new Date(row.payment_status_at) > eventDate;
+    }
+
+    async clearDunningState(customerId, eventTimestamp) {
+        const row = await this.getDunningRow(customerId);
+        const eventDate = new Date(eventTimestamp * 1000);
+
+        if (!row || row.payment_status !== 'past_due') {
+            return;
+        }
+
+        if (this.isStaleDunningEvent(row, eventDate)) {
+            this.log.info('Dunning reset skipped: newer payment state recorded', {
+                customerId,
+                paymentStatusAt: row.payment_status_at
+            });
+            return;
+        }
+
+        try {
+            await this.storage.userLimits.updateByCustomerId(customerId, {
+                payment_status: 'current',
+                payment_status_at: eventDate.toISOString(),
+                payment_failed_at: null,
+                payment_attempt_count: 0,
+                next_payment_attempt: null,
+                grace_period_ends_at: null
+            });
+        } catch (error) {
+            this.log.error('Error clearing dunning state', { customerId, error });
+            throw error;
+        }
+
+        this.log.info('Customer is no longer past due', { customerId });
+    }
+
+    // Plan that applies to a user_request_limits row right now. Past-due users
+    // keep their paid plan until the grace period ends, whatever is_premium says.
+    resolvePlan(row, now = new Date()) {
+        let plan;
+        if (row?.payment_status === 'past_due') {
+            const inGracePeriod = !!row.grace_period_ends_at
+                && new Date(row.grace_period_ends_at) > now
+                && row.plan !== FREE_PLAN_KEY;
+
+            plan = this.plans.resolveForUser({ ...row, is_premium: inGracePeriod });
+        } else {
+            plan = this.plans.resolveForUser(row);
+        }
+
+        // A complimentary plan from support only fills in when the user's own
+        // subscription gives them nothing
+        if (plan.key === FREE_PLAN_KEY && this.isComplimentaryActive(row, now)) {
+            return this.plans.get(row.comp_plan) || plan;
+        }
+
+        return plan;
+    }
+
+    isComplimentaryActive(row, now = new Date()) {
+        return !!row?.comp_plan && !!row.comp_expires_at && new Date(row.comp_expires_at) > now;
+    }
+
+    // Extra requests granted by support for the current quota period only
+    getQuotaBonus(row, periodStart) {
+        if (!row?.quota_bonus) {
+            return 0;
+        }
+
+        if (!periodStart) {
+            return row.quota_bonus;
+        }
+
+        return row.quota_bonus_period_start && new Date(row.quota_bonus_period_start).getTime() === periodStart.getTime()
+            ? row.quota_bonus
+            : 0;
+    }
+
+    // `promotionCode` is checked against Stripe before the session is created so
+    // a typo is reported to the app instead of on the Checkout page. `utm` is
+    // copied to the session and subscription metadata for campaign reporting.
+    async createCheckoutSession({ userId, email, planKey, promotionCode, utm, successUrl, cancelUrl }) {
+        const plan = this.plans.get(planKey);
+
+        if (!plan || !plan.priceId) {
+            throw new ApiError(400, ERROR_CODES.UNKNOWN_PLAN, `Unknown plan: ${planKey}`);
+        }
+
         await this.ensureUserRecord(userId);
 
-        const { data: userData } = await this.supabase
-            .from('user_request_limits')
-            .select('stripe_customer_id')
-            .eq('user_id', userId)
-            .single();
+        const userData = await this.storage.userLimits.findByUserId(userId);
+        const discounts = await this.getCheckoutDiscounts(promotionCode);
 
         let customerId = userData?.stripe_customer_id;
 
@@ -293,28 +1010,167 @@ class StripeService {
             });
             customerId = customer.id;
 
-            await this.supabase
-                .from('user_request_limits')
-                .update({ stripe_customer_id: customerId })
-                .eq('user_id', userId);
+            await this.storage.userLimits.update(userId, { stripe_customer_id: customerId });
+            this.log.info('Stripe customer created', { userId, customerId });
         }
 
+        const metadata = { userId, plan: plan.key, ...this.getCampaignMetadata(utm) };
+        const trialDays = this.getTrialDays(plan, userData);
+
         const session = await this.stripe.checkout.sessions.create({
             customer: customerId,
             payment_method_types: ['card'],
-            line_items: [{
-                price: priceId,
+            // Metered prices are billed on reported usage and take no quantity
+            line_items: [plan.metered ? { price: plan.priceId } : {
+                price: plan.priceId,
                 quantity: 1,
             }],
             mode: 'subscription',
             success_url: successUrl,
             cancel_url: cancelUrl,
-            metadata: { userId }
+            metadata,
+            ...discounts,
+            subscription_data: {
+                metadata,
+                ...(trialDays ? { trial_period_days: trialDays } : {})
+            }
         });
 
+        checkoutSessionsTotal.inc({ plan: plan.key });
+
+        // The session ID shows up again on checkout.session.completed
+        this.log.info('Checkout session created', {
+            userId,
+            customerId,
+            sessionId: session.id,
+            plan: plan.key,
+            trialDays,
+            promotionCode: discounts.discounts ? promotionCode : undefined,
+            utmSource: metadata.utm_source
+        });
         return session;
     }
 
+    // Checkout for an organization's first subscription. The seat count is the
+    // line item quantity; the buyer can adjust it on the Checkout page but not
+    // below the current number of members. Later changes go through the portal.
+    async createOrganizationCheckoutSession({ org, email, planKey, seats, minSeats = 1, maxSeats, promotionCode, utm, successUrl, cancelUrl }) {
+        const plan = this.plans.get(planKey);
+
+        if (!plan || !plan.priceId) {
+            throw new ApiError(400, ERROR_CODES.UNKNOWN_PLAN, `Unknown plan: ${planKey}`);
+        }
+
+        if (plan.metered) {
+            throw new ApiError(400, ERROR_CODES.UNKNOWN_PLAN, `The ${plan.name} plan is for individual accounts`);
+        }
+
+        if (this.plans.resolveForUser(org).key !== FREE_PLAN_KEY) {
+            throw new ApiError(409, ERROR_CODES.ALREADY_SUBSCRIBED, 'The organization already has a subscription. Change seats in the billing portal.');
+        }
+
+        const discounts = await this.getCheckoutDiscounts(promotionCode);
+
+        let customerId = org.stripe_customer_id;
+
+        if (!customerId) {
+            const customer = await this.stripe.customers.create({
+                email,
+                name: org.name,
+                metadata: { orgId: org.id }
+            });
+            customerId = customer.id;
+
+            await this.storage.organizations.update(org.id, { stripe_customer_id: customerId });
+            this.log.info('Stripe customer created for organization', { orgId: org.id, customerId });
+        }
+
+        const metadata = { orgId: org.id, plan: plan.key, ...this.getCampaignMetadata(utm) };
+        const trialDays = this.getTrialDays(plan, org);
+
+        const session = await this.stripe.checkout.sessions.create({
+            customer: customerId,
+            payment_method_types: ['card'],
+            line_items: [{
+                price: plan.priceId,
+                quantity: seats,
+                adjustable_quantity: { enabled: true, minimum: minSeats, maximum: maxSeats }
+            }],
+            mode: 'subscription',
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            metadata,
+            ...discounts,
+            subscription_data: {
+                metadata,
+                ...(trialDays ? { trial_period_days: trialDays } : {})
+            }
+        });
+
+        checkoutSessionsTotal.inc({ plan: plan.key });
+
+        this.log.info('Organization checkout session created', {
+            orgId: org.id,
+            customerId,
+            sessionId: session.id,
+            plan: plan.key,
+            seats,
+            trialDays,
+            utmSource: metadata.utm_source
+        });
+        return session;
+    }
+
+    // Trials are for a customer's first subscription only; `row` is the user
+    // or organization row, which keeps the last subscription ID after cancel
+    getTrialDays(plan, row) {
+        if (!plan.trialDays || row?.stripe_subscription_id) {
+            return 0;
+        }
+
+        return plan.trialDays;
+    }
+
+    // Stripe doesn't allow a preset discount together with the promotion code
+    // field, so a code sent by the app replaces the field
+    async getCheckoutDiscounts(promotionCode) {
+        if (promotionCode) {
+            const promotion = await this.findPromotionCode(promotionCode);
+            return { discounts: [{ promotion_code: promotion.id }] };
+        }
+
+        return this.checkout.allowPromotionCodes ? { allow_promotion_codes: true } : {};
+    }
+
+    async findPromotionCode(code) {
+        const { data } = await this.stripe.promotionCodes.list({ code, active: true, limit: 1 });
+        const promotion = data[0];
+        const now = Date.now() / 1000;
+
+        const usable = promotion
+            && promotion.coupon?.valid !== false
+            && (!promotion.expires_at || promotion.expires_at > now)
+            && (!promotion.max_redemptions || promotion.times_redeemed < promotion.max_redemptions);
+
+        if (!usable) {
+            throw new ApiError(400, ERROR_CODES.PROMOTION_CODE_INVALID, `The promotion code ${code} is invalid or has expired`);
+        }
+
+        return promotion;
+    }
+
+    getCampaignMetadata(utm = {}) {
+        const metadata = {};
+
+        for (const [key, value] of Object.entries(utm)) {
+            if (value) {
+                metadata[`utm_${key}`] = value;
+            }
+        }
+
+        return metadata;
+    }
+
     async createPortalSession({ customerId, returnUrl }) {
         const session = await this.stripe.billingPortal.sessions.create({
             customer: customerId,
@@ -324,58 +1180,154 @@ class StripeService {
         return session;
     }
 
+    // Public plan catalog with display prices fetched from Stripe
+    async getPlanCatalog() {
+        const prices = await this.getPlanPrices();
+
+        return this.plans.list().map(plan => ({
+            key: plan.key,
+            name: plan.name,
+            requestLimit: plan.requestLimit,
+            quotaPeriod: plan.quotaPeriod,
+            trialDays: plan.trialDays,
+            metered: plan.metered,
+            includedRequests: plan.includedRequests,
+            features: plan.features,
+            price: plan.priceId ? prices[plan.priceId] || null : null
+        }));
+    }
+
+    async getPlanPrices() {
+        if (this.priceCache.prices && this.priceCache.expiresAt > Date.now()) {
+            return this.priceCache.prices;
+        }
+
+        const prices = {};
+        let complete = true;
+        const paidPlans = this.plans.list().filter(plan => plan.priceId);
+
+        await Promise.all(paidPlans.map(async plan => {
+            try {
+                const price = await this.stripe.prices.retrieve(plan.priceId);
+                prices[plan.priceId] = {
+                    amount: price.unit_amount,
+                    currency: price.currency,
+                    interval: price.recurring?.interval || null,
+                    intervalCount: price.recurring?.interval_count || null
+                };
+            } catch (error) {
+                this.log.error('Error fetching price for plan', { plan: plan.key, error });
+                complete = false;
+            }
+        }));
+
+        // Don't hold on to a partial catalog after a Stripe hiccup
+        if (complete) {
+            this.priceCache = { expiresAt: Date.now() + PRICE_CACHE_TTL_MS, prices };
+        }
+        return prices;
+    }
+
+    // Readiness check: proves the API key works and the catalog's price exists
+    async ping() {
+        const plan = this.plans.list().find(candidate => candidate.priceId);
+        await this.stripe.prices.retrieve(plan.priceId);
+    }
+
     async getSubscriptionStatus(userId) {
-        const { data, error } = await this.supabase
-            .from('user_request_limits')
-            .select('*')
-            .eq('user_id', userId)
-            .single();
+        const status = await this.getOwnSubscriptionStatus(userId);
+        const seat = await this.getOrganizationSeat(userId);
 
-        if (error && error.code !== 'PGRST116') {
-            throw error;
+        if (!seat) {
+            return status;
         }
 
+        // The organization's plan replaces the user's own while they hold a seat
+        const { org, plan, role } = seat;
+        const periodStart = getPeriodStart(plan.quotaPeriod);
+
+        return {
+            ...status,
+            isPremium: true,
+            plan: plan.key,
+            requestCount: isCurrentPeriod(org.quota_period_start, periodStart) ? org.request_count : 0,
+            requestLimit: plan.requestLimit === null ? null : plan.requestLimit * org.seats,
+            organization: {
+                id: org.id,
+                name: org.name,
+                role,
+                seats: org.seats,
+                subscriptionStatus: org.subscription_status,
+                subscriptionEndDate: org.subscription_end_date,
+                trialEndsAt: org.subscription_status === 'trialing' ? org.trial_ends_at : null
+            }
+        };
+    }
+
+    async getOwnSubscriptionStatus(userId) {
+        const data = await this.storage.userLimits.findByUserId(userId);
+
         if (!data) {
             await this.ensureUserRecord(userId);
             return {
                 isPremium: false,
+                plan: FREE_PLAN_KEY,
                 requestCount: 0,
                 subscriptionStatus: null,
-                subscriptionEndDate: null
+                subscriptionEndDate: null,
+                trialEndsAt: null,
+                paymentStatus: 'current'
             };
         }
 
+        // Counts from an earlier period are reset lazily on the next request,
+        // so report them as zero until then
+        const plan = this.resolvePlan(data);
+        const periodStart = getPeriodStart(plan.quotaPeriod);
+        const requestCount = isCurrentPeriod(data.quota_period_start, periodStart) ? data.request_count : 0;
+        const pastDue = data.payment_status === 'past_due';
+
         return {
-            isPremium: data.is_premium,
-            requestCount: data.request_count,
+            isPremium: plan.key !== FREE_PLAN_KEY,
+            plan: plan.key,
+            requestCount,
+            requestLimit: plan.requestLimit === null ? null : plan.requestLimit + this.getQuotaBonus(data, periodStart),
+            // Metered plans: requests past the allowance this period are billed
+            ...(plan.metered ? {
+                includedRequests: plan.includedRequests,
+                billableRequests: Math.max(requestCount - plan.includedRequests, 0)
+            } : {}),
             subscriptionStatus: data.subscription_status,
             subscriptionEndDate: data.subscription_end_date,
-            stripeCustomerId: data.stripe_customer_id
+            // When a trialing subscription starts charging
+            trialEndsAt: data.subscription_status === 'trialing' ? data.trial_ends_at : null,
+            // When a complimentary plan granted by support runs out
+            complimentaryUntil: this.isComplimentaryActive(data) ? data.comp_expires_at : null,
+            stripeCustomerId: data.stripe_customer_id,
+            // 'past_due' means a renewal failed and the app should ask for a new card
+            paymentStatus: data.payment_status || 'current',
+            gracePeriodEndsAt: pastDue ? data.grace_period_ends_at : null,
+            paymentAttemptCount: pastDue ? data.payment_attempt_count : 0,
+            nextPaymentAttempt: pastDue ? data.next_payment_attempt : null
         };
     }
 
     async ensureUserRecord(userId) {
-        const { data: existing } = await this.supabase
-            .from('user_request_limits')
-            .select('id')
-            .eq('user_id', userId)
-            .single();
-
-        if (!existing) {
-            const { error } = await this.supabase
-                .from('user_request_limits')
-                .insert({
-                    user_id: userId,
-                    request_count: 0,
-                    is_premium: false
-                });
+        let ensured;
+        try {
+            ensured = await this.storage.userLimits.ensure(userId);
+        } catch (error) {
+            this.log.error('Error creating user record', { userId, error });
+            throw error;
+        }
 
-            if (error) {
-                console.error('Error creating user record:', error);
-                throw error;
-            }
+        // An access token issued before the account was deleted
+        if (!ensured) {
+            throw new ApiError(401, ERROR_CODES.ACCOUNT_DELETED, 'This account has been deleted');
         }
     }
 }
 
+StripeService.PREMIUM_STATUSES = PREMIUM_STATUSES;
+
 module.exports = StripeService;
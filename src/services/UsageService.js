@@ -0,0 +1,113 @@
+const { ApiError, ERROR_CODES } = require('../errors');
+const { logger } = require('../logger');
+const { GRANULARITIES, truncateToBucket, nextBucket } = require('../usageBuckets');
+
+// Keeps a summary to a size a chart can use; a year of days fits
+const MAX_BUCKETS = 400;
+const DEFAULT_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Per-request usage events and the summaries built from them. Quota is still
+// enforced on request_count; these events are for reporting only.
+class UsageService {
+    constructor({ storage, now = () => new Date(), log } = {}) {
+        this.storage = storage;
+        this.now = now;
+        this.log = log || logger.child({ component: 'UsageService' });
+    }
+
+    // Called after a request has been allowed and counted. A lost event only
+    // leaves a gap in the charts, so failures are logged rather than failing
+    // a request the user has already been charged for.
+    async record(userId, { organizationId, apiKeyId, model, feature, promptTokens, completionTokens, clientVersion } = {}) {
+        try {
+            await this.storage.usageEvents.record({
+                user_id: userId,
+                organization_id: organizationId || null,
+                api_key_id: apiKeyId || null,
+                occurred_at: this.now().toISOString(),
+                model: model || null,
+                feature: feature || null,
+                prompt_tokens: promptTokens ?? null,
+                completion_tokens: completionTokens ?? null,
+                client_version: clientVersion || null
+            });
+        } catch (error) {
+            this.log.error('Error recording usage event', { userId, error });
+        }
+    }
+
+    // One user's usage
+    async getSummary(userId, range) {
+        return this.summarize({ ...range, userId });
+    }
+
+    // Everyone's usage together, with the number of distinct active users
+    async getGlobalSummary(range) {
+        return this.summarize({ ...range, userId: null });
+    }
+
+    // `from` defaults to 30 days before `to`, which defaults to now. The range
+    // is widened to whole buckets and empty buckets are filled with zeros, so
+    // clients can plot the series as is.
+    async summarize({ userId, from, to, granularity = 'day' }) {
+        to = to || this.now();
+        from = from || new Date(to.getTime() - DEFAULT_RANGE_MS);
+
+        if (from >= to) {
+            throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, 'Invalid request: from must be before to', {
+                issues: [{ location: 'query', field: 'from', message: 'must be before to' }]
+            });
+        }
+
+        const starts = [];
+        for (let start = truncateToBucket(from, granularity); start < to; start = nextBucket(start, granularity)) {
+            if (starts.length === MAX_BUCKETS) {
+                throw new ApiError(400, ERROR_CODES.VALIDATION_FAILED, `Invalid request: the range spans more than ${MAX_BUCKETS} ${granularity}s`, {
+                    issues: [{ location: 'query', field: 'granularity', message: `gives more than ${MAX_BUCKETS} buckets for this range` }]
+                });
+            }
+            starts.push(start);
+        }
+
+        const rangeStart = starts[0];
+        const rangeEnd = nextBucket(starts[starts.length - 1], granularity);
+
+        const { totals, buckets } = await this.storage.usageEvents.summarize({
+            userId,
+            from: rangeStart,
+            to: rangeEnd,
+            granularity
+        });
+        const byStart = new Map(buckets.map(bucket => [bucket.start.getTime(), bucket]));
+
+        return {
+            from: rangeStart.toISOString(),
+            to: rangeEnd.toISOString(),
+            granularity,
+            totals: this.toPublicCounts(totals, userId),
+            series: starts.map(start => ({
+                start: start.toISOString(),
+                ...this.toPublicCounts(byStart.get(start.getTime()), userId)
+            }))
+        };
+    }
+
+    toPublicCounts(counts, userId) {
+        const result = {
+            requests: counts?.requests || 0,
+            promptTokens: counts?.promptTokens || 0,
+            completionTokens: counts?.completionTokens || 0
+        };
+
+        if (!userId) {
+            result.activeUsers = counts?.users || 0;
+        }
+
+        return result;
+    }
+}
+
+UsageService.GRANULARITIES = GRANULARITIES;
+UsageService.MAX_BUCKETS = MAX_BUCKETS;
+
+module.exports = UsageService;
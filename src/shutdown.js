@@ -0,0 +1,100 @@
+const { logger } = require('./logger');
+
+// Graceful shutdown: stop accepting connections, let in-flight requests
+// (webhooks included) finish for up to timeoutMs, then close whatever is
+// left and run cleanup (rate limit store, ...).
+class ShutdownCoordinator {
+    constructor({ timeoutMs = 8000, log = logger } = {}) {
+        this.timeoutMs = timeoutMs;
+        this.log = log;
+        this.inFlight = 0;
+        this.shuttingDown = false;
+        this.idleWaiters = [];
+        this.shutdownPromise = null;
+    }
+
+    // Middleware counting requests until their response is finished or aborted
+    trackRequests() {
+        return (req, res, next) => {
+            this.inFlight++;
+
+            // Keep-alive clients should reconnect elsewhere once we're draining
+            if (this.shuttingDown) {
+                res.set('Connection', 'close');
+            }
+
+            let done = false;
+            const finish = () => {
+                if (done) {
+                    return;
+                }
+                done = true;
+                this.inFlight--;
+                if (this.inFlight === 0) {
+                    this.idleWaiters.splice(0).forEach(resolve => resolve());
+                }
+            };
+
+            res.on('finish', finish);
+            res.on('close', finish);
+            next();
+        };
+    }
+
+    waitForIdle() {
+        if (this.inFlight === 0) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    // Resolves with { drained, abandoned } once the server is closed; calling
+    // it again (a second SIGTERM) returns the same promise
+    shutdown(server, { signal, cleanup = [] } = {}) {
+        if (!this.shutdownPromise) {
+            this.shutdownPromise = this.drain(server, { signal, cleanup });
+        }
+
+        return this.shutdownPromise;
+    }
+
+    async drain(server, { signal, cleanup }) {
+        this.shuttingDown = true;
+        this.log.info('Shutting down: no longer accepting connections', { signal, inFlight: this.inFlight });
+
+        const closed = new Promise(resolve => server.close(resolve));
+        // Idle keep-alive sockets would otherwise hold server.close() open
+        server.closeIdleConnections?.();
+
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), this.timeoutMs);
+        });
+
+        const drained = await Promise.race([this.waitForIdle().then(() => true), timedOut]);
+        clearTimeout(timer);
+
+        const abandoned = this.inFlight;
+        if (!drained) {
+            this.log.error('Shutdown timed out, closing remaining connections', { abandoned, timeoutMs: this.timeoutMs });
+        }
+        // Once drained only keep-alive sockets are left
+        server.closeAllConnections?.();
+
+        await closed;
+
+        for (const fn of cleanup) {
+            try {
+                await fn();
+            } catch (error) {
+                this.log.error('Shutdown cleanup failed', { error });
+            }
+        }
+
+        this.log.info('HTTP server closed', { drained });
+        return { drained, abandoned: drained ? 0 : abandoned };
+    }
+}
+
+module.exports = { ShutdownCoordinator };
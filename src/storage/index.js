@@ -0,0 +1,35 @@
+const { createSupabaseStorage } = require('./supabase');
+const { createMemoryStorage } = require('./memory');
+
+// STORAGE_DRIVER picks the backend: 'supabase' (default) or 'memory'.
+// Every driver exposes the same repositories: userLimits, subscriptions,
+// webhookEvents, invoices, apiKeys, organizations, usageEvents, meteredUsage,
+// notifications, users (from Supabase Auth), adminAudit, outboundWebhooks
+// and accounts (a user's data across tables), plus ping() for the readiness
+// probe.
+const STORAGE_DRIVERS = ['supabase', 'memory'];
+
+function createStorage(env = process.env) {
+    const driver = env.STORAGE_DRIVER || 'supabase';
+
+    switch (driver) {
+        case 'supabase':
+            return createSupabaseStorage({
+                url: env.SUPABASE_URL,
+                serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY
+            });
+
+        case 'memory':
+            return createMemoryStorage();
+
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver} (expected one of ${STORAGE_DRIVERS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    STORAGE_DRIVERS,
+    createStorage,
+    createSupabaseStorage,
+    createMemoryStorage
+};
@@ -0,0 +1,93 @@
+// In-memory stand-in for a user's rows across tables, and the
+// delete_user_data RPC in supabase/migrations/20261018000017_account_deletion_tombstones.sql
+class AccountRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async exportData(userId) {
+        const { db } = this;
+        const byUser = rows => [...rows].filter(row => row.user_id === userId).map(row => ({ ...row }));
+        const account = db.userLimits.get(userId);
+        const membership = db.organizationMembers.get(userId);
+        const preferences = db.notificationPreferences.get(userId);
+
+        return {
+            account: account ? { ...account } : null,
+            organizationMembership: membership ? { ...membership } : null,
+            apiKeys: byUser(db.apiKeys.values()),
+            invoices: byUser(db.invoices.values()),
+            usageEvents: byUser(db.usageEvents),
+            meteredUsage: byUser(db.meteredUsage.values()),
+            meteredUsageReports: byUser(db.meteredUsageReports.values()),
+            notificationPreferences: preferences ? { ...preferences } : null,
+            notificationDeliveries: byUser(db.notificationDeliveries.values())
+        };
+    }
+
+    async deleteData(userId, { customerIds = [] } = {}) {
+        const { db } = this;
+        const deleteFromMap = map => {
+            let count = 0;
+            for (const [key, row] of map) {
+                if (row.user_id === userId) {
+                    map.delete(key);
+                    count++;
+                }
+            }
+            return count;
+        };
+
+        const usageEvents = db.usageEvents.length;
+        db.usageEvents.splice(0, db.usageEvents.length, ...db.usageEvents.filter(event => event.user_id !== userId));
+
+        deleteFromMap(db.meteredUsage);
+        const counts = {
+            usageEvents: usageEvents - db.usageEvents.length,
+            meteredUsageReports: deleteFromMap(db.meteredUsageReports),
+            invoices: deleteFromMap(db.invoices),
+            apiKeys: deleteFromMap(db.apiKeys),
+            notificationDeliveries: deleteFromMap(db.notificationDeliveries),
+            organizations: 0
+        };
+        db.notificationPreferences.delete(userId);
+
+        // An organization the user owns goes too if nobody else is in it
+        for (const org of [...db.organizations.values()]) {
+            const others = [...db.organizationMembers.values()]
+                .some(member => member.org_id === org.id && member.user_id !== userId);
+
+            if (org.owner_user_id === userId && !others) {
+                db.organizations.delete(org.id);
+                for (const [invitationId, invitation] of db.organizationInvitations) {
+                    if (invitation.org_id === org.id) {
+                        db.organizationInvitations.delete(invitationId);
+                    }
+                }
+                counts.organizations++;
+            }
+        }
+        db.organizationMembers.delete(userId);
+
+        counts.account = db.userLimits.delete(userId) ? 1 : 0;
+
+        counts.webhookEvents = 0;
+        for (const event of db.webhookEvents.values()) {
+            const object = event.payload?.data?.object;
+            if (object && (customerIds.includes(object.customer) || customerIds.includes(object.id)
+                || object.metadata?.userId === userId)) {
+                event.payload = null;
+                counts.webhookEvents++;
+            }
+        }
+
+        const tombstone = db.deletedUsers.get(userId);
+        db.deletedUsers.set(userId, {
+            deleted_at: tombstone?.deleted_at || new Date().toISOString(),
+            stripe_customer_ids: [...new Set([...(tombstone?.stripe_customer_ids || []), ...customerIds])]
+        });
+        return counts;
+    }
+}
+
+module.exports = AccountRepository;
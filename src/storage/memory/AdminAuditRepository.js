@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+class AdminAuditRepository {
+    constructor(db) {
+        this.entries = db.adminAuditLog;
+    }
+
+    async record(entry) {
+        const row = {
+            id: crypto.randomUUID(),
+            target_user_id: null,
+            details: {},
+            created_at: new Date().toISOString(),
+            ...entry
+        };
+        this.entries.push(row);
+        return { ...row };
+    }
+
+    async list({ targetUserId, actorUserId, limit = 50 } = {}) {
+        return this.entries
+            .filter(entry => !targetUserId || entry.target_user_id === targetUserId)
+            .filter(entry => !actorUserId || entry.actor_user_id === actorUserId)
+            // Newest first; the array is in insertion order
+            .slice()
+            .reverse()
+            .slice(0, limit)
+            .map(entry => ({ ...entry }));
+    }
+}
+
+module.exports = AdminAuditRepository;
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+class ApiKeyRepository {
+    constructor(db) {
+        this.apiKeys = db.apiKeys;
+    }
+
+    async create(record) {
+        if ([...this.apiKeys.values()].some(key => key.key_hash === record.key_hash)) {
+            throw new Error('duplicate key value violates unique constraint "api_keys_key_hash_key"');
+        }
+
+        const row = {
+            id: crypto.randomUUID(),
+            scopes: [],
+            expires_at: null,
+            last_used_at: null,
+            revoked_at: null,
+            created_at: new Date().toISOString(),
+            ...record
+        };
+        this.apiKeys.set(row.id, row);
+        return { ...row };
+    }
+
+    async findByHash(keyHash) {
+        const row = [...this.apiKeys.values()].find(key => key.key_hash === keyHash);
+        return row ? { ...row } : null;
+    }
+
+    async listByUserId(userId) {
+        return [...this.apiKeys.values()]
+            .filter(key => key.user_id === userId)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(key => ({ ...key }));
+    }
+
+    async revoke(userId, keyId, revokedAt) {
+        const row = this.apiKeys.get(keyId);
+        if (!row || row.user_id !== userId || row.revoked_at) {
+            return null;
+        }
+
+        row.revoked_at = revokedAt;
+        return { ...row };
+    }
+
+    async findById(userId, keyId) {
+        const row = this.apiKeys.get(keyId);
+        return row && row.user_id === userId ? { ...row } : null;
+    }
+
+    async touch(keyId, usedAt) {
+        const row = this.apiKeys.get(keyId);
+        if (row) {
+            row.last_used_at = usedAt;
+        }
+    }
+}
+
+module.exports = ApiKeyRepository;
@@ -0,0 +1,27 @@
+class InvoiceRepository {
+    constructor(db) {
+        this.invoices = db.invoices;
+    }
+
+    async get(invoiceId) {
+        const invoice = this.invoices.get(invoiceId);
+        return invoice ? { ...invoice } : null;
+    }
+
+    async upsert(record) {
+        this.invoices.set(record.id, { ...record, updated_at: new Date().toISOString() });
+    }
+
+    async listByUserId(userId, { limit, offset }) {
+        const rows = [...this.invoices.values()]
+            .filter(invoice => invoice.user_id === userId)
+            .sort((a, b) => b.invoice_created_at.localeCompare(a.invoice_created_at));
+
+        return {
+            rows: rows.slice(offset, offset + limit).map(invoice => ({ ...invoice })),
+            total: rows.length
+        };
+    }
+}
+
+module.exports = InvoiceRepository;
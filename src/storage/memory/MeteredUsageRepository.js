@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for metered_usage, metered_usage_reports and their RPCs
+class MeteredUsageRepository {
+    constructor(db) {
+        this.pending = db.meteredUsage;
+        this.reports = db.meteredUsageReports;
+    }
+
+    async addPending({ userId, subscriptionItemId, quantity = 1, occurredAt = new Date() }) {
+        const key = `${userId}:${subscriptionItemId}`;
+        const row = this.pending.get(key) || { user_id: userId, subscription_item_id: subscriptionItemId, pending_quantity: 0 };
+        const occurred = occurredAt.toISOString();
+
+        row.pending_quantity += quantity;
+        if (!row.last_occurred_at || occurred > row.last_occurred_at) {
+            row.last_occurred_at = occurred;
+        }
+        row.updated_at = new Date().toISOString();
+        this.pending.set(key, row);
+    }
+
+    async claimPending() {
+        let count = 0;
+
+        for (const row of this.pending.values()) {
+            if (row.pending_quantity <= 0) {
+                continue;
+            }
+
+            const now = new Date().toISOString();
+            const report = {
+                id: crypto.randomUUID(),
+                user_id: row.user_id,
+                subscription_item_id: row.subscription_item_id,
+                quantity: row.pending_quantity,
+                occurred_at: row.last_occurred_at,
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: now,
+                last_error: null,
+                stripe_usage_record_id: null,
+                created_at: now,
+                reported_at: null
+            };
+
+            this.reports.set(report.id, report);
+            row.pending_quantity = 0;
+            count++;
+        }
+
+        return count;
+    }
+
+    async listDueReports(now, limit) {
+        return [...this.reports.values()]
+            .filter(report => report.status === 'pending' && new Date(report.next_attempt_at) <= now)
+            .sort((a, b) => a.created_at.localeCompare(b.created_at))
+            .slice(0, limit)
+            .map(report => ({ ...report }));
+    }
+
+    async updateReport(reportId, fields) {
+        const report = this.reports.get(reportId);
+        if (report) {
+            Object.assign(report, fields);
+        }
+    }
+
+    async listReports({ userId, status, limit = 50 } = {}) {
+        return [...this.reports.values()]
+            .filter(report => (!userId || report.user_id === userId) && (!status || report.status === status))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(0, limit)
+            .map(report => ({ ...report }));
+    }
+}
+
+module.exports = MeteredUsageRepository;
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for the notification tables
+class NotificationRepository {
+    constructor(db) {
+        this.preferences = db.notificationPreferences;
+        this.deliveries = db.notificationDeliveries;
+    }
+
+    async getPreferences(userId) {
+        const row = this.preferences.get(userId);
+        return row ? { ...row } : null;
+    }
+
+    async savePreferences(userId, fields) {
+        const row = {
+            user_id: userId,
+            non_essential_emails: true,
+            ...this.preferences.get(userId),
+            ...fields,
+            updated_at: new Date().toISOString()
+        };
+        this.preferences.set(userId, row);
+        return { ...row };
+    }
+
+    async claimDelivery({ userId, kind, dedupeKey, recipient }) {
+        const key = `${userId}:${dedupeKey}`;
+        const existing = this.deliveries.get(key);
+
+        if (existing && existing.status !== 'failed') {
+            return null;
+        }
+
+        const row = existing
+            ? Object.assign(existing, { status: 'pending', recipient, attempts: existing.attempts + 1, last_error: null })
+            : {
+                id: crypto.randomUUID(),
+                user_id: userId,
+                kind,
+                dedupe_key: dedupeKey,
+                recipient,
+                status: 'pending',
+                attempts: 1,
+                last_error: null,
+                message_id: null,
+                created_at: new Date().toISOString(),
+                sent_at: null
+            };
+
+        this.deliveries.set(key, row);
+        return { ...row };
+    }
+
+    async updateDelivery(deliveryId, fields) {
+        const row = [...this.deliveries.values()].find(delivery => delivery.id === deliveryId);
+        if (row) {
+            Object.assign(row, fields);
+        }
+    }
+
+    async listDeliveries(userId, { limit = 50 } = {}) {
+        return [...this.deliveries.values()]
+            .filter(delivery => delivery.user_id === userId)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(0, limit)
+            .map(delivery => ({ ...delivery }));
+    }
+}
+
+module.exports = NotificationRepository;
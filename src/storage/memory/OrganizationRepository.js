@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+
+const { PREMIUM_STATUSES } = require('../../config/plans');
+const ROLE_ORDER = { owner: 0, admin: 1, member: 1 };
+
+// In-memory stand-in for the organization tables and RPCs in
+// supabase/migrations/20261018000008_organizations.sql
+class OrganizationRepository {
+    constructor(db) {
+        this.orgs = db.organizations;
+        this.members = db.organizationMembers;
+        this.invitations = db.organizationInvitations;
+    }
+
+    async create({ name, ownerUserId }) {
+        if (this.members.has(ownerUserId)) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const org = {
+            id: crypto.randomUUID(),
+            name,
+            owner_user_id: ownerUserId,
+            stripe_customer_id: null,
+            stripe_subscription_id: null,
+            subscription_status: null,
+            subscription_end_date: null,
+            trial_ends_at: null,
+            is_premium: false,
+            plan: 'free',
+            seats: 1,
+            request_count: 0,
+            quota_period_start: null,
+            last_webhook_timestamp: null,
+            created_at: now,
+            updated_at: now
+        };
+
+        this.orgs.set(org.id, org);
+        this.members.set(ownerUserId, { org_id: org.id, user_id: ownerUserId, role: 'owner', created_at: now });
+        return { ...org };
+    }
+
+    async get(orgId) {
+        const org = this.orgs.get(orgId);
+        return org ? { ...org } : null;
+    }
+
+    async findByCustomerId(customerId) {
+        const org = [...this.orgs.values()].find(candidate => candidate.stripe_customer_id === customerId);
+        return org ? { ...org } : null;
+    }
+
+    async update(orgId, fields) {
+        const org = this.orgs.get(orgId);
+        if (org) {
+            Object.assign(org, fields, { updated_at: new Date().toISOString() });
+        }
+    }
+
+    async consumeQuota(orgId, { limit, periodStart }) {
+        const org = this.orgs.get(orgId);
+
+        if (!org) {
+            return null;
+        }
+
+        const newPeriod = !!periodStart
+            && (!org.quota_period_start || new Date(org.quota_period_start) < periodStart);
+        const currentCount = newPeriod ? 0 : org.request_count;
+
+        if (currentCount >= limit) {
+            return { allowed: false, requestCount: org.request_count, quotaPeriodStart: org.quota_period_start };
+        }
+
+        org.request_count = currentCount + 1;
+        if (newPeriod) {
+            org.quota_period_start = periodStart.toISOString();
+        }
+        org.updated_at = new Date().toISOString();
+
+        return { allowed: true, requestCount: org.request_count, quotaPeriodStart: org.quota_period_start };
+    }
+
+    async applyWebhookUpdate({ customerId, subscriptionId, status, plan, seats, endDate, webhookTimestamp }) {
+        const org = [...this.orgs.values()].find(candidate => candidate.stripe_customer_id === customerId);
+
+        if (!org) {
+            return { updated: false, reason: 'org_not_found' };
+        }
+
+        if (org.last_webhook_timestamp && new Date(org.last_webhook_timestamp) > webhookTimestamp) {
+            return {
+                updated: false,
+                reason: 'stale_event',
+                existing_timestamp: org.last_webhook_timestamp,
+                new_timestamp: webhookTimestamp.toISOString()
+            };
+        }
+
+        if (org.subscription_status === 'canceled'
+            && org.stripe_subscription_id === subscriptionId
+            && status !== 'canceled') {
+            return {
+                updated: false,
+                reason: 'subscription_already_canceled',
+                existing_status: org.subscription_status,
+                attempted_status: status
+            };
+        }
+
+        Object.assign(org, {
+            stripe_subscription_id: subscriptionId,
+            subscription_status: status,
+            subscription_end_date: endDate.toISOString(),
+            is_premium: PREMIUM_STATUSES.includes(status),
+            plan,
+            seats: Math.max(seats || org.seats, 1),
+            last_webhook_timestamp: webhookTimestamp.toISOString(),
+            updated_at: new Date().toISOString()
+        });
+
+        return { updated: true, status, is_premium: org.is_premium };
+    }
+
+    async findMembershipByUserId(userId) {
+        const member = this.members.get(userId);
+        return member ? { ...member } : null;
+    }
+
+    async listMembers(orgId) {
+        return [...this.members.values()]
+            .filter(member => member.org_id === orgId)
+            .sort((a, b) => a.created_at.localeCompare(b.created_at))
+            .sort((a, b) => ROLE_ORDER[a.role] - ROLE_ORDER[b.role])
+            .map(member => ({ ...member }));
+    }
+
+    async addMember(orgId, userId, role) {
+        if (this.members.has(userId)) {
+            return false;
+        }
+
+        this.members.set(userId, { org_id: orgId, user_id: userId, role, created_at: new Date().toISOString() });
+        return true;
+    }
+
+    async updateMemberRole(orgId, userId, role) {
+        const member = this.members.get(userId);
+        if (member && member.org_id === orgId) {
+            member.role = role;
+        }
+    }
+
+    async removeMember(orgId, userId) {
+        const member = this.members.get(userId);
+        if (member && member.org_id === orgId) {
+            this.members.delete(userId);
+        }
+    }
+
+    async createInvitation(record) {
+        const invitation = {
+            id: crypto.randomUUID(),
+            accepted_at: null,
+            accepted_by: null,
+            revoked_at: null,
+            created_at: new Date().toISOString(),
+            ...record
+        };
+
+        this.invitations.set(invitation.id, invitation);
+        return { ...invitation };
+    }
+
+    async findInvitationByHash(tokenHash) {
+        const invitation = [...this.invitations.values()].find(candidate => candidate.token_hash === tokenHash);
+        return invitation ? { ...invitation } : null;
+    }
+
+    async findInvitation(orgId, invitationId) {
+        const invitation = this.invitations.get(invitationId);
+        return invitation && invitation.org_id === orgId ? { ...invitation } : null;
+    }
+
+    async listPendingInvitations(orgId, now) {
+        return [...this.invitations.values()]
+            .filter(invitation => invitation.org_id === orgId
+                && !invitation.accepted_at
+                && !invitation.revoked_at
+                && new Date(invitation.expires_at) > now)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(invitation => ({ ...invitation }));
+    }
+
+    async updateInvitation(invitationId, fields) {
+        const invitation = this.invitations.get(invitationId);
+        if (invitation) {
+            Object.assign(invitation, fields);
+        }
+    }
+}
+
+module.exports = OrganizationRepository;
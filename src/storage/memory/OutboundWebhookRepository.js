@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+class OutboundWebhookRepository {
+    constructor(db) {
+        this.deliveries = db.outboundWebhookDeliveries;
+    }
+
+    async enqueue(deliveries) {
+        const queued = [];
+
+        for (const delivery of deliveries) {
+            const duplicate = [...this.deliveries.values()].some(existing =>
+                existing.dedupe_key === delivery.dedupe_key && existing.endpoint_url === delivery.endpoint_url);
+
+            if (duplicate) {
+                continue;
+            }
+
+            const now = new Date().toISOString();
+            const row = {
+                id: crypto.randomUUID(),
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: now,
+                last_status_code: null,
+                last_error: null,
+                created_at: now,
+                delivered_at: null,
+                ...delivery
+            };
+
+            this.deliveries.set(row.id, row);
+            queued.push({ ...row });
+        }
+
+        return queued;
+    }
+
+    async listDue(now, limit) {
+        return [...this.deliveries.values()]
+            .filter(delivery => delivery.status === 'pending' && new Date(delivery.next_attempt_at) <= now)
+            .sort((a, b) => a.created_at.localeCompare(b.created_at))
+            .slice(0, limit)
+            .map(delivery => ({ ...delivery }));
+    }
+
+    async get(deliveryId) {
+        const row = this.deliveries.get(deliveryId);
+        return row ? { ...row } : null;
+    }
+
+    async update(deliveryId, fields) {
+        const row = this.deliveries.get(deliveryId);
+        if (row) {
+            Object.assign(row, fields);
+        }
+    }
+
+    async list({ status, eventType, limit = 50 } = {}) {
+        return [...this.deliveries.values()]
+            .filter(delivery => !status || delivery.status === status)
+            .filter(delivery => !eventType || delivery.event_type === eventType)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(0, limit)
+            .map(({ payload, dedupe_key, ...delivery }) => delivery);
+    }
+}
+
+module.exports = OutboundWebhookRepository;
@@ -0,0 +1,60 @@
+// Same list as StripeService.PREMIUM_STATUSES (the service can't be required from storage: cycle)
+const { PREMIUM_STATUSES } = require('../../config/plans');
+
+// In-memory stand-in for the update_premium_status_from_webhook RPC.
+//
+// Ordering rules, as the RPC applies them:
+//   - events older than the last one applied to the row are skipped
+//   - once a subscription is canceled, later non-cancel updates for that same
+//     subscription are skipped (a new subscription id is always accepted)
+// `is_premium` follows the status: active, trialing and canceling are premium.
+class SubscriptionRepository {
+    constructor(db, userLimits) {
+        this.userLimits = userLimits;
+    }
+
+    async applyWebhookUpdate({ customerId, subscriptionId, status, endDate, webhookTimestamp }) {
+        const row = this.userLimits.findRowByCustomerId(customerId);
+
+        if (!row) {
+            return { updated: false, reason: 'user_not_found' };
+        }
+
+        if (row.last_webhook_timestamp && new Date(row.last_webhook_timestamp) > webhookTimestamp) {
+            return {
+                updated: false,
+                reason: 'stale_event',
+                existing_timestamp: row.last_webhook_timestamp,
+                new_timestamp: webhookTimestamp.toISOString()
+            };
+        }
+
+        if (row.subscription_status === 'canceled'
+            && row.stripe_subscription_id === subscriptionId
+            && status !== 'canceled') {
+            return {
+                updated: false,
+                reason: 'subscription_already_canceled',
+                existing_status: row.subscription_status,
+                attempted_status: status
+            };
+        }
+
+        Object.assign(row, {
+            stripe_subscription_id: subscriptionId,
+            subscription_status: status,
+            subscription_end_date: endDate.toISOString(),
+            is_premium: PREMIUM_STATUSES.includes(status),
+            last_webhook_timestamp: webhookTimestamp.toISOString(),
+            updated_at: new Date().toISOString()
+        });
+
+        return {
+            updated: true,
+            status: row.subscription_status,
+            is_premium: row.is_premium
+        };
+    }
+}
+
+module.exports = SubscriptionRepository;
@@ -0,0 +1,64 @@
+const { truncateToBucket } = require('../../usageBuckets');
+
+function emptyCounts() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, users: new Set() };
+}
+
+function addEvent(counts, event) {
+    counts.requests += 1;
+    counts.promptTokens += event.prompt_tokens || 0;
+    counts.completionTokens += event.completion_tokens || 0;
+    counts.users.add(event.user_id);
+}
+
+class UsageEventRepository {
+    constructor(db) {
+        this.events = db.usageEvents;
+    }
+
+    async record(event) {
+        this.events.push({
+            id: this.events.length + 1,
+            occurred_at: new Date().toISOString(),
+            organization_id: null,
+            api_key_id: null,
+            model: null,
+            feature: null,
+            prompt_tokens: null,
+            completion_tokens: null,
+            client_version: null,
+            ...event
+        });
+    }
+
+    async summarize({ userId = null, from, to, granularity }) {
+        const totals = emptyCounts();
+        const buckets = new Map();
+
+        for (const event of this.events) {
+            const occurredAt = new Date(event.occurred_at);
+            if ((userId && event.user_id !== userId) || occurredAt < from || occurredAt >= to) {
+                continue;
+            }
+
+            const start = truncateToBucket(occurredAt, granularity).getTime();
+            if (!buckets.has(start)) {
+                buckets.set(start, emptyCounts());
+            }
+
+            addEvent(buckets.get(start), event);
+            addEvent(totals, event);
+        }
+
+        const withUserCount = counts => ({ ...counts, users: counts.users.size });
+
+        return {
+            totals: withUserCount(totals),
+            buckets: [...buckets.entries()]
+                .sort(([a], [b]) => a - b)
+                .map(([start, counts]) => ({ start: new Date(start), ...withUserCount(counts) }))
+        };
+    }
+}
+
+module.exports = UsageEventRepository;
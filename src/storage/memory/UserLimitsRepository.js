@@ -0,0 +1,144 @@
+const { randomUUID } = require('crypto');
+
+// Column defaults of user_request_limits
+function newRow(userId) {
+    const now = new Date().toISOString();
+
+    return {
+        id: randomUUID(),
+        user_id: userId,
+        request_count: 0,
+        is_premium: false,
+        plan: 'free',
+        quota_period_start: null,
+        stripe_customer_id: null,
+        stripe_subscription_id: null,
+        subscription_status: null,
+        subscription_end_date: null,
+        last_webhook_timestamp: null,
+        payment_status: 'current',
+        payment_status_at: null,
+        payment_failed_at: null,
+        payment_attempt_count: 0,
+        next_payment_attempt: null,
+        grace_period_ends_at: null,
+        trial_ends_at: null,
+        stripe_subscription_item_id: null,
+        comp_plan: null,
+        comp_expires_at: null,
+        quota_bonus: 0,
+        quota_bonus_period_start: null,
+        created_at: now,
+        updated_at: now
+    };
+}
+
+class UserLimitsRepository {
+    constructor(db) {
+        this.rows = db.userLimits;
+        this.deletedUsers = db.deletedUsers;
+    }
+
+    async findByUserId(userId) {
+        const row = this.rows.get(userId);
+        return row ? { ...row } : null;
+    }
+
+    async findByCustomerId(customerId) {
+        const row = this.findRowByCustomerId(customerId);
+        return row ? { ...row } : null;
+    }
+
+    findRowByCustomerId(customerId) {
+        for (const row of this.rows.values()) {
+            if (row.stripe_customer_id === customerId) {
+                return row;
+            }
+        }
+
+        return null;
+    }
+
+    // False when the account was deleted, which leaves no row to create
+    async ensure(userId) {
+        if (this.rows.has(userId)) {
+            return true;
+        }
+        if (this.deletedUsers.has(userId)) {
+            return false;
+        }
+
+        this.rows.set(userId, newRow(userId));
+        return true;
+    }
+
+    async update(userId, fields) {
+        const row = this.rows.get(userId);
+        if (row) {
+            Object.assign(row, fields, { updated_at: new Date().toISOString() });
+        }
+    }
+
+    async updateByCustomerId(customerId, fields) {
+        const now = new Date().toISOString();
+        for (const row of this.rows.values()) {
+            if (row.stripe_customer_id === customerId) {
+                Object.assign(row, fields, { updated_at: now });
+            }
+        }
+    }
+
+    // Same semantics as the consume_request_quota RPC. The check and the
+    // increment run without an await in between, so they are atomic here too.
+    async consumeQuota(userId, { limit, periodStart }) {
+        const row = this.rows.get(userId);
+
+        if (!row) {
+            return null;
+        }
+
+        const newPeriod = !!periodStart
+            && (!row.quota_period_start || new Date(row.quota_period_start) < periodStart);
+        const currentCount = newPeriod ? 0 : row.request_count || 0;
+
+        if (currentCount >= limit) {
+            return {
+                allowed: false,
+                requestCount: row.request_count || 0,
+                quotaPeriodStart: row.quota_period_start
+            };
+        }
+
+        row.request_count = currentCount + 1;
+        if (newPeriod) {
+            row.quota_period_start = periodStart.toISOString();
+        }
+        row.updated_at = new Date().toISOString();
+
+        return {
+            allowed: true,
+            requestCount: row.request_count,
+            quotaPeriodStart: row.quota_period_start
+        };
+    }
+
+    async listWithCustomer({ offset = 0, limit = 500 } = {}) {
+        return [...this.rows.values()]
+            .filter(row => row.stripe_customer_id)
+            .sort((a, b) => a.user_id.localeCompare(b.user_id))
+            .slice(offset, offset + limit)
+            .map(row => ({ ...row }));
+    }
+
+    // Rows whose grace period or complimentary plan ended in (since, until]
+    async listLapsed({ since, until }) {
+        const endedIn = value => !!value && new Date(value) > new Date(since) && new Date(value) <= new Date(until);
+
+        return [...this.rows.values()]
+            .filter(row => (row.payment_status === 'past_due' && endedIn(row.grace_period_ends_at))
+                || (row.comp_plan && endedIn(row.comp_expires_at)))
+            .map(row => ({ ...row }));
+    }
+}
+
+module.exports = UserLimitsRepository;
@@ -0,0 +1,37 @@
+// In-memory stand-in for Supabase Auth's users. Tests add users to
+// db.authUsers as userId -> { email }.
+class UserRepository {
+    constructor(db) {
+        this.users = db.authUsers;
+    }
+
+    async get(userId) {
+        const user = this.users.get(userId);
+        return user ? this.toRow(userId, user) : null;
+    }
+
+    async searchByEmail(query, limit = 20) {
+        const needle = query.toLowerCase();
+
+        return [...this.users.entries()]
+            .filter(([, user]) => user.email && user.email.toLowerCase().includes(needle))
+            .map(([userId, user]) => this.toRow(userId, user))
+            .sort((a, b) => a.email.localeCompare(b.email))
+            .slice(0, limit);
+    }
+
+    async delete(userId) {
+        return this.users.delete(userId);
+    }
+
+    toRow(userId, user) {
+        return {
+            id: userId,
+            email: user.email || null,
+            created_at: user.created_at || null,
+            last_sign_in_at: user.last_sign_in_at || null
+        };
+    }
+}
+
+module.exports = UserRepository;
@@ -0,0 +1,113 @@
+// Matches claim_webhook_event's default
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+class WebhookEventRepository {
+    constructor(db) {
+        this.events = db.webhookEvents;
+        this.deletedUsers = db.deletedUsers;
+    }
+
+    async claim(event) {
+        const now = new Date();
+        const existing = this.events.get(event.id);
+
+        if (!existing) {
+            this.events.set(event.id, {
+                id: event.id,
+                type: event.type,
+                payload: this.isAboutDeletedUser(event) ? null : event,
+                stripe_created_at: new Date(event.created * 1000).toISOString(),
+                received_at: now.toISOString(),
+                status: 'processing',
+                error: null,
+                attempts: 1,
+                processed_at: null,
+                updated_at: now.toISOString()
+            });
+            return { claimed: true, attempts: 1 };
+        }
+
+        const stale = existing.status === 'processing'
+            && now - new Date(existing.updated_at) > STALE_AFTER_MS;
+
+        if (existing.status === 'failed' || stale) {
+            Object.assign(existing, {
+                status: 'processing',
+                error: null,
+                attempts: existing.attempts + 1,
+                updated_at: now.toISOString()
+            });
+            return { claimed: true, attempts: existing.attempts };
+        }
+
+        return { claimed: false, status: existing.status, attempts: existing.attempts };
+    }
+
+    // Stripe still sends events about the customers of a deleted account
+    // (customer.subscription.deleted, customer.deleted); their payload isn't kept
+    isAboutDeletedUser(event) {
+        const object = event.data?.object;
+        if (!object) {
+            return false;
+        }
+
+        for (const [userId, { stripe_customer_ids: customerIds }] of this.deletedUsers) {
+            if (object.metadata?.userId === userId || customerIds.includes(object.customer) || customerIds.includes(object.id)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    async markStatus(eventId, status, errorMessage = null) {
+        const existing = this.events.get(eventId);
+        if (!existing) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        Object.assign(existing, {
+            status,
+            error: errorMessage,
+            processed_at: status === 'processed' ? now : null,
+            updated_at: now
+        });
+    }
+
+    async save(event, status, errorMessage = null) {
+        const now = new Date().toISOString();
+        const existing = this.events.get(event.id);
+
+        this.events.set(event.id, {
+            received_at: now,
+            attempts: 1,
+            ...existing,
+            id: event.id,
+            type: event.type,
+            payload: event,
+            stripe_created_at: new Date(event.created * 1000).toISOString(),
+            status,
+            error: errorMessage,
+            processed_at: status === 'processed' ? now : null,
+            updated_at: now
+        });
+    }
+
+    async get(eventId) {
+        const existing = this.events.get(eventId);
+        return existing ? { ...existing } : null;
+    }
+
+    async list({ status, type, customerId, limit = 50 } = {}) {
+        return [...this.events.values()]
+            .filter(event => !status || event.status === status)
+            .filter(event => !type || event.type === type)
+            .filter(event => !customerId || event.payload?.data?.object?.customer === customerId)
+            .sort((a, b) => b.received_at.localeCompare(a.received_at))
+            .slice(0, limit)
+            .map(({ payload, ...event }) => event);
+    }
+}
+
+module.exports = WebhookEventRepository;
@@ -0,0 +1,64 @@
+const UserLimitsRepository = require('./UserLimitsRepository');
+const SubscriptionRepository = require('./SubscriptionRepository');
+const WebhookEventRepository = require('./WebhookEventRepository');
+const InvoiceRepository = require('./InvoiceRepository');
+const ApiKeyRepository = require('./ApiKeyRepository');
+const OrganizationRepository = require('./OrganizationRepository');
+const UsageEventRepository = require('./UsageEventRepository');
+const MeteredUsageRepository = require('./MeteredUsageRepository');
+const NotificationRepository = require('./NotificationRepository');
+const UserRepository = require('./UserRepository');
+const AdminAuditRepository = require('./AdminAuditRepository');
+const OutboundWebhookRepository = require('./OutboundWebhookRepository');
+const AccountRepository = require('./AccountRepository');
+
+// Process-local storage for tests and offline development. Data is lost on
+// restart, so it must never be used in production.
+function createMemoryStorage() {
+    const db = {
+        userLimits: new Map(),
+        webhookEvents: new Map(),
+        invoices: new Map(),
+        apiKeys: new Map(),
+        organizations: new Map(),
+        // keyed by user_id - a user belongs to at most one organization
+        organizationMembers: new Map(),
+        organizationInvitations: new Map(),
+        usageEvents: [],
+        // keyed by `${user_id}:${subscription_item_id}`
+        meteredUsage: new Map(),
+        meteredUsageReports: new Map(),
+        // user_id -> { email }, what Supabase Auth would know about the user
+        authUsers: new Map(),
+        // user_id -> { deleted_at, stripe_customer_ids }, so tokens that outlive an
+        // account can't recreate it and later Stripe events about it aren't kept
+        deletedUsers: new Map(),
+        notificationPreferences: new Map(),
+        // keyed by `${user_id}:${dedupe_key}`
+        notificationDeliveries: new Map(),
+        adminAuditLog: [],
+        outboundWebhookDeliveries: new Map()
+    };
+    const userLimits = new UserLimitsRepository(db);
+
+    return {
+        driver: 'memory',
+        db,
+        async ping() {},
+        userLimits,
+        subscriptions: new SubscriptionRepository(db, userLimits),
+        webhookEvents: new WebhookEventRepository(db),
+        invoices: new InvoiceRepository(db),
+        apiKeys: new ApiKeyRepository(db),
+        organizations: new OrganizationRepository(db),
+        usageEvents: new UsageEventRepository(db),
+        meteredUsage: new MeteredUsageRepository(db),
+        notifications: new NotificationRepository(db),
+        users: new UserRepository(db),
+        adminAudit: new AdminAuditRepository(db),
+        outboundWebhooks: new OutboundWebhookRepository(db),
+        accounts: new AccountRepository(db)
+    };
+}
+
+module.exports = { createMemoryStorage };
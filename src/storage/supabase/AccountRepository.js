@@ -0,0 +1,101 @@
+// PostgREST caps a response at 1000 rows by default
+const PAGE_SIZE = 1000;
+
+// Everything stored about one user, for data exports and account deletion.
+// See supabase/migrations/20261018000015_account_deletion.sql and
+// 20261018000017_account_deletion_tombstones.sql for what is deleted and
+// what is kept.
+class AccountRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async exportData(userId) {
+        const [
+            account,
+            organizationMembership,
+            apiKeys,
+            invoices,
+            usageEvents,
+            meteredUsage,
+            meteredUsageReports,
+            notificationPreferences,
+            notificationDeliveries
+        ] = await Promise.all([
+            this.selectOne('user_request_limits', userId),
+            this.selectOne('organization_members', userId),
+            this.selectAll('api_keys', userId, 'created_at'),
+            this.selectAll('invoices', userId, 'invoice_created_at'),
+            this.selectAll('usage_events', userId, 'occurred_at'),
+            this.selectAll('metered_usage', userId, 'subscription_item_id'),
+            this.selectAll('metered_usage_reports', userId, 'created_at'),
+            this.selectOne('notification_preferences', userId),
+            this.selectAll('notification_deliveries', userId, 'created_at')
+        ]);
+
+        return {
+            account,
+            organizationMembership,
+            apiKeys,
+            invoices,
+            usageEvents,
+            meteredUsage,
+            meteredUsageReports,
+            notificationPreferences,
+            notificationDeliveries
+        };
+    }
+
+    // Returns how many rows went, by kind
+    async deleteData(userId, { customerIds = [] } = {}) {
+        const { data, error } = await this.client.rpc('delete_user_data', {
+            p_user_id: userId,
+            p_customer_ids: customerIds
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async selectOne(table, userId) {
+        const { data, error } = await this.client
+            .from(table)
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Pages through the rows in a stable order
+    async selectAll(table, userId, orderBy) {
+        const rows = [];
+
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data, error } = await this.client
+                .from(table)
+                .select('*')
+                .eq('user_id', userId)
+                .order(orderBy, { ascending: true })
+                .range(offset, offset + PAGE_SIZE - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...data);
+            if (data.length < PAGE_SIZE) {
+                return rows;
+            }
+        }
+    }
+}
+
+module.exports = AccountRepository;
@@ -0,0 +1,46 @@
+const TABLE = 'admin_audit_log';
+
+class AdminAuditRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async record(entry) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .insert(entry)
+            .select('*')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async list({ targetUserId, actorUserId, limit = 50 } = {}) {
+        let query = this.client
+            .from(TABLE)
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (targetUserId) {
+            query = query.eq('target_user_id', targetUserId);
+        }
+        if (actorUserId) {
+            query = query.eq('actor_user_id', actorUserId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = AdminAuditRepository;
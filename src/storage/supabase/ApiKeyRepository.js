@@ -0,0 +1,95 @@
+const TABLE = 'api_keys';
+
+class ApiKeyRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async create(record) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .insert(record)
+            .select('*')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async findByHash(keyHash) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .eq('key_hash', keyHash)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async listByUserId(userId) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Scoped to the owner so one user can't revoke another's key
+    async revoke(userId, keyId, revokedAt) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .update({ revoked_at: revokedAt })
+            .eq('id', keyId)
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .select('*')
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async findById(userId, keyId) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .eq('id', keyId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async touch(keyId, usedAt) {
+        const { error } = await this.client
+            .from(TABLE)
+            .update({ last_used_at: usedAt })
+            .eq('id', keyId);
+
+        if (error) {
+            throw error;
+        }
+    }
+}
+
+module.exports = ApiKeyRepository;
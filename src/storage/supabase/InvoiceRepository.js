@@ -0,0 +1,48 @@
+const TABLE = 'invoices';
+
+class InvoiceRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async get(invoiceId) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .eq('id', invoiceId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async upsert(record) {
+        const { error } = await this.client
+            .from(TABLE)
+            .upsert({ ...record, updated_at: new Date().toISOString() });
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async listByUserId(userId, { limit, offset }) {
+        const { data, error, count } = await this.client
+            .from(TABLE)
+            .select('*', { count: 'exact' })
+            .eq('user_id', userId)
+            .order('invoice_created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        return { rows: data, total: count || 0 };
+    }
+}
+
+module.exports = InvoiceRepository;
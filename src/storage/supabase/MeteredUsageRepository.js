@@ -0,0 +1,86 @@
+const REPORTS = 'metered_usage_reports';
+
+// Buffer and report log for metered billing, see
+// supabase/migrations/20261018000011_metered_usage.sql and
+// 20261018000016_metered_usage_occurred_at.sql
+class MeteredUsageRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async addPending({ userId, subscriptionItemId, quantity = 1, occurredAt = new Date() }) {
+        const { error } = await this.client.rpc('add_metered_usage', {
+            p_user_id: userId,
+            p_subscription_item_id: subscriptionItemId,
+            p_quantity: quantity,
+            p_occurred_at: occurredAt.toISOString()
+        });
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    // Moves everything buffered into pending reports; returns how many
+    async claimPending() {
+        const { data, error } = await this.client.rpc('claim_metered_usage');
+
+        if (error) {
+            throw error;
+        }
+
+        return data || 0;
+    }
+
+    async listDueReports(now, limit) {
+        const { data, error } = await this.client
+            .from(REPORTS)
+            .select('*')
+            .eq('status', 'pending')
+            .lte('next_attempt_at', now.toISOString())
+            .order('created_at', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async updateReport(reportId, fields) {
+        const { error } = await this.client
+            .from(REPORTS)
+            .update(fields)
+            .eq('id', reportId);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async listReports({ userId, status, limit = 50 } = {}) {
+        let query = this.client
+            .from(REPORTS)
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (userId) {
+            query = query.eq('user_id', userId);
+        }
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = MeteredUsageRepository;
@@ -0,0 +1,82 @@
+const PREFERENCES = 'notification_preferences';
+const DELIVERIES = 'notification_deliveries';
+
+// Email preferences and the delivery log, see
+// supabase/migrations/20261018000012_notifications.sql
+class NotificationRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getPreferences(userId) {
+        const { data, error } = await this.client
+            .from(PREFERENCES)
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async savePreferences(userId, fields) {
+        const { data, error } = await this.client
+            .from(PREFERENCES)
+            .upsert({ user_id: userId, ...fields, updated_at: new Date().toISOString() })
+            .select('*')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Returns the pending delivery, or null when it was already sent
+    async claimDelivery({ userId, kind, dedupeKey, recipient }) {
+        const { data, error } = await this.client.rpc('claim_notification_delivery', {
+            p_user_id: userId,
+            p_kind: kind,
+            p_dedupe_key: dedupeKey,
+            p_recipient: recipient
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return data?.[0] || null;
+    }
+
+    async updateDelivery(deliveryId, fields) {
+        const { error } = await this.client
+            .from(DELIVERIES)
+            .update(fields)
+            .eq('id', deliveryId);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async listDeliveries(userId, { limit = 50 } = {}) {
+        const { data, error } = await this.client
+            .from(DELIVERIES)
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = NotificationRepository;
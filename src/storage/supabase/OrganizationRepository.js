@@ -0,0 +1,248 @@
+const ORGS = 'organizations';
+const MEMBERS = 'organization_members';
+const INVITATIONS = 'organization_invitations';
+
+// Owner first, then by join date - the order seats are handed out in
+const ROLE_ORDER = { owner: 0, admin: 1, member: 1 };
+
+class OrganizationRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // Returns null when the owner already belongs to an organization
+    async create({ name, ownerUserId }) {
+        const { data, error } = await this.client.rpc('create_organization', {
+            p_name: name,
+            p_owner_user_id: ownerUserId
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return data.created ? data.organization : null;
+    }
+
+    async get(orgId) {
+        const { data, error } = await this.client
+            .from(ORGS)
+            .select('*')
+            .eq('id', orgId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async findByCustomerId(customerId) {
+        const { data, error } = await this.client
+            .from(ORGS)
+            .select('*')
+            .eq('stripe_customer_id', customerId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async update(orgId, fields) {
+        const { error } = await this.client
+            .from(ORGS)
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', orgId);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    // Atomic check-and-increment of the pooled counter, see consume_org_quota
+    async consumeQuota(orgId, { limit, periodStart }) {
+        const { data, error } = await this.client.rpc('consume_org_quota', {
+            p_org_id: orgId,
+            p_limit: limit,
+            p_period_start: periodStart ? periodStart.toISOString() : null
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        if (data?.reason === 'org_not_found') {
+            return null;
+        }
+
+        return {
+            allowed: data.allowed,
+            requestCount: data.request_count || 0,
+            quotaPeriodStart: data.quota_period_start || null
+        };
+    }
+
+    async applyWebhookUpdate({ customerId, subscriptionId, status, plan, seats, endDate, webhookTimestamp }) {
+        const { data, error } = await this.client.rpc('update_org_subscription_from_webhook', {
+            p_customer_id: customerId,
+            p_subscription_id: subscriptionId,
+            p_status: status,
+            p_plan: plan,
+            p_seats: seats,
+            p_end_date: endDate.toISOString(),
+            p_webhook_timestamp: webhookTimestamp.toISOString()
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async findMembershipByUserId(userId) {
+        const { data, error } = await this.client
+            .from(MEMBERS)
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async listMembers(orgId) {
+        const { data, error } = await this.client
+            .from(MEMBERS)
+            .select('*')
+            .eq('org_id', orgId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return data.sort((a, b) => ROLE_ORDER[a.role] - ROLE_ORDER[b.role]);
+    }
+
+    // Returns false when the user already belongs to an organization
+    async addMember(orgId, userId, role) {
+        const { error } = await this.client
+            .from(MEMBERS)
+            .insert({ org_id: orgId, user_id: userId, role });
+
+        if (error?.code === '23505') {
+            return false;
+        }
+        if (error) {
+            throw error;
+        }
+
+        return true;
+    }
+
+    async updateMemberRole(orgId, userId, role) {
+        const { error } = await this.client
+            .from(MEMBERS)
+            .update({ role })
+            .eq('org_id', orgId)
+            .eq('user_id', userId);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async removeMember(orgId, userId) {
+        const { error } = await this.client
+            .from(MEMBERS)
+            .delete()
+            .eq('org_id', orgId)
+            .eq('user_id', userId);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async createInvitation(record) {
+        const { data, error } = await this.client
+            .from(INVITATIONS)
+            .insert(record)
+            .select('*')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async findInvitationByHash(tokenHash) {
+        const { data, error } = await this.client
+            .from(INVITATIONS)
+            .select('*')
+            .eq('token_hash', tokenHash)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async findInvitation(orgId, invitationId) {
+        const { data, error } = await this.client
+            .from(INVITATIONS)
+            .select('*')
+            .eq('org_id', orgId)
+            .eq('id', invitationId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Not yet accepted, revoked or expired
+    async listPendingInvitations(orgId, now) {
+        const { data, error } = await this.client
+            .from(INVITATIONS)
+            .select('*')
+            .eq('org_id', orgId)
+            .is('accepted_at', null)
+            .is('revoked_at', null)
+            .gt('expires_at', now.toISOString())
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async updateInvitation(invitationId, fields) {
+        const { error } = await this.client
+            .from(INVITATIONS)
+            .update(fields)
+            .eq('id', invitationId);
+
+        if (error) {
+            throw error;
+        }
+    }
+}
+
+module.exports = OrganizationRepository;
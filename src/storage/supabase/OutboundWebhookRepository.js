@@ -0,0 +1,93 @@
+const TABLE = 'outbound_webhook_deliveries';
+
+// Everything but the payload, for listings
+const SUMMARY_COLUMNS = 'id, event_id, event_type, endpoint_url, status, attempts, next_attempt_at, last_status_code, last_error, created_at, delivered_at';
+
+// Delivery log of outbound webhooks, see
+// supabase/migrations/20261018000014_outbound_webhooks.sql
+class OutboundWebhookRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // Returns the rows that were queued; ones whose dedupe key and endpoint
+    // are already in the log are left out
+    async enqueue(deliveries) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .upsert(deliveries, { onConflict: 'dedupe_key,endpoint_url', ignoreDuplicates: true })
+            .select('*');
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async listDue(now, limit) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .eq('status', 'pending')
+            .lte('next_attempt_at', now.toISOString())
+            .order('created_at', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async get(deliveryId) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .eq('id', deliveryId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async update(deliveryId, fields) {
+        const { error } = await this.client
+            .from(TABLE)
+            .update(fields)
+            .eq('id', deliveryId);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async list({ status, eventType, limit = 50 } = {}) {
+        let query = this.client
+            .from(TABLE)
+            .select(SUMMARY_COLUMNS)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+        if (eventType) {
+            query = query.eq('event_type', eventType);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = OutboundWebhookRepository;
@@ -0,0 +1,26 @@
+class SubscriptionRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // The RPC owns the ordering rules: it skips events older than the last one
+    // applied and won't let a canceled subscription be revived by a stale update.
+    // Returns its result as-is ({ updated, reason, status, is_premium, ... }).
+    async applyWebhookUpdate({ customerId, subscriptionId, status, endDate, webhookTimestamp }) {
+        const { data, error } = await this.client.rpc('update_premium_status_from_webhook', {
+            p_stripe_customer_id: customerId,
+            p_subscription_id: subscriptionId,
+            p_status: status,
+            p_end_date: endDate.toISOString(),
+            p_webhook_timestamp: webhookTimestamp.toISOString()
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = SubscriptionRepository;
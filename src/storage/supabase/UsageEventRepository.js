@@ -0,0 +1,46 @@
+const TABLE = 'usage_events';
+
+class UsageEventRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async record(event) {
+        const { error } = await this.client.from(TABLE).insert(event);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    // Aggregated in the database, see summarize_usage. `userId` null means
+    // every user.
+    async summarize({ userId = null, from, to, granularity }) {
+        const { data, error } = await this.client.rpc('summarize_usage', {
+            p_user_id: userId,
+            p_from: from.toISOString(),
+            p_to: to.toISOString(),
+            p_granularity: granularity
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        const toCounts = row => ({
+            requests: Number(row?.requests || 0),
+            promptTokens: Number(row?.prompt_tokens || 0),
+            completionTokens: Number(row?.completion_tokens || 0),
+            users: Number(row?.users || 0)
+        });
+
+        return {
+            totals: toCounts(data.find(row => row.bucket === null)),
+            buckets: data
+                .filter(row => row.bucket !== null)
+                .map(row => ({ start: new Date(row.bucket), ...toCounts(row) }))
+        };
+    }
+}
+
+module.exports = UsageEventRepository;
@@ -0,0 +1,158 @@
+const TABLE = 'user_request_limits';
+
+// PostgREST error code for "no rows" on .single()
+const NO_ROWS = 'PGRST116';
+
+class UserLimitsRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async findByUserId(userId) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .eq('user_id', userId)
+            .single();
+
+        if (error && error.code !== NO_ROWS) {
+            throw error;
+        }
+
+        return data || null;
+    }
+
+    async findByCustomerId(customerId) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .eq('stripe_customer_id', customerId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    // False when the account was deleted, which leaves no row to create
+    async ensure(userId) {
+        const { data: existing } = await this.client
+            .from(TABLE)
+            .select('id')
+            .eq('user_id', userId)
+            .single();
+
+        if (existing) {
+            return true;
+        }
+
+        const { data: deleted, error: deletedError } = await this.client
+            .from('deleted_users')
+            .select('user_id')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (deletedError) {
+            throw deletedError;
+        }
+        if (deleted) {
+            return false;
+        }
+
+        const { error } = await this.client
+            .from(TABLE)
+            .insert({
+                user_id: userId,
+                request_count: 0,
+                is_premium: false
+            });
+
+        // 23505: another request created the row first
+        if (error && error.code !== '23505') {
+            throw error;
+        }
+
+        return true;
+    }
+
+    async update(userId, fields) {
+        const { error } = await this.client
+            .from(TABLE)
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('user_id', userId);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async updateByCustomerId(customerId, fields) {
+        const { error } = await this.client
+            .from(TABLE)
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('stripe_customer_id', customerId);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    // Atomic check-and-increment, see consume_request_quota in supabase/migrations
+    async consumeQuota(userId, { limit, periodStart }) {
+        const { data, error } = await this.client.rpc('consume_request_quota', {
+            p_user_id: userId,
+            p_limit: limit,
+            p_period_start: periodStart ? periodStart.toISOString() : null
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        if (data?.reason === 'user_not_found') {
+            return null;
+        }
+
+        return {
+            allowed: data.allowed,
+            requestCount: data.request_count || 0,
+            quotaPeriodStart: data.quota_period_start || null
+        };
+    }
+
+    async listWithCustomer({ offset = 0, limit = 500 } = {}) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .not('stripe_customer_id', 'is', null)
+            .order('user_id')
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Rows whose grace period or complimentary plan ended in (since, until]
+    async listLapsed({ since, until }) {
+        const endedIn = column => `${column}.gt."${since}",${column}.lte."${until}"`;
+
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .or(`and(payment_status.eq.past_due,${endedIn('grace_period_ends_at')}),`
+                + `and(comp_plan.not.is.null,${endedIn('comp_expires_at')})`);
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = UserLimitsRepository;
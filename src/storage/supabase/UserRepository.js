@@ -0,0 +1,58 @@
+// Supabase Auth's users, for email addresses and support lookups. Sign-up and
+// profile changes stay with Supabase Auth; we only delete users whose accounts
+// are closed.
+class UserRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async get(userId) {
+        const { data, error } = await this.client.auth.admin.getUserById(userId);
+
+        if (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+
+        const { user } = data;
+        return {
+            id: user.id,
+            email: user.email || null,
+            created_at: user.created_at,
+            last_sign_in_at: user.last_sign_in_at || null
+        };
+    }
+
+    // Returns false when the user was already gone
+    async delete(userId) {
+        const { error } = await this.client.auth.admin.deleteUser(userId);
+
+        if (error) {
+            if (error.status === 404) {
+                return false;
+            }
+            throw error;
+        }
+
+        return true;
+    }
+
+    // Users whose email address contains `query`, see
+    // supabase/migrations/20261018000013_admin.sql
+    async searchByEmail(query, limit = 20) {
+        const { data, error } = await this.client.rpc('search_users_by_email', {
+            p_query: query,
+            p_limit: limit
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = UserRepository;
@@ -0,0 +1,103 @@
+const TABLE = 'stripe_webhook_events';
+
+class WebhookEventRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // See claim_webhook_event in supabase/migrations. Events about a deleted
+    // user's customers are recorded without their payload.
+    async claim(event) {
+        const { data, error } = await this.client.rpc('claim_webhook_event', {
+            p_event_id: event.id,
+            p_type: event.type,
+            p_payload: event,
+            p_stripe_created_at: new Date(event.created * 1000).toISOString()
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async markStatus(eventId, status, errorMessage = null) {
+        const now = new Date().toISOString();
+        const { error } = await this.client
+            .from(TABLE)
+            .update({
+                status,
+                error: errorMessage,
+                processed_at: status === 'processed' ? now : null,
+                updated_at: now
+            })
+            .eq('id', eventId);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async save(event, status, errorMessage = null) {
+        const now = new Date().toISOString();
+        const { error } = await this.client
+            .from(TABLE)
+            .upsert({
+                id: event.id,
+                type: event.type,
+                payload: event,
+                stripe_created_at: new Date(event.created * 1000).toISOString(),
+                status,
+                error: errorMessage,
+                processed_at: status === 'processed' ? now : null,
+                updated_at: now
+            });
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async get(eventId) {
+        const { data, error } = await this.client
+            .from(TABLE)
+            .select('*')
+            .eq('id', eventId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async list({ status, type, customerId, limit = 50 } = {}) {
+        let query = this.client
+            .from(TABLE)
+            .select('id, type, status, error, attempts, stripe_created_at, received_at, processed_at')
+            .order('received_at', { ascending: false })
+            .limit(limit);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+        if (type) {
+            query = query.eq('type', type);
+        }
+        if (customerId) {
+            query = query.eq('payload->data->object->>customer', customerId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+module.exports = WebhookEventRepository;
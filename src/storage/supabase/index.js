@@ -0,0 +1,49 @@
+const { createClient } = require('@supabase/supabase-js');
+const UserLimitsRepository = require('./UserLimitsRepository');
+const SubscriptionRepository = require('./SubscriptionRepository');
+const WebhookEventRepository = require('./WebhookEventRepository');
+const InvoiceRepository = require('./InvoiceRepository');
+const ApiKeyRepository = require('./ApiKeyRepository');
+const OrganizationRepository = require('./OrganizationRepository');
+const UsageEventRepository = require('./UsageEventRepository');
+const MeteredUsageRepository = require('./MeteredUsageRepository');
+const NotificationRepository = require('./NotificationRepository');
+const UserRepository = require('./UserRepository');
+const AdminAuditRepository = require('./AdminAuditRepository');
+const OutboundWebhookRepository = require('./OutboundWebhookRepository');
+const AccountRepository = require('./AccountRepository');
+const { instrumentFetch } = require('../../metrics');
+
+function createSupabaseStorage({ url, serviceRoleKey, client } = {}) {
+    // Every PostgREST call goes through fetch, which is where latency is measured
+    const supabase = client || createClient(url, serviceRoleKey, {
+        global: { fetch: instrumentFetch('supabase') }
+    });
+
+    return {
+        driver: 'supabase',
+        client: supabase,
+        // Cheapest query that proves the database is reachable with our key
+        async ping() {
+            const { error } = await supabase.from('user_request_limits').select('user_id').limit(1);
+            if (error) {
+                throw error;
+            }
+        },
+        userLimits: new UserLimitsRepository(supabase),
+        subscriptions: new SubscriptionRepository(supabase),
+        webhookEvents: new WebhookEventRepository(supabase),
+        invoices: new InvoiceRepository(supabase),
+        apiKeys: new ApiKeyRepository(supabase),
+        organizations: new OrganizationRepository(supabase),
+        usageEvents: new UsageEventRepository(supabase),
+        meteredUsage: new MeteredUsageRepository(supabase),
+        notifications: new NotificationRepository(supabase),
+        users: new UserRepository(supabase),
+        adminAudit: new AdminAuditRepository(supabase),
+        outboundWebhooks: new OutboundWebhookRepository(supabase),
+        accounts: new AccountRepository(supabase)
+    };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,52 @@
+// Time buckets for usage summaries. Buckets are UTC and weeks start on
+// Monday, matching date_trunc in the summarize_usage database function.
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+// Start of the bucket containing `date`
+function truncateToBucket(date, granularity) {
+    const d = new Date(date);
+
+    switch (granularity) {
+        case 'hour':
+            return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours()));
+        case 'day':
+            return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+        case 'week':
+            return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - (d.getUTCDay() + 6) % 7));
+        case 'month':
+            return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+        default:
+            throw new Error(`Unknown granularity: ${granularity}`);
+    }
+}
+
+// Start of the bucket after the one starting at `start`
+function nextBucket(start, granularity) {
+    const next = new Date(start);
+
+    switch (granularity) {
+        case 'hour':
+            next.setUTCHours(next.getUTCHours() + 1);
+            break;
+        case 'day':
+            next.setUTCDate(next.getUTCDate() + 1);
+            break;
+        case 'week':
+            next.setUTCDate(next.getUTCDate() + 7);
+            break;
+        case 'month':
+            next.setUTCMonth(next.getUTCMonth() + 1);
+            break;
+        default:
+            throw new Error(`Unknown granularity: ${granularity}`);
+    }
+
+    return next;
+}
+
+module.exports = {
+    GRANULARITIES,
+    truncateToBucket,
+    nextBucket
+};
@@ -0,0 +1,242 @@
+const { z } = require('zod');
+const { API_KEY_SCOPES } = require('../services/ApiKeyService');
+const { ASSIGNABLE_ROLES, MAX_SEATS } = require('../services/OrganizationService');
+const { EVENT_TYPES: OUTBOUND_EVENT_TYPES } = require('../services/OutboundWebhookService');
+const { GRANULARITIES } = require('../usageBuckets');
+
+// Declarative request schemas for every route. Unknown body fields are
+// stripped rather than rejected so older desktop clients keep working.
+
+const userId = z.string().uuid({ message: 'must be a UUID' });
+const email = z.string().trim().email({ message: 'must be a valid email address' });
+const stripeCustomerId = z.string().regex(/^cus_[A-Za-z0-9]+$/, { message: 'must be a Stripe customer id' });
+const promotionCode = z.string().trim().min(1).max(64);
+// Campaign parameters from the landing page URL, stored as utm_* metadata
+const utmValue = z.string().trim().max(200).optional();
+const utm = z.object({
+    source: utmValue,
+    medium: utmValue,
+    campaign: utmValue,
+    term: utmValue,
+    content: utmValue
+});
+
+const tokenCount = z.number().int().min(0).max(10000000);
+// Why an admin made a change, kept in the audit log
+const adminReason = z.string().trim().min(3).max(500);
+const isoDate = z.coerce.date({ errorMap: () => ({ message: 'must be an ISO 8601 date' }) });
+
+const usageRange = z.object({
+    from: isoDate.optional(),
+    to: isoDate.optional(),
+    granularity: z.enum(GRANULARITIES, {
+        errorMap: () => ({ message: `must be one of: ${GRANULARITIES.join(', ')}` })
+    }).default('day')
+});
+
+// Plan keys come from the catalog, so the schemas are built once it is loaded
+function createSchemas({ paidPlanKeys }) {
+    const planKey = z.enum(paidPlanKeys, {
+        errorMap: () => ({ message: `must be one of: ${paidPlanKeys.join(', ')}` })
+    });
+    const role = z.enum(ASSIGNABLE_ROLES, {
+        errorMap: () => ({ message: `must be one of: ${ASSIGNABLE_ROLES.join(', ')}` })
+    });
+    const orgParams = z.object({ orgId: z.string().uuid({ message: 'must be a UUID' }) });
+    const adminUserParams = z.object({ userId });
+    const deliveryParams = z.object({ deliveryId: z.string().uuid({ message: 'must be a UUID' }) });
+
+    return {
+        // The usage fields are optional details for the usage log
+        validateRequest: {
+            body: z.object({
+                userId: userId.optional(),
+                model: z.string().trim().min(1).max(100).optional(),
+                feature: z.string().trim().min(1).max(100).optional(),
+                promptTokens: tokenCount.optional(),
+                completionTokens: tokenCount.optional(),
+                clientVersion: z.string().trim().min(1).max(50).optional()
+            })
+        },
+
+        usage: {
+            query: usageRange
+        },
+
+        createCheckoutSession: {
+            body: z.object({
+                userId: userId.optional(),
+                email: email.optional(),
+                plan: planKey.default(paidPlanKeys.includes('pro') ? 'pro' : paidPlanKeys[0]),
+                promotionCode: promotionCode.optional(),
+                utm: utm.optional()
+            })
+        },
+
+        createPortalSession: {
+            body: z.object({
+                userId: userId.optional(),
+                customerId: stripeCustomerId.optional()
+            })
+        },
+
+        subscriptionStatus: {
+            params: z.object({
+                userId
+            })
+        },
+
+        createApiKey: {
+            body: z.object({
+                name: z.string().trim().min(1).max(100),
+                scopes: z.array(z.enum(API_KEY_SCOPES)).min(1).optional(),
+                expiresAt: z.string().datetime({ offset: true, message: 'must be an ISO 8601 date-time' }).nullable().optional()
+            })
+        },
+
+        revokeApiKey: {
+            params: z.object({
+                id: z.string().uuid({ message: 'must be a UUID' })
+            })
+        },
+
+        createOrganization: {
+            body: z.object({
+                name: z.string().trim().min(1).max(100)
+            })
+        },
+
+        organization: {
+            params: orgParams
+        },
+
+        inviteMember: {
+            params: orgParams,
+            body: z.object({
+                email,
+                role: role.default('member')
+            })
+        },
+
+        organizationInvitation: {
+            params: orgParams.extend({
+                invitationId: z.string().uuid({ message: 'must be a UUID' })
+            })
+        },
+
+        acceptInvitation: {
+            body: z.object({
+                token: z.string().min(1)
+            })
+        },
+
+        organizationMember: {
+            params: orgParams.extend({ userId })
+        },
+
+        updateMemberRole: {
+            params: orgParams.extend({ userId }),
+            body: z.object({ role })
+        },
+
+        organizationCheckout: {
+            params: orgParams,
+            body: z.object({
+                plan: planKey.default(paidPlanKeys.includes('team') ? 'team' : paidPlanKeys[0]),
+                seats: z.number().int().min(1).max(MAX_SEATS).optional(),
+                promotionCode: promotionCode.optional(),
+                utm: utm.optional()
+            })
+        },
+
+        notificationPreferences: {
+            body: z.object({
+                nonEssentialEmails: z.boolean()
+            })
+        },
+
+        adminUserSearch: {
+            query: z.object({
+                q: z.string().trim().min(1).max(200),
+                limit: z.coerce.number().int().min(1).max(100).default(20)
+            })
+        },
+
+        adminUser: {
+            params: adminUserParams
+        },
+
+        grantComplimentary: {
+            params: adminUserParams,
+            body: z.object({
+                plan: planKey.default(paidPlanKeys.includes('pro') ? 'pro' : paidPlanKeys[0]),
+                expiresAt: z.string().datetime({ offset: true, message: 'must be an ISO 8601 date-time' }),
+                reason: adminReason
+            })
+        },
+
+        revokeComplimentary: {
+            params: adminUserParams,
+            body: z.object({ reason: adminReason })
+        },
+
+        adjustQuota: {
+            params: adminUserParams,
+            body: z.discriminatedUnion('action', [
+                z.object({ action: z.literal('reset'), reason: adminReason }),
+                z.object({ action: z.literal('top_up'), requests: z.number().int().min(1).max(1000000), reason: adminReason })
+            ], { errorMap: () => ({ message: 'must be reset or top_up' }) })
+        },
+
+        adminAuditLog: {
+            query: z.object({
+                userId: userId.optional(),
+                actorId: userId.optional(),
+                limit: z.coerce.number().int().min(1).max(200).default(50)
+            })
+        },
+
+        outboundWebhookDeliveries: {
+            query: z.object({
+                status: z.enum(['pending', 'delivered', 'failed'], {
+                    errorMap: () => ({ message: 'must be one of: pending, delivered, failed' })
+                }).optional(),
+                eventType: z.enum(OUTBOUND_EVENT_TYPES, {
+                    errorMap: () => ({ message: `must be one of: ${OUTBOUND_EVENT_TYPES.join(', ')}` })
+                }).optional(),
+                limit: z.coerce.number().int().min(1).max(200).default(50)
+            })
+        },
+
+        outboundWebhookDelivery: {
+            params: deliveryParams
+        },
+
+        retryOutboundWebhook: {
+            params: deliveryParams,
+            body: z.object({ reason: adminReason })
+        },
+
+        deleteAccount: {
+            body: z.object({
+                reason: z.string().trim().min(1).max(500).optional()
+            })
+        },
+
+        billingHistory: {
+            query: z.object({
+                limit: z.coerce.number().int().min(1).max(100).default(20),
+                offset: z.coerce.number().int().min(0).default(0)
+            })
+        }
+    };
+}
+
+module.exports = {
+    createSchemas,
+    fields: {
+        userId,
+        email,
+        stripeCustomerId
+    }
+};
@@ -0,0 +1,54 @@
+-- Atomic check-and-increment of a free user's request quota.
+--
+-- The conditional UPDATE takes the row lock and re-checks `request_count`
+-- after acquiring it, so two concurrent calls can never both take the last
+-- free slot. Premium users are always allowed and their count is left alone.
+
+create or replace function public.consume_request_quota(
+    p_user_id uuid,
+    p_limit integer
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row user_request_limits%rowtype;
+begin
+    update user_request_limits
+       set request_count = coalesce(request_count, 0) + 1,
+           updated_at = now()
+     where user_id = p_user_id
+       and not coalesce(is_premium, false)
+       and coalesce(request_count, 0) < p_limit
+    returning * into v_row;
+
+    if found then
+        return jsonb_build_object(
+            'allowed', true,
+            'is_premium', false,
+            'request_count', v_row.request_count
+        );
+    end if;
+
+    -- Nothing was consumed: either the user is premium or the quota is used up
+    select * into v_row from user_request_limits where user_id = p_user_id;
+
+    if not found then
+        return jsonb_build_object(
+            'allowed', false,
+            'reason', 'user_not_found'
+        );
+    end if;
+
+    return jsonb_build_object(
+        'allowed', coalesce(v_row.is_premium, false),
+        'is_premium', coalesce(v_row.is_premium, false),
+        'request_count', coalesce(v_row.request_count, 0)
+    );
+end;
+$$;
+
+revoke all on function public.consume_request_quota(uuid, integer) from public, anon, authenticated;
+grant execute on function public.consume_request_quota(uuid, integer) to service_role;
@@ -0,0 +1,79 @@
+-- Rolling quota windows: each user's count belongs to a period that starts at
+-- `quota_period_start`. The RPC resets the count lazily when the caller passes
+-- a newer period start. A null period start means a lifetime quota.
+
+alter table public.user_request_limits
+    add column if not exists quota_period_start timestamptz;
+
+drop function if exists public.consume_request_quota(uuid, integer);
+
+create or replace function public.consume_request_quota(
+    p_user_id uuid,
+    p_limit integer,
+    p_period_start timestamptz default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row user_request_limits%rowtype;
+begin
+    update user_request_limits u
+       set request_count = (
+               case
+                   when p_period_start is not null
+                    and (u.quota_period_start is null or u.quota_period_start < p_period_start)
+                   then 0
+                   else coalesce(u.request_count, 0)
+               end
+           ) + 1,
+           quota_period_start = coalesce(
+               greatest(u.quota_period_start, p_period_start),
+               u.quota_period_start,
+               p_period_start
+           ),
+           updated_at = now()
+     where u.user_id = p_user_id
+       and not coalesce(u.is_premium, false)
+       and (
+               case
+                   when p_period_start is not null
+                    and (u.quota_period_start is null or u.quota_period_start < p_period_start)
+                   then 0
+                   else coalesce(u.request_count, 0)
+               end
+           ) < p_limit
+    returning * into v_row;
+
+    if found then
+        return jsonb_build_object(
+            'allowed', true,
+            'is_premium', false,
+            'request_count', v_row.request_count,
+            'quota_period_start', v_row.quota_period_start
+        );
+    end if;
+
+    -- Nothing was consumed: either the user is premium or the quota is used up
+    select * into v_row from user_request_limits where user_id = p_user_id;
+
+    if not found then
+        return jsonb_build_object(
+            'allowed', false,
+            'reason', 'user_not_found'
+        );
+    end if;
+
+    return jsonb_build_object(
+        'allowed', coalesce(v_row.is_premium, false),
+        'is_premium', coalesce(v_row.is_premium, false),
+        'request_count', coalesce(v_row.request_count, 0),
+        'quota_period_start', v_row.quota_period_start
+    );
+end;
+$$;
+
+revoke all on function public.consume_request_quota(uuid, integer, timestamptz) from public, anon, authenticated;
+grant execute on function public.consume_request_quota(uuid, integer, timestamptz) to service_role;
@@ -0,0 +1,85 @@
+-- Multi-tier plans. `plan` is the plan of the user's latest subscription; it
+-- only grants anything while `is_premium` is true. Limits per plan live in the
+-- application's plan catalog, so the quota RPC no longer looks at is_premium
+-- and simply enforces the limit it is given.
+
+alter table public.user_request_limits
+    add column if not exists plan text not null default 'free';
+
+-- Existing premium users are all on the original single price
+update public.user_request_limits
+   set plan = 'pro'
+ where is_premium = true
+   and plan = 'free';
+
+create index if not exists user_request_limits_stripe_customer_id_idx
+    on public.user_request_limits (stripe_customer_id);
+
+drop function if exists public.consume_request_quota(uuid, integer, timestamptz);
+
+create or replace function public.consume_request_quota(
+    p_user_id uuid,
+    p_limit integer,
+    p_period_start timestamptz default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row user_request_limits%rowtype;
+begin
+    update user_request_limits u
+       set request_count = (
+               case
+                   when p_period_start is not null
+                    and (u.quota_period_start is null or u.quota_period_start < p_period_start)
+                   then 0
+                   else coalesce(u.request_count, 0)
+               end
+           ) + 1,
+           quota_period_start = coalesce(
+               greatest(u.quota_period_start, p_period_start),
+               u.quota_period_start,
+               p_period_start
+           ),
+           updated_at = now()
+     where u.user_id = p_user_id
+       and (
+               case
+                   when p_period_start is not null
+                    and (u.quota_period_start is null or u.quota_period_start < p_period_start)
+                   then 0
+                   else coalesce(u.request_count, 0)
+               end
+           ) < p_limit
+    returning * into v_row;
+
+    if found then
+        return jsonb_build_object(
+            'allowed', true,
+            'request_count', v_row.request_count,
+            'quota_period_start', v_row.quota_period_start
+        );
+    end if;
+
+    select * into v_row from user_request_limits where user_id = p_user_id;
+
+    if not found then
+        return jsonb_build_object(
+            'allowed', false,
+            'reason', 'user_not_found'
+        );
+    end if;
+
+    return jsonb_build_object(
+        'allowed', false,
+        'request_count', coalesce(v_row.request_count, 0),
+        'quota_period_start', v_row.quota_period_start
+    );
+end;
+$$;
+
+revoke all on function public.consume_request_quota(uuid, integer, timestamptz) from public, anon, authenticated;
+grant execute on function public.consume_request_quota(uuid, integer, timestamptz) to service_role;
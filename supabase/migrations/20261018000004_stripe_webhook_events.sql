@@ -0,0 +1,75 @@
+-- Log of every Stripe webhook delivery, keyed by Stripe's event id.
+--
+-- claim_webhook_event() records an event and tells the caller whether it
+-- should be processed. Events already processed (or being processed) are
+-- reported as duplicates. Failed events, and events stuck in 'processing'
+-- by a crashed worker, can be claimed again by a retry or a replay.
+
+create table if not exists public.stripe_webhook_events (
+    id text primary key,
+    type text not null,
+    payload jsonb not null,
+    stripe_created_at timestamptz,
+    received_at timestamptz not null default now(),
+    status text not null default 'processing'
+        check (status in ('processing', 'processed', 'failed')),
+    error text,
+    attempts integer not null default 1,
+    processed_at timestamptz,
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists stripe_webhook_events_status_idx
+    on public.stripe_webhook_events (status, received_at desc);
+
+create index if not exists stripe_webhook_events_type_idx
+    on public.stripe_webhook_events (type, received_at desc);
+
+alter table public.stripe_webhook_events enable row level security;
+
+create or replace function public.claim_webhook_event(
+    p_event_id text,
+    p_type text,
+    p_payload jsonb,
+    p_stripe_created_at timestamptz,
+    p_stale_after interval default interval '5 minutes'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row stripe_webhook_events%rowtype;
+begin
+    insert into stripe_webhook_events (id, type, payload, stripe_created_at)
+    values (p_event_id, p_type, p_payload, p_stripe_created_at)
+    on conflict (id) do update
+       set status = 'processing',
+           error = null,
+           attempts = stripe_webhook_events.attempts + 1,
+           updated_at = now()
+     where stripe_webhook_events.status = 'failed'
+        or (stripe_webhook_events.status = 'processing'
+            and stripe_webhook_events.updated_at < now() - p_stale_after)
+    returning * into v_row;
+
+    if found then
+        return jsonb_build_object(
+            'claimed', true,
+            'attempts', v_row.attempts
+        );
+    end if;
+
+    select * into v_row from stripe_webhook_events where id = p_event_id;
+
+    return jsonb_build_object(
+        'claimed', false,
+        'status', v_row.status,
+        'attempts', v_row.attempts
+    );
+end;
+$$;
+
+revoke all on function public.claim_webhook_event(text, text, jsonb, timestamptz, interval) from public, anon, authenticated;
+grant execute on function public.claim_webhook_event(text, text, jsonb, timestamptz, interval) to service_role;
@@ -0,0 +1,13 @@
+-- Dunning state for failed renewal payments. While `payment_status` is
+-- 'past_due' the user keeps their paid plan until `grace_period_ends_at`.
+-- `payment_status_at` is the Stripe event time of the last change, so
+-- out-of-order invoice events can't roll the state back.
+
+alter table public.user_request_limits
+    add column if not exists payment_status text not null default 'current'
+        check (payment_status in ('current', 'past_due')),
+    add column if not exists payment_status_at timestamptz,
+    add column if not exists payment_failed_at timestamptz,
+    add column if not exists payment_attempt_count integer not null default 0,
+    add column if not exists next_payment_attempt timestamptz,
+    add column if not exists grace_period_ends_at timestamptz;
@@ -0,0 +1,31 @@
+-- Copies of paid and failed Stripe invoices, served as the user's billing
+-- history. `stripe_event_at` is the time of the webhook event that last wrote
+-- the row, so an older delivery can't overwrite a newer status.
+
+create table if not exists public.invoices (
+    id text primary key,
+    user_id uuid,
+    stripe_customer_id text not null,
+    stripe_subscription_id text,
+    number text,
+    status text not null,
+    amount_due integer not null default 0,
+    amount_paid integer not null default 0,
+    currency text not null,
+    billing_reason text,
+    period_start timestamptz,
+    period_end timestamptz,
+    hosted_invoice_url text,
+    invoice_pdf text,
+    invoice_created_at timestamptz not null,
+    stripe_event_at timestamptz not null,
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists invoices_user_id_created_idx
+    on public.invoices (user_id, invoice_created_at desc);
+
+create index if not exists invoices_stripe_customer_id_idx
+    on public.invoices (stripe_customer_id);
+
+alter table public.invoices enable row level security;
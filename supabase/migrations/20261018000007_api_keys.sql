@@ -0,0 +1,21 @@
+-- API keys for scripts and CI. Only a SHA-256 hash of each key is stored;
+-- the plaintext is shown to the user once, when the key is created.
+-- `prefix` is the first characters of the key so users can tell keys apart.
+
+create table if not exists public.api_keys (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null,
+    name text not null,
+    prefix text not null,
+    key_hash text not null unique,
+    scopes text[] not null default '{}',
+    expires_at timestamptz,
+    last_used_at timestamptz,
+    revoked_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists api_keys_user_id_idx
+    on public.api_keys (user_id, created_at desc);
+
+alter table public.api_keys enable row level security;
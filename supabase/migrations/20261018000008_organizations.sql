@@ -0,0 +1,217 @@
+-- Organizations: a company buys seats on one Stripe subscription and its
+-- members share the entitlement. The organization row mirrors the billing
+-- columns of user_request_limits (is_premium, plan, request_count, ...) so
+-- the same plan and quota rules apply to both.
+--
+-- A user belongs to at most one organization. Invitations are accepted with a
+-- token that is stored hashed, like API keys.
+
+create table if not exists public.organizations (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    owner_user_id uuid not null,
+    stripe_customer_id text unique,
+    stripe_subscription_id text,
+    subscription_status text,
+    subscription_end_date timestamptz,
+    is_premium boolean not null default false,
+    plan text not null default 'free',
+    seats integer not null default 1 check (seats >= 1),
+    request_count integer not null default 0,
+    quota_period_start timestamptz,
+    last_webhook_timestamp timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists public.organization_members (
+    org_id uuid not null references public.organizations (id) on delete cascade,
+    user_id uuid not null unique,
+    role text not null check (role in ('owner', 'admin', 'member')),
+    created_at timestamptz not null default now(),
+    primary key (org_id, user_id)
+);
+
+create table if not exists public.organization_invitations (
+    id uuid primary key default gen_random_uuid(),
+    org_id uuid not null references public.organizations (id) on delete cascade,
+    email text not null,
+    role text not null check (role in ('admin', 'member')),
+    token_hash text not null unique,
+    invited_by uuid not null,
+    expires_at timestamptz not null,
+    accepted_at timestamptz,
+    accepted_by uuid,
+    revoked_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists organization_invitations_org_idx
+    on public.organization_invitations (org_id, created_at desc);
+
+alter table public.organizations enable row level security;
+alter table public.organization_members enable row level security;
+alter table public.organization_invitations enable row level security;
+
+-- Creates the organization and its owner membership in one transaction
+create or replace function public.create_organization(
+    p_name text,
+    p_owner_user_id uuid
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_org organizations%rowtype;
+begin
+    if exists (select 1 from organization_members where user_id = p_owner_user_id) then
+        return jsonb_build_object('created', false, 'reason', 'already_member');
+    end if;
+
+    insert into organizations (name, owner_user_id)
+    values (p_name, p_owner_user_id)
+    returning * into v_org;
+
+    insert into organization_members (org_id, user_id, role)
+    values (v_org.id, p_owner_user_id, 'owner');
+
+    return jsonb_build_object('created', true, 'organization', to_jsonb(v_org));
+exception
+    when unique_violation then
+        return jsonb_build_object('created', false, 'reason', 'already_member');
+end;
+$$;
+
+-- Pooled quota: same check-and-increment as consume_request_quota, on the
+-- organization's counter
+create or replace function public.consume_org_quota(
+    p_org_id uuid,
+    p_limit integer,
+    p_period_start timestamptz default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row organizations%rowtype;
+begin
+    update organizations o
+       set request_count = (
+               case
+                   when p_period_start is not null
+                    and (o.quota_period_start is null or o.quota_period_start < p_period_start)
+                   then 0
+                   else o.request_count
+               end
+           ) + 1,
+           quota_period_start = coalesce(
+               greatest(o.quota_period_start, p_period_start),
+               o.quota_period_start,
+               p_period_start
+           ),
+           updated_at = now()
+     where o.id = p_org_id
+       and (
+               case
+                   when p_period_start is not null
+                    and (o.quota_period_start is null or o.quota_period_start < p_period_start)
+                   then 0
+                   else o.request_count
+               end
+           ) < p_limit
+    returning * into v_row;
+
+    if found then
+        return jsonb_build_object(
+            'allowed', true,
+            'request_count', v_row.request_count,
+            'quota_period_start', v_row.quota_period_start
+        );
+    end if;
+
+    select * into v_row from organizations where id = p_org_id;
+
+    if not found then
+        return jsonb_build_object('allowed', false, 'reason', 'org_not_found');
+    end if;
+
+    return jsonb_build_object(
+        'allowed', false,
+        'request_count', v_row.request_count,
+        'quota_period_start', v_row.quota_period_start
+    );
+end;
+$$;
+
+-- Subscription webhooks for an organization's customer, with the same
+-- ordering rules as update_premium_status_from_webhook: older events are
+-- skipped, and a canceled subscription can't be revived by a late update.
+create or replace function public.update_org_subscription_from_webhook(
+    p_customer_id text,
+    p_subscription_id text,
+    p_status text,
+    p_plan text,
+    p_seats integer,
+    p_end_date timestamptz,
+    p_webhook_timestamp timestamptz
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row organizations%rowtype;
+    v_is_premium boolean := p_status in ('active', 'trialing', 'canceling');
+begin
+    select * into v_row from organizations where stripe_customer_id = p_customer_id for update;
+
+    if not found then
+        return jsonb_build_object('updated', false, 'reason', 'org_not_found');
+    end if;
+
+    if v_row.last_webhook_timestamp is not null and v_row.last_webhook_timestamp > p_webhook_timestamp then
+        return jsonb_build_object(
+            'updated', false,
+            'reason', 'stale_event',
+            'existing_timestamp', v_row.last_webhook_timestamp,
+            'new_timestamp', p_webhook_timestamp
+        );
+    end if;
+
+    if v_row.subscription_status = 'canceled'
+       and v_row.stripe_subscription_id = p_subscription_id
+       and p_status <> 'canceled' then
+        return jsonb_build_object(
+            'updated', false,
+            'reason', 'subscription_already_canceled',
+            'existing_status', v_row.subscription_status,
+            'attempted_status', p_status
+        );
+    end if;
+
+    update organizations
+       set stripe_subscription_id = p_subscription_id,
+           subscription_status = p_status,
+           subscription_end_date = p_end_date,
+           is_premium = v_is_premium,
+           plan = p_plan,
+           seats = greatest(coalesce(p_seats, seats), 1),
+           last_webhook_timestamp = p_webhook_timestamp,
+           updated_at = now()
+     where id = v_row.id;
+
+    return jsonb_build_object('updated', true, 'status', p_status, 'is_premium', v_is_premium);
+end;
+$$;
+
+revoke all on function public.create_organization(text, uuid) from public, anon, authenticated;
+revoke all on function public.consume_org_quota(uuid, integer, timestamptz) from public, anon, authenticated;
+revoke all on function public.update_org_subscription_from_webhook(text, text, text, text, integer, timestamptz, timestamptz) from public, anon, authenticated;
+grant execute on function public.create_organization(text, uuid) to service_role;
+grant execute on function public.consume_org_quota(uuid, integer, timestamptz) to service_role;
+grant execute on function public.update_org_subscription_from_webhook(text, text, text, text, integer, timestamptz, timestamptz) to service_role;
@@ -0,0 +1,8 @@
+-- Free trials. `trial_ends_at` is when a trialing subscription starts
+-- charging; it is cleared once the subscription leaves the trial.
+
+alter table public.user_request_limits
+    add column if not exists trial_ends_at timestamptz;
+
+alter table public.organizations
+    add column if not exists trial_ends_at timestamptz;
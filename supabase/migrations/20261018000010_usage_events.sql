@@ -0,0 +1,67 @@
+-- One row per request allowed by /api/validate-request. The client may add
+-- the model, feature and token counts; request_count on user_request_limits
+-- stays the source of truth for quota.
+
+create table if not exists public.usage_events (
+    id bigint generated always as identity primary key,
+    user_id uuid not null,
+    organization_id uuid,
+    api_key_id uuid,
+    occurred_at timestamptz not null default now(),
+    model text,
+    feature text,
+    prompt_tokens integer check (prompt_tokens >= 0),
+    completion_tokens integer check (completion_tokens >= 0),
+    client_version text
+);
+
+create index if not exists usage_events_user_id_idx
+    on public.usage_events (user_id, occurred_at);
+
+create index if not exists usage_events_occurred_at_idx
+    on public.usage_events (occurred_at);
+
+alter table public.usage_events enable row level security;
+
+-- Usage per UTC hour/day/week/month in [p_from, p_to), for one user or, when
+-- p_user_id is null, for everyone. The row with a null bucket holds the totals
+-- for the whole range.
+create or replace function public.summarize_usage(
+    p_user_id uuid,
+    p_from timestamptz,
+    p_to timestamptz,
+    p_granularity text
+)
+returns table (
+    bucket timestamptz,
+    requests bigint,
+    prompt_tokens bigint,
+    completion_tokens bigint,
+    users bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select e.bucket,
+           count(*) as requests,
+           coalesce(sum(e.prompt_tokens), 0) as prompt_tokens,
+           coalesce(sum(e.completion_tokens), 0) as completion_tokens,
+           count(distinct e.user_id) as users
+      from (
+               select date_trunc(p_granularity, occurred_at at time zone 'UTC') at time zone 'UTC' as bucket,
+                      user_id,
+                      prompt_tokens,
+                      completion_tokens
+                 from usage_events
+                where (p_user_id is null or user_id = p_user_id)
+                  and occurred_at >= p_from
+                  and occurred_at < p_to
+           ) e
+     group by grouping sets ((e.bucket), ())
+     order by e.bucket nulls first;
+$$;
+
+revoke all on function public.summarize_usage(uuid, timestamptz, timestamptz, text) from public, anon, authenticated;
+grant execute on function public.summarize_usage(uuid, timestamptz, timestamptz, text) to service_role;
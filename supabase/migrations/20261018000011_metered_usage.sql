@@ -0,0 +1,102 @@
+-- Metered (pay-as-you-go) billing. Requests past the plan's included
+-- allowance are buffered in metered_usage and reported to Stripe in batches
+-- by the usage reporter:
+--
+--   1. claim_metered_usage moves each buffered quantity into a new
+--      metered_usage_reports row, in one transaction.
+--   2. The reporter sends each pending report to Stripe as a usage record,
+--      with the report ID as the idempotency key, then marks it reported.
+--
+-- A crash between 2's Stripe call and the status update leaves the report
+-- pending; the retry reuses the idempotency key, so Stripe counts it once.
+
+alter table public.user_request_limits
+    add column if not exists stripe_subscription_item_id text;
+
+create table if not exists public.metered_usage (
+    user_id uuid not null,
+    subscription_item_id text not null,
+    pending_quantity integer not null default 0 check (pending_quantity >= 0),
+    updated_at timestamptz not null default now(),
+    primary key (user_id, subscription_item_id)
+);
+
+create table if not exists public.metered_usage_reports (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null,
+    subscription_item_id text not null,
+    quantity integer not null check (quantity > 0),
+    status text not null default 'pending' check (status in ('pending', 'reported', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_error text,
+    stripe_usage_record_id text,
+    created_at timestamptz not null default now(),
+    reported_at timestamptz
+);
+
+create index if not exists metered_usage_reports_due_idx
+    on public.metered_usage_reports (next_attempt_at)
+    where status = 'pending';
+
+create index if not exists metered_usage_reports_user_id_idx
+    on public.metered_usage_reports (user_id, created_at desc);
+
+alter table public.metered_usage enable row level security;
+alter table public.metered_usage_reports enable row level security;
+
+create or replace function public.add_metered_usage(
+    p_user_id uuid,
+    p_subscription_item_id text,
+    p_quantity integer default 1
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    insert into metered_usage (user_id, subscription_item_id, pending_quantity)
+    values (p_user_id, p_subscription_item_id, p_quantity)
+    on conflict (user_id, subscription_item_id)
+    do update set pending_quantity = metered_usage.pending_quantity + excluded.pending_quantity,
+                  updated_at = now();
+$$;
+
+-- Turns everything buffered into report rows and returns how many were made
+create or replace function public.claim_metered_usage()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_count integer;
+begin
+    -- The rows are locked, so requests buffering meanwhile wait for the
+    -- claim and land in the next batch
+    with pending as (
+        select user_id, subscription_item_id, pending_quantity
+          from metered_usage
+         where pending_quantity > 0
+           for update
+    ), claimed as (
+        update metered_usage m
+           set pending_quantity = m.pending_quantity - p.pending_quantity,
+               updated_at = now()
+          from pending p
+         where m.user_id = p.user_id
+           and m.subscription_item_id = p.subscription_item_id
+        returning p.user_id, p.subscription_item_id, p.pending_quantity
+    )
+    insert into metered_usage_reports (user_id, subscription_item_id, quantity)
+    select user_id, subscription_item_id, pending_quantity from claimed;
+
+    get diagnostics v_count = row_count;
+    return v_count;
+end;
+$$;
+
+revoke all on function public.add_metered_usage(uuid, text, integer) from public, anon, authenticated;
+revoke all on function public.claim_metered_usage() from public, anon, authenticated;
+grant execute on function public.add_metered_usage(uuid, text, integer) to service_role;
+grant execute on function public.claim_metered_usage() to service_role;
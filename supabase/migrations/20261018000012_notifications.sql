@@ -0,0 +1,58 @@
+-- Transactional emails. Each delivery has a per-user dedupe key (the Stripe
+-- invoice, the quota period, ...) so webhook redeliveries and repeated
+-- triggers send it once. Failed deliveries may be claimed again.
+
+create table if not exists public.notification_preferences (
+    user_id uuid primary key,
+    -- Essential messages (billing) are always sent
+    non_essential_emails boolean not null default true,
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists public.notification_deliveries (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null,
+    kind text not null,
+    dedupe_key text not null,
+    recipient text,
+    status text not null default 'pending' check (status in ('pending', 'sent', 'failed')),
+    attempts integer not null default 1,
+    last_error text,
+    message_id text,
+    created_at timestamptz not null default now(),
+    sent_at timestamptz,
+    unique (user_id, dedupe_key)
+);
+
+create index if not exists notification_deliveries_user_id_idx
+    on public.notification_deliveries (user_id, created_at desc);
+
+alter table public.notification_preferences enable row level security;
+alter table public.notification_deliveries enable row level security;
+
+-- Returns the delivery row if the caller should send it, nothing if it has
+-- been sent or is being sent already
+create or replace function public.claim_notification_delivery(
+    p_user_id uuid,
+    p_kind text,
+    p_dedupe_key text,
+    p_recipient text
+)
+returns setof public.notification_deliveries
+language sql
+security definer
+set search_path = public
+as $$
+    insert into notification_deliveries (user_id, kind, dedupe_key, recipient)
+    values (p_user_id, p_kind, p_dedupe_key, p_recipient)
+    on conflict (user_id, dedupe_key)
+    do update set status = 'pending',
+                  recipient = excluded.recipient,
+                  attempts = notification_deliveries.attempts + 1,
+                  last_error = null
+            where notification_deliveries.status = 'failed'
+    returning *;
+$$;
+
+revoke all on function public.claim_notification_delivery(uuid, text, text, text) from public, anon, authenticated;
+grant execute on function public.claim_notification_delivery(uuid, text, text, text) to service_role;
@@ -0,0 +1,59 @@
+-- Support tooling: complimentary plans, quota top-ups, user search and an
+-- audit log of every admin action.
+--
+-- A complimentary plan applies while comp_expires_at is in the future and the
+-- user's own subscription gives them nothing better than the free plan.
+-- Webhooks never touch these columns.
+--
+-- quota_bonus adds requests to the plan's limit for the quota period that
+-- started at quota_bonus_period_start only, so a top-up lapses with the period.
+
+alter table public.user_request_limits
+    add column if not exists comp_plan text,
+    add column if not exists comp_expires_at timestamptz,
+    add column if not exists quota_bonus integer not null default 0 check (quota_bonus >= 0),
+    add column if not exists quota_bonus_period_start timestamptz;
+
+create table if not exists public.admin_audit_log (
+    id uuid primary key default gen_random_uuid(),
+    actor_user_id uuid not null,
+    action text not null,
+    target_user_id uuid,
+    reason text not null,
+    details jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_target_idx
+    on public.admin_audit_log (target_user_id, created_at desc);
+
+create index if not exists admin_audit_log_actor_idx
+    on public.admin_audit_log (actor_user_id, created_at desc);
+
+alter table public.admin_audit_log enable row level security;
+
+-- Recent webhook events of one customer, for the admin user view
+create index if not exists stripe_webhook_events_customer_idx
+    on public.stripe_webhook_events ((payload -> 'data' -> 'object' ->> 'customer'), received_at desc);
+
+-- Supabase Auth's users aren't exposed through PostgREST; this looks them up
+-- by part of their email address
+create or replace function public.search_users_by_email(
+    p_query text,
+    p_limit integer default 20
+)
+returns table (id uuid, email text, created_at timestamptz, last_sign_in_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select u.id, u.email::text, u.created_at, u.last_sign_in_at
+      from auth.users u
+     where u.email ilike '%' || replace(replace(replace(p_query, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+     order by u.email
+     limit least(greatest(p_limit, 1), 100);
+$$;
+
+revoke all on function public.search_users_by_email(text, integer) from public, anon, authenticated;
+grant execute on function public.search_users_by_email(text, integer) to service_role;
@@ -0,0 +1,30 @@
+-- Delivery log of the webhooks we send to our own services (entitlement
+-- changes, exhausted quotas, failed payments). One row per event and
+-- endpoint; the dedupe key stops the same outcome from being queued twice,
+-- e.g. when Stripe redelivers the webhook that caused it.
+
+create table if not exists public.outbound_webhook_deliveries (
+    id uuid primary key default gen_random_uuid(),
+    event_id text not null,
+    event_type text not null,
+    dedupe_key text not null,
+    endpoint_url text not null,
+    payload jsonb not null,
+    status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_status_code integer,
+    last_error text,
+    created_at timestamptz not null default now(),
+    delivered_at timestamptz,
+    unique (dedupe_key, endpoint_url)
+);
+
+create index if not exists outbound_webhook_deliveries_due_idx
+    on public.outbound_webhook_deliveries (next_attempt_at)
+    where status = 'pending';
+
+create index if not exists outbound_webhook_deliveries_created_idx
+    on public.outbound_webhook_deliveries (created_at desc);
+
+alter table public.outbound_webhook_deliveries enable row level security;
@@ -0,0 +1,62 @@
+-- Account deletion: removes everything we store about a user in one
+-- transaction. An organization the user owns goes with them if nobody else
+-- is in it; the API refuses to delete owners of organizations with members.
+--
+-- Kept on purpose: stripe_webhook_events (Stripe's own record, and what stops
+-- a redelivered event from being applied twice), admin_audit_log (including
+-- the deletion itself) and outbound_webhook_deliveries, which only hold IDs.
+
+create or replace function public.delete_user_data(p_user_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_counts jsonb := '{}'::jsonb;
+    v_count integer;
+begin
+    delete from usage_events where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('usageEvents', v_count);
+
+    delete from metered_usage where user_id = p_user_id;
+    delete from metered_usage_reports where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('meteredUsageReports', v_count);
+
+    delete from invoices where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('invoices', v_count);
+
+    delete from api_keys where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('apiKeys', v_count);
+
+    delete from notification_preferences where user_id = p_user_id;
+    delete from notification_deliveries where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('notificationDeliveries', v_count);
+
+    -- Members and invitations cascade
+    delete from organizations o
+     where o.owner_user_id = p_user_id
+       and not exists (
+           select 1 from organization_members m
+            where m.org_id = o.id and m.user_id <> p_user_id
+       );
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('organizations', v_count);
+
+    delete from organization_members where user_id = p_user_id;
+
+    delete from user_request_limits where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('account', v_count);
+
+    return v_counts;
+end;
+$$;
+
+revoke all on function public.delete_user_data(uuid) from public, anon, authenticated;
+grant execute on function public.delete_user_data(uuid) to service_role;
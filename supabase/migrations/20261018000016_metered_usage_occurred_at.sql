@@ -0,0 +1,84 @@
+-- Metered usage records are timestamped with when the usage happened, not
+-- when the reporter claimed it. metered_usage keeps the time of the latest
+-- buffered request and claim_metered_usage copies it onto the report, so a
+-- batch claimed (or retried) after a renewal still lands in the period its
+-- requests were made in.
+
+alter table public.metered_usage
+    add column if not exists last_occurred_at timestamptz;
+
+update public.metered_usage
+   set last_occurred_at = updated_at
+ where last_occurred_at is null;
+
+alter table public.metered_usage
+    alter column last_occurred_at set default now(),
+    alter column last_occurred_at set not null;
+
+alter table public.metered_usage_reports
+    add column if not exists occurred_at timestamptz;
+
+update public.metered_usage_reports
+   set occurred_at = created_at
+ where occurred_at is null;
+
+alter table public.metered_usage_reports
+    alter column occurred_at set default now(),
+    alter column occurred_at set not null;
+
+drop function if exists public.add_metered_usage(uuid, text, integer);
+
+create or replace function public.add_metered_usage(
+    p_user_id uuid,
+    p_subscription_item_id text,
+    p_quantity integer default 1,
+    p_occurred_at timestamptz default now()
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    insert into metered_usage (user_id, subscription_item_id, pending_quantity, last_occurred_at)
+    values (p_user_id, p_subscription_item_id, p_quantity, p_occurred_at)
+    on conflict (user_id, subscription_item_id)
+    do update set pending_quantity = metered_usage.pending_quantity + excluded.pending_quantity,
+                  last_occurred_at = greatest(metered_usage.last_occurred_at, excluded.last_occurred_at),
+                  updated_at = now();
+$$;
+
+create or replace function public.claim_metered_usage()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_count integer;
+begin
+    -- The rows are locked, so requests buffering meanwhile wait for the
+    -- claim and land in the next batch
+    with pending as (
+        select user_id, subscription_item_id, pending_quantity, last_occurred_at
+          from metered_usage
+         where pending_quantity > 0
+           for update
+    ), claimed as (
+        update metered_usage m
+           set pending_quantity = m.pending_quantity - p.pending_quantity,
+               updated_at = now()
+          from pending p
+         where m.user_id = p.user_id
+           and m.subscription_item_id = p.subscription_item_id
+        returning p.user_id, p.subscription_item_id, p.pending_quantity, p.last_occurred_at
+    )
+    insert into metered_usage_reports (user_id, subscription_item_id, quantity, occurred_at)
+    select user_id, subscription_item_id, pending_quantity, last_occurred_at from claimed;
+
+    get diagnostics v_count = row_count;
+    return v_count;
+end;
+$$;
+
+revoke all on function public.add_metered_usage(uuid, text, integer, timestamptz) from public, anon, authenticated;
+grant execute on function public.add_metered_usage(uuid, text, integer, timestamptz) to service_role;
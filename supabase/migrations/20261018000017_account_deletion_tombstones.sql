@@ -0,0 +1,89 @@
+-- Account deletion, second pass:
+--
+--   - Webhook events about the user's Stripe customers keep their id, type
+--     and status, which is all redelivery detection needs, but their payload
+--     (names, emails, addresses) is cleared. Replaying one fetches it from
+--     Stripe again.
+--   - deleted_users records the ids of deleted accounts. Access tokens stay
+--     valid until they expire, and without it the next request would create
+--     a fresh user_request_limits row for the deleted user.
+
+alter table public.stripe_webhook_events
+    alter column payload drop not null;
+
+create table if not exists public.deleted_users (
+    user_id uuid primary key,
+    deleted_at timestamptz not null default now()
+);
+
+alter table public.deleted_users enable row level security;
+
+drop function if exists public.delete_user_data(uuid);
+
+create or replace function public.delete_user_data(p_user_id uuid, p_customer_ids text[] default '{}')
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_counts jsonb := '{}'::jsonb;
+    v_count integer;
+begin
+    delete from usage_events where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('usageEvents', v_count);
+
+    delete from metered_usage where user_id = p_user_id;
+    delete from metered_usage_reports where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('meteredUsageReports', v_count);
+
+    delete from invoices where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('invoices', v_count);
+
+    delete from api_keys where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('apiKeys', v_count);
+
+    delete from notification_preferences where user_id = p_user_id;
+    delete from notification_deliveries where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('notificationDeliveries', v_count);
+
+    -- Members and invitations cascade
+    delete from organizations o
+     where o.owner_user_id = p_user_id
+       and not exists (
+           select 1 from organization_members m
+            where m.org_id = o.id and m.user_id <> p_user_id
+       );
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('organizations', v_count);
+
+    delete from organization_members where user_id = p_user_id;
+
+    delete from user_request_limits where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('account', v_count);
+
+    -- Events stay, so a redelivery is still recognized, but lose what Stripe
+    -- sent about the customer
+    update stripe_webhook_events
+       set payload = null
+     where payload is not null
+       and (payload->'data'->'object'->>'customer' = any(p_customer_ids)
+            or payload->'data'->'object'->'metadata'->>'userId' = p_user_id::text);
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('webhookEvents', v_count);
+
+    insert into deleted_users (user_id) values (p_user_id)
+    on conflict (user_id) do nothing;
+
+    return v_counts;
+end;
+$$;
+
+revoke all on function public.delete_user_data(uuid, text[]) from public, anon, authenticated;
+grant execute on function public.delete_user_data(uuid, text[]) to service_role;
@@ -0,0 +1,142 @@
+-- Account deletion, third pass: Stripe keeps sending events about a deleted
+-- user's customers (the final customer.subscription.deleted, customer.deleted)
+-- and claim_webhook_event stored them with their payload. deleted_users now
+-- keeps the customer ids too, and events about a deleted user or one of their
+-- customers are recorded without a payload. Customer events carry the
+-- customer's id as data.object.id rather than data.object.customer, which the
+-- delete_user_data scrub now matches as well.
+
+alter table public.deleted_users
+    add column if not exists stripe_customer_ids text[] not null default '{}';
+
+create or replace function public.is_deleted_user_event(p_payload jsonb)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from deleted_users d
+         where d.user_id::text = p_payload->'data'->'object'->'metadata'->>'userId'
+            or p_payload->'data'->'object'->>'customer' = any(d.stripe_customer_ids)
+            or p_payload->'data'->'object'->>'id' = any(d.stripe_customer_ids)
+    );
+$$;
+
+create or replace function public.claim_webhook_event(
+    p_event_id text,
+    p_type text,
+    p_payload jsonb,
+    p_stripe_created_at timestamptz,
+    p_stale_after interval default interval '5 minutes'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row stripe_webhook_events%rowtype;
+begin
+    insert into stripe_webhook_events (id, type, payload, stripe_created_at)
+    values (p_event_id, p_type,
+            case when is_deleted_user_event(p_payload) then null else p_payload end,
+            p_stripe_created_at)
+    on conflict (id) do update
+       set status = 'processing',
+           error = null,
+           attempts = stripe_webhook_events.attempts + 1,
+           updated_at = now()
+     where stripe_webhook_events.status = 'failed'
+        or (stripe_webhook_events.status = 'processing'
+            and stripe_webhook_events.updated_at < now() - p_stale_after)
+    returning * into v_row;
+
+    if found then
+        return jsonb_build_object(
+            'claimed', true,
+            'attempts', v_row.attempts
+        );
+    end if;
+
+    select * into v_row from stripe_webhook_events where id = p_event_id;
+
+    return jsonb_build_object(
+        'claimed', false,
+        'status', v_row.status,
+        'attempts', v_row.attempts
+    );
+end;
+$$;
+
+create or replace function public.delete_user_data(p_user_id uuid, p_customer_ids text[] default '{}')
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_counts jsonb := '{}'::jsonb;
+    v_count integer;
+begin
+    delete from usage_events where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('usageEvents', v_count);
+
+    delete from metered_usage where user_id = p_user_id;
+    delete from metered_usage_reports where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('meteredUsageReports', v_count);
+
+    delete from invoices where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('invoices', v_count);
+
+    delete from api_keys where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('apiKeys', v_count);
+
+    delete from notification_preferences where user_id = p_user_id;
+    delete from notification_deliveries where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('notificationDeliveries', v_count);
+
+    -- Members and invitations cascade
+    delete from organizations o
+     where o.owner_user_id = p_user_id
+       and not exists (
+           select 1 from organization_members m
+            where m.org_id = o.id and m.user_id <> p_user_id
+       );
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('organizations', v_count);
+
+    delete from organization_members where user_id = p_user_id;
+
+    delete from user_request_limits where user_id = p_user_id;
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('account', v_count);
+
+    -- Events stay, so a redelivery is still recognized, but lose what Stripe
+    -- sent about the customer
+    update stripe_webhook_events
+       set payload = null
+     where payload is not null
+       and (payload->'data'->'object'->>'customer' = any(p_customer_ids)
+            or payload->'data'->'object'->>'id' = any(p_customer_ids)
+            or payload->'data'->'object'->'metadata'->>'userId' = p_user_id::text);
+    get diagnostics v_count = row_count;
+    v_counts := v_counts || jsonb_build_object('webhookEvents', v_count);
+
+    insert into deleted_users (user_id, stripe_customer_ids) values (p_user_id, p_customer_ids)
+    on conflict (user_id) do update
+       set stripe_customer_ids = array(
+           select distinct unnest(deleted_users.stripe_customer_ids || excluded.stripe_customer_ids)
+       );
+
+    return v_counts;
+end;
+$$;
+
+revoke all on function public.is_deleted_user_event(jsonb) from public, anon, authenticated;
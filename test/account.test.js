@@ -0,0 +1,247 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID, OTHER_USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+
+const { app, stripeService } = loadApp();
+
+const CUSTOMER_ID = 'cus_TestCustomer0001';
+
+let storage;
+let stripe;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+    storage.db.authUsers.set(USER_ID, { email: 'dev@example.com', created_at: '2026-01-02T03:04:05.000Z' });
+
+    const deleted = new Set();
+    stripe = {
+        search: jest.spyOn(stripeService.stripe.customers, 'search').mockResolvedValue({ data: [] }),
+        list: jest.spyOn(stripeService.stripe.subscriptions, 'list').mockResolvedValue({
+            data: [
+                { id: 'sub_TestSubscription0001', status: 'active' },
+                { id: 'sub_Old', status: 'canceled' }
+            ]
+        }),
+        cancel: jest.spyOn(stripeService.stripe.subscriptions, 'cancel').mockResolvedValue({}),
+        del: jest.spyOn(stripeService.stripe.customers, 'del').mockImplementation(async customerId => {
+            if (deleted.has(customerId)) {
+                throw Object.assign(new Error(`No such customer: '${customerId}'`), { code: 'resource_missing' });
+            }
+            deleted.add(customerId);
+            return { id: customerId, deleted: true };
+        })
+    };
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+async function subscribe() {
+    for (const name of ['checkout.session.completed', 'customer.subscription.created', 'invoice.payment_succeeded']) {
+        expect((await sendWebhook(request(app), loadEvent(name))).status).toBe(200);
+    }
+}
+
+async function useApi() {
+    await request(app)
+        .post('/api/validate-request')
+        .set('Authorization', authHeader(USER_ID))
+        .send({ model: 'gpt-4o', promptTokens: 120, completionTokens: 80 });
+    await request(app)
+        .post('/api/keys')
+        .set('Authorization', authHeader(USER_ID))
+        .send({ name: 'CI' });
+}
+
+function deleteAccount(body = {}) {
+    return request(app).delete('/api/account').set('Authorization', authHeader(USER_ID)).send(body);
+}
+
+describe('GET /api/account/export', () => {
+    test('returns the caller\'s data as a download, without key hashes', async () => {
+        await subscribe();
+        await useApi();
+
+        const res = await request(app).get('/api/account/export').set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toMatch(/^attachment; filename="porkicoder-export-\d{4}-\d{2}-\d{2}\.json"$/);
+        expect(res.body.user).toMatchObject({ id: USER_ID, email: 'dev@example.com', createdAt: '2026-01-02T03:04:05.000Z' });
+        expect(res.body.account).toMatchObject({ user_id: USER_ID, stripe_customer_id: CUSTOMER_ID, plan: 'pro' });
+        expect(res.body.invoices).toHaveLength(1);
+        expect(res.body.usageEvents).toEqual([expect.objectContaining({ model: 'gpt-4o', prompt_tokens: 120 })]);
+        expect(res.body.apiKeys).toEqual([expect.objectContaining({ name: 'CI' })]);
+        expect(res.body.apiKeys[0]).not.toHaveProperty('key_hash');
+        expect(storage.db.adminAuditLog).toEqual([expect.objectContaining({
+            action: 'account.export',
+            actor_user_id: USER_ID,
+            target_user_id: USER_ID
+        })]);
+    });
+
+    test('only contains the caller\'s data', async () => {
+        await subscribe();
+
+        const res = await request(app).get('/api/account/export').set('Authorization', authHeader(OTHER_USER_ID));
+
+        expect(res.body.account).toBeNull();
+        expect(res.body.invoices).toEqual([]);
+    });
+});
+
+describe('DELETE /api/account', () => {
+    test('cancels the subscription, deletes the Stripe customer and the user\'s data', async () => {
+        await subscribe();
+        await useApi();
+
+        const res = await deleteAccount({ reason: 'Switching tools' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({
+            deleted: true,
+            stripeCustomers: [{ customerId: CUSTOMER_ID, canceledSubscriptions: ['sub_TestSubscription0001'] }],
+            removed: { account: 1, invoices: 1, usageEvents: 1, apiKeys: 1, authUser: 1 }
+        });
+        expect(stripe.cancel).toHaveBeenCalledTimes(1);
+        expect(stripe.del).toHaveBeenCalledWith(CUSTOMER_ID);
+        expect(await storage.userLimits.findByUserId(USER_ID)).toBeNull();
+        expect(storage.db.invoices.size).toBe(0);
+        expect(storage.db.usageEvents).toEqual([]);
+        expect(storage.db.apiKeys.size).toBe(0);
+        expect(storage.db.authUsers.has(USER_ID)).toBe(false);
+
+        const [entry] = storage.db.adminAuditLog;
+        expect(entry).toMatchObject({ action: 'account.delete', target_user_id: USER_ID, reason: 'Switching tools' });
+        expect(JSON.stringify(entry)).not.toContain('dev@example.com');
+    });
+
+    test('can be repeated', async () => {
+        await subscribe();
+
+        await deleteAccount();
+        const again = await deleteAccount();
+
+        expect(again.status).toBe(200);
+        expect(again.body).toMatchObject({ deleted: true, stripeCustomers: [], removed: { account: 0, authUser: 0 } });
+        expect(stripe.del).toHaveBeenCalledTimes(1);
+        expect(storage.db.adminAuditLog.map(entry => entry.action)).toEqual(['account.delete', 'account.delete']);
+    });
+
+    test('finishes after an earlier attempt that deleted the customer but not our data', async () => {
+        await subscribe();
+        await stripeService.stripe.customers.del(CUSTOMER_ID);
+
+        const res = await deleteAccount();
+
+        expect(res.status).toBe(200);
+        expect(await storage.userLimits.findByUserId(USER_ID)).toBeNull();
+    });
+
+    test('also deletes customers Checkout created but never linked', async () => {
+        stripe.search.mockResolvedValue({ data: [{ id: 'cus_Abandoned' }] });
+        stripe.list.mockResolvedValue({ data: [] });
+
+        const res = await deleteAccount();
+
+        expect(res.body.stripeCustomers).toEqual([{ customerId: 'cus_Abandoned', canceledSubscriptions: [] }]);
+        expect(stripe.search).toHaveBeenCalledWith({ query: `metadata['userId']:'${USER_ID}'` });
+    });
+
+    test('keeps everything when Stripe fails', async () => {
+        await subscribe();
+        stripe.cancel.mockRejectedValue(new Error('Stripe is down'));
+
+        const res = await deleteAccount();
+
+        expect(res.status).toBe(500);
+        expect(await storage.userLimits.findByUserId(USER_ID)).not.toBeNull();
+        expect(storage.db.adminAuditLog).toEqual([]);
+    });
+
+    test('clears what Stripe sent about the user from the webhook log, but keeps the events', async () => {
+        await subscribe();
+        await sendWebhook(request(app), loadEvent('checkout.session.completed', {
+            id: 'evt_OtherCheckout',
+            object: { customer: 'cus_Other', metadata: { userId: OTHER_USER_ID } }
+        }));
+
+        const res = await deleteAccount();
+
+        expect(res.body.removed.webhookEvents).toBe(3);
+        const scrubbed = await storage.webhookEvents.get('evt_1PcheckoutCompleted0001');
+        expect(scrubbed).toMatchObject({ type: 'checkout.session.completed', status: 'processed', payload: null });
+        expect((await storage.webhookEvents.get('evt_OtherCheckout')).payload).not.toBeNull();
+
+        // Redeliveries are still recognized
+        const redelivered = await sendWebhook(request(app), loadEvent('checkout.session.completed'));
+        expect(redelivered.body.duplicate).toBe(true);
+    });
+
+    test('keeps no payload of the events Stripe sends after the deletion', async () => {
+        await subscribe();
+        await deleteAccount();
+
+        const { data, ...envelope } = loadEvent('customer.subscription.deleted');
+        const customerDeleted = {
+            ...envelope,
+            id: 'evt_CustomerDeleted',
+            type: 'customer.deleted',
+            data: { object: { id: CUSTOMER_ID, object: 'customer', email: 'dev@example.com', name: 'Dev', metadata: {} } }
+        };
+        for (const event of [loadEvent('customer.subscription.deleted'), customerDeleted]) {
+            expect((await sendWebhook(request(app), event)).status).toBe(200);
+        }
+
+        expect(await storage.webhookEvents.get('evt_CustomerDeleted')).toMatchObject({ type: 'customer.deleted', payload: null });
+        expect((await storage.webhookEvents.get(envelope.id)).payload).toBeNull();
+    });
+
+    test('refuses tokens issued before the deletion instead of starting a new account', async () => {
+        await subscribe();
+        await deleteAccount();
+
+        const validate = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', authHeader(USER_ID))
+            .send({});
+        const status = await request(app)
+            .get(`/api/subscription-status/${USER_ID}`)
+            .set('Authorization', authHeader(USER_ID));
+
+        expect(validate.status).toBe(401);
+        expect(validate.body.error.code).toBe('ACCOUNT_DELETED');
+        expect(status.status).toBe(401);
+        expect(await storage.userLimits.findByUserId(USER_ID)).toBeNull();
+    });
+
+    test('ignores a checkout that completes after the deletion', async () => {
+        await deleteAccount();
+
+        const res = await sendWebhook(request(app), loadEvent('checkout.session.completed'));
+
+        expect(res.status).toBe(200);
+        expect(await storage.userLimits.findByUserId(USER_ID)).toBeNull();
+    });
+
+    test('is refused to owners of an organization with other members', async () => {
+        const org = await storage.organizations.create({ name: 'Acme', ownerUserId: USER_ID });
+        await storage.organizations.addMember(org.id, OTHER_USER_ID, 'member');
+
+        const res = await deleteAccount();
+
+        expect(res.status).toBe(409);
+        expect(res.body.error.code).toBe('ORGANIZATION_HAS_MEMBERS');
+        expect(stripe.del).not.toHaveBeenCalled();
+    });
+
+    test('takes an organization the user is alone in along', async () => {
+        await storage.organizations.create({ name: 'Solo', ownerUserId: USER_ID });
+
+        const res = await deleteAccount();
+
+        expect(res.body.removed.organizations).toBe(1);
+        expect(storage.db.organizations.size).toBe(0);
+        expect(storage.db.organizationMembers.size).toBe(0);
+    });
+});
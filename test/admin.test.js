@@ -0,0 +1,212 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID, OTHER_USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+
+const { app, stripeService } = loadApp();
+
+const ADMIN_ID = '99999999-9999-4999-8999-999999999999';
+
+// FREE_USER_REQUEST_LIMIT is 3 per day in test/setup.js
+const LIMIT = 3;
+
+const adminAuth = () => authHeader(ADMIN_ID, { email: 'support@porkicoder.com', app_metadata: { role: 'admin' } });
+
+let storage;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+    storage.db.authUsers.set(USER_ID, { email: 'dev@example.com' });
+    storage.db.authUsers.set(OTHER_USER_ID, { email: 'someone@else.org' });
+});
+
+function validate(userId = USER_ID) {
+    return request(app).post('/api/validate-request').set('Authorization', authHeader(userId)).send({});
+}
+
+async function useQuota(count = LIMIT) {
+    for (let i = 0; i < count; i++) {
+        await validate();
+    }
+}
+
+function nextWeek() {
+    return new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+}
+
+describe('admin access', () => {
+    test('is refused to regular users', async () => {
+        const res = await request(app).get('/api/admin/users?q=dev').set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('GET /api/admin/users', () => {
+    test('finds users by ID, email and Stripe customer ID', async () => {
+        await sendWebhook(request(app), loadEvent('checkout.session.completed'));
+
+        const search = q => request(app).get('/api/admin/users').query({ q }).set('Authorization', adminAuth());
+
+        const byId = await search(USER_ID);
+        const byEmail = await search('EXAMPLE.com');
+        const byCustomer = await search('cus_TestCustomer0001');
+
+        expect(byId.body.users).toEqual([expect.objectContaining({ userId: USER_ID, email: 'dev@example.com' })]);
+        expect(byEmail.body.users.map(user => user.userId)).toEqual([USER_ID]);
+        expect(byCustomer.body.users).toEqual([expect.objectContaining({
+            userId: USER_ID,
+            stripeCustomerId: 'cus_TestCustomer0001'
+        })]);
+    });
+
+    test('returns nothing for an unknown customer', async () => {
+        const res = await request(app).get('/api/admin/users?q=cus_Nobody').set('Authorization', adminAuth());
+
+        expect(res.status).toBe(200);
+        expect(res.body.users).toEqual([]);
+    });
+});
+
+describe('GET /api/admin/users/:userId', () => {
+    test('shows the billing state and the customer\'s recent webhook events', async () => {
+        await sendWebhook(request(app), loadEvent('checkout.session.completed'));
+        await sendWebhook(request(app), loadEvent('customer.subscription.created'));
+
+        const res = await request(app).get(`/api/admin/users/${USER_ID}`).set('Authorization', adminAuth());
+
+        expect(res.status).toBe(200);
+        expect(res.body.user).toMatchObject({ id: USER_ID, email: 'dev@example.com' });
+        expect(res.body.status).toMatchObject({ isPremium: true, plan: 'pro', stripeCustomerId: 'cus_TestCustomer0001' });
+        expect(res.body.webhookEvents.map(event => event.type).sort()).toEqual([
+            'checkout.session.completed',
+            'customer.subscription.created'
+        ]);
+    });
+
+    test('is a 404 for users nobody has heard of', async () => {
+        const res = await request(app)
+            .get('/api/admin/users/33333333-3333-4333-8333-333333333333')
+            .set('Authorization', adminAuth());
+
+        expect(res.status).toBe(404);
+    });
+
+    test('does not create a record for users that have none', async () => {
+        const res = await request(app).get(`/api/admin/users/${OTHER_USER_ID}`).set('Authorization', adminAuth());
+
+        expect(res.status).toBe(404);
+        expect(await storage.userLimits.findByUserId(OTHER_USER_ID)).toBeNull();
+    });
+});
+
+describe('complimentary plans', () => {
+    test('grant premium until they expire and are recorded in the audit log', async () => {
+        await validate();
+
+        const granted = await request(app)
+            .post(`/api/admin/users/${USER_ID}/complimentary`)
+            .set('Authorization', adminAuth())
+            .send({ plan: 'pro', expiresAt: nextWeek(), reason: 'Conference speaker' });
+
+        expect(granted.status).toBe(200);
+        expect(granted.body.status).toMatchObject({ isPremium: true, plan: 'pro' });
+        expect(granted.body.status.complimentaryUntil).not.toBeNull();
+        expect((await validate()).body).toMatchObject({ isPremium: true, plan: 'pro' });
+
+        // Lapses on its own
+        await storage.userLimits.update(USER_ID, { comp_expires_at: new Date(Date.now() - 1000).toISOString() });
+        expect((await validate()).body).toMatchObject({ isPremium: false, plan: 'free' });
+
+        const log = await request(app).get(`/api/admin/audit-log?userId=${USER_ID}`).set('Authorization', adminAuth());
+        expect(log.body.entries).toEqual([expect.objectContaining({
+            action: 'complimentary.grant',
+            actorUserId: ADMIN_ID,
+            targetUserId: USER_ID,
+            reason: 'Conference speaker',
+            details: expect.objectContaining({ plan: 'pro', actorEmail: 'support@porkicoder.com' })
+        })]);
+    });
+
+    test('can be revoked', async () => {
+        await validate();
+        await request(app)
+            .post(`/api/admin/users/${USER_ID}/complimentary`)
+            .set('Authorization', adminAuth())
+            .send({ expiresAt: nextWeek(), reason: 'Beta tester' });
+
+        const revoked = await request(app)
+            .delete(`/api/admin/users/${USER_ID}/complimentary`)
+            .set('Authorization', adminAuth())
+            .send({ reason: 'Beta is over' });
+
+        expect(revoked.body.status).toMatchObject({ isPremium: false, plan: 'free', complimentaryUntil: null });
+
+        const again = await request(app)
+            .delete(`/api/admin/users/${USER_ID}/complimentary`)
+            .set('Authorization', adminAuth())
+            .send({ reason: 'Beta is over' });
+        expect(again.status).toBe(404);
+    });
+
+    test('need a reason and an expiry in the future', async () => {
+        await validate();
+
+        const noReason = await request(app)
+            .post(`/api/admin/users/${USER_ID}/complimentary`)
+            .set('Authorization', adminAuth())
+            .send({ expiresAt: nextWeek() });
+        const past = await request(app)
+            .post(`/api/admin/users/${USER_ID}/complimentary`)
+            .set('Authorization', adminAuth())
+            .send({ expiresAt: '2020-01-01T00:00:00Z', reason: 'Oops' });
+
+        expect(noReason.status).toBe(400);
+        expect(past.status).toBe(400);
+        expect(storage.db.adminAuditLog).toHaveLength(0);
+    });
+});
+
+describe('POST /api/admin/users/:userId/quota', () => {
+    test('reset lets a blocked user make requests again', async () => {
+        await useQuota(LIMIT + 1);
+        expect((await validate()).status).toBe(403);
+
+        const res = await request(app)
+            .post(`/api/admin/users/${USER_ID}/quota`)
+            .set('Authorization', adminAuth())
+            .send({ action: 'reset', reason: 'Blocked by a client bug' });
+
+        expect(res.body.status).toMatchObject({ requestCount: 0 });
+        expect((await validate()).status).toBe(200);
+        expect(storage.db.adminAuditLog[0]).toMatchObject({
+            action: 'quota.reset',
+            details: expect.objectContaining({ requestCountBefore: LIMIT })
+        });
+    });
+
+    test('top_up adds requests for the current period', async () => {
+        await useQuota();
+
+        const res = await request(app)
+            .post(`/api/admin/users/${USER_ID}/quota`)
+            .set('Authorization', adminAuth())
+            .send({ action: 'top_up', requests: 2, reason: 'Goodwill' });
+
+        expect(res.body.status).toMatchObject({ requestCount: LIMIT, requestLimit: LIMIT + 2 });
+        expect((await validate()).status).toBe(200);
+        expect((await validate()).status).toBe(200);
+        expect((await validate()).status).toBe(403);
+    });
+
+    test('top_up needs a request count', async () => {
+        await useQuota(1);
+
+        const res = await request(app)
+            .post(`/api/admin/users/${USER_ID}/quota`)
+            .set('Authorization', adminAuth())
+            .send({ action: 'top_up', reason: 'Goodwill' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.details.issues[0]).toMatchObject({ field: 'requests' });
+    });
+});
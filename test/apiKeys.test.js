@@ -0,0 +1,135 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID, OTHER_USER_ID } = require('./helpers/app');
+
+const { app, stripeService } = loadApp();
+
+let storage;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+});
+
+async function createKey(body = { name: 'CI' }, userId = USER_ID) {
+    const res = await request(app)
+        .post('/api/keys')
+        .set('Authorization', authHeader(userId))
+        .send(body);
+
+    expect(res.status).toBe(201);
+    return res.body;
+}
+
+function validateWithKey(key, header = 'X-API-Key') {
+    const value = header === 'Authorization' ? `Bearer ${key}` : key;
+    return request(app).post('/api/validate-request').set(header, value).send({});
+}
+
+describe('/api/keys', () => {
+    test('returns the key once and only stores its hash', async () => {
+        const { key, apiKey } = await createKey({ name: 'GitHub Actions' });
+
+        expect(key).toMatch(/^pkc_[A-Za-z0-9_-]{43}$/);
+        expect(apiKey).toMatchObject({
+            name: 'GitHub Actions',
+            prefix: key.slice(0, 12),
+            scopes: ['requests:validate'],
+            status: 'active',
+            expiresAt: null,
+            lastUsedAt: null
+        });
+
+        const [row] = await storage.apiKeys.listByUserId(USER_ID);
+        expect(JSON.stringify(row)).not.toContain(key);
+
+        const list = await request(app).get('/api/keys').set('Authorization', authHeader(USER_ID));
+        expect(list.body.keys).toHaveLength(1);
+        expect(JSON.stringify(list.body)).not.toContain(key);
+    });
+
+    test('rejects expiry dates in the past and unknown scopes', async () => {
+        const past = await request(app)
+            .post('/api/keys')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ name: 'old', expiresAt: '2020-01-01T00:00:00Z' });
+        const scope = await request(app)
+            .post('/api/keys')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ name: 'admin', scopes: ['keys:write'] });
+
+        expect(past.status).toBe(400);
+        expect(scope.status).toBe(400);
+    });
+
+    test('only lists and revokes the caller\'s own keys', async () => {
+        const { apiKey } = await createKey({ name: 'mine' });
+
+        const list = await request(app).get('/api/keys').set('Authorization', authHeader(OTHER_USER_ID));
+        const revoke = await request(app).delete(`/api/keys/${apiKey.id}`).set('Authorization', authHeader(OTHER_USER_ID));
+
+        expect(list.body.keys).toEqual([]);
+        expect(revoke.status).toBe(404);
+    });
+
+    test('keys can\'t be managed with an API key', async () => {
+        const { key } = await createKey();
+
+        const res = await request(app).get('/api/keys').set('Authorization', `Bearer ${key}`);
+
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('POST /api/validate-request with an API key', () => {
+    test('charges the owner\'s quota and records last_used_at', async () => {
+        const { key, apiKey } = await createKey();
+
+        const first = await validateWithKey(key);
+        const second = await validateWithKey(key, 'Authorization');
+
+        expect(first.status).toBe(200);
+        expect(second.body.requestCount).toBe(2);
+        expect((await storage.userLimits.findByUserId(USER_ID)).request_count).toBe(2);
+
+        const [row] = await storage.apiKeys.listByUserId(USER_ID);
+        expect(row.id).toBe(apiKey.id);
+        expect(row.last_used_at).not.toBeNull();
+    });
+
+    test('rejects revoked keys, and revoking twice is harmless', async () => {
+        const { key, apiKey } = await createKey();
+
+        const revoke = () => request(app).delete(`/api/keys/${apiKey.id}`).set('Authorization', authHeader(USER_ID));
+        const first = await revoke();
+        const second = await revoke();
+
+        expect(first.body.apiKey.status).toBe('revoked');
+        expect(second.body.apiKey.revokedAt).toBe(first.body.apiKey.revokedAt);
+
+        const res = await validateWithKey(key);
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('INVALID_API_KEY');
+    });
+
+    test('rejects expired and unknown keys', async () => {
+        const { key, apiKey } = await createKey({ name: 'short-lived', expiresAt: new Date(Date.now() + 60000).toISOString() });
+        storage.db.apiKeys.get(apiKey.id).expires_at = new Date(Date.now() - 1000).toISOString();
+
+        const expired = await validateWithKey(key);
+        const unknown = await validateWithKey('pkc_doesnotexist');
+
+        expect(expired.status).toBe(401);
+        expect(unknown.status).toBe(401);
+    });
+
+    test('rejects a userId in the body that isn\'t the key owner', async () => {
+        const { key } = await createKey();
+
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('X-API-Key', key)
+            .send({ userId: OTHER_USER_ID });
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('USER_MISMATCH');
+    });
+});
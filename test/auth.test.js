@@ -0,0 +1,132 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, signAccessToken, USER_ID, OTHER_USER_ID } = require('./helpers/app');
+
+const { app, stripeService } = loadApp();
+
+beforeEach(() => {
+    resetStorage(stripeService);
+});
+
+describe('Supabase access token authentication', () => {
+    test('rejects requests without an Authorization header', async () => {
+        const res = await request(app).post('/api/validate-request').send({});
+
+        expect(res.status).toBe(401);
+    });
+
+    test('rejects tokens signed with another secret', async () => {
+        const jwt = require('jsonwebtoken');
+        const token = jwt.sign({ sub: USER_ID, aud: 'authenticated' }, 'not-the-project-secret');
+
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', `Bearer ${token}`)
+            .send({});
+
+        expect(res.status).toBe(401);
+    });
+
+    test('rejects expired tokens', async () => {
+        const token = signAccessToken(USER_ID, {}, { expiresIn: -10 });
+
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', `Bearer ${token}`)
+            .send({});
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('TOKEN_EXPIRED');
+    });
+
+    test('rejects tokens for another audience', async () => {
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', authHeader(USER_ID, { aud: 'anon' }))
+            .send({});
+
+        expect(res.status).toBe(401);
+    });
+
+    test('rejects other Authorization schemes', async () => {
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', `Token ${signAccessToken(USER_ID)}`)
+            .send({});
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('UNAUTHENTICATED');
+    });
+
+    test('rejects tokens without a subject', async () => {
+        const jwt = require('jsonwebtoken');
+        const token = jwt.sign({ aud: 'authenticated' }, process.env.SUPABASE_JWT_SECRET, { expiresIn: '1h' });
+
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', `Bearer ${token}`)
+            .send({});
+
+        expect(res.status).toBe(401);
+    });
+
+    test('rejects a body userId that differs from the token subject', async () => {
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ userId: OTHER_USER_ID });
+
+        expect(res.status).toBe(403);
+    });
+
+    test('rejects a URL userId that differs from the token subject', async () => {
+        const res = await request(app)
+            .get(`/api/subscription-status/${OTHER_USER_ID}`)
+            .set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(403);
+    });
+
+    test('rejects a checkout for another user', async () => {
+        const res = await request(app)
+            .post('/api/create-checkout-session')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ userId: OTHER_USER_ID, email: 'dev@example.com' });
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('USER_MISMATCH');
+    });
+
+    test('serves the caller\'s own subscription status', async () => {
+        const res = await request(app)
+            .get(`/api/subscription-status/${USER_ID}`)
+            .set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ isPremium: false });
+    });
+
+    test('charges the quota of the token subject', async () => {
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', authHeader(USER_ID))
+            .send({});
+
+        expect(res.status).toBe(200);
+        expect(res.body.requestCount).toBe(1);
+
+        const row = await stripeService.storage.userLimits.findByUserId(USER_ID);
+        expect(row.request_count).toBe(1);
+    });
+
+    test('does not open the portal for a customer the caller does not own', async () => {
+        await stripeService.storage.userLimits.ensure(USER_ID);
+        await stripeService.storage.userLimits.update(USER_ID, { stripe_customer_id: 'cus_Mine' });
+
+        const res = await request(app)
+            .post('/api/create-portal-session')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ customerId: 'cus_SomeoneElse' });
+
+        expect(res.status).toBe(403);
+    });
+});
@@ -0,0 +1,205 @@
+const StripeService = require('../src/services/StripeService');
+const ReconciliationService = require('../src/services/ReconciliationService');
+const { createMemoryStorage } = require('../src/storage');
+const { run } = require('../src/cli/billing-admin');
+const { loadEvent } = require('./helpers/stripe');
+const { USER_ID, OTHER_USER_ID } = require('./helpers/app');
+
+const NOW = Math.floor(Date.now() / 1000);
+
+function subscription({ id, customer, status = 'active', created = NOW - 60, ...rest }) {
+    return {
+        id,
+        object: 'subscription',
+        customer,
+        status,
+        created,
+        cancel_at_period_end: false,
+        current_period_end: NOW + 30 * 24 * 60 * 60,
+        items: { data: [{ price: { id: 'price_test_pro' } }] },
+        metadata: {},
+        ...rest
+    };
+}
+
+// Async-iterable list result, like the Stripe SDK's auto-pagination
+function listResult(items) {
+    const result = Promise.resolve({ data: items, has_more: false });
+    result[Symbol.asyncIterator] = async function* () {
+        yield* items;
+    };
+    return result;
+}
+
+function createMockStripe(subscriptions, events = {}) {
+    return {
+        subscriptions: {
+            list: jest.fn(({ customer } = {}) => listResult(
+                subscriptions.filter(sub => !customer || sub.customer === customer)
+            ))
+        },
+        customers: {
+            search: jest.fn(async () => ({ data: [] }))
+        },
+        events: {
+            retrieve: jest.fn(async id => {
+                if (!events[id]) {
+                    throw new Error(`No such event: ${id}`);
+                }
+                return events[id];
+            })
+        }
+    };
+}
+
+function createOutput() {
+    let text = '';
+    return {
+        stream: { write: chunk => { text += chunk; } },
+        get text() {
+            return text;
+        }
+    };
+}
+
+async function setup(subscriptions, events) {
+    const storage = createMemoryStorage();
+    const stripe = createMockStripe(subscriptions, events);
+    const stripeService = new StripeService({ stripe, storage });
+    const reconciliation = new ReconciliationService(stripeService);
+
+    return { storage, stripe, stripeService, reconciliation };
+}
+
+async function linkCustomer(storage, userId, customerId, fields = {}) {
+    await storage.userLimits.ensure(userId);
+    await storage.userLimits.update(userId, { stripe_customer_id: customerId, ...fields });
+}
+
+describe('billing-admin CLI', () => {
+    test('resyncs a user from their live Stripe subscription', async () => {
+        const { storage, reconciliation } = await setup([
+            subscription({ id: 'sub_live', customer: 'cus_1' })
+        ]);
+        await linkCustomer(storage, USER_ID, 'cus_1');
+        const stdout = createOutput();
+
+        const code = await run(['resync', '--user', USER_ID], { reconciliation, stdout: stdout.stream });
+
+        expect(code).toBe(0);
+        expect(stdout.text).toMatch(/Resynced customer cus_1: updated \(active\)/);
+        expect(await storage.userLimits.findByUserId(USER_ID)).toMatchObject({
+            is_premium: true,
+            plan: 'pro',
+            stripe_subscription_id: 'sub_live'
+        });
+    });
+
+    test('resync prefers a live subscription over a newer canceled one', async () => {
+        const { storage, reconciliation } = await setup([
+            subscription({ id: 'sub_old', customer: 'cus_1', created: NOW - 600 }),
+            subscription({ id: 'sub_new', customer: 'cus_1', status: 'canceled', created: NOW - 60 })
+        ]);
+        await linkCustomer(storage, USER_ID, 'cus_1');
+
+        const result = await reconciliation.resyncCustomer('cus_1');
+
+        expect(result.subscriptionId).toBe('sub_old');
+        expect((await storage.userLimits.findByUserId(USER_ID)).is_premium).toBe(true);
+    });
+
+    test('replays a stored webhook event', async () => {
+        const { storage, stripe, reconciliation } = await setup([]);
+        await storage.userLimits.ensure(USER_ID);
+        const event = loadEvent('checkout.session.completed');
+        await storage.webhookEvents.save(event, 'failed', 'boom');
+        const stdout = createOutput();
+
+        const code = await run(['replay', event.id], { reconciliation, stdout: stdout.stream });
+
+        expect(code).toBe(0);
+        expect(stripe.events.retrieve).not.toHaveBeenCalled();
+        expect((await storage.webhookEvents.get(event.id)).status).toBe('processed');
+        expect((await storage.userLimits.findByUserId(USER_ID)).stripe_customer_id).toBe('cus_TestCustomer0001');
+    });
+
+    test('falls back to Stripe for events missing from the log', async () => {
+        const event = loadEvent('checkout.session.completed');
+        const { stripe, reconciliation } = await setup([], { [event.id]: event });
+
+        await reconciliation.replayEvent(event.id);
+
+        expect(stripe.events.retrieve).toHaveBeenCalledWith(event.id);
+    });
+
+    test('reconcile lists mismatches and exits non-zero without --fix', async () => {
+        const { storage, reconciliation } = await setup([
+            subscription({ id: 'sub_1', customer: 'cus_1' })
+        ]);
+        await linkCustomer(storage, USER_ID, 'cus_1');
+        await linkCustomer(storage, OTHER_USER_ID, 'cus_2', { is_premium: true, plan: 'pro', subscription_status: 'active' });
+        const stdout = createOutput();
+
+        const code = await run(['reconcile'], { reconciliation, stdout: stdout.stream });
+
+        expect(code).toBe(2);
+        expect(stdout.text).toMatch(/Found 2 mismatch/);
+        expect(stdout.text).toMatch(/state_mismatch: user 11111111/);
+        expect(stdout.text).toMatch(/premium_without_subscription: user 22222222/);
+        expect((await storage.userLimits.findByUserId(USER_ID)).is_premium).toBe(false);
+    });
+
+    test('reconcile --fix resyncs every mismatched customer', async () => {
+        const { storage, stripe, reconciliation } = await setup([
+            subscription({ id: 'sub_1', customer: 'cus_1' })
+        ]);
+        stripe.subscriptions.list.mockImplementation(({ customer } = {}) => {
+            if (customer === 'cus_2') {
+                return listResult([subscription({ id: 'sub_2', customer: 'cus_2', status: 'canceled' })]);
+            }
+            return listResult([subscription({ id: 'sub_1', customer: 'cus_1' })]);
+        });
+        await linkCustomer(storage, USER_ID, 'cus_1');
+        await linkCustomer(storage, OTHER_USER_ID, 'cus_2', { is_premium: true, plan: 'pro', subscription_status: 'active' });
+        const stdout = createOutput();
+
+        const code = await run(['reconcile', '--fix', '--json'], { reconciliation, stdout: stdout.stream });
+        const result = JSON.parse(stdout.text);
+
+        expect(code).toBe(0);
+        expect(result.mismatches.every(mismatch => mismatch.fixed)).toBe(true);
+        expect((await storage.userLimits.findByUserId(USER_ID)).is_premium).toBe(true);
+        expect((await storage.userLimits.findByUserId(OTHER_USER_ID)).is_premium).toBe(false);
+    });
+
+    test('reconcile --fix downgrades premium customers with no subscriptions at all', async () => {
+        const { storage, reconciliation } = await setup([]);
+        await linkCustomer(storage, OTHER_USER_ID, 'cus_2', {
+            is_premium: true,
+            plan: 'pro',
+            subscription_status: 'active',
+            stripe_subscription_id: 'sub_Gone'
+        });
+        const stdout = createOutput();
+
+        const code = await run(['reconcile', '--fix', '--json'], { reconciliation, stdout: stdout.stream });
+        const result = JSON.parse(stdout.text);
+
+        expect(code).toBe(0);
+        expect(result.mismatches).toEqual([expect.objectContaining({ issue: 'premium_without_subscription', fixed: true })]);
+        expect(await storage.userLimits.findByUserId(OTHER_USER_ID)).toMatchObject({
+            is_premium: false,
+            plan: 'free',
+            subscription_status: 'canceled'
+        });
+    });
+
+    test('prints usage for unknown commands', async () => {
+        const stderr = createOutput();
+
+        const code = await run(['frobnicate'], { reconciliation: {}, stderr: stderr.stream });
+
+        expect(code).toBe(1);
+        expect(stderr.text).toMatch(/Unknown command/);
+    });
+});
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID, OTHER_USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+
+const { app, stripeService } = loadApp();
+
+let storage;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+});
+
+async function deliver(event) {
+    const res = await sendWebhook(request(app), event);
+    expect(res.status).toBe(200);
+}
+
+// Monthly paid invoices, the newest created last
+async function payInvoices(count) {
+    await deliver(loadEvent('checkout.session.completed'));
+
+    for (let i = 1; i <= count; i++) {
+        await deliver(loadEvent('invoice.payment_succeeded', {
+            id: `evt_1PinvoicePaid000${i}`,
+            created: 1760000000 + i * 30 * 86400,
+            object: { id: `in_TestInvoice000${i}`, number: `PORKI-000${i}`, created: 1760000000 + i * 30 * 86400 }
+        }));
+    }
+}
+
+function history(query = {}, userId = USER_ID) {
+    return request(app).get('/api/billing/history').query(query).set('Authorization', authHeader(userId));
+}
+
+describe('GET /api/billing/history', () => {
+    test('records paid invoices from webhooks', async () => {
+        await deliver(loadEvent('checkout.session.completed'));
+        await deliver(loadEvent('invoice.payment_succeeded'));
+
+        expect(await storage.invoices.get('in_TestInvoice0001')).toMatchObject({
+            user_id: USER_ID,
+            status: 'paid',
+            amount_paid: 999,
+            currency: 'usd',
+            number: 'PORKI-0001'
+        });
+    });
+
+    test('lists the caller\'s invoices, newest first', async () => {
+        await payInvoices(1);
+
+        const res = await history();
+
+        expect(res.status).toBe(200);
+        expect(res.body.invoices).toEqual([{
+            id: 'in_TestInvoice0001',
+            number: 'PORKI-0001',
+            status: 'paid',
+            amountDue: 999,
+            amountPaid: 999,
+            currency: 'usd',
+            billingReason: expect.any(String),
+            periodStart: expect.any(String),
+            periodEnd: expect.any(String),
+            hostedInvoiceUrl: expect.any(String),
+            invoicePdf: expect.any(String),
+            createdAt: new Date((1760000000 + 30 * 86400) * 1000).toISOString()
+        }]);
+        expect(res.body.pagination).toEqual({ limit: 20, offset: 0, total: 1, hasMore: false });
+    });
+
+    test('pages with limit and offset', async () => {
+        await payInvoices(3);
+
+        const first = await history({ limit: 2 });
+        expect(first.body.invoices.map(invoice => invoice.id)).toEqual(['in_TestInvoice0003', 'in_TestInvoice0002']);
+        expect(first.body.pagination).toEqual({ limit: 2, offset: 0, total: 3, hasMore: true });
+
+        const second = await history({ limit: 2, offset: 2 });
+        expect(second.body.invoices.map(invoice => invoice.id)).toEqual(['in_TestInvoice0001']);
+        expect(second.body.pagination.hasMore).toBe(false);
+    });
+
+    test('never shows another user\'s invoices', async () => {
+        await payInvoices(2);
+
+        const res = await history({}, OTHER_USER_ID);
+
+        expect(res.body.invoices).toEqual([]);
+        expect(res.body.pagination.total).toBe(0);
+    });
+
+    test('keeps the newest copy of an invoice', async () => {
+        await deliver(loadEvent('checkout.session.completed'));
+        await deliver(loadEvent('invoice.payment_succeeded'));
+        await deliver(loadEvent('invoice.payment_succeeded', {
+            id: 'evt_1PinvoiceStale0001',
+            created: 1750000000,
+            object: { status: 'open', amount_paid: 0 }
+        }));
+
+        expect((await history()).body.invoices[0]).toMatchObject({ status: 'paid', amountPaid: 999 });
+    });
+
+    test('requires a session', async () => {
+        const res = await request(app).get('/api/billing/history');
+
+        expect(res.status).toBe(401);
+    });
+});
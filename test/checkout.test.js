@@ -0,0 +1,128 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID } = require('./helpers/app');
+
+const { app, stripeService } = loadApp();
+
+let storage;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+    jest.spyOn(stripeService.stripe.customers, 'create').mockResolvedValue({ id: 'cus_New' });
+    jest.spyOn(stripeService.stripe.checkout.sessions, 'create').mockResolvedValue({
+        id: 'cs_test_123',
+        url: 'https://checkout.stripe.com/c/pay/cs_test_123'
+    });
+    jest.spyOn(stripeService.stripe.prices, 'retrieve').mockResolvedValue({
+        id: 'price_test_pro',
+        unit_amount: 999,
+        currency: 'usd',
+        recurring: { interval: 'month', interval_count: 1 }
+    });
+    stripeService.priceCache = { expiresAt: 0, prices: null };
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('checkout', () => {
+    test('creates a checkout session for a catalog plan', async () => {
+        const res = await request(app)
+            .post('/api/create-checkout-session')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ plan: 'pro' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ sessionId: 'cs_test_123', url: 'https://checkout.stripe.com/c/pay/cs_test_123' });
+
+        const params = stripeService.stripe.checkout.sessions.create.mock.calls[0][0];
+        expect(params.line_items).toEqual([{ price: 'price_test_pro', quantity: 1 }]);
+        expect(params.metadata).toEqual({ userId: USER_ID, plan: 'pro' });
+        expect((await storage.userLimits.findByUserId(USER_ID)).stripe_customer_id).toBe('cus_New');
+    });
+
+    test('records campaign parameters and lets customers enter promotion codes', async () => {
+        await request(app)
+            .post('/api/create-checkout-session')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ plan: 'pro', utm: { source: 'newsletter', campaign: 'launch' } });
+
+        const params = stripeService.stripe.checkout.sessions.create.mock.calls[0][0];
+        expect(params.metadata).toEqual({ userId: USER_ID, plan: 'pro', utm_source: 'newsletter', utm_campaign: 'launch' });
+        expect(params.subscription_data.metadata).toEqual(params.metadata);
+        expect(params.allow_promotion_codes).toBe(true);
+        expect(params.subscription_data).not.toHaveProperty('trial_period_days');
+    });
+
+    test('applies a promotion code after checking it with Stripe', async () => {
+        const list = jest.spyOn(stripeService.stripe.promotionCodes, 'list').mockResolvedValue({
+            data: [{ id: 'promo_123', code: 'LAUNCH20', active: true, coupon: { valid: true }, max_redemptions: 10, times_redeemed: 3 }]
+        });
+
+        const res = await request(app)
+            .post('/api/create-checkout-session')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ plan: 'pro', promotionCode: 'LAUNCH20' });
+
+        expect(res.status).toBe(200);
+        expect(list).toHaveBeenCalledWith({ code: 'LAUNCH20', active: true, limit: 1 });
+
+        const params = stripeService.stripe.checkout.sessions.create.mock.calls[0][0];
+        expect(params.discounts).toEqual([{ promotion_code: 'promo_123' }]);
+        expect(params).not.toHaveProperty('allow_promotion_codes');
+    });
+
+    test('rejects unknown and used-up promotion codes', async () => {
+        jest.spyOn(stripeService.stripe.promotionCodes, 'list')
+            .mockResolvedValueOnce({ data: [] })
+            .mockResolvedValueOnce({
+                data: [{ id: 'promo_456', code: 'ONCE', active: true, coupon: { valid: true }, max_redemptions: 1, times_redeemed: 1 }]
+            });
+
+        for (const promotionCode of ['NOPE', 'ONCE']) {
+            const res = await request(app)
+                .post('/api/create-checkout-session')
+                .set('Authorization', authHeader(USER_ID))
+                .send({ plan: 'pro', promotionCode });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.code).toBe('PROMOTION_CODE_INVALID');
+        }
+
+        expect(stripeService.stripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    test('starts the first subscription with the plan\'s trial', async () => {
+        const pro = stripeService.plans.get('pro');
+        pro.trialDays = 14;
+
+        try {
+            const first = await request(app)
+                .post('/api/create-checkout-session')
+                .set('Authorization', authHeader(USER_ID))
+                .send({ plan: 'pro' });
+            expect(first.status).toBe(200);
+            expect(stripeService.stripe.checkout.sessions.create.mock.calls[0][0].subscription_data.trial_period_days).toBe(14);
+
+            // Someone who has subscribed before doesn't get another trial
+            await storage.userLimits.update(USER_ID, { stripe_subscription_id: 'sub_Old' });
+            await request(app)
+                .post('/api/create-checkout-session')
+                .set('Authorization', authHeader(USER_ID))
+                .send({ plan: 'pro' });
+            expect(stripeService.stripe.checkout.sessions.create.mock.calls[1][0].subscription_data).not.toHaveProperty('trial_period_days');
+        } finally {
+            pro.trialDays = 0;
+        }
+    });
+
+    test('refuses plans that are not in the catalog', async () => {
+        const res = await request(app)
+            .post('/api/create-checkout-session')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ plan: 'enterprise', priceId: 'price_attacker_chosen' });
+
+        expect(res.status).toBe(400);
+        expect(stripeService.stripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+});
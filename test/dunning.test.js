@@ -0,0 +1,115 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+
+const { app, stripeService } = loadApp();
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Grace periods run from real time, so events are dated relative to now
+const now = () => Math.floor(Date.now() / 1000);
+
+beforeEach(async () => {
+    resetStorage(stripeService);
+    await deliver(loadEvent('checkout.session.completed'));
+    await deliver(loadEvent('customer.subscription.created'));
+});
+
+async function deliver(event) {
+    const res = await sendWebhook(request(app), event);
+    expect(res.status).toBe(200);
+}
+
+function paymentFailed(created, { id = 'evt_1PinvoicePaymentFailed0001', ...object } = {}) {
+    return deliver(loadEvent('invoice.payment_failed', {
+        id,
+        created,
+        object: { next_payment_attempt: created + 3 * DAY, ...object }
+    }));
+}
+
+function pastDue(created) {
+    return deliver(loadEvent('customer.subscription.updated', {
+        id: 'evt_1PsubscriptionPastDue0001',
+        created,
+        object: { status: 'past_due' }
+    }));
+}
+
+async function status() {
+    const res = await request(app).get(`/api/subscription-status/${USER_ID}`).set('Authorization', authHeader(USER_ID));
+    expect(res.status).toBe(200);
+    return res.body;
+}
+
+describe('dunning', () => {
+    test('a failed renewal keeps paid access through the grace period', async () => {
+        const failedAt = now() - HOUR;
+        await paymentFailed(failedAt);
+        await pastDue(failedAt + 1);
+
+        expect(await status()).toMatchObject({
+            isPremium: true,
+            plan: 'pro',
+            subscriptionStatus: 'past_due',
+            paymentStatus: 'past_due',
+            paymentAttemptCount: 1,
+            gracePeriodEndsAt: new Date((failedAt + 7 * DAY) * 1000).toISOString(),
+            nextPaymentAttempt: new Date((failedAt + 3 * DAY) * 1000).toISOString()
+        });
+    });
+
+    test('retries update the attempt count but don\'t extend the grace period', async () => {
+        const failedAt = now() - 2 * DAY;
+        await paymentFailed(failedAt);
+        await paymentFailed(failedAt + DAY, { id: 'evt_1PinvoicePaymentFailed0002', attempt_count: 2 });
+
+        expect(await status()).toMatchObject({
+            paymentAttemptCount: 2,
+            gracePeriodEndsAt: new Date((failedAt + 7 * DAY) * 1000).toISOString(),
+            nextPaymentAttempt: new Date((failedAt + 4 * DAY) * 1000).toISOString()
+        });
+    });
+
+    test('access falls back to free once the grace period is over', async () => {
+        const failedAt = now() - 8 * DAY;
+        await paymentFailed(failedAt);
+        await pastDue(failedAt + 1);
+
+        expect(await status()).toMatchObject({ isPremium: false, plan: 'free', paymentStatus: 'past_due', requestLimit: 3 });
+    });
+
+    test('a paid invoice ends the grace period', async () => {
+        const failedAt = now() - 8 * DAY;
+        await paymentFailed(failedAt);
+        await deliver(loadEvent('invoice.payment_succeeded', {
+            id: 'evt_1PinvoicePaid0002',
+            created: now(),
+            object: { id: 'in_TestInvoice0002' }
+        }));
+        await deliver(loadEvent('customer.subscription.updated', { created: now() + 1 }));
+
+        expect(await status()).toMatchObject({
+            isPremium: true,
+            paymentStatus: 'current',
+            gracePeriodEndsAt: null,
+            paymentAttemptCount: 0,
+            nextPaymentAttempt: null
+        });
+    });
+
+    test('a failed first payment grants no grace period', async () => {
+        await paymentFailed(now(), { billing_reason: 'subscription_create' });
+
+        expect((await status()).paymentStatus).toBe('current');
+    });
+
+    test('failures older than the recorded payment state are ignored', async () => {
+        await paymentFailed(now() - HOUR);
+        await deliver(loadEvent('invoice.payment_succeeded', { id: 'evt_1PinvoicePaid0002', created: now() }));
+        await paymentFailed(now() - 2 * HOUR, { id: 'evt_1PinvoicePaymentFailed0003' });
+
+        expect((await status()).paymentStatus).toBe('current');
+    });
+});
@@ -0,0 +1,137 @@
+const http = require('http');
+const request = require('supertest');
+const { loadApp, resetStorage } = require('./helpers/app');
+const HealthService = require('../src/services/HealthService');
+const { ShutdownCoordinator } = require('../src/shutdown');
+const { Logger } = require('../src/logger');
+const { version } = require('../package.json');
+
+const { app, stripeService, healthService } = loadApp();
+
+const silentLog = new Logger({ level: 'silent' });
+
+beforeEach(() => {
+    resetStorage(stripeService);
+    healthService.cache.clear();
+    jest.spyOn(stripeService.stripe.prices, 'retrieve').mockResolvedValue({ id: 'price_test_pro' });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('health endpoints', () => {
+    test('liveness reports the package.json version', async () => {
+        const res = await request(app).get('/api/health/live');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ status: 'healthy', version });
+    });
+
+    test('readiness reports each dependency', async () => {
+        const res = await request(app).get('/api/health/ready');
+
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('ready');
+        expect(res.body.checks.database.status).toBe('up');
+        expect(res.body.checks.stripe.status).toBe('up');
+    });
+
+    test('readiness fails without leaking the dependency error', async () => {
+        stripeService.stripe.prices.retrieve.mockRejectedValue(new Error('Invalid API Key provided: sk_live_***'));
+
+        const res = await request(app).get('/api/health/ready');
+
+        expect(res.status).toBe(503);
+        expect(res.body.checks.stripe).toMatchObject({ status: 'down' });
+        expect(res.body.checks.database).toMatchObject({ status: 'up' });
+        expect(JSON.stringify(res.body)).not.toMatch(/API Key/);
+    });
+
+    test('readiness results are cached', async () => {
+        await request(app).get('/api/health/ready');
+        await request(app).get('/api/health/ready');
+
+        expect(stripeService.stripe.prices.retrieve).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('HealthService', () => {
+    test('a check that hangs counts as down after the timeout', async () => {
+        const service = new HealthService({
+            checks: { slow: () => new Promise(() => {}) },
+            timeoutMs: 20,
+            log: silentLog
+        });
+
+        const result = await service.checkReadiness();
+
+        expect(result.ready).toBe(false);
+        expect(result.checks.slow.status).toBe('down');
+    });
+
+    test('re-runs a check once the cached result expires', async () => {
+        let now = 0;
+        const check = jest.fn().mockResolvedValue();
+        const service = new HealthService({ checks: { db: check }, cacheTtlMs: 1000, now: () => now, log: silentLog });
+
+        await service.checkReadiness();
+        now = 500;
+        await service.checkReadiness();
+        now = 1500;
+        await service.checkReadiness();
+
+        expect(check).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('graceful shutdown', () => {
+    // A server whose /slow requests take `delayMs` to answer
+    function startServer(coordinator, delayMs) {
+        const track = coordinator.trackRequests();
+        const server = http.createServer((req, res) => {
+            // The tracker only needs res.set from Express
+            res.set = res.setHeader.bind(res);
+            track(req, res, () => setTimeout(() => res.end('done'), delayMs));
+        });
+
+        return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+    }
+
+    function get(server) {
+        return new Promise((resolve, reject) => {
+            http.get(`http://127.0.0.1:${server.address().port}/slow`, res => {
+                let body = '';
+                res.on('data', chunk => { body += chunk; });
+                res.on('end', () => resolve(body));
+            }).on('error', reject);
+        });
+    }
+
+    test('waits for in-flight requests before closing', async () => {
+        const coordinator = new ShutdownCoordinator({ timeoutMs: 2000, log: silentLog });
+        const server = await startServer(coordinator, 100);
+        const cleanup = jest.fn();
+
+        const pending = get(server);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const result = await coordinator.shutdown(server, { signal: 'SIGTERM', cleanup: [cleanup] });
+
+        expect(result).toEqual({ drained: true, abandoned: 0 });
+        await expect(pending).resolves.toBe('done');
+        expect(cleanup).toHaveBeenCalled();
+        expect(server.listening).toBe(false);
+    });
+
+    test('gives up on requests that outlive the timeout', async () => {
+        const coordinator = new ShutdownCoordinator({ timeoutMs: 50, log: silentLog });
+        const server = await startServer(coordinator, 500);
+
+        const pending = get(server).catch(error => error);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const result = await coordinator.shutdown(server);
+
+        expect(result).toEqual({ drained: false, abandoned: 1 });
+        expect((await pending).code).toBe('ECONNRESET');
+    });
+});
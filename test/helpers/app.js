@@ -0,0 +1,57 @@
+const jwt = require('jsonwebtoken');
+const { createMemoryStorage } = require('../../src/storage');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_USER_ID = '22222222-2222-4222-8222-222222222222';
+
+// Loads the Express app from src/index.js. The listen() call is skipped
+// because index.js isn't the main module under jest.
+function loadApp() {
+    return require('../../src/index');
+}
+
+// Gives the app's services an empty in-memory store for each test. They all
+// share one store, like they do in src/index.js.
+function resetStorage(stripeService) {
+    const storage = createMemoryStorage();
+    const { apiKeyService, organizationService, usageService, adminService, accountService, meteredUsageReporter, notificationService, outboundWebhookService } = loadApp();
+
+    stripeService.storage = storage;
+    apiKeyService.storage = storage;
+    organizationService.storage = storage;
+    usageService.storage = storage;
+    adminService.storage = storage;
+    accountService.storage = storage;
+    meteredUsageReporter.storage = storage;
+    notificationService.storage = storage;
+    outboundWebhookService.storage = storage;
+    return storage;
+}
+
+// Signs a Supabase-style access token with the local test secret
+function signAccessToken(userId = USER_ID, claims = {}, options = {}) {
+    return jwt.sign(
+        {
+            sub: userId,
+            aud: 'authenticated',
+            role: 'authenticated',
+            email: 'dev@example.com',
+            ...claims
+        },
+        process.env.SUPABASE_JWT_SECRET,
+        { algorithm: 'HS256', expiresIn: '1h', ...options }
+    );
+}
+
+function authHeader(userId = USER_ID, claims, options) {
+    return `Bearer ${signAccessToken(userId, claims, options)}`;
+}
+
+module.exports = {
+    USER_ID,
+    OTHER_USER_ID,
+    loadApp,
+    resetStorage,
+    signAccessToken,
+    authHeader
+};
@@ -0,0 +1,44 @@
+const path = require('path');
+const fs = require('fs');
+const Stripe = require('stripe');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'stripe');
+
+// A fresh copy of a fixture event. `object` is merged into data.object,
+// everything else into the event itself.
+function loadEvent(name, { object, ...overrides } = {}) {
+    const event = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+
+    Object.assign(event, overrides);
+    if (object) {
+        Object.assign(event.data.object, object);
+    }
+
+    return event;
+}
+
+// Stripe-Signature header for a payload, signed with the test webhook secret
+function signPayload(payload, timestamp) {
+    return Stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret: process.env.STRIPE_WEBHOOK_SECRET,
+        timestamp
+    });
+}
+
+// Posts an event to /webhook/stripe the way Stripe does
+function sendWebhook(request, event) {
+    const payload = JSON.stringify(event);
+
+    return request
+        .post('/webhook/stripe')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', signPayload(payload))
+        .send(payload);
+}
+
+module.exports = {
+    loadEvent,
+    signPayload,
+    sendWebhook
+};
@@ -0,0 +1,100 @@
+const request = require('supertest');
+const { Logger, runWithContext } = require('../src/logger');
+const { loadApp, resetStorage, USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+
+const { app, stripeService } = loadApp();
+
+// Collects log lines in memory instead of writing them to stdout
+function captureLogger(options = {}) {
+    const lines = [];
+    const stream = { write: chunk => lines.push(JSON.parse(chunk)) };
+    return { log: new Logger({ level: 'debug', stream, ...options }), lines };
+}
+
+describe('logger', () => {
+    test('writes one JSON object per line and respects the level', () => {
+        const { log, lines } = captureLogger({ level: 'warn' });
+
+        log.info('not written');
+        log.warn('written', { attempt: 2 });
+
+        expect(lines).toHaveLength(1);
+        expect(lines[0]).toMatchObject({ level: 'warn', msg: 'written', attempt: 2 });
+        expect(Date.parse(lines[0].time)).not.toBeNaN();
+    });
+
+    test('redacts emails and customer IDs wherever they appear', () => {
+        const { log, lines } = captureLogger({ redact: ['email', 'customerId'] });
+
+        log.info('Sent receipt to dev@example.com', {
+            customerId: 'cus_TestCustomer0001',
+            nested: { note: 'customer cus_Abc123 is dev+billing@example.co.uk' }
+        });
+
+        expect(lines[0].msg).toBe('Sent receipt to [REDACTED]');
+        expect(lines[0].customerId).toBe('[REDACTED]');
+        expect(lines[0].nested.note).toBe('customer [REDACTED] is [REDACTED]');
+    });
+
+    test('leaves PII alone when redaction is off', () => {
+        const { log, lines } = captureLogger({ redact: [] });
+
+        log.info('Customer', { customerId: 'cus_TestCustomer0001' });
+
+        expect(lines[0].customerId).toBe('cus_TestCustomer0001');
+    });
+
+    test('adds the async context and serializes errors', async () => {
+        const { log, lines } = captureLogger();
+
+        await runWithContext({ requestId: 'req-1' }, async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            log.error('Failed', { error: new Error('boom') });
+        });
+
+        expect(lines[0]).toMatchObject({ requestId: 'req-1', error: { name: 'Error', message: 'boom' } });
+    });
+});
+
+describe('request IDs', () => {
+    let captured;
+
+    beforeEach(() => {
+        resetStorage(stripeService);
+        captured = captureLogger({ redact: ['email', 'customerId'] });
+        stripeService.log = captured.log.child({ component: 'StripeService' });
+    });
+
+    test('generates an X-Request-Id for every response', async () => {
+        const res = await request(app).get('/api/health');
+
+        expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('echoes a well-formed incoming X-Request-Id and replaces a bogus one', async () => {
+        const kept = await request(app).get('/api/health').set('X-Request-Id', 'edge-abc.123');
+        const replaced = await request(app).get('/api/health').set('X-Request-Id', 'bad id\twith spaces');
+
+        expect(kept.headers['x-request-id']).toBe('edge-abc.123');
+        expect(replaced.headers['x-request-id']).not.toBe('bad id\twith spaces');
+    });
+
+    test('service logs carry the request and webhook event IDs', async () => {
+        await stripeService.storage.userLimits.ensure(USER_ID);
+
+        const event = loadEvent('checkout.session.completed');
+        const res = await sendWebhook(request(app), event).set('X-Request-Id', 'req-webhook-1');
+
+        expect(res.status).toBe(200);
+
+        const completed = captured.lines.find(line => line.msg === 'Checkout completed');
+        expect(completed).toMatchObject({
+            component: 'StripeService',
+            requestId: 'req-webhook-1',
+            eventId: event.id,
+            userId: USER_ID,
+            customerId: '[REDACTED]'
+        });
+    });
+});
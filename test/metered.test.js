@@ -0,0 +1,195 @@
+// The metered plan is only in the catalog when its price is configured
+process.env.STRIPE_PRICE_ID_METERED = 'price_test_metered';
+process.env.PLAN_METERED_INCLUDED_REQUESTS = '2';
+
+const { Writable } = require('stream');
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+const MeteredUsageReporter = require('../src/services/MeteredUsageReporter');
+const { run } = require('../src/cli/billing-admin');
+
+const { app, stripeService } = loadApp();
+
+let storage;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+function createMockStripe() {
+    let next = 1;
+    return {
+        subscriptionItems: {
+            createUsageRecord: jest.fn(async () => ({ id: `mbur_${next++}` }))
+        }
+    };
+}
+
+function createReporter(stripe, options = {}) {
+    return new MeteredUsageReporter({ stripe, storage, ...options });
+}
+
+// Subscribes USER_ID to the metered plan through the webhook
+async function subscribeMetered() {
+    await sendWebhook(request(app), loadEvent('checkout.session.completed'));
+
+    const event = loadEvent('customer.subscription.created');
+    event.data.object.items.data[0] = {
+        id: 'si_Metered0001',
+        object: 'subscription_item',
+        price: { id: 'price_test_metered', recurring: { interval: 'month', usage_type: 'metered' } }
+    };
+    const res = await sendWebhook(request(app), event);
+    expect(res.status).toBe(200);
+}
+
+function validate() {
+    return request(app).post('/api/validate-request').set('Authorization', authHeader(USER_ID)).send({});
+}
+
+describe('metered plan', () => {
+    test('buffers requests past the included allowance', async () => {
+        await subscribeMetered();
+
+        const row = await storage.userLimits.findByUserId(USER_ID);
+        expect(row).toMatchObject({ plan: 'metered', stripe_subscription_item_id: 'si_Metered0001' });
+
+        for (let i = 0; i < 5; i++) {
+            const res = await validate();
+            expect(res.status).toBe(200);
+            expect(res.body.plan).toBe('metered');
+        }
+
+        const [buffered] = storage.db.meteredUsage.values();
+        expect(buffered).toMatchObject({ subscription_item_id: 'si_Metered0001', pending_quantity: 3 });
+
+        const status = await request(app)
+            .get(`/api/subscription-status/${USER_ID}`)
+            .set('Authorization', authHeader(USER_ID));
+        expect(status.body).toMatchObject({ requestCount: 5, includedRequests: 2, billableRequests: 3 });
+    });
+
+    test('checks out without a quantity on the metered price', async () => {
+        jest.spyOn(stripeService.stripe.customers, 'create').mockResolvedValue({ id: 'cus_New' });
+        const create = jest.spyOn(stripeService.stripe.checkout.sessions, 'create').mockResolvedValue({ id: 'cs_test', url: 'https://checkout.test' });
+
+        const res = await request(app)
+            .post('/api/create-checkout-session')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ plan: 'metered' });
+
+        expect(res.status).toBe(200);
+        expect(create.mock.calls[0][0].line_items).toEqual([{ price: 'price_test_metered' }]);
+    });
+});
+
+describe('MeteredUsageReporter', () => {
+    test('sends each buffered batch once, keyed by its report', async () => {
+        const stripe = createMockStripe();
+        const reporter = createReporter(stripe);
+
+        await storage.meteredUsage.addPending({ userId: USER_ID, subscriptionItemId: 'si_1', quantity: 4 });
+        await storage.meteredUsage.addPending({ userId: USER_ID, subscriptionItemId: 'si_1' });
+
+        expect(await reporter.run()).toEqual({ claimed: 1, reported: 1, retrying: 0, failed: 0 });
+        expect(await reporter.run()).toEqual({ claimed: 0, reported: 0, retrying: 0, failed: 0 });
+
+        const [[itemId, params, options]] = stripe.subscriptionItems.createUsageRecord.mock.calls;
+        const [report] = await storage.meteredUsage.listReports();
+
+        expect(itemId).toBe('si_1');
+        expect(params).toMatchObject({ quantity: 5, action: 'increment' });
+        expect(options).toEqual({ idempotencyKey: `metered-usage-report-${report.id}` });
+        expect(report).toMatchObject({ status: 'reported', attempts: 1, stripe_usage_record_id: 'mbur_1' });
+    });
+
+    test('timestamps usage with the batch\'s last request, not the claim', async () => {
+        const stripe = createMockStripe();
+        const lastRequest = new Date('2026-10-31T23:59:30.000Z');
+        await storage.meteredUsage.addPending({ userId: USER_ID, subscriptionItemId: 'si_1', occurredAt: lastRequest });
+        await storage.meteredUsage.addPending({
+            userId: USER_ID,
+            subscriptionItemId: 'si_1',
+            occurredAt: new Date('2026-10-31T23:58:00.000Z')
+        });
+
+        await createReporter(stripe).run();
+
+        const [[, params]] = stripe.subscriptionItems.createUsageRecord.mock.calls;
+        expect(params).toMatchObject({ quantity: 2, timestamp: lastRequest.getTime() / 1000 });
+        expect((await storage.meteredUsage.listReports())[0].occurred_at).toBe(lastRequest.toISOString());
+    });
+
+    test('resends with the same idempotency key when the outcome was lost', async () => {
+        const stripe = createMockStripe();
+        const reporter = createReporter(stripe);
+        await storage.meteredUsage.addPending({ userId: USER_ID, subscriptionItemId: 'si_1', quantity: 2 });
+
+        // Stripe recorded the usage, then we crashed before saving that
+        jest.spyOn(storage.meteredUsage, 'updateReport').mockRejectedValueOnce(new Error('connection lost'));
+        await expect(reporter.run()).rejects.toThrow('connection lost');
+
+        await reporter.run();
+
+        const calls = stripe.subscriptionItems.createUsageRecord.mock.calls;
+        expect(calls).toHaveLength(2);
+        expect(calls[1][2]).toEqual(calls[0][2]);
+    });
+
+    test('backs off on Stripe errors and gives up after the last attempt', async () => {
+        // Ahead of the wall clock the repository stamps new reports with
+        const start = new Date(Date.now() + 1000);
+        let now = start;
+        const stripe = createMockStripe();
+        stripe.subscriptionItems.createUsageRecord.mockRejectedValue(
+            Object.assign(new Error('Stripe is down'), { type: 'StripeAPIError' })
+        );
+        const reporter = createReporter(stripe, { maxAttempts: 2, now: () => now });
+        await storage.meteredUsage.addPending({ userId: USER_ID, subscriptionItemId: 'si_1' });
+
+        expect(await reporter.run()).toMatchObject({ retrying: 1 });
+        let [report] = await storage.meteredUsage.listReports();
+        expect(report.next_attempt_at).toBe(new Date(start.getTime() + 60 * 1000).toISOString());
+
+        // Not due yet
+        expect(await reporter.run()).toMatchObject({ retrying: 0, failed: 0 });
+
+        now = new Date(start.getTime() + 60 * 1000);
+        expect(await reporter.run()).toMatchObject({ failed: 1 });
+        [report] = await storage.meteredUsage.listReports();
+        expect(report).toMatchObject({ status: 'failed', attempts: 2, last_error: 'Stripe is down' });
+    });
+
+    test('does not retry requests Stripe rejected as invalid', async () => {
+        const stripe = createMockStripe();
+        stripe.subscriptionItems.createUsageRecord.mockRejectedValue(
+            Object.assign(new Error('No such subscription item'), { type: 'StripeInvalidRequestError' })
+        );
+        await storage.meteredUsage.addPending({ userId: USER_ID, subscriptionItemId: 'si_gone' });
+
+        expect(await createReporter(stripe).run()).toMatchObject({ failed: 1 });
+    });
+
+    test('billing-admin report-usage runs the reporter', async () => {
+        const stripe = createMockStripe();
+        await storage.meteredUsage.addPending({ userId: USER_ID, subscriptionItemId: 'si_1' });
+
+        let output = '';
+        const stdout = new Writable({
+            write(chunk, encoding, callback) {
+                output += chunk;
+                callback();
+            }
+        });
+
+        const code = await run(['report-usage'], { reporter: createReporter(stripe), stdout });
+
+        expect(code).toBe(0);
+        expect(output).toContain('1 reported');
+    });
+});
@@ -0,0 +1,86 @@
+process.env.METRICS_TOKEN = 'test-metrics-token';
+
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+const { registry, normalizePath } = require('../src/metrics');
+
+const { app, stripeService } = loadApp();
+
+beforeEach(() => {
+    resetStorage(stripeService);
+    registry.resetMetrics();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+async function scrape() {
+    const res = await request(app).get('/metrics').set('Authorization', 'Bearer test-metrics-token');
+    expect(res.status).toBe(200);
+    return res.text;
+}
+
+describe('GET /metrics', () => {
+    test('requires the metrics token when one is configured', async () => {
+        const missing = await request(app).get('/metrics');
+        const wrong = await request(app).get('/metrics').set('Authorization', 'Bearer nope');
+
+        expect(missing.status).toBe(401);
+        expect(wrong.status).toBe(401);
+    });
+
+    test('counts HTTP requests by route template', async () => {
+        await request(app).get(`/api/subscription-status/${USER_ID}`).set('Authorization', authHeader(USER_ID));
+        await request(app).get('/api/does-not-exist');
+
+        const text = await scrape();
+
+        expect(text).toContain('http_requests_total{method="GET",route="/api/subscription-status/:userId",status="200"} 1');
+        expect(text).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+        expect(text).toMatch(/http_request_duration_seconds_count\{method="GET",route="\/api\/subscription-status\/:userId",status="200"\} 1/);
+    });
+
+    test('counts webhook outcomes', async () => {
+        await sendWebhook(request(app), loadEvent('checkout.session.completed'));
+        await sendWebhook(request(app), loadEvent('customer.subscription.created'));
+        await sendWebhook(request(app), loadEvent('customer.subscription.deleted'));
+        // Older than the deletion, so the store refuses it
+        await sendWebhook(request(app), loadEvent('customer.subscription.updated'));
+        await sendWebhook(request(app), loadEvent('customer.subscription.created'));
+
+        jest.spyOn(stripeService.storage.invoices, 'upsert').mockRejectedValueOnce(new Error('database unavailable'));
+        await sendWebhook(request(app), loadEvent('invoice.payment_succeeded'));
+
+        const text = await scrape();
+
+        expect(text).toContain('stripe_webhook_events_total{type="customer.subscription.created",outcome="processed"} 1');
+        expect(text).toContain('stripe_webhook_events_total{type="customer.subscription.updated",outcome="skipped"} 1');
+        expect(text).toContain('stripe_webhook_events_total{type="customer.subscription.created",outcome="duplicate"} 1');
+        expect(text).toContain('stripe_webhook_events_total{type="invoice.payment_succeeded",outcome="failed"} 1');
+    });
+
+    test('counts quota denials and checkout sessions', async () => {
+        jest.spyOn(stripeService.stripe.customers, 'create').mockResolvedValue({ id: 'cus_New' });
+        jest.spyOn(stripeService.stripe.checkout.sessions, 'create').mockResolvedValue({ id: 'cs_test_1', url: 'https://checkout.test' });
+
+        for (let i = 0; i < 4; i++) {
+            await request(app).post('/api/validate-request').set('Authorization', authHeader(USER_ID)).send({});
+        }
+        await request(app).post('/api/create-checkout-session').set('Authorization', authHeader(USER_ID)).send({ plan: 'pro' });
+
+        const text = await scrape();
+
+        expect(text).toContain('quota_denials_total{plan="free"} 1');
+        expect(text).toContain('checkout_sessions_created_total{plan="pro"} 1');
+    });
+});
+
+describe('normalizePath', () => {
+    test('collapses object IDs so each endpoint is one series', () => {
+        expect(normalizePath('/v1/customers/cus_123abc')).toBe('/v1/customers/:id');
+        expect(normalizePath('/v1/subscriptions/sub_1Abc/items?limit=3')).toBe('/v1/subscriptions/:id/items');
+        expect(normalizePath('/rest/v1/rpc/consume_request_quota')).toBe('/rest/v1/rpc/consume_request_quota');
+    });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+const { FileTransport, SmtpTransport } = require('../src/notifications');
+
+const { app, stripeService, notificationService } = loadApp();
+
+// FREE_USER_REQUEST_LIMIT is 3 per day in test/setup.js
+const LIMIT = 3;
+
+let storage;
+let transport;
+let originalTransport;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+    originalTransport = notificationService.transport;
+    transport = { send: jest.fn(async () => ({ messageId: '<test@porkicoder.test>' })) };
+    notificationService.transport = transport;
+});
+
+afterEach(() => {
+    notificationService.transport = originalTransport;
+});
+
+// Delivers the events in order and waits for the emails they trigger
+async function deliver(...events) {
+    for (const event of events) {
+        const res = await sendWebhook(request(app), typeof event === 'string' ? loadEvent(event) : event);
+        expect(res.status).toBe(200);
+    }
+    await notificationService.flush();
+}
+
+async function exhaustQuota(times = 1) {
+    for (let i = 0; i < LIMIT + times; i++) {
+        await request(app).post('/api/validate-request').set('Authorization', authHeader(USER_ID)).send({});
+    }
+    await notificationService.flush();
+}
+
+function sent() {
+    return transport.send.mock.calls.map(([message]) => message);
+}
+
+describe('billing emails', () => {
+    test('welcomes the user at their account address after checkout', async () => {
+        storage.db.authUsers.set(USER_ID, { email: 'account@example.com' });
+
+        await deliver('checkout.session.completed');
+
+        expect(sent()).toEqual([expect.objectContaining({
+            from: 'PorkiCoder <no-reply@porkicoder.com>',
+            to: 'account@example.com',
+            subject: 'Welcome to PorkiCoder Pro'
+        })]);
+        expect(sent()[0].html).toContain('<a href="https://porkicoder.test">');
+    });
+
+    test('tells the user once per invoice when a renewal payment fails', async () => {
+        await deliver('checkout.session.completed', 'customer.subscription.created', 'invoice.payment_failed');
+
+        // Stripe's next retry fails too
+        await deliver(loadEvent('invoice.payment_failed', {
+            id: 'evt_1PinvoicePaymentFailed0002',
+            created: 1762937600,
+            object: { attempt_count: 2 }
+        }));
+
+        const emails = sent().filter(message => message.subject === 'Your PorkiCoder payment failed');
+        expect(emails).toHaveLength(1);
+        // Nothing in Auth for this user, so Stripe's address is used
+        expect(emails[0].to).toBe('dev@example.com');
+        expect(emails[0].text).toContain('$9.99');
+        expect(emails[0].text).toContain('https://invoice.stripe.com/i/acct_Test/test_YWNjdF9UZXN0Mg');
+    });
+
+    test('confirms a cancellation scheduled for the end of the period', async () => {
+        storage.db.authUsers.set(USER_ID, { email: 'account@example.com' });
+
+        await deliver('checkout.session.completed', 'customer.subscription.created', 'customer.subscription.updated.cancel_at_period_end');
+
+        const [email] = sent().filter(message => message.subject === 'Your PorkiCoder subscription will end');
+        expect(email.text).toContain('Your Pro subscription is set to cancel');
+    });
+});
+
+describe('free limit email', () => {
+    beforeEach(() => {
+        storage.db.authUsers.set(USER_ID, { email: 'account@example.com' });
+    });
+
+    test('is sent once per quota period', async () => {
+        await exhaustQuota(3);
+
+        expect(sent()).toEqual([expect.objectContaining({ subject: 'You\'ve used all your Free requests' })]);
+        expect(sent()[0].text).toContain(`all ${LIMIT} requests`);
+    });
+
+    test('is not sent to users who opted out of non-essential emails', async () => {
+        const res = await request(app)
+            .put('/api/notifications/preferences')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ nonEssentialEmails: false });
+        expect(res.body.preferences).toMatchObject({ nonEssentialEmails: false });
+
+        await exhaustQuota();
+        await deliver('checkout.session.completed');
+
+        // Billing emails still go out
+        expect(sent().map(message => message.subject)).toEqual(['Welcome to PorkiCoder Pro']);
+    });
+
+    test('is tried again on the next trigger after a failed send', async () => {
+        transport.send.mockRejectedValueOnce(new Error('SMTP connection refused'));
+
+        await exhaustQuota();
+        let [delivery] = await storage.notifications.listDeliveries(USER_ID);
+        expect(delivery).toMatchObject({ status: 'failed', last_error: 'SMTP connection refused' });
+
+        await exhaustQuota(0);
+        [delivery] = await storage.notifications.listDeliveries(USER_ID);
+        expect(delivery).toMatchObject({ status: 'sent', attempts: 2 });
+        expect(transport.send).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('notification preferences', () => {
+    test('default to receiving everything', async () => {
+        const res = await request(app)
+            .get('/api/notifications/preferences')
+            .set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(200);
+        expect(res.body.preferences).toEqual({ nonEssentialEmails: true, updatedAt: null });
+    });
+
+    test('reject anything but a boolean', async () => {
+        const res = await request(app)
+            .put('/api/notifications/preferences')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ nonEssentialEmails: 'no' });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('FileTransport', () => {
+    test('writes each message as an .eml file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'porkicoder-emails-'));
+
+        try {
+            const { file } = await new FileTransport({ dir }).send({
+                from: 'PorkiCoder <no-reply@porkicoder.com>',
+                to: 'dev@example.com',
+                subject: 'Hello',
+                text: 'Plain body',
+                html: '<p>HTML body</p>'
+            });
+
+            const contents = fs.readFileSync(file, 'utf8');
+            expect(contents).toContain('To: dev@example.com\r\nSubject: Hello');
+            expect(contents).toContain('Plain body');
+            expect(contents).toContain('<p>HTML body</p>');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('SmtpTransport', () => {
+    test('closes its pooled connections', async () => {
+        const transporter = {
+            sendMail: jest.fn(async () => ({ messageId: '<1@smtp>' })),
+            close: jest.fn()
+        };
+        const transport = new SmtpTransport({ transporter });
+
+        expect(await transport.send({ to: 'dev@example.com' })).toEqual({ messageId: '<1@smtp>' });
+        transport.close();
+
+        expect(transporter.close).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,267 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID, OTHER_USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+
+const { app, stripeService } = loadApp();
+
+const THIRD_USER_ID = '33333333-3333-4333-8333-333333333333';
+const ORG_CUSTOMER_ID = 'cus_TestOrganization0001';
+
+// FREE_USER_REQUEST_LIMIT is 3 per day in test/setup.js
+const LIMIT = 3;
+
+const owner = () => authHeader(USER_ID);
+const member = () => authHeader(OTHER_USER_ID, { email: 'member@example.com' });
+const third = () => authHeader(THIRD_USER_ID, { email: 'third@example.com' });
+
+let storage;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+    jest.spyOn(stripeService.stripe.customers, 'create').mockResolvedValue({ id: ORG_CUSTOMER_ID });
+    jest.spyOn(stripeService.stripe.checkout.sessions, 'create').mockResolvedValue({
+        id: 'cs_test_org',
+        url: 'https://checkout.stripe.com/c/pay/cs_test_org'
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+async function createOrg(name = 'Acme') {
+    const res = await request(app).post('/api/organizations').set('Authorization', owner()).send({ name });
+    expect(res.status).toBe(201);
+    return res.body.organization;
+}
+
+async function invite(org, email, auth = owner(), role) {
+    return request(app)
+        .post(`/api/organizations/${org.id}/invitations`)
+        .set('Authorization', auth)
+        .send({ email, role });
+}
+
+async function join(org, email, auth) {
+    const invited = await invite(org, email);
+    expect(invited.status).toBe(201);
+
+    const res = await request(app)
+        .post('/api/invitations/accept')
+        .set('Authorization', auth)
+        .send({ token: invited.body.token });
+    expect(res.status).toBe(200);
+}
+
+// Links the organization to a Stripe customer and delivers its subscription
+async function subscribe(org, seats) {
+    await storage.organizations.update(org.id, { stripe_customer_id: ORG_CUSTOMER_ID });
+
+    const event = loadEvent('customer.subscription.created', {
+        object: { customer: ORG_CUSTOMER_ID, metadata: { orgId: org.id, plan: 'pro' } }
+    });
+    event.data.object.items.data[0].quantity = seats;
+
+    const res = await sendWebhook(request(app), event);
+    expect(res.status).toBe(200);
+}
+
+function validate(auth) {
+    return request(app).post('/api/validate-request').set('Authorization', auth).send({});
+}
+
+describe('organizations', () => {
+    test('the creator becomes the owner and can only belong to one organization', async () => {
+        const org = await createOrg();
+
+        expect(org).toMatchObject({ name: 'Acme', role: 'owner', plan: 'free', seats: 1 });
+
+        const current = await request(app).get('/api/organizations/current').set('Authorization', owner());
+        expect(current.body.organization).toMatchObject({ id: org.id, seatsUsed: 1 });
+
+        const again = await request(app).post('/api/organizations').set('Authorization', owner()).send({ name: 'Other' });
+        expect(again.status).toBe(409);
+        expect(again.body.error.code).toBe('ALREADY_IN_ORGANIZATION');
+    });
+
+    test('invitations are accepted once, by the invited address only', async () => {
+        const org = await createOrg();
+        const invited = await invite(org, 'Member@Example.com');
+
+        expect(invited.body.token).toMatch(/^pki_/);
+        expect(invited.body.invitation).toMatchObject({ email: 'member@example.com', role: 'member' });
+
+        const wrongUser = await request(app)
+            .post('/api/invitations/accept')
+            .set('Authorization', third())
+            .send({ token: invited.body.token });
+        expect(wrongUser.status).toBe(403);
+
+        const accepted = await request(app)
+            .post('/api/invitations/accept')
+            .set('Authorization', member())
+            .send({ token: invited.body.token });
+        expect(accepted.status).toBe(200);
+        expect(accepted.body.organization).toMatchObject({ id: org.id, role: 'member' });
+
+        const reused = await request(app)
+            .post('/api/invitations/accept')
+            .set('Authorization', member())
+            .send({ token: invited.body.token });
+        expect(reused.status).toBe(400);
+        expect(reused.body.error.code).toBe('INVITATION_INVALID');
+
+        const members = await request(app).get(`/api/organizations/${org.id}/members`).set('Authorization', member());
+        expect(members.body.members.map(m => [m.userId, m.role])).toEqual([
+            [USER_ID, 'owner'],
+            [OTHER_USER_ID, 'member']
+        ]);
+    });
+
+    test('hides organizations from non-members and checks roles', async () => {
+        const org = await createOrg();
+        await join(org, 'member@example.com', member());
+
+        const outsider = await request(app).get(`/api/organizations/${org.id}/members`).set('Authorization', third());
+        expect(outsider.status).toBe(404);
+
+        const memberInvites = await invite(org, 'third@example.com', member());
+        expect(memberInvites.status).toBe(403);
+
+        const memberPromotes = await request(app)
+            .patch(`/api/organizations/${org.id}/members/${OTHER_USER_ID}`)
+            .set('Authorization', member())
+            .send({ role: 'admin' });
+        expect(memberPromotes.status).toBe(403);
+
+        const ownerPromotes = await request(app)
+            .patch(`/api/organizations/${org.id}/members/${OTHER_USER_ID}`)
+            .set('Authorization', owner())
+            .send({ role: 'admin' });
+        expect(ownerPromotes.status).toBe(200);
+
+        const adminInvites = await invite(org, 'third@example.com', member());
+        expect(adminInvites.status).toBe(201);
+
+        const removeOwner = await request(app)
+            .delete(`/api/organizations/${org.id}/members/${USER_ID}`)
+            .set('Authorization', member());
+        expect(removeOwner.status).toBe(403);
+    });
+
+    test('revoked invitations can\'t be accepted', async () => {
+        const org = await createOrg();
+        const invited = await invite(org, 'member@example.com');
+
+        const revoked = await request(app)
+            .delete(`/api/organizations/${org.id}/invitations/${invited.body.invitation.id}`)
+            .set('Authorization', owner());
+        expect(revoked.body.invitation.revokedAt).not.toBeNull();
+
+        const res = await request(app)
+            .post('/api/invitations/accept')
+            .set('Authorization', member())
+            .send({ token: invited.body.token });
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('organization billing', () => {
+    test('the owner checks out with at least one seat per member', async () => {
+        const org = await createOrg();
+        await join(org, 'member@example.com', member());
+
+        const forbidden = await request(app)
+            .post(`/api/organizations/${org.id}/checkout`)
+            .set('Authorization', member())
+            .send({ plan: 'pro' });
+        expect(forbidden.status).toBe(403);
+
+        const res = await request(app)
+            .post(`/api/organizations/${org.id}/checkout`)
+            .set('Authorization', owner())
+            .send({ plan: 'pro' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.sessionId).toBe('cs_test_org');
+
+        const [params] = stripeService.stripe.checkout.sessions.create.mock.calls[0];
+        expect(params.line_items[0]).toMatchObject({
+            quantity: 2,
+            adjustable_quantity: { enabled: true, minimum: 2, maximum: 500 }
+        });
+        expect(params.metadata).toMatchObject({ orgId: org.id });
+
+        const stored = await storage.organizations.get(org.id);
+        expect(stored.stripe_customer_id).toBe(ORG_CUSTOMER_ID);
+    });
+
+    test('the subscription webhook sets the plan and seat count', async () => {
+        const org = await createOrg();
+        await subscribe(org, 5);
+
+        const stored = await storage.organizations.get(org.id);
+        expect(stored).toMatchObject({ is_premium: true, plan: 'pro', seats: 5, subscription_status: 'active' });
+
+        // Org subscriptions don't touch the owner's own row
+        expect(await storage.userLimits.findByUserId(USER_ID)).toBeNull();
+    });
+
+    test('seated members are premium and the owner can\'t invite past the seat count', async () => {
+        const org = await createOrg();
+        await subscribe(org, 2);
+        await join(org, 'member@example.com', member());
+
+        for (let i = 0; i < LIMIT + 2; i++) {
+            const res = await validate(member());
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ isPremium: true, plan: 'pro', organizationId: org.id });
+        }
+
+        const status = await request(app)
+            .get(`/api/subscription-status/${OTHER_USER_ID}`)
+            .set('Authorization', member());
+        expect(status.body).toMatchObject({ isPremium: true, plan: 'pro' });
+        expect(status.body.organization).toMatchObject({ id: org.id, role: 'member' });
+
+        const full = await invite(org, 'third@example.com');
+        expect(full.status).toBe(409);
+        expect(full.body.error.code).toBe('SEAT_LIMIT_REACHED');
+    });
+
+    test('members past the seat count fall back to their own plan', async () => {
+        const org = await createOrg();
+        await join(org, 'member@example.com', member());
+        await subscribe(org, 1);
+
+        const members = await request(app).get(`/api/organizations/${org.id}/members`).set('Authorization', owner());
+        expect(members.body.members.map(m => m.seated)).toEqual([true, false]);
+
+        const res = await validate(member());
+        expect(res.body).toMatchObject({ isPremium: false, plan: 'free' });
+        expect(res.body.organizationId).toBeUndefined();
+    });
+
+    test('limited plans share one pool sized by the seat count', async () => {
+        const pro = stripeService.plans.get('pro');
+        const originalLimit = pro.requestLimit;
+        pro.requestLimit = 2;
+
+        try {
+            const org = await createOrg();
+            await subscribe(org, 2);
+            await join(org, 'member@example.com', member());
+
+            expect((await validate(owner())).status).toBe(200);
+            expect((await validate(owner())).status).toBe(200);
+            expect((await validate(owner())).status).toBe(200);
+            expect((await validate(member())).status).toBe(200);
+
+            const res = await validate(member());
+            expect(res.status).toBe(403);
+            expect(res.body.error.details).toMatchObject({ limit: 4, requestCount: 4, organizationId: org.id });
+        } finally {
+            pro.requestLimit = originalLimit;
+        }
+    });
+});
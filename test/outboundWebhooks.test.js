@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID, OTHER_USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+const OutboundWebhookService = require('../src/services/OutboundWebhookService');
+
+const { app, stripeService, outboundWebhookService } = loadApp();
+
+const ENDPOINT = 'https://hooks.porkicoder.test/billing';
+const SECRET = 'whsec_outbound_test';
+const ADMIN_ID = '99999999-9999-4999-8999-999999999999';
+
+// FREE_USER_REQUEST_LIMIT is 3 per day in test/setup.js
+const LIMIT = 3;
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const adminAuth = () => authHeader(ADMIN_ID, { email: 'support@porkicoder.com', app_metadata: { role: 'admin' } });
+
+let storage;
+let fetch;
+let original;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+    original = { ...outboundWebhookService };
+    fetch = jest.fn(async () => ({ ok: true, status: 200, text: async () => '' }));
+    Object.assign(outboundWebhookService, { endpoints: [ENDPOINT], secret: SECRET, fetch });
+});
+
+afterEach(() => {
+    const { endpoints, secret, fetch: originalFetch, now } = original;
+    Object.assign(outboundWebhookService, { endpoints, secret, fetch: originalFetch, now });
+});
+
+async function deliver(...events) {
+    for (const event of events) {
+        const res = await sendWebhook(request(app), typeof event === 'string' ? loadEvent(event) : event);
+        expect(res.status).toBe(200);
+    }
+    await outboundWebhookService.flush();
+}
+
+function sentEvents() {
+    return fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+}
+
+function failWith(status) {
+    fetch.mockImplementation(async () => ({ ok: false, status, text: async () => 'Service Unavailable' }));
+}
+
+describe('outbound webhooks', () => {
+    test('announce granted and revoked entitlements', async () => {
+        await deliver('checkout.session.completed', 'customer.subscription.created', 'customer.subscription.deleted');
+
+        expect(sentEvents().map(event => event.type)).toEqual(['entitlement.granted', 'entitlement.revoked']);
+        expect(sentEvents()[0]).toMatchObject({
+            id: expect.stringMatching(/^evt_/),
+            data: { userId: USER_ID, stripeCustomerId: 'cus_TestCustomer0001', plan: 'pro', previousPlan: 'free' }
+        });
+        expect(sentEvents()[1].data).toMatchObject({ plan: 'free', previousPlan: 'pro' });
+    });
+
+    test('are signed with the shared secret', async () => {
+        await deliver('checkout.session.completed', 'customer.subscription.created');
+
+        const [url, init] = fetch.mock.calls[0];
+        const [, timestamp, signature] = init.headers['X-Porki-Signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+        const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${init.body}`).digest('hex');
+
+        expect(url).toBe(ENDPOINT);
+        expect(signature).toBe(expected);
+        expect(init.headers).toMatchObject({
+            'X-Porki-Event-Type': 'entitlement.granted',
+            'X-Porki-Event-Id': JSON.parse(init.body).id
+        });
+    });
+
+    test('aren\'t queued twice for the same outcome', async () => {
+        const outcome = {
+            customerId: 'cus_TestCustomer0001',
+            eventId: 'evt_1PsubscriptionCreated0001',
+            eventType: 'customer.subscription.created',
+            before: { userId: USER_ID, organizationId: null, isPremium: false, plan: 'free' },
+            after: { userId: USER_ID, organizationId: null, isPremium: true, plan: 'pro' }
+        };
+
+        stripeService.events.emit('entitlementUpdated', outcome);
+        stripeService.events.emit('entitlementUpdated', outcome);
+        await outboundWebhookService.flush();
+
+        expect(sentEvents().map(event => event.type)).toEqual(['entitlement.granted']);
+        expect(await storage.outboundWebhooks.list()).toHaveLength(1);
+    });
+
+    test('report failed payments and exhausted quotas', async () => {
+        await deliver('checkout.session.completed', 'customer.subscription.created', 'invoice.payment_failed');
+        for (let i = 0; i < LIMIT + 2; i++) {
+            await request(app).post('/api/validate-request').set('Authorization', authHeader('33333333-3333-4333-8333-333333333333')).send({});
+        }
+        await outboundWebhookService.flush();
+
+        const types = sentEvents().map(event => event.type);
+        expect(types.filter(type => type === 'payment.failed')).toHaveLength(1);
+        expect(types.filter(type => type === 'quota.exhausted')).toHaveLength(1);
+        expect(sentEvents().find(event => event.type === 'payment.failed').data).toMatchObject({
+            userId: USER_ID,
+            attemptCount: 1
+        });
+    });
+
+    test('are retried with backoff and given up on after the last attempt', async () => {
+        outboundWebhookService.maxAttempts = 3;
+        failWith(503);
+
+        try {
+            await deliver('checkout.session.completed', 'customer.subscription.created');
+            const [delivery] = await storage.outboundWebhooks.list();
+            expect(delivery).toMatchObject({ status: 'pending', attempts: 1, last_status_code: 503 });
+
+            // Not due yet
+            expect(await outboundWebhookService.run()).toEqual({ delivered: 0, retrying: 0, failed: 0 });
+
+            const later = minutes => () => new Date(Date.now() + minutes * 60 * 1000);
+            outboundWebhookService.now = later(1);
+            expect(await outboundWebhookService.run()).toEqual({ delivered: 0, retrying: 1, failed: 0 });
+
+            outboundWebhookService.now = later(3);
+            expect(await outboundWebhookService.run()).toEqual({ delivered: 0, retrying: 0, failed: 1 });
+            expect(await storage.outboundWebhooks.get(delivery.id)).toMatchObject({
+                status: 'failed',
+                attempts: 3,
+                last_error: 'HTTP 503: Service Unavailable'
+            });
+        } finally {
+            outboundWebhookService.maxAttempts = original.maxAttempts;
+        }
+    });
+
+    test('announce complimentary plans granted and revoked by support', async () => {
+        await storage.userLimits.ensure(USER_ID);
+
+        await request(app)
+            .post(`/api/admin/users/${USER_ID}/complimentary`)
+            .set('Authorization', adminAuth())
+            .send({ plan: 'pro', expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), reason: 'Beta tester' })
+            .expect(200);
+        await request(app)
+            .delete(`/api/admin/users/${USER_ID}/complimentary`)
+            .set('Authorization', adminAuth())
+            .send({ reason: 'Beta ended' })
+            .expect(200);
+        await outboundWebhookService.flush();
+
+        expect(sentEvents().map(event => event.type)).toEqual(['entitlement.granted', 'entitlement.revoked']);
+        expect(sentEvents()[0].data).toMatchObject({ userId: USER_ID, stripeCustomerId: null, plan: 'pro', previousPlan: 'free' });
+        expect(sentEvents()[1].data).toMatchObject({ plan: 'free', previousPlan: 'pro' });
+    });
+
+    test('announce grace periods and complimentary plans that ran out, once', async () => {
+        await deliver('checkout.session.completed', 'customer.subscription.created');
+        await storage.userLimits.update(USER_ID, { payment_status: 'past_due', grace_period_ends_at: minutesAgo(5) });
+        await storage.userLimits.ensure(OTHER_USER_ID);
+        await storage.userLimits.update(OTHER_USER_ID, { comp_plan: 'pro', comp_expires_at: minutesAgo(5) });
+        fetch.mockClear();
+
+        await outboundWebhookService.tick();
+        await outboundWebhookService.tick();
+
+        expect(sentEvents().map(event => [event.type, event.data.userId, event.data.previousPlan])).toEqual([
+            ['entitlement.revoked', USER_ID, 'pro'],
+            ['entitlement.revoked', OTHER_USER_ID, 'pro']
+        ]);
+        expect(sentEvents()[0].data.stripeCustomerId).toBe('cus_TestCustomer0001');
+    });
+
+    test('aren\'t sent for lapses that don\'t change the plan', async () => {
+        // A paying subscriber's complimentary plan never applied
+        await deliver('checkout.session.completed', 'customer.subscription.created');
+        await storage.userLimits.update(USER_ID, { comp_plan: 'pro', comp_expires_at: minutesAgo(5) });
+        fetch.mockClear();
+
+        await outboundWebhookService.tick();
+
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('do nothing without endpoints', async () => {
+        outboundWebhookService.endpoints = [];
+
+        await deliver('checkout.session.completed', 'customer.subscription.created');
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(await storage.outboundWebhooks.list()).toEqual([]);
+    });
+});
+
+describe('/api/admin/webhooks/deliveries', () => {
+    test('lists deliveries and retries a failed one, with an audit entry', async () => {
+        outboundWebhookService.maxAttempts = 1;
+        failWith(500);
+
+        try {
+            await deliver('checkout.session.completed', 'customer.subscription.created');
+
+            const list = await request(app).get('/api/admin/webhooks/deliveries?status=failed').set('Authorization', adminAuth());
+            expect(list.status).toBe(200);
+            expect(list.body.deliveries).toEqual([expect.objectContaining({
+                eventType: 'entitlement.granted',
+                endpoint: ENDPOINT,
+                status: 'failed',
+                attempts: 1,
+                lastStatusCode: 500
+            })]);
+
+            const { id } = list.body.deliveries[0];
+            const detail = await request(app).get(`/api/admin/webhooks/deliveries/${id}`).set('Authorization', adminAuth());
+            expect(detail.body.delivery.payload).toMatchObject({ type: 'entitlement.granted' });
+
+            fetch.mockImplementation(async () => ({ ok: true, status: 204, text: async () => '' }));
+            const retried = await request(app)
+                .post(`/api/admin/webhooks/deliveries/${id}/retry`)
+                .set('Authorization', adminAuth())
+                .send({ reason: 'Receiver was down' });
+
+            expect(retried.status).toBe(200);
+            expect(retried.body.delivery).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 204 });
+            expect(storage.db.adminAuditLog).toEqual([expect.objectContaining({
+                action: 'webhook_delivery.retry',
+                reason: 'Receiver was down',
+                details: expect.objectContaining({ deliveryId: id })
+            })]);
+
+            const again = await request(app)
+                .post(`/api/admin/webhooks/deliveries/${id}/retry`)
+                .set('Authorization', adminAuth())
+                .send({ reason: 'Receiver was down' });
+            expect(again.status).toBe(409);
+        } finally {
+            outboundWebhookService.maxAttempts = original.maxAttempts;
+        }
+    });
+
+    test('is for admins only', async () => {
+        const res = await request(app).get('/api/admin/webhooks/deliveries').set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('OutboundWebhookService.sign', () => {
+    test('matches the documented scheme', () => {
+        const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{}').digest('hex');
+
+        expect(OutboundWebhookService.sign('secret', 1700000000, '{}')).toBe(`t=1700000000,v1=${expected}`);
+    });
+});
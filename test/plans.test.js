@@ -0,0 +1,109 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+const { loadPlanCatalog } = require('../src/config/plans');
+
+const { app, stripeService } = loadApp();
+
+const TEAM_ENV = {
+    ...process.env,
+    STRIPE_PRICE_ID_TEAM: 'price_test_team',
+    PLAN_TEAM_REQUEST_LIMIT: '2',
+    PLAN_TEAM_QUOTA_PERIOD: 'day'
+};
+
+let originalPlans;
+
+beforeEach(() => {
+    resetStorage(stripeService);
+    originalPlans = stripeService.plans;
+});
+
+afterEach(() => {
+    stripeService.plans = originalPlans;
+    jest.restoreAllMocks();
+});
+
+function validate() {
+    return request(app).post('/api/validate-request').set('Authorization', authHeader(USER_ID)).send({});
+}
+
+function subscribeTo(priceId) {
+    return sendWebhook(request(app), loadEvent('customer.subscription.created', {
+        object: {
+            items: { object: 'list', data: [{ id: 'si_TestItem0001', price: { id: priceId }, quantity: 1 }] }
+        }
+    }));
+}
+
+describe('plan catalog', () => {
+    test('only lists paid plans that have a Stripe price', () => {
+        expect(loadPlanCatalog(process.env).list().map(plan => plan.key)).toEqual(['free', 'pro']);
+        expect(loadPlanCatalog(TEAM_ENV).list().map(plan => plan.key)).toEqual(['free', 'pro', 'team']);
+    });
+
+    test('GET /api/plans returns the catalog with Stripe prices', async () => {
+        jest.spyOn(stripeService.stripe.prices, 'retrieve').mockResolvedValue({
+            id: 'price_test_pro',
+            unit_amount: 999,
+            currency: 'usd',
+            recurring: { interval: 'month', interval_count: 1 }
+        });
+        stripeService.priceCache = { expiresAt: 0, prices: null };
+
+        const res = await request(app).get('/api/plans');
+
+        expect(res.status).toBe(200);
+        expect(res.body.plans.map(plan => plan.key)).toEqual(['free', 'pro']);
+        expect(res.body.plans[1].price).toEqual({
+            amount: 999,
+            currency: 'usd',
+            interval: 'month',
+            intervalCount: 1
+        });
+        expect(res.body.plans[1]).not.toHaveProperty('priceId');
+    });
+
+    test('takes per-plan limits from the environment', () => {
+        const plans = loadPlanCatalog({ ...TEAM_ENV, PLAN_PRO_REQUEST_LIMIT: '1000' });
+
+        expect(plans.get('team')).toMatchObject({ priceId: 'price_test_team', requestLimit: 2, quotaPeriod: 'day' });
+        expect(plans.get('pro')).toMatchObject({ requestLimit: 1000, quotaPeriod: 'month' });
+        expect(plans.get('free')).toMatchObject({ requestLimit: 3, quotaPeriod: 'day' });
+        expect(() => loadPlanCatalog({ ...TEAM_ENV, PLAN_TEAM_REQUEST_LIMIT: 'many' })).toThrow('Invalid plan request limit');
+    });
+
+    test('a subscription gets the plan of its price, and that plan\'s limit', async () => {
+        stripeService.plans = loadPlanCatalog(TEAM_ENV);
+        await sendWebhook(request(app), loadEvent('checkout.session.completed'));
+        await subscribeTo('price_test_team');
+
+        expect((await validate()).body).toMatchObject({ isPremium: true, plan: 'team', requestCount: 1 });
+        expect((await validate()).status).toBe(200);
+
+        const denied = await validate();
+        expect(denied.status).toBe(403);
+        expect(denied.body.error.details).toMatchObject({ plan: 'team', limit: 2 });
+    });
+
+    test('subscriptions on an unknown price fall back to Pro', async () => {
+        await sendWebhook(request(app), loadEvent('checkout.session.completed'));
+        await subscribeTo('price_legacy');
+
+        expect((await validate()).body).toMatchObject({ isPremium: true, plan: 'pro' });
+    });
+
+    test('checkout ignores a client-supplied price', async () => {
+        jest.spyOn(stripeService.stripe.customers, 'create').mockResolvedValue({ id: 'cus_New' });
+        const create = jest.spyOn(stripeService.stripe.checkout.sessions, 'create')
+            .mockResolvedValue({ id: 'cs_test_123', url: 'https://checkout.stripe.com/c/pay/cs_test_123' });
+
+        const res = await request(app)
+            .post('/api/create-checkout-session')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ plan: 'pro', priceId: 'price_attacker' });
+
+        expect(res.status).toBe(200);
+        expect(create.mock.calls[0][0].line_items).toEqual([{ price: 'price_test_pro', quantity: 1 }]);
+    });
+});
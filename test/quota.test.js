@@ -0,0 +1,87 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID } = require('./helpers/app');
+
+const { app, stripeService } = loadApp();
+
+// FREE_USER_REQUEST_LIMIT is 3 per day in test/setup.js
+const LIMIT = 3;
+
+let storage;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+});
+
+function validate() {
+    return request(app)
+        .post('/api/validate-request')
+        .set('Authorization', authHeader(USER_ID))
+        .send({});
+}
+
+describe('free request quota', () => {
+    test('denies requests once the limit is reached and says when it resets', async () => {
+        for (let i = 1; i <= LIMIT; i++) {
+            const res = await validate();
+            expect(res.status).toBe(200);
+            expect(res.body.requestCount).toBe(i);
+        }
+
+        const res = await validate();
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('QUOTA_EXCEEDED');
+        expect(res.body.error.details).toMatchObject({
+            isPremium: false,
+            plan: 'free',
+            requestCount: LIMIT,
+            limit: LIMIT
+        });
+
+        const tomorrow = new Date();
+        tomorrow.setUTCHours(24, 0, 0, 0);
+        expect(res.body.error.details.resetsAt).toBe(tomorrow.toISOString());
+    });
+
+    test('never hands out more than the limit to concurrent requests', async () => {
+        const responses = await Promise.all(Array.from({ length: 20 }, () => validate()));
+
+        expect(responses.filter(res => res.status === 200)).toHaveLength(LIMIT);
+        expect(responses.filter(res => res.status === 403)).toHaveLength(20 - LIMIT);
+
+        const row = await storage.userLimits.findByUserId(USER_ID);
+        expect(row.request_count).toBe(LIMIT);
+    });
+
+    test('resets the count lazily when a new period starts', async () => {
+        await storage.userLimits.ensure(USER_ID);
+        await storage.userLimits.update(USER_ID, {
+            request_count: LIMIT,
+            quota_period_start: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString()
+        });
+
+        const status = await request(app)
+            .get(`/api/subscription-status/${USER_ID}`)
+            .set('Authorization', authHeader(USER_ID));
+        expect(status.body.requestCount).toBe(0);
+
+        const res = await validate();
+
+        expect(res.status).toBe(200);
+        expect(res.body.requestCount).toBe(1);
+    });
+
+    test('does not count requests from premium users', async () => {
+        await storage.userLimits.ensure(USER_ID);
+        await storage.userLimits.update(USER_ID, { is_premium: true, plan: 'pro' });
+
+        for (let i = 0; i < LIMIT + 2; i++) {
+            const res = await validate();
+            expect(res.status).toBe(200);
+            expect(res.body.isPremium).toBe(true);
+        }
+
+        const row = await storage.userLimits.findByUserId(USER_ID);
+        expect(row.request_count).toBe(0);
+    });
+});
@@ -0,0 +1,40 @@
+const { getQuotaConfig, getPeriodStart, getPeriodEnd, isCurrentPeriod } = require('../src/config/quota');
+
+describe('quota periods', () => {
+    test('reads the limit and period from the environment', () => {
+        expect(getQuotaConfig({})).toEqual({ limit: 50, period: 'day' });
+        expect(getQuotaConfig({ FREE_USER_REQUEST_LIMIT: '500', QUOTA_PERIOD: 'month' })).toEqual({ limit: 500, period: 'month' });
+    });
+
+    test('rejects bad limits and unknown periods', () => {
+        expect(() => getQuotaConfig({ FREE_USER_REQUEST_LIMIT: 'lots' })).toThrow('Invalid FREE_USER_REQUEST_LIMIT');
+        expect(() => getQuotaConfig({ FREE_USER_REQUEST_LIMIT: '-1' })).toThrow('Invalid FREE_USER_REQUEST_LIMIT');
+        expect(() => getQuotaConfig({ QUOTA_PERIOD: 'week' })).toThrow('Invalid QUOTA_PERIOD');
+    });
+
+    test('days and months start and end on UTC calendar boundaries', () => {
+        const now = new Date('2026-12-31T23:30:00.000Z');
+
+        const day = getPeriodStart('day', now);
+        expect(day.toISOString()).toBe('2026-12-31T00:00:00.000Z');
+        expect(getPeriodEnd('day', day).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+
+        const month = getPeriodStart('month', now);
+        expect(month.toISOString()).toBe('2026-12-01T00:00:00.000Z');
+        expect(getPeriodEnd('month', month).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    });
+
+    test('lifetime quotas never reset', () => {
+        expect(getPeriodStart('lifetime')).toBeNull();
+        expect(getPeriodEnd('lifetime', null)).toBeNull();
+        expect(isCurrentPeriod(null, null)).toBe(true);
+    });
+
+    test('a count only applies to the period it was recorded in', () => {
+        const periodStart = new Date('2026-10-18T00:00:00.000Z');
+
+        expect(isCurrentPeriod('2026-10-18T00:00:00.000Z', periodStart)).toBe(true);
+        expect(isCurrentPeriod('2026-10-17T00:00:00.000Z', periodStart)).toBe(false);
+        expect(isCurrentPeriod(null, periodStart)).toBe(false);
+    });
+});
@@ -0,0 +1,83 @@
+const StripeService = require('../src/services/StripeService');
+const { createMemoryStorage } = require('../src/storage');
+const SupabaseUserLimitsRepository = require('../src/storage/supabase/UserLimitsRepository');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+
+// FREE_USER_REQUEST_LIMIT is 3 per day in test/setup.js
+const LIMIT = 3;
+
+// Records every PostgREST call. Table queries resolve to `row`, RPCs to
+// whatever `rpcResult` returns.
+function createFakeClient({ row, rpcResult }) {
+    const queries = [];
+
+    return {
+        queries,
+        rpc: jest.fn(async (name, params) => ({ data: rpcResult(params), error: null })),
+        from(table) {
+            const query = { table, operations: [] };
+            queries.push(query);
+
+            const builder = new Proxy({}, {
+                get(target, operation) {
+                    if (operation === 'then') {
+                        return resolve => resolve({ data: row, error: null });
+                    }
+                    return () => {
+                        query.operations.push(operation);
+                        return builder;
+                    };
+                }
+            });
+
+            return builder;
+        }
+    };
+}
+
+// Free user_request_limits row as Supabase would return it
+function freeRow(fields = {}) {
+    return { id: 1, user_id: USER_ID, request_count: 0, is_premium: false, plan: 'free', quota_period_start: null, ...fields };
+}
+
+function createService(client) {
+    const storage = createMemoryStorage();
+    storage.userLimits = new SupabaseUserLimitsRepository(client);
+
+    return new StripeService({ storage });
+}
+
+describe('consume_request_quota through the Supabase driver', () => {
+    test('checks and increments in one RPC, without writing the count itself', async () => {
+        const client = createFakeClient({
+            row: freeRow(),
+            rpcResult: params => ({ allowed: true, request_count: 1, quota_period_start: params.p_period_start })
+        });
+        const service = createService(client);
+
+        await Promise.all(Array.from({ length: 5 }, () => service.validateAndIncrementRequest(USER_ID)));
+
+        expect(client.rpc).toHaveBeenCalledTimes(5);
+        for (const [name, params] of client.rpc.mock.calls) {
+            expect(name).toBe('consume_request_quota');
+            expect(params).toMatchObject({ p_user_id: USER_ID, p_limit: LIMIT, p_period_start: expect.any(String) });
+        }
+
+        const writes = client.queries.filter(query => query.operations.includes('update'));
+        expect(writes).toEqual([]);
+    });
+
+    test('follows the RPC\'s decision, not the count it read earlier', async () => {
+        // Another request took the last slot between the read and the RPC
+        const client = createFakeClient({
+            row: freeRow({ request_count: LIMIT - 1 }),
+            rpcResult: () => ({ allowed: false, request_count: LIMIT, quota_period_start: new Date().toISOString() })
+        });
+        const service = createService(client);
+
+        const result = await service.validateAndIncrementRequest(USER_ID);
+
+        expect(result).toMatchObject({ allowed: false, requestCount: LIMIT, limit: LIMIT });
+    });
+});
@@ -0,0 +1,111 @@
+// Small buckets so the limits are easy to hit; set before the app is loaded
+process.env.RATE_LIMIT_IP_CAPACITY = '5';
+process.env.RATE_LIMIT_IP_REFILL_PER_SEC = '0.1';
+process.env.RATE_LIMIT_USER_CAPACITY = '3';
+process.env.RATE_LIMIT_USER_REFILL_PER_SEC = '0.1';
+
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID, OTHER_USER_ID } = require('./helpers/app');
+const { MemoryStore, RedisStore } = require('../src/rateLimit');
+
+const { app, stripeService } = loadApp();
+
+beforeEach(() => {
+    resetStorage(stripeService);
+});
+
+describe('MemoryStore token bucket', () => {
+    test('allows a burst up to capacity, then refills over time', async () => {
+        let now = 0;
+        const store = new MemoryStore({ now: () => now });
+        const limits = { capacity: 2, refillPerSecond: 1 };
+
+        expect((await store.take('k', limits)).allowed).toBe(true);
+        expect((await store.take('k', limits)).allowed).toBe(true);
+
+        const denied = await store.take('k', limits);
+        expect(denied).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: 1000, resetMs: 2000 });
+
+        now = 1000;
+        expect((await store.take('k', limits)).allowed).toBe(true);
+
+        store.close();
+    });
+
+    test('sweeps buckets that have refilled', async () => {
+        let now = 0;
+        const store = new MemoryStore({ now: () => now });
+
+        await store.take('k', { capacity: 2, refillPerSecond: 1 });
+        now = 5000;
+        store.sweep();
+
+        expect(store.buckets.size).toBe(0);
+        store.close();
+    });
+});
+
+describe('RedisStore', () => {
+    test('runs the bucket script atomically through EVAL', async () => {
+        const client = { eval: jest.fn().mockResolvedValue([0, 0, 1500, 4000]) };
+        const store = new RedisStore({ client });
+
+        const result = await store.take('ip:1.2.3.4', { capacity: 4, refillPerSecond: 1 });
+
+        expect(client.eval).toHaveBeenCalledWith(RedisStore.TAKE_SCRIPT, 1, 'porki:ratelimit:ip:1.2.3.4', 4, 1, 1);
+        expect(result).toEqual({ allowed: false, remaining: 0, retryAfterMs: 1500, resetMs: 4000 });
+    });
+});
+
+// Unauthenticated calls still pass through the per-IP limiter first
+describe('rate limited routes', () => {
+    test('returns 429 with Retry-After and RateLimit headers per IP', async () => {
+        const statuses = [];
+        let last;
+        for (let i = 0; i < 6; i++) {
+            last = await request(app).get('/api/billing/history').set('X-Forwarded-For', '203.0.113.7');
+            statuses.push(last.status);
+        }
+
+        expect(statuses.slice(0, 5).every(status => status !== 429)).toBe(true);
+        expect(last.status).toBe(429);
+        expect(Number(last.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+        expect(Number(last.headers['retry-after'])).toBeLessThanOrEqual(10);
+        expect(last.headers['ratelimit-limit']).toBe('5');
+        expect(last.headers['ratelimit-remaining']).toBe('0');
+        expect(Number(last.headers['ratelimit-reset'])).toBeGreaterThan(0);
+    });
+
+    test('keys IP buckets on the X-Forwarded-For client address', async () => {
+        for (let i = 0; i < 5; i++) {
+            await request(app).get('/api/billing/history').set('X-Forwarded-For', '198.51.100.1');
+        }
+
+        const otherClient = await request(app).get('/api/billing/history').set('X-Forwarded-For', '198.51.100.2');
+
+        expect(otherClient.status).not.toBe(429);
+    });
+
+    test('limits each authenticated user separately', async () => {
+        const validate = (userId, ip) => request(app)
+            .post('/api/validate-request')
+            .set('X-Forwarded-For', ip)
+            .set('Authorization', authHeader(userId))
+            .send({});
+
+        // Different IPs, so only the per-user bucket can trip
+        for (let i = 0; i < 3; i++) {
+            expect((await validate(USER_ID, `192.0.2.${i}`)).status).toBe(200);
+        }
+
+        expect((await validate(USER_ID, '192.0.2.10')).status).toBe(429);
+        expect((await validate(OTHER_USER_ID, '192.0.2.11')).status).toBe(200);
+    });
+
+    test('does not throttle the health check', async () => {
+        for (let i = 0; i < 7; i++) {
+            const res = await request(app).get('/api/health').set('X-Forwarded-For', '203.0.113.99');
+            expect(res.status).toBe(200);
+        }
+    });
+});
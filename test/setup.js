@@ -0,0 +1,15 @@
+// Runs before every test file, before src/index.js is required
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.STRIPE_SECRET_KEY = 'sk_test_porkicoder';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_porkicoder';
+process.env.STRIPE_PRICE_ID = 'price_test_pro';
+process.env.SUPABASE_JWT_SECRET = 'test-jwt-secret-with-at-least-32-characters';
+process.env.FRONTEND_URL = 'https://porkicoder.test';
+process.env.FREE_USER_REQUEST_LIMIT = '3';
+process.env.QUOTA_PERIOD = 'day';
+// Generous buckets so only test/rateLimit.test.js ever hits them
+process.env.RATE_LIMIT_IP_CAPACITY = '1000';
+process.env.RATE_LIMIT_USER_CAPACITY = '1000';
+// The JSON logger writes straight to stdout, which jest --silent doesn't catch
+process.env.LOG_LEVEL = 'silent';
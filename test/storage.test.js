@@ -0,0 +1,114 @@
+const { createStorage, createMemoryStorage, createSupabaseStorage } = require('../src/storage');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const CUSTOMER_ID = 'cus_TestCustomer0001';
+
+function asyncMethods(repository) {
+    const prototype = Object.getPrototypeOf(repository);
+
+    return Object.getOwnPropertyNames(prototype)
+        .filter(name => prototype[name].constructor.name === 'AsyncFunction')
+        .sort();
+}
+
+async function createLinkedStorage(fields = {}) {
+    const storage = createMemoryStorage();
+    await storage.userLimits.ensure(USER_ID);
+    await storage.userLimits.update(USER_ID, { stripe_customer_id: CUSTOMER_ID, ...fields });
+    return storage;
+}
+
+function update(fields) {
+    return {
+        customerId: CUSTOMER_ID,
+        subscriptionId: 'sub_1',
+        status: 'active',
+        endDate: new Date('2026-11-18T00:00:00.000Z'),
+        webhookTimestamp: new Date('2026-10-18T12:00:00.000Z'),
+        ...fields
+    };
+}
+
+describe('createStorage', () => {
+    test('picks the driver from STORAGE_DRIVER', () => {
+        expect(createStorage({ STORAGE_DRIVER: 'memory' }).driver).toBe('memory');
+        expect(() => createStorage({ STORAGE_DRIVER: 'sqlite' })).toThrow('Unknown STORAGE_DRIVER: sqlite');
+    });
+
+    test('both drivers expose the same repositories, and Supabase implements every memory method', () => {
+        const memory = createMemoryStorage();
+        const supabase = createSupabaseStorage({ client: {} });
+        const repositories = storage => Object.keys(storage)
+            .filter(key => typeof storage[key] === 'object' && !['db', 'client'].includes(key))
+            .sort();
+
+        expect(repositories(supabase)).toEqual(repositories(memory));
+        // Anything the services can call in tests must exist in production
+        for (const name of repositories(memory)) {
+            expect(asyncMethods(supabase[name])).toEqual(expect.arrayContaining(asyncMethods(memory[name])));
+        }
+    });
+});
+
+describe('memory subscription updates', () => {
+    test('skip events older than the last one applied', async () => {
+        const storage = await createLinkedStorage();
+        await storage.subscriptions.applyWebhookUpdate(update());
+
+        const result = await storage.subscriptions.applyWebhookUpdate(update({
+            status: 'canceled',
+            webhookTimestamp: new Date('2026-10-18T11:00:00.000Z')
+        }));
+
+        expect(result).toMatchObject({ updated: false, reason: 'stale_event' });
+        expect(await storage.userLimits.findByUserId(USER_ID)).toMatchObject({ subscription_status: 'active', is_premium: true });
+    });
+
+    test('don\'t revive a canceled subscription, but accept a new one', async () => {
+        const storage = await createLinkedStorage();
+        await storage.subscriptions.applyWebhookUpdate(update({ status: 'canceled' }));
+
+        const revived = await storage.subscriptions.applyWebhookUpdate(update({
+            webhookTimestamp: new Date('2026-10-18T13:00:00.000Z')
+        }));
+        expect(revived).toMatchObject({ updated: false, reason: 'subscription_already_canceled' });
+
+        const replaced = await storage.subscriptions.applyWebhookUpdate(update({
+            subscriptionId: 'sub_2',
+            webhookTimestamp: new Date('2026-10-18T13:00:00.000Z')
+        }));
+        expect(replaced).toEqual({ updated: true, status: 'active', is_premium: true });
+    });
+
+    test('report customers without a row', async () => {
+        const storage = createMemoryStorage();
+
+        expect(await storage.subscriptions.applyWebhookUpdate(update())).toEqual({ updated: false, reason: 'user_not_found' });
+    });
+});
+
+describe('memory quota', () => {
+    test('stops at the limit and starts over in a new period', async () => {
+        const storage = await createLinkedStorage();
+        const today = new Date('2026-10-18T00:00:00.000Z');
+        const tomorrow = new Date('2026-10-19T00:00:00.000Z');
+
+        const results = [];
+        for (let i = 0; i < 3; i++) {
+            results.push(await storage.userLimits.consumeQuota(USER_ID, { limit: 2, periodStart: today }));
+        }
+        expect(results.map(result => result.allowed)).toEqual([true, true, false]);
+
+        expect(await storage.userLimits.consumeQuota(USER_ID, { limit: 2, periodStart: tomorrow })).toEqual({
+            allowed: true,
+            requestCount: 1,
+            quotaPeriodStart: tomorrow.toISOString()
+        });
+    });
+
+    test('returns null for unknown users', async () => {
+        const storage = createMemoryStorage();
+
+        expect(await storage.userLimits.consumeQuota(USER_ID, { limit: 2, periodStart: null })).toBeNull();
+    });
+});
@@ -0,0 +1,222 @@
+const http = require('http');
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID, OTHER_USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+const { entitlementStreamConnections } = require('../src/metrics');
+
+const { app, stripeService, entitlementStream } = loadApp();
+
+let server;
+let streams;
+
+beforeAll(done => {
+    server = app.listen(0, done);
+});
+
+afterAll(done => {
+    server.close(done);
+});
+
+beforeEach(() => {
+    resetStorage(stripeService);
+    streams = [];
+});
+
+afterEach(async () => {
+    streams.forEach(stream => stream.close());
+    jest.restoreAllMocks();
+    // The server sees the disconnects asynchronously
+    await until(() => entitlementStream.clients.size === 0);
+});
+
+// Polls until `check` passes; the server handles connects and disconnects
+// on its own schedule
+async function until(check, timeoutMs = 1000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${check}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+async function openConnections() {
+    const { values } = await entitlementStreamConnections.get();
+    return values[0]?.value || 0;
+}
+
+// Opens /api/subscription-events and collects the parsed `entitlement` events
+function openStream(userId = USER_ID) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        const waiters = [];
+        let buffer = '';
+
+        const req = http.get({
+            port: server.address().port,
+            path: '/api/subscription-events',
+            headers: { Authorization: authHeader(userId) }
+        }, res => {
+            const stream = {
+                status: res.statusCode,
+                headers: res.headers,
+                events,
+                // Resolves once `count` events have arrived
+                waitFor(count) {
+                    return new Promise(done => {
+                        waiters.push({ count, done });
+                        flush();
+                    });
+                },
+                close: () => req.destroy()
+            };
+            streams.push(stream);
+
+            const flush = () => {
+                for (const waiter of waiters.splice(0)) {
+                    if (events.length >= waiter.count) {
+                        waiter.done(events);
+                    } else {
+                        waiters.push(waiter);
+                    }
+                }
+            };
+
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffer += chunk;
+                const messages = buffer.split('\n\n');
+                buffer = messages.pop();
+
+                for (const message of messages) {
+                    const data = message.split('\n').find(line => line.startsWith('data: '));
+                    if (message.includes('event: entitlement') && data) {
+                        events.push(JSON.parse(data.slice(6)));
+                    }
+                }
+                flush();
+            });
+
+            resolve(stream);
+        });
+
+        req.on('error', error => {
+            if (error.code !== 'ECONNRESET') {
+                reject(error);
+            }
+        });
+    });
+}
+
+describe('GET /api/subscription-events', () => {
+    test('requires a session', async () => {
+        const res = await request(app).get('/api/subscription-events');
+
+        expect(res.status).toBe(401);
+    });
+
+    test('sends the current status on connect', async () => {
+        const stream = await openStream();
+        const [event] = await stream.waitFor(1);
+
+        expect(stream.status).toBe(200);
+        expect(stream.headers['content-type']).toBe('text/event-stream');
+        expect(event).toMatchObject({ reason: 'connected', status: { isPremium: false, plan: 'free' } });
+    });
+
+    test('pushes the new plan to every open stream of the user when a webhook changes it', async () => {
+        const desktop = await openStream();
+        const laptop = await openStream();
+        const other = await openStream(OTHER_USER_ID);
+        await Promise.all([desktop.waitFor(1), laptop.waitFor(1), other.waitFor(1)]);
+
+        await sendWebhook(request(app), loadEvent('checkout.session.completed'));
+        await sendWebhook(request(app), loadEvent('customer.subscription.created'));
+
+        for (const stream of [desktop, laptop]) {
+            const events = await stream.waitFor(2);
+            expect(events[1]).toMatchObject({
+                reason: 'customer.subscription.created',
+                status: { isPremium: true, plan: 'pro', subscriptionStatus: 'active' }
+            });
+        }
+        expect(other.events).toHaveLength(1);
+    });
+
+    test('does not push events the store skipped', async () => {
+        const stream = await openStream();
+        await stream.waitFor(1);
+
+        await sendWebhook(request(app), loadEvent('checkout.session.completed'));
+        await sendWebhook(request(app), loadEvent('customer.subscription.deleted'));
+        // Older than the deletion, so the store ignores it
+        await sendWebhook(request(app), loadEvent('customer.subscription.updated'));
+
+        await stream.waitFor(2);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(stream.events.map(event => event.reason)).toEqual(['connected', 'customer.subscription.deleted']);
+    });
+
+    test('gives the slot back when the client leaves while its status is loading', async () => {
+        const before = await openConnections();
+        let finishLookup;
+        jest.spyOn(stripeService, 'getSubscriptionStatus')
+            .mockImplementationOnce(() => new Promise(resolve => {
+                finishLookup = resolve;
+            }));
+
+        const req = http.get({
+            port: server.address().port,
+            path: '/api/subscription-events',
+            headers: { Authorization: authHeader(USER_ID) }
+        });
+        req.on('error', () => {});
+        await until(() => finishLookup);
+        expect(entitlementStream.clients.get(USER_ID).size).toBe(1);
+
+        req.destroy();
+        await until(() => !entitlementStream.clients.has(USER_ID));
+        finishLookup({ isPremium: false, plan: 'free' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(entitlementStream.clients.has(USER_ID)).toBe(false);
+        expect(await openConnections()).toBe(before);
+    });
+
+    test('counts streams still loading against the per-user limit', async () => {
+        const lookups = [];
+        jest.spyOn(stripeService, 'getSubscriptionStatus')
+            .mockImplementation(() => new Promise(resolve => lookups.push(resolve)));
+
+        const pending = [];
+        for (let i = 0; i < entitlementStream.maxConnectionsPerUser; i++) {
+            pending.push(openStream());
+        }
+        await until(() => lookups.length === entitlementStream.maxConnectionsPerUser);
+
+        const rejected = await openStream();
+        expect(rejected.status).toBe(429);
+
+        lookups.forEach(resolve => resolve({ isPremium: false, plan: 'free' }));
+        const opened = await Promise.all(pending);
+        expect(opened.map(stream => stream.status)).toEqual(opened.map(() => 200));
+    });
+
+    test('limits open streams per user and forgets closed ones', async () => {
+        const opened = [];
+        for (let i = 0; i < entitlementStream.maxConnectionsPerUser; i++) {
+            opened.push(await openStream());
+        }
+        await Promise.all(opened.map(stream => stream.waitFor(1)));
+
+        const rejected = await openStream();
+        expect(rejected.status).toBe(429);
+
+        opened[0].close();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const reopened = await openStream();
+        expect(reopened.status).toBe(200);
+    });
+});
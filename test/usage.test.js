@@ -0,0 +1,148 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID, OTHER_USER_ID } = require('./helpers/app');
+
+const { app, stripeService, usageService } = loadApp();
+
+let storage;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+});
+
+afterEach(() => {
+    usageService.now = () => new Date();
+});
+
+function validate(userId, body = {}) {
+    return request(app)
+        .post('/api/validate-request')
+        .set('Authorization', authHeader(userId))
+        .send(body);
+}
+
+function at(iso) {
+    usageService.now = () => new Date(iso);
+}
+
+describe('usage events', () => {
+    test('records each allowed request with the client\'s details', async () => {
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', authHeader(USER_ID))
+            .set('X-Client-Version', '2.4.1')
+            .send({ model: 'gpt-4o', feature: 'explain', promptTokens: 120, completionTokens: 80 });
+
+        expect(res.status).toBe(200);
+        expect(storage.db.usageEvents).toEqual([expect.objectContaining({
+            user_id: USER_ID,
+            model: 'gpt-4o',
+            feature: 'explain',
+            prompt_tokens: 120,
+            completion_tokens: 80,
+            client_version: '2.4.1',
+            api_key_id: null
+        })]);
+    });
+
+    test('does not record denied requests', async () => {
+        // FREE_USER_REQUEST_LIMIT is 3 per day in test/setup.js
+        for (let i = 0; i < 4; i++) {
+            await validate(USER_ID);
+        }
+
+        expect(storage.db.usageEvents).toHaveLength(3);
+    });
+
+    test('rejects malformed usage fields', async () => {
+        const res = await validate(USER_ID, { promptTokens: -1 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.details.issues[0]).toMatchObject({ field: 'promptTokens' });
+    });
+});
+
+describe('GET /api/usage', () => {
+    test('returns the caller\'s usage per day with empty days filled in', async () => {
+        at('2026-10-01T09:00:00Z');
+        await validate(USER_ID, { promptTokens: 10, completionTokens: 5 });
+        await validate(OTHER_USER_ID);
+        at('2026-10-03T23:59:00Z');
+        await validate(USER_ID, { promptTokens: 1 });
+
+        const res = await request(app)
+            .get('/api/usage?from=2026-10-01&to=2026-10-04&granularity=day')
+            .set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({
+            from: '2026-10-01T00:00:00.000Z',
+            to: '2026-10-04T00:00:00.000Z',
+            granularity: 'day',
+            totals: { requests: 2, promptTokens: 11, completionTokens: 5 },
+            series: [
+                { start: '2026-10-01T00:00:00.000Z', requests: 1, promptTokens: 10, completionTokens: 5 },
+                { start: '2026-10-02T00:00:00.000Z', requests: 0, promptTokens: 0, completionTokens: 0 },
+                { start: '2026-10-03T00:00:00.000Z', requests: 1, promptTokens: 1, completionTokens: 0 }
+            ]
+        });
+    });
+
+    test('groups weeks from Monday', async () => {
+        // A Sunday and the Monday after it
+        at('2026-10-11T12:00:00Z');
+        await validate(USER_ID);
+        at('2026-10-12T12:00:00Z');
+        await validate(USER_ID);
+
+        const res = await request(app)
+            .get('/api/usage?from=2026-10-05&to=2026-10-19&granularity=week')
+            .set('Authorization', authHeader(USER_ID));
+
+        expect(res.body.series.map(bucket => [bucket.start, bucket.requests])).toEqual([
+            ['2026-10-05T00:00:00.000Z', 1],
+            ['2026-10-12T00:00:00.000Z', 1]
+        ]);
+    });
+
+    test('rejects inverted and oversized ranges', async () => {
+        const inverted = await request(app)
+            .get('/api/usage?from=2026-10-05&to=2026-10-01')
+            .set('Authorization', authHeader(USER_ID));
+        const oversized = await request(app)
+            .get('/api/usage?from=2020-01-01&to=2026-01-01&granularity=hour')
+            .set('Authorization', authHeader(USER_ID));
+        const unknown = await request(app)
+            .get('/api/usage?granularity=minute')
+            .set('Authorization', authHeader(USER_ID));
+
+        expect(inverted.status).toBe(400);
+        expect(oversized.status).toBe(400);
+        expect(unknown.status).toBe(400);
+    });
+});
+
+describe('GET /api/admin/usage', () => {
+    test('is only open to admins', async () => {
+        const res = await request(app).get('/api/admin/usage').set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('FORBIDDEN');
+    });
+
+    test('adds up every user\'s usage and counts active users', async () => {
+        at('2026-10-01T09:00:00Z');
+        await validate(USER_ID, { promptTokens: 10 });
+        await validate(USER_ID);
+        await validate(OTHER_USER_ID, { promptTokens: 5 });
+
+        const res = await request(app)
+            .get('/api/admin/usage?from=2026-10-01&to=2026-10-02')
+            .set('Authorization', authHeader(USER_ID, { app_metadata: { role: 'admin' } }));
+
+        expect(res.status).toBe(200);
+        expect(res.body.totals).toEqual({ requests: 3, promptTokens: 15, completionTokens: 0, activeUsers: 2 });
+        expect(res.body.series).toEqual([
+            { start: '2026-10-01T00:00:00.000Z', requests: 3, promptTokens: 15, completionTokens: 0, activeUsers: 2 }
+        ]);
+    });
+});
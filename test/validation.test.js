@@ -0,0 +1,99 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID } = require('./helpers/app');
+
+const { app, stripeService } = loadApp();
+
+beforeEach(() => {
+    resetStorage(stripeService);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('request validation and error envelope', () => {
+    test('rejects a userId that is not a UUID', async () => {
+        const res = await request(app)
+            .get('/api/subscription-status/not-a-uuid')
+            .set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('VALIDATION_FAILED');
+        expect(res.body.error.details.issues).toEqual([
+            { location: 'params', field: 'userId', message: 'must be a UUID' }
+        ]);
+    });
+
+    test('rejects a malformed email and an unknown plan in one response', async () => {
+        const res = await request(app)
+            .post('/api/create-checkout-session')
+            .set('Authorization', authHeader(USER_ID))
+            .send({ email: 'not-an-email', plan: 'enterprise' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('VALIDATION_FAILED');
+        expect(res.body.error.details.issues.map(issue => issue.field)).toEqual(['email', 'plan']);
+    });
+
+    test('rejects out-of-range pagination', async () => {
+        const res = await request(app)
+            .get('/api/billing/history?limit=500')
+            .set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.details.issues[0]).toMatchObject({ location: 'query', field: 'limit' });
+    });
+
+    test('reports unparseable JSON bodies', async () => {
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', authHeader(USER_ID))
+            .set('Content-Type', 'application/json')
+            .send('{"userId":');
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('INVALID_JSON');
+    });
+
+    test('reports oversized bodies as 413', async () => {
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', authHeader(USER_ID))
+            .set('Content-Type', 'application/json')
+            .send(JSON.stringify({ model: 'x'.repeat(200 * 1024) }));
+
+        expect(res.status).toBe(413);
+        expect(res.body).toEqual({ error: { code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' } });
+    });
+
+    test('reports unsupported body encodings as 415', async () => {
+        const res = await request(app)
+            .post('/api/validate-request')
+            .set('Authorization', authHeader(USER_ID))
+            .set('Content-Type', 'application/json')
+            .set('Content-Encoding', 'compress')
+            .send('{}');
+
+        expect(res.status).toBe(415);
+        expect(res.body.error.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+    });
+
+    test('unknown endpoints use the envelope', async () => {
+        const res = await request(app).get('/api/nope');
+
+        expect(res.status).toBe(404);
+        expect(res.body).toEqual({ error: { code: 'NOT_FOUND', message: 'Endpoint not found' } });
+    });
+
+    test('does not leak storage errors to the client', async () => {
+        jest.spyOn(stripeService.storage.userLimits, 'findByUserId')
+            .mockRejectedValue(new Error('relation "user_limits" does not exist'));
+
+        const res = await request(app)
+            .get(`/api/subscription-status/${USER_ID}`)
+            .set('Authorization', authHeader(USER_ID));
+
+        expect(res.status).toBe(500);
+        expect(res.body).toEqual({ error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+    });
+});
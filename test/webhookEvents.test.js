@@ -0,0 +1,93 @@
+const request = require('supertest');
+const { loadApp, resetStorage, USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+
+const { app, stripeService } = loadApp();
+const CUSTOMER_ID = 'cus_TestCustomer0001';
+
+let storage;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+async function deliver(name, overrides) {
+    const res = await sendWebhook(request(app), loadEvent(name, overrides));
+    expect(res.status).toBe(200);
+    return res;
+}
+
+describe('webhook event log', () => {
+    test('acknowledges duplicate deliveries without processing them again', async () => {
+        await deliver('checkout.session.completed');
+        const spy = jest.spyOn(stripeService, 'handleSubscriptionUpdate');
+
+        const first = await deliver('customer.subscription.created');
+        const second = await deliver('customer.subscription.created');
+
+        expect(first.body.duplicate).toBe(false);
+        expect(second.body.duplicate).toBe(true);
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps failed events in the log and retries them on redelivery', async () => {
+        await deliver('checkout.session.completed');
+        jest.spyOn(storage.subscriptions, 'applyWebhookUpdate')
+            .mockRejectedValueOnce(new Error('database unavailable'));
+
+        const failed = await sendWebhook(request(app), loadEvent('customer.subscription.created'));
+        expect(failed.status).toBe(500);
+        expect(failed.body.error).toEqual({ code: 'WEBHOOK_PROCESSING_FAILED', message: 'Webhook processing failed' });
+
+        const [logged] = await stripeService.listWebhookEvents({ status: 'failed' });
+        expect(logged).toMatchObject({ id: 'evt_1PsubscriptionCreated0001', error: 'database unavailable', attempts: 1 });
+
+        const retried = await deliver('customer.subscription.created');
+        expect(retried.body.duplicate).toBe(false);
+        expect((await storage.userLimits.findByUserId(USER_ID)).is_premium).toBe(true);
+
+        const event = await storage.webhookEvents.get('evt_1PsubscriptionCreated0001');
+        expect(event).toMatchObject({ status: 'processed', error: null, attempts: 2 });
+        expect(event.processed_at).not.toBeNull();
+    });
+
+    test('stores every event with its payload and can be filtered', async () => {
+        await deliver('checkout.session.completed');
+        await deliver('customer.subscription.created');
+        await deliver('invoice.payment_succeeded');
+
+        const all = await stripeService.listWebhookEvents();
+        expect(all).toHaveLength(3);
+        expect(all.every(event => event.status === 'processed')).toBe(true);
+        expect(all[0]).not.toHaveProperty('payload');
+
+        const invoices = await stripeService.listWebhookEvents({ type: 'invoice.payment_succeeded' });
+        expect(invoices.map(event => event.type)).toEqual(['invoice.payment_succeeded']);
+
+        const forCustomer = await stripeService.listWebhookEvents({ customerId: CUSTOMER_ID });
+        expect(forCustomer.length).toBeGreaterThan(0);
+        expect(await stripeService.listWebhookEvents({ customerId: 'cus_Other' })).toEqual([]);
+
+        const stored = await storage.webhookEvents.get(invoices[0].id);
+        expect(stored.payload.type).toBe('invoice.payment_succeeded');
+    });
+
+    test('reclaims an event whose processing never finished', async () => {
+        await deliver('checkout.session.completed');
+        const event = loadEvent('customer.subscription.created');
+        await storage.webhookEvents.claim(event);
+
+        const busy = await deliver('customer.subscription.created');
+        expect(busy.body.duplicate).toBe(true);
+
+        storage.db.webhookEvents.get(event.id).updated_at = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+        const reclaimed = await deliver('customer.subscription.created');
+        expect(reclaimed.body.duplicate).toBe(false);
+        expect(await storage.webhookEvents.get(event.id)).toMatchObject({ status: 'processed', attempts: 2 });
+    });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { loadApp, resetStorage, authHeader, USER_ID } = require('./helpers/app');
+const { loadEvent, sendWebhook } = require('./helpers/stripe');
+
+const { app, stripeService } = loadApp();
+const CUSTOMER_ID = 'cus_TestCustomer0001';
+
+let storage;
+
+beforeEach(() => {
+    storage = resetStorage(stripeService);
+});
+
+async function deliver(name, overrides) {
+    const res = await sendWebhook(request(app), loadEvent(name, overrides));
+    expect(res.status).toBe(200);
+    return res;
+}
+
+function getRow() {
+    return storage.userLimits.findByUserId(USER_ID);
+}
+
+describe('POST /webhook/stripe', () => {
+    test('rejects payloads with a bad signature', async () => {
+        const res = await request(app)
+            .post('/webhook/stripe')
+            .set('Content-Type', 'application/json')
+            .set('Stripe-Signature', 't=1,v1=deadbeef')
+            .send(JSON.stringify(loadEvent('checkout.session.completed')));
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+    });
+
+    test('links the Stripe customer on checkout completion', async () => {
+        await deliver('checkout.session.completed');
+
+        const row = await getRow();
+        expect(row.stripe_customer_id).toBe(CUSTOMER_ID);
+        expect(row.is_premium).toBe(false);
+    });
+
+    test('grants premium when the subscription is created', async () => {
+        await deliver('checkout.session.completed');
+        await deliver('customer.subscription.created');
+
+        const row = await getRow();
+        expect(row).toMatchObject({
+            is_premium: true,
+            plan: 'pro',
+            subscription_status: 'active',
+            stripe_subscription_id: 'sub_TestSubscription0001'
+        });
+    });
+
+    test('grants premium during a trial and reports when it ends', async () => {
+        await deliver('checkout.session.completed');
+        await deliver('customer.subscription.created', {
+            object: { status: 'trialing', trial_start: 1760000000, trial_end: 1761209600 }
+        });
+
+        const res = await request(app)
+            .get(`/api/subscription-status/${USER_ID}`)
+            .set('Authorization', authHeader(USER_ID));
+        expect(res.body).toMatchObject({
+            isPremium: true,
+            plan: 'pro',
+            subscriptionStatus: 'trialing',
+            trialEndsAt: '2025-10-23T08:53:20.000Z'
+        });
+
+        await deliver('customer.subscription.updated');
+        expect((await getRow()).trial_ends_at).toBeNull();
+    });
+
+    test('keeps premium while a cancellation is scheduled for period end', async () => {
+        await deliver('checkout.session.completed');
+        await deliver('customer.subscription.created');
+        await deliver('customer.subscription.updated.cancel_at_period_end');
+
+        const row = await getRow();
+        expect(row.subscription_status).toBe('canceling');
+        expect(row.is_premium).toBe(true);
+    });
+
+    test('drops back to free when the subscription is deleted', async () => {
+        await deliver('checkout.session.completed');
+        await deliver('customer.subscription.created');
+        await deliver('customer.subscription.deleted');
+
+        const row = await getRow();
+        expect(row).toMatchObject({
+            is_premium: false,
+            plan: 'free',
+            subscription_status: 'canceled'
+        });
+    });
+
+    test('ignores an update that arrives after a newer deletion', async () => {
+        await deliver('checkout.session.completed');
+        await deliver('customer.subscription.created');
+        await deliver('customer.subscription.deleted');
+        // Stripe retried an older update after the deletion went through
+        await deliver('customer.subscription.updated');
+
+        const row = await getRow();
+        expect(row.subscription_status).toBe('canceled');
+        expect(row.is_premium).toBe(false);
+    });
+
+    test('applies an update that was delivered before the subscription was created', async () => {
+        await deliver('checkout.session.completed');
+        await deliver('customer.subscription.updated');
+        await deliver('customer.subscription.created');
+
+        const row = await getRow();
+        expect(row.last_webhook_timestamp).toBe(new Date(1760100000 * 1000).toISOString());
+        expect(row.is_premium).toBe(true);
+    });
+});